@@ -72,6 +72,62 @@ async function getClient() {
   }
 }
 
+/**
+ * Run a statement on the given transaction client, or on the pool without one
+ * @param {Object} [client] - Client with an open transaction
+ * @param {string} sql - SQL query text
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Object>} Query result
+ */
+function run(client, sql, params) {
+  return client ? client.query(sql, params) : query(sql, params);
+}
+
+/**
+ * Run a callback inside a transaction on a dedicated client
+ * Commits when the callback resolves and rolls back when it throws.
+ * @param {Function} callback - Receives the client; its result is returned
+ * @returns {Promise<*>} Result of the callback
+ */
+async function withTransaction(callback) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error rolling back transaction:', rollbackError.message);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run a callback inside a savepoint of an open transaction
+ * A failure only undoes the callback's own statements, leaving the rest of
+ * the transaction usable.
+ * @param {Object} client - Client with an open transaction
+ * @param {Function} callback - Statements to run inside the savepoint
+ * @returns {Promise<*>} Result of the callback
+ */
+async function withSavepoint(client, callback) {
+  await client.query('SAVEPOINT item');
+  try {
+    const result = await callback();
+    await client.query('RELEASE SAVEPOINT item');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT item');
+    throw error;
+  }
+}
+
 /**
  * Initialize database connection and verify connectivity
  * @returns {Promise<void>}
@@ -114,6 +170,9 @@ module.exports = {
   pool,
   query,
   getClient,
+  run,
+  withTransaction,
+  withSavepoint,
   checkConnection,
   closePool,
   initializeDatabase,
@@ -3,6 +3,8 @@ const {
   pool,
   query,
   getClient,
+  withTransaction,
+  withSavepoint,
   checkConnection,
   closePool,
 } = require('./database');
@@ -344,4 +346,72 @@ describe('Database Connection Module', () => {
       expect(result).toBe(false);
     });
   });
+
+  describe('withTransaction', () => {
+    it('should commit and release when the callback succeeds', async () => {
+      // Arrange
+      const mockClient = { query: jest.fn().mockResolvedValue({}), release: jest.fn() };
+      mockPool.connect.mockResolvedValue(mockClient);
+      const callback = jest.fn().mockResolvedValue('done');
+
+      // Act
+      const result = await withTransaction(callback);
+
+      // Assert
+      expect(result).toBe('done');
+      expect(callback).toHaveBeenCalledWith(mockClient);
+      expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'COMMIT']);
+      expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should roll back, release and rethrow when the callback fails', async () => {
+      // Arrange
+      const mockClient = { query: jest.fn().mockResolvedValue({}), release: jest.fn() };
+      mockPool.connect.mockResolvedValue(mockClient);
+      const failure = new Error('Insert failed');
+
+      // Act & Assert
+      await expect(withTransaction(() => Promise.reject(failure))).rejects.toBe(failure);
+      expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'ROLLBACK']);
+      expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should rethrow the original error when rollback also fails', async () => {
+      // Arrange
+      const mockClient = {
+        query: jest.fn((sql) => (sql === 'ROLLBACK' ? Promise.reject(new Error('Connection lost')) : Promise.resolve({}))),
+        release: jest.fn(),
+      };
+      mockPool.connect.mockResolvedValue(mockClient);
+      const failure = new Error('Insert failed');
+
+      // Act & Assert
+      await expect(withTransaction(() => Promise.reject(failure))).rejects.toBe(failure);
+      expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('withSavepoint', () => {
+    it('should release the savepoint when the callback succeeds', async () => {
+      // Arrange
+      const mockClient = { query: jest.fn().mockResolvedValue({}) };
+
+      // Act
+      const result = await withSavepoint(mockClient, async () => 42);
+
+      // Assert
+      expect(result).toBe(42);
+      expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual(['SAVEPOINT item', 'RELEASE SAVEPOINT item']);
+    });
+
+    it('should roll back to the savepoint and rethrow when the callback fails', async () => {
+      // Arrange
+      const mockClient = { query: jest.fn().mockResolvedValue({}) };
+      const failure = new Error('Update failed');
+
+      // Act & Assert
+      await expect(withSavepoint(mockClient, () => Promise.reject(failure))).rejects.toBe(failure);
+      expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual(['SAVEPOINT item', 'ROLLBACK TO SAVEPOINT item']);
+    });
+  });
 });
@@ -0,0 +1,97 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage keys are single file names, so none can reach outside the directory
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+// Photos live here unless PHOTO_STORAGE_DIR says otherwise
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', 'uploads', 'photos');
+
+let storage = null;
+
+/**
+ * Create a photo storage adapter that keeps files in a local directory
+ * Every adapter offers the same three methods, so another backend (object
+ * storage, for example) can be swapped in with setPhotoStorage.
+ * @param {string} directory - Directory holding the files; created on first write
+ * @returns {Object} Adapter with write(key, data), read(key) and remove(key)
+ */
+function createLocalPhotoStorage(directory) {
+  const resolveKey = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid photo storage key: ${key}`);
+    }
+    return path.join(directory, key);
+  };
+
+  return {
+    /**
+     * Store a file, replacing any file with the same key
+     * @param {string} key - Storage key
+     * @param {Buffer} data - File contents
+     * @returns {Promise<void>}
+     */
+    async write(key, data) {
+      const file = resolveKey(key);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(file, data);
+    },
+
+    /**
+     * Load a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} File contents, or null if there is no such file
+     */
+    async read(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Delete a file; deleting a missing file is not an error
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Get the photo storage adapter in use
+ * Defaults to local disk under PHOTO_STORAGE_DIR (backend/uploads/photos).
+ * @returns {Object} Photo storage adapter
+ */
+function getPhotoStorage() {
+  if (!storage) {
+    storage = createLocalPhotoStorage(path.resolve(process.env.PHOTO_STORAGE_DIR || DEFAULT_DIRECTORY));
+  }
+  return storage;
+}
+
+/**
+ * Replace the photo storage adapter
+ * @param {Object|null} adapter - Adapter with write, read and remove; null restores the default
+ */
+function setPhotoStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = {
+  createLocalPhotoStorage,
+  getPhotoStorage,
+  setPhotoStorage,
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalPhotoStorage, getPhotoStorage, setPhotoStorage } = require('./photoStorage');
+
+describe('Photo Storage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'photos-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    setPhotoStorage(null);
+  });
+
+  describe('createLocalPhotoStorage', () => {
+    it('should write, read and remove files, creating the directory on first write', async () => {
+      const storage = createLocalPhotoStorage(path.join(directory, 'nested'));
+
+      await storage.write('abc-original', Buffer.from('photo'));
+      const read = await storage.read('abc-original');
+      await storage.remove('abc-original');
+
+      expect(read.toString()).toBe('photo');
+      expect(await storage.read('abc-original')).toBeNull();
+    });
+
+    it('should not fail when removing a missing file', async () => {
+      const storage = createLocalPhotoStorage(directory);
+
+      await expect(storage.remove('missing-64.png')).resolves.toBeUndefined();
+    });
+
+    it('should refuse keys that could leave the directory', async () => {
+      const storage = createLocalPhotoStorage(directory);
+
+      await expect(storage.write('../escape', Buffer.from('x'))).rejects.toThrow('Invalid photo storage key: ../escape');
+      await expect(storage.read('a/b')).rejects.toThrow('Invalid photo storage key');
+    });
+  });
+
+  describe('getPhotoStorage', () => {
+    it('should use the adapter set with setPhotoStorage', () => {
+      const adapter = { write: jest.fn(), read: jest.fn(), remove: jest.fn() };
+
+      setPhotoStorage(adapter);
+
+      expect(getPhotoStorage()).toBe(adapter);
+    });
+
+    it('should default to local disk under PHOTO_STORAGE_DIR', async () => {
+      process.env.PHOTO_STORAGE_DIR = directory;
+
+      try {
+        await getPhotoStorage().write('abc-64.png', Buffer.from('thumbnail'));
+
+        expect(fs.readFileSync(path.join(directory, 'abc-64.png'), 'utf8')).toBe('thumbnail');
+      } finally {
+        delete process.env.PHOTO_STORAGE_DIR;
+      }
+    });
+  });
+});
@@ -1,13 +1,192 @@
 const contactService = require('../services/contactService');
+const tagService = require('../services/tagService');
+const relationshipService = require('../services/relationshipService');
+const mergeService = require('../services/mergeService');
+const interactionService = require('../services/interactionService');
+const reminderService = require('../services/reminderService');
+const starService = require('../services/starService');
+const photoService = require('../services/photoService');
+const { parseListQuery } = require('../utils/contactListQuery');
+const { formatETag, parseIfMatch } = require('../utils/etag');
+const { formatCsvRow } = require('../utils/csv');
+const { formatVCard } = require('../utils/vcard');
+const { getRequestUser } = require('../utils/requestUser');
+
+// Contact properties written to CSV exports, in column order
+const EXPORT_COLUMNS = ['id', 'firstName', 'lastName', 'email', 'phone', 'company', 'notes', 'createdAt', 'updatedAt'];
+
+// How each export format frames the file and writes one contact
+const EXPORT_SERIALIZERS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    start: formatCsvRow(EXPORT_COLUMNS),
+    item: (contact) => formatCsvRow(EXPORT_COLUMNS.map((column) => contact[column])),
+    end: '',
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    start: '[',
+    item: (contact, index) => `${index === 0 ? '' : ','}\n${JSON.stringify(contact)}`,
+    end: '\n]\n',
+  },
+  vcf: {
+    contentType: 'text/vcard; charset=utf-8',
+    start: '',
+    item: (contact, index, { version, baseUrl }) => formatVCard(contact, { version, baseUrl }),
+    end: '',
+  },
+};
 
 /**
- * Get all contacts
- * @route GET /api/contacts
+ * Read the public URL of the API from the environment, for absolute links in exports
+ * It is configured rather than taken from the request, whose Host header the
+ * client controls.
+ * @returns {string} Base URL without a trailing slash, e.g. https://contacts.example.com,
+ *   or an empty string when it is not set
+ */
+function getBaseUrl() {
+  return (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Get a filtered, sorted page of contacts
+ * @route GET /api/contacts?limit=&cursor=&sort=&<filter>=
  */
 async function getAllContacts(req, res, next) {
   try {
-    const contacts = await contactService.findAll();
-    res.status(200).json(contacts);
+    const { limit, cursor } = req.query;
+    const { filters, sort } = parseListQuery(req.query);
+    const page = await contactService.findPage({
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      cursor,
+      filters,
+      sort,
+      user: getRequestUser(req),
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download every contact (or the filtered subset) as CSV, JSON or vCard
+ * Rows are streamed as they are read, so large address books are never held
+ * in memory. An error after the first batch can only abort the download.
+ * @route GET /api/contacts/export?format=csv|json|vcf&version=&sort=&<filter>=
+ */
+async function exportContacts(req, res, next) {
+  const { format = 'csv', version, ...listQuery } = req.query;
+  const { filters, sort } = parseListQuery(listQuery);
+  const serializer = EXPORT_SERIALIZERS[format];
+  const baseUrl = getBaseUrl();
+  const batches = contactService.exportContacts({ filters, sort, user: getRequestUser(req) });
+  
+  let batch;
+  try {
+    // Read the first batch before committing to a 200 response
+    batch = await batches.next();
+  } catch (error) {
+    return next(error);
+  }
+  
+  const filename = `contacts-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.status(200);
+  res.set({
+    'Content-Type': serializer.contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  
+  // Stop reading from the database if the client goes away
+  res.on('close', () => {
+    batches.return().catch((error) => console.error('Error closing export:', error.message));
+  });
+  
+  try {
+    let count = 0;
+    await writeChunk(res, serializer.start);
+    
+    while (!batch.done && !res.destroyed) {
+      const chunk = batch.value
+        .map((contact) => serializer.item(contact, count++, { version, baseUrl }))
+        .join('');
+      await writeChunk(res, chunk);
+      batch = await batches.next();
+    }
+    
+    res.end(serializer.end);
+  } catch (error) {
+    console.error('Export aborted:', error.message);
+    res.destroy(error);
+  }
+}
+
+/**
+ * Write to a response, waiting for the socket to drain when its buffer is full
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Search contacts by relevance
+ * @route GET /api/contacts/search?q=&limit=
+ */
+async function searchContacts(req, res, next) {
+  try {
+    const { q, limit } = req.query;
+    const results = await contactService.search(q.trim(), {
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+    });
+    res.status(200).json({ data: results });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get clusters of likely duplicate contacts
+ * @route GET /api/contacts/duplicates?minConfidence=&limit=
+ */
+async function getDuplicates(req, res, next) {
+  try {
+    const { minConfidence, limit } = req.query;
+    const clusters = await contactService.findDuplicates({
+      minConfidence: minConfidence !== undefined ? parseFloat(minConfidence) : undefined,
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+    });
+    res.status(200).json({ data: clusters });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Find existing contacts that a draft contact would likely duplicate
+ * @route POST /api/contacts/check-duplicates?minConfidence=&limit=
+ */
+async function checkDuplicates(req, res, next) {
+  try {
+    const { minConfidence, limit } = req.query;
+    const matches = await contactService.checkDuplicates(req.body, {
+      minConfidence: minConfidence !== undefined ? parseFloat(minConfidence) : undefined,
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+    });
+    res.status(200).json({ data: matches });
   } catch (error) {
     next(error);
   }
@@ -20,7 +199,8 @@ async function getAllContacts(req, res, next) {
 async function getContactById(req, res, next) {
   try {
     const id = parseInt(req.params.id, 10);
-    const contact = await contactService.findById(id);
+    const contact = await contactService.findById(id, { user: getRequestUser(req) });
+    res.set('ETag', formatETag(contact.version));
     res.status(200).json(contact);
   } catch (error) {
     next(error);
@@ -29,12 +209,17 @@ async function getContactById(req, res, next) {
 
 /**
  * Create a new contact
- * @route POST /api/contacts
+ * A likely duplicate of an existing contact is refused with 409 unless
+ * allowDuplicates=true is given.
+ * @route POST /api/contacts?allowDuplicates=
  */
 async function createContact(req, res, next) {
   try {
     const contactData = req.body;
-    const newContact = await contactService.create(contactData);
+    const newContact = await contactService.create(contactData, {
+      allowDuplicates: req.query.allowDuplicates === 'true',
+      user: getRequestUser(req),
+    });
     res.status(201).json(newContact);
   } catch (error) {
     next(error);
@@ -43,13 +228,16 @@ async function createContact(req, res, next) {
 
 /**
  * Update an existing contact
+ * Honours If-Match; a stale version fails with 412 Precondition Failed
  * @route PUT /api/contacts/:id
  */
 async function updateContact(req, res, next) {
   try {
     const id = parseInt(req.params.id, 10);
     const contactData = req.body;
-    const updatedContact = await contactService.update(id, contactData);
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    const updatedContact = await contactService.update(id, contactData, ifMatch, { user: getRequestUser(req) });
+    res.set('ETag', formatETag(updatedContact.version));
     res.status(200).json(updatedContact);
   } catch (error) {
     next(error);
@@ -57,23 +245,576 @@ async function updateContact(req, res, next) {
 }
 
 /**
- * Delete a contact
+ * Partially update a contact with a JSON Merge Patch document
+ * Honours If-Match; a stale version fails with 412 Precondition Failed
+ * @route PATCH /api/contacts/:id
+ */
+async function patchContact(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    const patchedContact = await contactService.patch(id, req.body, ifMatch, { user: getRequestUser(req) });
+    res.set('ETag', formatETag(patchedContact.version));
+    res.status(200).json(patchedContact);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Move a contact to the trash
+ * Honours If-Match; a stale version fails with 412 Precondition Failed
  * @route DELETE /api/contacts/:id
  */
 async function deleteContact(req, res, next) {
   try {
     const id = parseInt(req.params.id, 10);
-    await contactService.remove(id);
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    await contactService.remove(id, ifMatch, { user: getRequestUser(req) });
     res.status(204).send();
   } catch (error) {
     next(error);
   }
 }
 
+/**
+ * Get a page of contacts in the trash, most recently deleted first
+ * @route GET /api/contacts/trash?limit=&cursor=
+ */
+async function getTrash(req, res, next) {
+  try {
+    const { limit, cursor } = req.query;
+    const page = await contactService.findTrash({
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      cursor,
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Permanently remove contacts older than the trash retention period
+ * @route DELETE /api/contacts/trash
+ */
+async function purgeTrash(req, res, next) {
+  try {
+    const purged = await contactService.purgeTrash();
+    res.status(200).json({ purged });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Restore a contact from the trash
+ * @route POST /api/contacts/:id/restore
+ */
+async function restoreContact(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const restoredContact = await contactService.restore(id, { user: getRequestUser(req) });
+    res.set('ETag', formatETag(restoredContact.version));
+    res.status(200).json(restoredContact);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a page of a contact's revision history, most recent first
+ * @route GET /api/contacts/:id/history?limit=&cursor=
+ */
+async function getContactHistory(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { limit, cursor } = req.query;
+    const page = await contactService.findHistory(id, {
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      cursor,
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revert a contact to one of its revisions
+ * Honours If-Match; a stale version fails with 412 Precondition Failed
+ * @route POST /api/contacts/:id/history/:revisionId/revert
+ */
+async function revertContact(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const revisionId = parseInt(req.params.revisionId, 10);
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    const revertedContact = await contactService.revert(id, revisionId, ifMatch, { user: getRequestUser(req) });
+    res.set('ETag', formatETag(revertedContact.version));
+    res.status(200).json(revertedContact);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Run a batch of create, update and delete operations in one transaction
+ * Per-item outcomes are reported in the body; `atomic: false` makes it best-effort
+ * @route POST /api/contacts/bulk
+ */
+async function bulkContacts(req, res, next) {
+  try {
+    const { operations, atomic } = req.body;
+    const outcome = await contactService.bulk(operations, { atomic, user: getRequestUser(req) });
+    res.status(200).json(outcome);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Merge duplicate contacts into a surviving contact
+ * @route POST /api/contacts/merge
+ */
+async function mergeContacts(req, res, next) {
+  try {
+    const { survivorId, loserIds, fields } = req.body;
+    const result = await mergeService.merge({ survivorId, loserIds, fields }, { user: getRequestUser(req) });
+    res.set('ETag', formatETag(result.contact.version));
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a page of recorded merges, most recent first
+ * @route GET /api/contacts/merges?contactId=&limit=&cursor=
+ */
+async function getMerges(req, res, next) {
+  try {
+    const { contactId, limit, cursor } = req.query;
+    const page = await mergeService.findPage({
+      contactId: contactId !== undefined ? parseInt(contactId, 10) : undefined,
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      cursor,
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Import contacts from an uploaded CSV file
+ * @route POST /api/contacts/import?dryRun=&mapping=
+ */
+async function importContacts(req, res, next) {
+  try {
+    const { dryRun, mapping } = req.query;
+    const result = await contactService.importCsv(req.body, {
+      mapping: mapping !== undefined ? JSON.parse(mapping) : undefined,
+      dryRun: dryRun === 'true',
+      user: getRequestUser(req),
+    });
+    res.status(result.dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add tags to a contact, creating tags that do not exist yet
+ * @route POST /api/contacts/:id/tags
+ */
+async function addContactTags(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const contact = await tagService.tagContact(id, req.body.tags);
+    res.set('ETag', formatETag(contact.version));
+    res.status(200).json(contact);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a tag from a contact
+ * @route DELETE /api/contacts/:id/tags/:tag
+ */
+async function removeContactTag(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const contact = await tagService.untagContact(id, req.params.tag);
+    res.set('ETag', formatETag(contact.version));
+    res.status(200).json(contact);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a contact's relationships to other contacts
+ * @route GET /api/contacts/:id/relationships
+ */
+async function getContactRelationships(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const relationships = await relationshipService.findByContact(id);
+    res.status(200).json({ data: relationships });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Link a contact to another contact
+ * @route POST /api/contacts/:id/relationships
+ */
+async function addContactRelationship(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const relationship = await relationshipService.create(id, req.body);
+    res.status(201).json(relationship);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace one of a contact's relationships
+ * @route PUT /api/contacts/:id/relationships/:relationshipId
+ */
+async function updateContactRelationship(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const relationshipId = parseInt(req.params.relationshipId, 10);
+    const relationship = await relationshipService.update(id, relationshipId, req.body);
+    res.status(200).json(relationship);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove one of a contact's relationships
+ * @route DELETE /api/contacts/:id/relationships/:relationshipId
+ */
+async function removeContactRelationship(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const relationshipId = parseInt(req.params.relationshipId, 10);
+    await relationshipService.remove(id, relationshipId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a page of a contact's interactions, most recent first
+ * @route GET /api/contacts/:id/interactions?limit=&cursor=
+ */
+async function getContactInteractions(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { limit, cursor } = req.query;
+    const page = await interactionService.findPage(id, {
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      cursor,
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Log a call, meeting, email or other interaction with a contact
+ * @route POST /api/contacts/:id/interactions
+ */
+async function addContactInteraction(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const interaction = await interactionService.create(id, req.body);
+    res.status(201).json(interaction);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace one of a contact's interactions
+ * @route PUT /api/contacts/:id/interactions/:interactionId
+ */
+async function updateContactInteraction(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const interactionId = parseInt(req.params.interactionId, 10);
+    const interaction = await interactionService.update(id, interactionId, req.body);
+    res.status(200).json(interaction);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove one of a contact's interactions
+ * @route DELETE /api/contacts/:id/interactions/:interactionId
+ */
+async function removeContactInteraction(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const interactionId = parseInt(req.params.interactionId, 10);
+    await interactionService.remove(id, interactionId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a contact's reminders, open ones first
+ * @route GET /api/contacts/:id/reminders
+ */
+async function getContactReminders(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const reminders = await reminderService.findByContact(id);
+    res.status(200).json({ data: reminders });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Set a one-off or recurring reminder to follow up with a contact
+ * @route POST /api/contacts/:id/reminders
+ */
+async function addContactReminder(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const reminder = await reminderService.create(id, req.body);
+    res.status(201).json(reminder);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace one of a contact's open reminders
+ * @route PUT /api/contacts/:id/reminders/:reminderId
+ */
+async function updateContactReminder(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const reminderId = parseInt(req.params.reminderId, 10);
+    const reminder = await reminderService.update(id, reminderId, req.body);
+    res.status(200).json(reminder);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove one of a contact's reminders
+ * @route DELETE /api/contacts/:id/reminders/:reminderId
+ */
+async function removeContactReminder(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const reminderId = parseInt(req.params.reminderId, 10);
+    await reminderService.remove(id, reminderId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Complete one of a contact's reminders, scheduling the next occurrence of a recurring one
+ * @route POST /api/contacts/:id/reminders/:reminderId/complete
+ */
+async function completeContactReminder(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const reminderId = parseInt(req.params.reminderId, 10);
+    const result = await reminderService.complete(id, reminderId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Snooze one of a contact's reminders until a later day
+ * @route POST /api/contacts/:id/reminders/:reminderId/snooze
+ */
+async function snoozeContactReminder(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const reminderId = parseInt(req.params.reminderId, 10);
+    const result = await reminderService.snooze(id, reminderId, req.body.until);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Star a contact for the user named in the X-User header
+ * @route PUT /api/contacts/:id/star
+ */
+async function starContact(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const star = await starService.star(id, getRequestUser(req));
+    res.status(200).json(star);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Clear the star the user named in the X-User header set on a contact
+ * @route DELETE /api/contacts/:id/star
+ */
+async function unstarContact(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await starService.unstar(id, getRequestUser(req));
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Upload a contact's photo as the photo field of a multipart/form-data body
+ * @route PUT /api/contacts/:id/photo
+ */
+async function uploadContactPhoto(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const photo = await photoService.upload(id, req.file ? req.file.buffer : undefined);
+    res.status(200).json(photo);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download a contact's photo as uploaded, or one of its square PNG thumbnails
+ * Express answers If-None-Match with 304 Not Modified from the ETag it sets.
+ * @route GET /api/contacts/:id/photo?size=64|256
+ */
+async function getContactPhoto(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const size = req.query.size !== undefined ? parseInt(req.query.size, 10) : undefined;
+    const photo = await photoService.find(id, size);
+    res.set({
+      'Content-Type': photo.contentType,
+      'Cache-Control': 'no-cache',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.status(200).send(photo.data);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a contact's photo
+ * @route DELETE /api/contacts/:id/photo
+ */
+async function removeContactPhoto(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await photoService.remove(id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download a single contact as a vCard
+ * @route GET /api/contacts/:id/vcard?version=3.0|4.0
+ */
+async function getContactVCard(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const contact = await contactService.findById(id);
+    const filename = `${contact.firstName}-${contact.lastName}`.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || `contact-${id}`;
+    res.set({
+      'Content-Type': 'text/vcard; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.vcf"`,
+    });
+    res.status(200).send(formatVCard(contact, { version: req.query.version, baseUrl: getBaseUrl() }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Import contacts from an uploaded vCard (.vcf) file
+ * @route POST /api/contacts/import/vcard?dryRun=
+ */
+async function importVCardContacts(req, res, next) {
+  try {
+    const result = await contactService.importVCards(req.body, {
+      dryRun: req.query.dryRun === 'true',
+      user: getRequestUser(req),
+    });
+    res.status(result.dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   getAllContacts,
+  exportContacts,
+  searchContacts,
+  getDuplicates,
+  checkDuplicates,
   getContactById,
   createContact,
   updateContact,
+  patchContact,
   deleteContact,
+  getTrash,
+  purgeTrash,
+  restoreContact,
+  getContactHistory,
+  revertContact,
+  addContactTags,
+  removeContactTag,
+  getContactRelationships,
+  addContactRelationship,
+  updateContactRelationship,
+  removeContactRelationship,
+  getContactInteractions,
+  addContactInteraction,
+  updateContactInteraction,
+  removeContactInteraction,
+  getContactReminders,
+  addContactReminder,
+  updateContactReminder,
+  removeContactReminder,
+  completeContactReminder,
+  snoozeContactReminder,
+  starContact,
+  unstarContact,
+  uploadContactPhoto,
+  getContactPhoto,
+  removeContactPhoto,
+  bulkContacts,
+  mergeContacts,
+  getMerges,
+  importContacts,
+  getContactVCard,
+  importVCardContacts,
 };
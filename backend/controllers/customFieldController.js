@@ -0,0 +1,77 @@
+const customFieldService = require('../services/customFieldService');
+
+/**
+ * Get all custom field definitions
+ * @route GET /api/custom-fields
+ */
+async function getAllCustomFields(req, res, next) {
+  try {
+    const fields = await customFieldService.findAll();
+    res.status(200).json({ data: fields });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get single custom field definition by ID
+ * @route GET /api/custom-fields/:id
+ */
+async function getCustomFieldById(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const field = await customFieldService.findById(id);
+    res.status(200).json(field);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create new custom field definition
+ * @route POST /api/custom-fields
+ */
+async function createCustomField(req, res, next) {
+  try {
+    const field = await customFieldService.create(req.body);
+    res.status(201).json(field);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update existing custom field definition
+ * @route PUT /api/custom-fields/:id
+ */
+async function updateCustomField(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const field = await customFieldService.update(id, req.body);
+    res.status(200).json(field);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete custom field definition and its values on every contact
+ * @route DELETE /api/custom-fields/:id
+ */
+async function deleteCustomField(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await customFieldService.remove(id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getAllCustomFields,
+  getCustomFieldById,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+};
@@ -0,0 +1,23 @@
+const eventService = require('../services/eventService');
+
+/**
+ * Get the birthdays, anniversaries and other dates coming up
+ * @route GET /api/events/upcoming
+ */
+async function getUpcomingEvents(req, res, next) {
+  try {
+    const { days, from, type } = req.query;
+    const result = await eventService.findUpcoming({
+      days: days !== undefined ? parseInt(days, 10) : undefined,
+      from,
+      type,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getUpcomingEvents,
+};
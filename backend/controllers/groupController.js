@@ -0,0 +1,142 @@
+const groupService = require('../services/groupService');
+
+/**
+ * Get all groups with their member counts
+ * @route GET /api/groups
+ */
+async function getAllGroups(req, res, next) {
+  try {
+    const groups = await groupService.findAll();
+    res.status(200).json({ data: groups });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get single group by ID
+ * @route GET /api/groups/:id
+ */
+async function getGroupById(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const group = await groupService.findById(id);
+    res.status(200).json(group);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a page of a group's contacts in group order
+ * @route GET /api/groups/:id/contacts?limit=&cursor=
+ */
+async function getGroupContacts(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { limit, cursor } = req.query;
+    const page = await groupService.findContacts(id, {
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      cursor,
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create new group
+ * @route POST /api/groups
+ */
+async function createGroup(req, res, next) {
+  try {
+    const group = await groupService.create(req.body);
+    res.status(201).json(group);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update existing group
+ * @route PUT /api/groups/:id
+ */
+async function updateGroup(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const group = await groupService.update(id, req.body);
+    res.status(200).json(group);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete group
+ * @route DELETE /api/groups/:id
+ */
+async function deleteGroup(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await groupService.remove(id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Append contacts to a group
+ * @route POST /api/groups/:id/members
+ */
+async function addGroupMembers(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const group = await groupService.addMembers(id, req.body.contactIds);
+    res.status(200).json(group);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace and reorder a group's members
+ * @route PUT /api/groups/:id/members
+ */
+async function replaceGroupMembers(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const group = await groupService.replaceMembers(id, req.body.contactIds);
+    res.status(200).json(group);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a contact from a group
+ * @route DELETE /api/groups/:id/members/:contactId
+ */
+async function removeGroupMember(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const contactId = parseInt(req.params.contactId, 10);
+    await groupService.removeMember(id, contactId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getAllGroups,
+  getGroupById,
+  getGroupContacts,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupMembers,
+  replaceGroupMembers,
+  removeGroupMember,
+};
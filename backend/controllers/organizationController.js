@@ -0,0 +1,96 @@
+const organizationService = require('../services/organizationService');
+
+/**
+ * Get all organizations with their contact counts
+ * @route GET /api/organizations
+ */
+async function getAllOrganizations(req, res, next) {
+  try {
+    const organizations = await organizationService.findAll();
+    res.status(200).json({ data: organizations });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get single organization by ID
+ * @route GET /api/organizations/:id
+ */
+async function getOrganizationById(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const organization = await organizationService.findById(id);
+    res.status(200).json(organization);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a page of an organization's contacts ordered by name
+ * @route GET /api/organizations/:id/contacts?limit=&cursor=
+ */
+async function getOrganizationContacts(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { limit, cursor } = req.query;
+    const page = await organizationService.findContacts(id, {
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      cursor,
+    });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create new organization
+ * @route POST /api/organizations
+ */
+async function createOrganization(req, res, next) {
+  try {
+    const organization = await organizationService.create(req.body);
+    res.status(201).json(organization);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update existing organization
+ * @route PUT /api/organizations/:id
+ */
+async function updateOrganization(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const organization = await organizationService.update(id, req.body);
+    res.status(200).json(organization);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete organization; its contacts are kept without a company
+ * @route DELETE /api/organizations/:id
+ */
+async function deleteOrganization(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await organizationService.remove(id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getAllOrganizations,
+  getOrganizationById,
+  getOrganizationContacts,
+  createOrganization,
+  updateOrganization,
+  deleteOrganization,
+};
@@ -0,0 +1,22 @@
+const reminderService = require('../services/reminderService');
+
+/**
+ * Get the open reminders that are overdue or due soon, across all contacts
+ * @route GET /api/reminders/due
+ */
+async function getDueReminders(req, res, next) {
+  try {
+    const { days, from } = req.query;
+    const result = await reminderService.findDue({
+      days: days !== undefined ? parseInt(days, 10) : undefined,
+      from,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getDueReminders,
+};
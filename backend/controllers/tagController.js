@@ -0,0 +1,77 @@
+const tagService = require('../services/tagService');
+
+/**
+ * Get all tags with the number of contacts carrying each
+ * @route GET /api/tags
+ */
+async function getAllTags(req, res, next) {
+  try {
+    const tags = await tagService.findAll();
+    res.status(200).json({ data: tags });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get single tag by ID
+ * @route GET /api/tags/:id
+ */
+async function getTagById(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const tag = await tagService.findById(id);
+    res.status(200).json(tag);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create new tag
+ * @route POST /api/tags
+ */
+async function createTag(req, res, next) {
+  try {
+    const tag = await tagService.create(req.body.name);
+    res.status(201).json(tag);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Rename existing tag
+ * @route PUT /api/tags/:id
+ */
+async function updateTag(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const tag = await tagService.update(id, req.body.name);
+    res.status(200).json(tag);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete tag and remove it from every contact
+ * @route DELETE /api/tags/:id
+ */
+async function deleteTag(req, res, next) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await tagService.remove(id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getAllTags,
+  getTagById,
+  createTag,
+  updateTag,
+  deleteTag,
+};
@@ -7,8 +7,28 @@
 -- ============================================================================
 
 -- Drop table if exists (for clean initialization)
+DROP TABLE IF EXISTS contact_photos CASCADE;
+DROP TABLE IF EXISTS contact_stars CASCADE;
+DROP TABLE IF EXISTS contact_reminders CASCADE;
+DROP TABLE IF EXISTS contact_interactions CASCADE;
+DROP TABLE IF EXISTS contact_revisions CASCADE;
+DROP TABLE IF EXISTS contact_merges CASCADE;
+DROP TABLE IF EXISTS organizations CASCADE;
+DROP TABLE IF EXISTS contact_relationships CASCADE;
+DROP TABLE IF EXISTS custom_fields CASCADE;
+DROP TABLE IF EXISTS contact_dates CASCADE;
+DROP TABLE IF EXISTS contact_addresses CASCADE;
+DROP TABLE IF EXISTS contact_phones CASCADE;
+DROP TABLE IF EXISTS contact_emails CASCADE;
+DROP TABLE IF EXISTS contact_group_members CASCADE;
+DROP TABLE IF EXISTS contact_groups CASCADE;
+DROP TABLE IF EXISTS contact_tags CASCADE;
+DROP TABLE IF EXISTS tags CASCADE;
 DROP TABLE IF EXISTS contacts CASCADE;
 
+-- Trigram matching for contact search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Create contacts table
 CREATE TABLE contacts (
     id SERIAL PRIMARY KEY,
@@ -19,13 +39,36 @@ CREATE TABLE contacts (
     company VARCHAR(100),
     notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    version INTEGER NOT NULL DEFAULT 1,
+    deleted_at TIMESTAMP,
+    custom_fields JSONB NOT NULL DEFAULT '{}',
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(first_name, '') || ' ' || coalesce(last_name, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(email, '') || ' ' || coalesce(company, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(phone, '') || ' ' || coalesce(notes, '')), 'C')
+    ) STORED,
+    search_text TEXT GENERATED ALWAYS AS (
+        coalesce(first_name, '') || ' ' || coalesce(last_name, '') || ' ' ||
+        coalesce(email, '') || ' ' || coalesce(phone, '') || ' ' ||
+        coalesce(company, '') || ' ' || coalesce(notes, '')
+    ) STORED
 );
 
 -- Create indexes for frequently queried fields
 CREATE INDEX idx_contacts_last_name ON contacts(last_name);
 CREATE INDEX idx_contacts_email ON contacts(email);
 
+-- Composite index backing keyset pagination on (last_name, first_name, id)
+CREATE INDEX idx_contacts_name_id ON contacts(last_name, first_name, id);
+
+-- Full-text and trigram indexes backing contact search
+CREATE INDEX idx_contacts_search_vector ON contacts USING GIN (search_vector);
+CREATE INDEX idx_contacts_search_text_trgm ON contacts USING GIN (search_text gin_trgm_ops);
+
+-- Partial index backing the trash listing and the retention purge
+CREATE INDEX idx_contacts_deleted_at ON contacts(deleted_at DESC, id DESC) WHERE deleted_at IS NOT NULL;
+
 -- Create function to automatically update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -41,17 +84,404 @@ CREATE TRIGGER update_contacts_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Create function to bump the optimistic concurrency version
+CREATE OR REPLACE FUNCTION increment_version_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version = OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create trigger to bump the version on every UPDATE
+CREATE TRIGGER increment_contacts_version
+    BEFORE UPDATE ON contacts
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_version_column();
+
 -- Add comments for documentation
 COMMENT ON TABLE contacts IS 'Stores contact information for the contact book application';
 COMMENT ON COLUMN contacts.id IS 'Primary key, auto-incrementing';
 COMMENT ON COLUMN contacts.first_name IS 'Contact first name (required, max 50 chars)';
 COMMENT ON COLUMN contacts.last_name IS 'Contact last name (required, max 50 chars)';
-COMMENT ON COLUMN contacts.email IS 'Contact email address (optional, max 100 chars)';
-COMMENT ON COLUMN contacts.phone IS 'Contact phone number (optional, max 20 chars)';
-COMMENT ON COLUMN contacts.company IS 'Contact company name (optional, max 100 chars)';
+COMMENT ON COLUMN contacts.email IS 'Primary email address, mirrored from contact_emails (optional, max 100 chars)';
+COMMENT ON COLUMN contacts.phone IS 'Primary phone number, mirrored from contact_phones (optional, max 20 chars)';
+COMMENT ON COLUMN contacts.company IS 'Name of the linked organization, mirrored from organizations.name (optional)';
 COMMENT ON COLUMN contacts.notes IS 'Additional notes about the contact (optional)';
 COMMENT ON COLUMN contacts.created_at IS 'Timestamp when contact was created';
 COMMENT ON COLUMN contacts.updated_at IS 'Timestamp when contact was last updated (auto-updated by trigger)';
+COMMENT ON COLUMN contacts.version IS 'Optimistic concurrency version, exposed as the ETag (auto-incremented by trigger)';
+COMMENT ON COLUMN contacts.deleted_at IS 'Timestamp when contact was moved to the trash (NULL for live contacts)';
+COMMENT ON COLUMN contacts.custom_fields IS 'Values of the admin-defined custom fields, keyed by field key';
+COMMENT ON COLUMN contacts.search_vector IS 'Weighted full-text document for search (generated)';
+COMMENT ON COLUMN contacts.search_text IS 'Concatenated searchable fields for trigram matching (generated)';
+
+-- Create tags table and the contact_tags join table
+CREATE TABLE tags (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE contact_tags (
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (contact_id, tag_id)
+);
+
+-- The primary key covers lookups by contact; this one backs the ?tag= filter
+CREATE INDEX idx_contact_tags_tag_id ON contact_tags(tag_id, contact_id);
+
+CREATE TRIGGER update_tags_updated_at
+    BEFORE UPDATE ON tags
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE tags IS 'Labels that can be attached to contacts';
+COMMENT ON COLUMN tags.name IS 'Tag name (unique, stored in lower case, max 50 chars)';
+COMMENT ON TABLE contact_tags IS 'Many-to-many link between contacts and tags';
+
+-- Create contact groups (distribution lists) and their ordered membership
+CREATE TABLE contact_groups (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    owner VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE contact_group_members (
+    group_id INTEGER NOT NULL REFERENCES contact_groups(id) ON DELETE CASCADE,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, contact_id)
+);
+
+-- Backs listing a group's members in order
+CREATE INDEX idx_contact_group_members_position ON contact_group_members(group_id, position, contact_id);
+
+CREATE TRIGGER update_contact_groups_updated_at
+    BEFORE UPDATE ON contact_groups
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE contact_groups IS 'Named, owned lists of contacts such as mailing lists';
+COMMENT ON COLUMN contact_groups.owner IS 'Person responsible for the group (required, max 100 chars)';
+COMMENT ON TABLE contact_group_members IS 'Ordered membership of contacts in groups';
+COMMENT ON COLUMN contact_group_members.position IS 'Sort position of the contact within the group (ascending)';
+
+-- Create the typed email and phone lists of a contact
+-- contacts.email and contacts.phone mirror the primary entry of each list
+CREATE TABLE contact_emails (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    email VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'other',
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL
+);
+
+CREATE TABLE contact_phones (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    phone VARCHAR(20) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'other',
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL
+);
+
+CREATE INDEX idx_contact_emails_contact_id ON contact_emails(contact_id, position);
+CREATE INDEX idx_contact_phones_contact_id ON contact_phones(contact_id, position);
+
+COMMENT ON TABLE contact_emails IS 'Email addresses of a contact with a type label and one primary entry';
+COMMENT ON COLUMN contact_emails.type IS 'home, work or other';
+COMMENT ON TABLE contact_phones IS 'Phone numbers of a contact with a type label and one primary entry';
+COMMENT ON COLUMN contact_phones.type IS 'mobile, home, work, fax or other';
+
+-- Create the postal addresses of a contact
+CREATE TABLE contact_addresses (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL DEFAULT 'other',
+    street VARCHAR(200),
+    locality VARCHAR(100),
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country CHAR(2) NOT NULL,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL
+);
+
+CREATE INDEX idx_contact_addresses_contact_id ON contact_addresses(contact_id, position);
+
+COMMENT ON TABLE contact_addresses IS 'Postal addresses of a contact with a type label and one primary entry';
+COMMENT ON COLUMN contact_addresses.type IS 'home, work or other';
+COMMENT ON COLUMN contact_addresses.street IS 'Street address, may span several lines (max 200 chars)';
+COMMENT ON COLUMN contact_addresses.locality IS 'City or town (max 100 chars)';
+COMMENT ON COLUMN contact_addresses.region IS 'State, province or county (max 100 chars)';
+COMMENT ON COLUMN contact_addresses.postal_code IS 'Postal code, checked against the country''s format where known';
+COMMENT ON COLUMN contact_addresses.country IS 'ISO 3166-1 alpha-2 country code';
+
+-- Create the dates of a contact (birthdays, anniversaries)
+CREATE TABLE contact_dates (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    year SMALLINT,
+    month SMALLINT NOT NULL CHECK (month BETWEEN 1 AND 12),
+    day SMALLINT NOT NULL CHECK (day BETWEEN 1 AND 31),
+    position INTEGER NOT NULL
+);
+
+CREATE INDEX idx_contact_dates_contact_id ON contact_dates(contact_id, position);
+CREATE INDEX idx_contact_dates_month_day ON contact_dates(month, day);
+
+COMMENT ON TABLE contact_dates IS 'Yearly dates of a contact such as birthdays and anniversaries';
+COMMENT ON COLUMN contact_dates.type IS 'birthday, anniversary or other';
+COMMENT ON COLUMN contact_dates.year IS 'Year of the original date (NULL when not known)';
+
+-- Create the admin-managed custom field definitions
+CREATE TABLE custom_fields (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    required BOOLEAN NOT NULL DEFAULT FALSE,
+    options JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_custom_fields_updated_at
+    BEFORE UPDATE ON custom_fields
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE custom_fields IS 'Definitions of the extra fields stored in contacts.custom_fields';
+COMMENT ON COLUMN custom_fields.key IS 'Key the value is stored under (unique, cannot change)';
+COMMENT ON COLUMN custom_fields.type IS 'text, number, date, select or url (cannot change)';
+COMMENT ON COLUMN custom_fields.options IS 'Allowed values of a select field (NULL for other types)';
+
+-- Create typed links between contacts
+CREATE TABLE contact_relationships (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    related_contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    inverse_type VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (contact_id <> related_contact_id),
+    UNIQUE (contact_id, related_contact_id, type)
+);
+
+-- The unique constraint covers lookups by contact_id; this one serves the other side
+CREATE INDEX idx_contact_relationships_related_contact_id ON contact_relationships(related_contact_id);
+
+COMMENT ON TABLE contact_relationships IS 'Typed links between two contacts, optionally visible from both sides';
+COMMENT ON COLUMN contact_relationships.type IS 'What the related contact is to the contact, e.g. assistant or spouse';
+COMMENT ON COLUMN contact_relationships.inverse_type IS 'What the contact is to the related contact (NULL for a one-way link)';
+
+-- Create organizations; contacts link to one and mirror its name in company
+CREATE OR REPLACE FUNCTION normalize_organization_name(name TEXT)
+RETURNS TEXT AS $$
+    SELECT COALESCE(
+        NULLIF(btrim(regexp_replace(
+            regexp_replace(lower(name), '[^[:alnum:]]+', ' ', 'g'),
+            '( (inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|plc))+ *$', ''
+        )), ''),
+        lower(btrim(name))
+    )
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE TABLE organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    normalized_name TEXT GENERATED ALWAYS AS (normalize_organization_name(name)) STORED UNIQUE,
+    domain VARCHAR(253),
+    street VARCHAR(200),
+    locality VARCHAR(100),
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country CHAR(2),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_organizations_updated_at
+    BEFORE UPDATE ON organizations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE contacts ADD COLUMN organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+
+-- Backs the organization's contact listing in name order
+CREATE INDEX idx_contacts_organization_id ON contacts(organization_id, last_name, first_name, id);
+
+COMMENT ON COLUMN contacts.organization_id IS 'Organization the contact works for (NULL for none)';
+COMMENT ON TABLE organizations IS 'Companies and other organizations contacts belong to';
+COMMENT ON COLUMN organizations.normalized_name IS 'Name without case, punctuation or legal suffixes; unique (generated)';
+COMMENT ON COLUMN organizations.country IS 'ISO 3166-1 alpha-2 country code of the address';
+
+-- Normalize emails and phones for duplicate detection
+-- Lower-cased, trimmed email without a "+tag" in the local part
+CREATE OR REPLACE FUNCTION normalize_email(email TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(regexp_replace(lower(btrim(email)), '\+[^@]*@', '@'), '')
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Last 10 digits of a phone number, so a country code prefix does not matter;
+-- NULL for numbers with fewer than 7 digits
+CREATE OR REPLACE FUNCTION normalize_phone(phone TEXT)
+RETURNS TEXT AS $$
+    SELECT CASE WHEN length(digits) >= 7 THEN right(digits, 10) END
+    FROM (SELECT regexp_replace(phone, '[^0-9]', '', 'g') AS digits) AS d
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Back the duplicate lookups by email, phone and full name
+CREATE INDEX idx_contact_emails_normalized ON contact_emails(normalize_email(email));
+CREATE INDEX idx_contact_phones_normalized ON contact_phones(normalize_phone(phone));
+CREATE INDEX idx_contacts_full_name_trgm ON contacts
+    USING GIN ((first_name || ' ' || last_name) gin_trgm_ops)
+    WHERE deleted_at IS NULL;
+
+-- Create the audit log of contact merges
+CREATE TABLE contact_merges (
+    id SERIAL PRIMARY KEY,
+    survivor_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+    loser_ids INTEGER[] NOT NULL,
+    field_choices JSONB NOT NULL DEFAULT '{}',
+    snapshot JSONB NOT NULL,
+    merged_by VARCHAR(100),
+    merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Back listing the merges a contact took part in, on either side
+CREATE INDEX idx_contact_merges_survivor_id ON contact_merges(survivor_id);
+CREATE INDEX idx_contact_merges_loser_ids ON contact_merges USING GIN (loser_ids);
+
+COMMENT ON TABLE contact_merges IS 'Audit log of contacts merged into a surviving contact';
+COMMENT ON COLUMN contact_merges.loser_ids IS 'Contacts merged into the survivor and moved to the trash';
+COMMENT ON COLUMN contact_merges.field_choices IS 'Field -> ID of the contact whose value was kept';
+COMMENT ON COLUMN contact_merges.snapshot IS 'Survivor and merged contacts as they were before the merge';
+COMMENT ON COLUMN contact_merges.survivor_id IS 'Contact the others were merged into (NULL once it is purged)';
+COMMENT ON COLUMN contact_merges.merged_by IS 'User named in the X-User header of the merge request (NULL if none)';
+
+-- Create the revision history of contacts
+CREATE TABLE contact_revisions (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    action VARCHAR(10) NOT NULL
+        CHECK (action IN ('create', 'update', 'delete', 'restore', 'revert', 'merge')),
+    snapshot JSONB NOT NULL,
+    changes JSONB NOT NULL DEFAULT '[]',
+    changed_by VARCHAR(100),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    merged_from_id INTEGER
+);
+
+-- Back the history of a contact, most recent first
+CREATE INDEX idx_contact_revisions_contact_id ON contact_revisions(contact_id, id DESC);
+
+COMMENT ON TABLE contact_revisions IS 'Revision history of contacts';
+COMMENT ON COLUMN contact_revisions.snapshot IS 'Contact fields after the change (before it, for delete and merged-away contacts)';
+COMMENT ON COLUMN contact_revisions.changes IS 'Changed fields as [{ field, from, to }]';
+COMMENT ON COLUMN contact_revisions.changed_by IS 'User named in the X-User header of the request (NULL if none)';
+COMMENT ON COLUMN contact_revisions.merged_from_id IS 'Contact the revision was recorded on before it was merged into this one (NULL if this one)';
+
+-- Create the interaction timeline of contacts
+CREATE TABLE contact_interactions (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL
+        CHECK (type IN ('call', 'meeting', 'email', 'message', 'other')),
+    summary VARCHAR(200) NOT NULL,
+    body TEXT,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Back the timeline of a contact, most recent first, and its lastContactedAt
+CREATE INDEX idx_contact_interactions_contact_id ON contact_interactions(contact_id, occurred_at DESC, id DESC);
+
+CREATE TRIGGER update_contact_interactions_updated_at
+    BEFORE UPDATE ON contact_interactions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE contact_interactions IS 'Calls, meetings and emails logged against a contact';
+COMMENT ON COLUMN contact_interactions.occurred_at IS 'When the interaction took place; the latest one is the contact''s lastContactedAt';
+
+-- Create the follow-up reminders of contacts
+CREATE TABLE contact_reminders (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    due_date DATE NOT NULL,
+    recurrence_interval SMALLINT CHECK (recurrence_interval > 0),
+    recurrence_unit VARCHAR(5) CHECK (recurrence_unit IN ('day', 'week', 'month', 'year')),
+    recurrence_anchor DATE,
+    status VARCHAR(10) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'completed', 'snoozed')),
+    closed_at TIMESTAMP,
+    previous_id INTEGER REFERENCES contact_reminders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((recurrence_interval IS NULL) = (recurrence_unit IS NULL)),
+    CONSTRAINT contact_reminders_recurrence_anchor_check
+        CHECK ((recurrence_unit IS NULL) = (recurrence_anchor IS NULL))
+);
+
+-- Back listing a contact's reminders
+CREATE INDEX idx_contact_reminders_contact_id ON contact_reminders(contact_id, due_date);
+
+-- Back the due reminders listing, which only looks at open reminders
+CREATE INDEX idx_contact_reminders_due_date ON contact_reminders(due_date, id) WHERE status = 'open';
+
+CREATE TRIGGER update_contact_reminders_updated_at
+    BEFORE UPDATE ON contact_reminders
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE contact_reminders IS 'Follow-up reminders attached to contacts, one row per occurrence';
+COMMENT ON COLUMN contact_reminders.recurrence_interval IS 'Repeat every this many recurrence units (NULL for a one-off reminder)';
+COMMENT ON COLUMN contact_reminders.recurrence_anchor IS 'Day the recurrence counts from (NULL for a one-off reminder)';
+COMMENT ON COLUMN contact_reminders.status IS 'open until the occurrence is completed or snoozed';
+COMMENT ON COLUMN contact_reminders.previous_id IS 'Occurrence this one was created from by completing or snoozing it';
+
+-- Create the per-user stars of contacts
+CREATE TABLE contact_stars (
+    user_name VARCHAR(100) NOT NULL,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    starred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_name, contact_id)
+);
+
+-- Back removing a contact's stars when it is deleted or merged away
+CREATE INDEX idx_contact_stars_contact_id ON contact_stars(contact_id);
+
+COMMENT ON TABLE contact_stars IS 'Contacts starred by each user';
+COMMENT ON COLUMN contact_stars.user_name IS 'User named in the X-User header';
+
+-- Create the contact photos; the files themselves live in photo storage
+CREATE TABLE contact_photos (
+    contact_id INTEGER PRIMARY KEY REFERENCES contacts(id) ON DELETE CASCADE,
+    storage_key VARCHAR(64) NOT NULL UNIQUE,
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('image/jpeg', 'image/png')),
+    byte_size INTEGER NOT NULL CHECK (byte_size > 0),
+    width INTEGER NOT NULL CHECK (width > 0),
+    height INTEGER NOT NULL CHECK (height > 0),
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE contact_photos IS 'Photo of each contact that has one';
+COMMENT ON COLUMN contact_photos.storage_key IS 'Prefix of the photo files in photo storage';
+COMMENT ON COLUMN contact_photos.content_type IS 'Type sniffed from the uploaded file';
 
 -- ============================================================================
 -- SAMPLE DATA (Optional - for testing purposes)
@@ -70,6 +500,20 @@ INSERT INTO contacts (first_name, last_name, email, phone, company, notes) VALUE
     ('Lisa', 'Anderson', 'lisa.anderson@hr.com', '+1-555-0130', 'HR Solutions Ltd', 'Recruitment specialist'),
     ('James', 'Thomas', 'james.thomas@dev.io', '+1-555-0131', 'DevOps Masters', 'Cloud infrastructure expert'),
     ('Jennifer', 'Garcia', 'jennifer.g@sales.com', '+1-555-0132', 'Sales Excellence', 'Sales training coordinator');
+
+-- The sample email and phone become each contact's primary entry
+INSERT INTO contact_emails (contact_id, email, type, is_primary, position)
+SELECT id, email, 'work', TRUE, 1 FROM contacts;
+INSERT INTO contact_phones (contact_id, phone, type, is_primary, position)
+SELECT id, phone, 'work', TRUE, 1 FROM contacts;
+
+-- Each sample company becomes an organization linked to its contact
+INSERT INTO organizations (name)
+SELECT DISTINCT company FROM contacts;
+UPDATE contacts c
+SET organization_id = o.id
+FROM organizations o
+WHERE o.name = c.company;
 */
 
 -- ============================================================================
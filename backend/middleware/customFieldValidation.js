@@ -0,0 +1,108 @@
+/**
+ * Validation middleware for custom field API requests
+ */
+
+const {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_KEY_REGEX,
+  MAX_CUSTOM_FIELD_KEY_LENGTH,
+  MAX_CUSTOM_FIELD_LABEL_LENGTH,
+  MAX_SELECT_OPTIONS,
+  MAX_SELECT_OPTION_LENGTH,
+} = require('../utils/customFields');
+
+/**
+ * Collect errors for the options of a custom field
+ * @param {*} options - Value of the options field
+ * @param {string} type - Custom field type
+ * @returns {Array} Array of validation error objects
+ */
+function collectCustomFieldOptionErrors(options, type) {
+  if (type !== 'select') {
+    return options === undefined || options === null
+      ? []
+      : [{ field: 'options', message: 'Options are only allowed for select fields' }];
+  }
+
+  if (!Array.isArray(options) || options.length === 0) {
+    return [{ field: 'options', message: 'Options must be a non-empty array' }];
+  }
+  if (options.length > MAX_SELECT_OPTIONS) {
+    return [{ field: 'options', message: `Options must not contain more than ${MAX_SELECT_OPTIONS} values` }];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  options.forEach((option, index) => {
+    const field = `options[${index}]`;
+    if (typeof option !== 'string' || option.trim().length === 0) {
+      errors.push({ field, message: 'Option must be a non-empty string' });
+    } else if (option.length > MAX_SELECT_OPTION_LENGTH) {
+      errors.push({ field, message: `Option must not exceed ${MAX_SELECT_OPTION_LENGTH} characters` });
+    } else if (seen.has(option.trim())) {
+      errors.push({ field, message: 'Option is listed more than once' });
+    } else {
+      seen.add(option.trim());
+    }
+  });
+  return errors;
+}
+
+/**
+ * Middleware to validate a custom field definition create or update request body
+ */
+function validateCustomField(req, res, next) {
+  const errors = [];
+  const { key, label, type, required, options } = req.body || {};
+
+  // Validate key (required, identifier-like, max 50 chars)
+  if (key === undefined || key === null || key === '') {
+    errors.push({ field: 'key', message: 'Key is required' });
+  } else if (typeof key !== 'string' || !CUSTOM_FIELD_KEY_REGEX.test(key)) {
+    errors.push({
+      field: 'key',
+      message: 'Key must start with a lower-case letter and contain only letters, digits and underscores'
+    });
+  } else if (key.length > MAX_CUSTOM_FIELD_KEY_LENGTH) {
+    errors.push({ field: 'key', message: `Key must not exceed ${MAX_CUSTOM_FIELD_KEY_LENGTH} characters` });
+  }
+
+  // Validate label (required, max 100 chars)
+  if (label === undefined || label === null || label === '') {
+    errors.push({ field: 'label', message: 'Label is required' });
+  } else if (typeof label !== 'string') {
+    errors.push({ field: 'label', message: 'Label must be a string' });
+  } else if (label.trim().length === 0) {
+    errors.push({ field: 'label', message: 'Label cannot be empty' });
+  } else if (label.length > MAX_CUSTOM_FIELD_LABEL_LENGTH) {
+    errors.push({ field: 'label', message: `Label must not exceed ${MAX_CUSTOM_FIELD_LABEL_LENGTH} characters` });
+  }
+
+  // Validate type (required, one of the supported types)
+  if (!CUSTOM_FIELD_TYPES.includes(type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}` });
+  }
+
+  // Validate required (optional boolean)
+  if (required !== undefined && typeof required !== 'boolean') {
+    errors.push({ field: 'required', message: 'Required must be a boolean' });
+  }
+
+  // Validate options (the choices of a select field)
+  if (CUSTOM_FIELD_TYPES.includes(type)) {
+    errors.push(...collectCustomFieldOptionErrors(options, type));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateCustomField
+};
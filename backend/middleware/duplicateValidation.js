@@ -0,0 +1,121 @@
+/**
+ * Validation middleware for duplicate detection API requests
+ */
+
+const { CONTACT_FIELDS, collectContactErrors } = require('../utils/contactFields');
+const { validateLimit } = require('./validation');
+
+// Minimum confidence query parameter: a decimal between 0 and 1, e.g. "0.75"
+const CONFIDENCE_REGEX = /^(0(\.\d+)?|1(\.0+)?|\.\d+)$/;
+
+// Draft fields that duplicates are matched on; a draft needs at least one
+const DUPLICATE_MATCH_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'emails', 'phones'];
+
+/**
+ * Check the optional minConfidence and limit query parameters of duplicate lookups
+ * @param {Object} queryParams - Request query
+ * @returns {Array} Array of validation error objects
+ */
+function collectDuplicateQueryErrors({ minConfidence, limit }) {
+  const errors = [];
+
+  if (minConfidence !== undefined && (typeof minConfidence !== 'string' || !CONFIDENCE_REGEX.test(minConfidence))) {
+    errors.push({
+      field: 'minConfidence',
+      message: 'Minimum confidence must be a number between 0 and 1'
+    });
+  }
+
+  validateLimit(limit, errors);
+
+  return errors;
+}
+
+/**
+ * Middleware to validate the query parameters of GET /api/contacts/duplicates
+ */
+function validateDuplicateQuery(req, res, next) {
+  const errors = collectDuplicateQueryErrors(req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate a draft contact sent to POST /api/contacts/check-duplicates
+ * A draft may be incomplete, so only the fields present are validated, with
+ * the same rules as a create request. It needs a name, email or phone number
+ * to match on; custom fields are accepted but play no part in matching.
+ */
+function validateDuplicateCheck(req, res, next) {
+  const draft = req.body;
+
+  if (!draft || typeof draft !== 'object' || Array.isArray(draft)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'body',
+        message: 'Draft contact must be a JSON object'
+      }]
+    });
+  }
+
+  const presentFields = Object.keys(draft);
+  const errors = collectDuplicateQueryErrors(req.query);
+
+  errors.push(...presentFields
+    .filter((field) => !CONTACT_FIELDS.includes(field))
+    .map((field) => ({
+      field,
+      message: `Unknown field: ${field}`
+    })));
+
+  errors.push(...collectContactErrors(draft, presentFields));
+
+  if (!DUPLICATE_MATCH_FIELDS.some((field) => draft[field] !== undefined && draft[field] !== null && draft[field] !== '')) {
+    errors.push({
+      field: 'body',
+      message: 'Draft contact needs a name, email or phone number to match on'
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the optional allowDuplicates flag of POST /api/contacts
+ */
+function validateAllowDuplicates(req, res, next) {
+  const { allowDuplicates } = req.query;
+
+  if (allowDuplicates !== undefined && allowDuplicates !== 'true' && allowDuplicates !== 'false') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'allowDuplicates',
+        message: 'allowDuplicates must be true or false'
+      }]
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateDuplicateQuery,
+  validateDuplicateCheck,
+  validateAllowDuplicates
+};
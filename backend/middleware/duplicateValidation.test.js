@@ -0,0 +1,104 @@
+const { validateDuplicateQuery, validateDuplicateCheck } = require('./duplicateValidation');
+
+describe('Duplicate Validation Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Mock request, response, and next function
+    req = {
+      body: {},
+      params: {}
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateDuplicateQuery', () => {
+    it('should accept a minimum confidence between 0 and 1', () => {
+      ['0', '0.5', '.75', '1', '1.0'].forEach((minConfidence) => {
+        // Arrange
+        req.query = { minConfidence };
+        next.mockClear();
+
+        // Act
+        validateDuplicateQuery(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledTimes(1);
+      });
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should reject a minimum confidence outside 0-1', () => {
+      ['1.5', '-0.1', 'high', ''].forEach((minConfidence) => {
+        // Arrange
+        req.query = { minConfidence };
+        res.json.mockClear();
+
+        // Act
+        validateDuplicateQuery(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [{ field: 'minConfidence', message: 'Minimum confidence must be a number between 0 and 1' }]
+        });
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateDuplicateCheck', () => {
+    beforeEach(() => {
+      req.query = {};
+    });
+
+    it('should accept a partial draft contact', () => {
+      // Arrange
+      req.body = { email: 'john@example.com' };
+
+      // Act
+      validateDuplicateCheck(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a draft that is not an object', () => {
+      // Arrange
+      req.body = ['John'];
+
+      // Act
+      validateDuplicateCheck(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'body', message: 'Draft contact must be a JSON object' }]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a draft without a name, email or phone', () => {
+      // Arrange
+      req.body = { company: 'Acme', email: null };
+
+      // Act
+      validateDuplicateCheck(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'body', message: 'Draft contact needs a name, email or phone number to match on' }]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
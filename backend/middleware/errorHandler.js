@@ -3,6 +3,8 @@
  * Catches unhandled errors, logs them, and returns sanitized responses
  */
 
+const { formatETag } = require('../utils/etag');
+
 /**
  * Custom error class for application errors
  */
@@ -150,6 +152,17 @@ function errorHandler(err, req, res, next) {
   if (err.details && statusCode === 400) {
     errorResponse.details = err.details;
   }
+
+  // Include the likely duplicates when a new contact probably exists already
+  if (err.duplicates && statusCode === 409) {
+    errorResponse.duplicates = err.duplicates;
+  }
+
+  // Include the current version for failed If-Match preconditions
+  if (err.currentVersion !== undefined && statusCode === 412) {
+    errorResponse.currentVersion = err.currentVersion;
+    res.set('ETag', formatETag(err.currentVersion));
+  }
   
   // Include stack trace in development mode
   if (process.env.NODE_ENV === 'development') {
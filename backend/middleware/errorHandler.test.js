@@ -198,6 +198,37 @@ describe('Error Handler Middleware', () => {
         error: 'Custom operational error'
       });
     });
+
+    it('should include the current version and ETag for 412 errors', () => {
+      res.set = jest.fn().mockReturnThis();
+      const error = new Error('Contact has been modified by someone else; reload it and try again');
+      error.statusCode = 412;
+      error.currentVersion = 5;
+      
+      errorHandler(error, req, res, next);
+      
+      expect(res.status).toHaveBeenCalledWith(412);
+      expect(res.set).toHaveBeenCalledWith('ETag', '"5"');
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Contact has been modified by someone else; reload it and try again',
+        currentVersion: 5
+      });
+    });
+
+    it('should include the likely duplicates for 409 errors', () => {
+      const duplicates = [{ contact: { id: 3 }, confidence: 0.97, reasons: [{ type: 'email', value: 'john@example.com' }] }];
+      const error = new Error('Contact may already exist');
+      error.statusCode = 409;
+      error.duplicates = duplicates;
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Contact may already exist',
+        duplicates
+      });
+    });
   });
 
   describe('notFoundHandler', () => {
@@ -0,0 +1,54 @@
+/**
+ * Validation middleware for upcoming event API requests
+ */
+
+const { DATE_TYPES, MAX_UPCOMING_DAYS } = require('../utils/contactDates');
+const { isCalendarDay } = require('./validation');
+
+/**
+ * Middleware to validate the upcoming events query parameters
+ * days is 0-366 (default 30), from is a YYYY-MM-DD day and type a date type.
+ */
+function validateUpcomingEvents(req, res, next) {
+  const errors = [];
+  const { days, from, type } = req.query;
+
+  if (days !== undefined) {
+    const parsedDays = Number(days);
+    if (!/^\d+$/.test(days) || parsedDays > MAX_UPCOMING_DAYS) {
+      errors.push({
+        field: 'days',
+        message: `Days must be an integer between 0 and ${MAX_UPCOMING_DAYS}`
+      });
+    }
+  }
+
+  if (from !== undefined) {
+    if (!isCalendarDay(from)) {
+      errors.push({
+        field: 'from',
+        message: 'From must be a date in YYYY-MM-DD format'
+      });
+    }
+  }
+
+  if (type !== undefined && !DATE_TYPES.includes(type)) {
+    errors.push({
+      field: 'type',
+      message: `Type must be one of: ${DATE_TYPES.join(', ')}`
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateUpcomingEvents
+};
@@ -0,0 +1,165 @@
+/**
+ * Validation middleware for group API requests
+ */
+
+// Maximum number of contacts in one group membership request
+const MAX_GROUP_MEMBERS_PER_REQUEST = 1000;
+
+/**
+ * Check a required group text field
+ * @param {*} value - Field value
+ * @param {string} field - Field name
+ * @param {string} label - Field label used in messages
+ * @param {Array} errors - Error list to append to
+ */
+function checkGroupText(value, field, label, errors) {
+  if (value === undefined || value === null || value === '') {
+    errors.push({ field, message: `${label} is required` });
+  } else if (typeof value !== 'string') {
+    errors.push({ field, message: `${label} must be a string` });
+  } else if (value.trim().length === 0) {
+    errors.push({ field, message: `${label} cannot be empty` });
+  } else if (value.length > 100) {
+    errors.push({ field, message: `${label} must not exceed 100 characters` });
+  }
+}
+
+/**
+ * Middleware to validate a group create or update request body
+ */
+function validateGroup(req, res, next) {
+  const errors = [];
+  const { name, owner, description } = req.body || {};
+
+  checkGroupText(name, 'name', 'Name', errors);
+  checkGroupText(owner, 'owner', 'Owner', errors);
+
+  // Validate description (optional, max 500 chars)
+  if (description !== undefined && description !== null && description !== '') {
+    if (typeof description !== 'string') {
+      errors.push({
+        field: 'description',
+        message: 'Description must be a string'
+      });
+    } else if (description.length > 500) {
+      errors.push({
+        field: 'description',
+        message: 'Description must not exceed 500 characters'
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Collect errors for the contactIds list of a membership request
+ * @param {*} contactIds - Value of the contactIds field
+ * @param {boolean} allowEmpty - Whether an empty list is accepted
+ * @returns {Array} Array of validation error objects
+ */
+function collectContactIdErrors(contactIds, allowEmpty) {
+  const errors = [];
+
+  if (!Array.isArray(contactIds) || (!allowEmpty && contactIds.length === 0)) {
+    errors.push({
+      field: 'contactIds',
+      message: allowEmpty ? 'Contact IDs must be an array' : 'Contact IDs must be a non-empty array'
+    });
+    return errors;
+  }
+
+  if (contactIds.length > MAX_GROUP_MEMBERS_PER_REQUEST) {
+    errors.push({
+      field: 'contactIds',
+      message: `At most ${MAX_GROUP_MEMBERS_PER_REQUEST} contacts may be sent at once`
+    });
+    return errors;
+  }
+
+  const seen = new Set();
+  contactIds.forEach((contactId, index) => {
+    if (!Number.isInteger(contactId) || contactId <= 0) {
+      errors.push({
+        field: `contactIds[${index}]`,
+        message: 'Contact ID must be a positive integer'
+      });
+    } else if (seen.has(contactId)) {
+      errors.push({
+        field: `contactIds[${index}]`,
+        message: `Contact ${contactId} is listed more than once`
+      });
+    }
+    seen.add(contactId);
+  });
+
+  return errors;
+}
+
+/**
+ * Middleware to validate contacts appended to a group ({ contactIds: [...] })
+ */
+function validateGroupMembers(req, res, next) {
+  const errors = collectContactIdErrors((req.body || {}).contactIds, false);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate a group's complete, ordered membership ({ contactIds: [...] })
+ * An empty list removes every member.
+ */
+function validateGroupMemberOrder(req, res, next) {
+  const errors = collectContactIdErrors((req.body || {}).contactIds, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the :contactId route parameter
+ */
+function validateContactIdParam(req, res, next) {
+  const { contactId } = req.params;
+  const parsedId = parseInt(contactId, 10);
+
+  if (isNaN(parsedId) || parsedId <= 0 || parsedId.toString() !== contactId) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'contactId',
+        message: 'Contact ID must be a positive integer'
+      }]
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateGroup,
+  validateGroupMembers,
+  validateGroupMemberOrder,
+  validateContactIdParam,
+  checkGroupText
+};
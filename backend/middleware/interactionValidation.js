@@ -0,0 +1,110 @@
+/**
+ * Validation middleware for interaction API requests
+ */
+
+// Kinds of interaction that can be logged against a contact
+const INTERACTION_TYPES = ['call', 'meeting', 'email', 'message', 'other'];
+
+// Maximum lengths of an interaction's summary and body
+const MAX_INTERACTION_SUMMARY_LENGTH = 200;
+const MAX_INTERACTION_BODY_LENGTH = 10000;
+
+// ISO 8601 date-time with a UTC offset, e.g. 2026-03-02T15:00:00Z
+const ISO_DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Middleware to validate an interaction create or update request body
+ */
+function validateInteraction(req, res, next) {
+  const errors = [];
+  const { type, summary, body, occurredAt } = req.body || {};
+
+  // Validate type (required, one of the interaction types)
+  if (!INTERACTION_TYPES.includes(type)) {
+    errors.push({
+      field: 'type',
+      message: `Type must be one of: ${INTERACTION_TYPES.join(', ')}`
+    });
+  }
+
+  // Validate summary (required, max 200 chars)
+  if (summary === undefined || summary === null || summary === '') {
+    errors.push({
+      field: 'summary',
+      message: 'Summary is required'
+    });
+  } else if (typeof summary !== 'string') {
+    errors.push({
+      field: 'summary',
+      message: 'Summary must be a string'
+    });
+  } else if (summary.trim().length === 0) {
+    errors.push({
+      field: 'summary',
+      message: 'Summary cannot be empty'
+    });
+  } else if (summary.length > MAX_INTERACTION_SUMMARY_LENGTH) {
+    errors.push({
+      field: 'summary',
+      message: `Summary must not exceed ${MAX_INTERACTION_SUMMARY_LENGTH} characters`
+    });
+  }
+
+  // Validate body (optional, max 10000 chars)
+  if (body !== undefined && body !== null && body !== '') {
+    if (typeof body !== 'string') {
+      errors.push({
+        field: 'body',
+        message: 'Body must be a string'
+      });
+    } else if (body.length > MAX_INTERACTION_BODY_LENGTH) {
+      errors.push({
+        field: 'body',
+        message: `Body must not exceed ${MAX_INTERACTION_BODY_LENGTH} characters`
+      });
+    }
+  }
+
+  // Validate occurredAt (optional ISO 8601 date-time with an offset)
+  if (occurredAt !== undefined && occurredAt !== null &&
+      (typeof occurredAt !== 'string' || !ISO_DATE_TIME_REGEX.test(occurredAt) || isNaN(Date.parse(occurredAt)))) {
+    errors.push({
+      field: 'occurredAt',
+      message: 'Occurred at must be an ISO 8601 date-time with an offset'
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the :interactionId route parameter
+ */
+function validateInteractionIdParam(req, res, next) {
+  const { interactionId } = req.params;
+  const parsedId = parseInt(interactionId, 10);
+
+  if (isNaN(parsedId) || parsedId <= 0 || parsedId.toString() !== interactionId) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'interactionId',
+        message: 'Interaction ID must be a positive integer'
+      }]
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateInteraction,
+  validateInteractionIdParam
+};
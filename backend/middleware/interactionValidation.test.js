@@ -0,0 +1,72 @@
+const { validateInteraction } = require('./interactionValidation');
+
+describe('Interaction Validation Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Mock request, response, and next function
+    req = {
+      body: {},
+      params: {}
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateInteraction', () => {
+    it('should accept an interaction with an offset date-time', () => {
+      // Arrange
+      req.body = { type: 'meeting', summary: 'Quarterly review', body: 'Agreed on next steps', occurredAt: '2026-03-02T16:00:00+01:00' };
+
+      // Act
+      validateInteraction(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown type, a blank summary and a time without an offset', () => {
+      // Arrange
+      req.body = { type: 'fax', summary: '   ', occurredAt: '2026-03-02T15:00:00' };
+
+      // Act
+      validateInteraction(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [
+          { field: 'type', message: 'Type must be one of: call, meeting, email, message, other' },
+          { field: 'summary', message: 'Summary cannot be empty' },
+          { field: 'occurredAt', message: 'Occurred at must be an ISO 8601 date-time with an offset' }
+        ]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a summary or body that is too long', () => {
+      // Arrange
+      req.body = { type: 'call', summary: 'a'.repeat(201), body: 'b'.repeat(10001) };
+
+      // Act
+      validateInteraction(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [
+          { field: 'summary', message: 'Summary must not exceed 200 characters' },
+          { field: 'body', message: 'Body must not exceed 10000 characters' }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Validation middleware for contact merge API requests
+ */
+
+const { isMergeField } = require('../utils/contactMerge');
+
+// Maximum number of contacts merged into a survivor in one request
+const MAX_MERGE_LOSERS = 20;
+
+/**
+ * Check that a value is a positive integer ID
+ * @param {*} value - Value to check
+ * @returns {boolean} True for positive integers
+ */
+function isPositiveId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Middleware to validate a merge request
+ * survivorId and loserIds name distinct contacts; fields maps a merge field
+ * (or "customFields.<key>") to the ID of one of those contacts.
+ */
+function validateMerge(req, res, next) {
+  const errors = [];
+  const body = req.body;
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'body',
+        message: 'Request body must be a JSON object'
+      }]
+    });
+  }
+
+  const { survivorId, loserIds, fields } = body;
+
+  // Validate survivorId (required positive integer)
+  if (!isPositiveId(survivorId)) {
+    errors.push({
+      field: 'survivorId',
+      message: 'Survivor ID must be a positive integer'
+    });
+  }
+
+  // Validate loserIds (1-MAX_MERGE_LOSERS distinct IDs other than the survivor)
+  const validLoserIds = Array.isArray(loserIds) && loserIds.length > 0 && loserIds.length <= MAX_MERGE_LOSERS;
+  if (!validLoserIds) {
+    errors.push({
+      field: 'loserIds',
+      message: `Loser IDs must be an array of 1 to ${MAX_MERGE_LOSERS} contact IDs`
+    });
+  } else {
+    loserIds.forEach((id, index) => {
+      if (!isPositiveId(id)) {
+        errors.push({
+          field: `loserIds[${index}]`,
+          message: 'Contact ID must be a positive integer'
+        });
+      } else if (id === survivorId) {
+        errors.push({
+          field: `loserIds[${index}]`,
+          message: 'The survivor cannot be merged into itself'
+        });
+      } else if (loserIds.indexOf(id) !== index) {
+        errors.push({
+          field: `loserIds[${index}]`,
+          message: `Contact ${id} is listed more than once`
+        });
+      }
+    });
+  }
+
+  // Validate fields (optional object of merge field -> one of the merged contacts)
+  if (fields !== undefined) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      errors.push({
+        field: 'fields',
+        message: 'Fields must be an object'
+      });
+    } else {
+      const contactIds = [survivorId, ...(validLoserIds ? loserIds : [])];
+      Object.entries(fields).forEach(([field, contactId]) => {
+        if (!isMergeField(field)) {
+          errors.push({
+            field: `fields.${field}`,
+            message: `Unknown merge field: ${field}`
+          });
+        } else if (!contactIds.includes(contactId)) {
+          errors.push({
+            field: `fields.${field}`,
+            message: 'Must be the ID of the survivor or of a merged contact'
+          });
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the optional contactId filter of the merge log
+ */
+function validateMergeQuery(req, res, next) {
+  const { contactId } = req.query;
+
+  if (contactId !== undefined) {
+    const parsedId = parseInt(contactId, 10);
+    if (typeof contactId !== 'string' || isNaN(parsedId) || parsedId <= 0 || parsedId.toString() !== contactId) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{
+          field: 'contactId',
+          message: 'Contact ID must be a positive integer'
+        }]
+      });
+    }
+  }
+
+  next();
+}
+
+module.exports = {
+  validateMerge,
+  validateMergeQuery
+};
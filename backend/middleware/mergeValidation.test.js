@@ -0,0 +1,72 @@
+const { validateMerge } = require('./mergeValidation');
+
+describe('Merge Validation Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Mock request, response, and next function
+    req = {
+      body: {},
+      params: {}
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateMerge', () => {
+    it('should accept a merge with field choices', () => {
+      // Arrange
+      req.body = { survivorId: 1, loserIds: [7, 9], fields: { firstName: 7, 'customFields.tier': 9 } };
+
+      // Act
+      validateMerge(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject missing or malformed contact IDs', () => {
+      // Arrange
+      req.body = { survivorId: '1', loserIds: [] };
+
+      // Act
+      validateMerge(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [
+          { field: 'survivorId', message: 'Survivor ID must be a positive integer' },
+          { field: 'loserIds', message: 'Loser IDs must be an array of 1 to 20 contact IDs' }
+        ]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject repeated losers and choices of contacts outside the merge', () => {
+      // Arrange
+      req.body = { survivorId: 1, loserIds: [7, 0, 7], fields: { notes: 3, tags: 1 } };
+
+      // Act
+      validateMerge(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [
+          { field: 'loserIds[1]', message: 'Contact ID must be a positive integer' },
+          { field: 'loserIds[2]', message: 'Contact 7 is listed more than once' },
+          { field: 'fields.notes', message: 'Must be the ID of the survivor or of a merged contact' },
+          { field: 'fields.tags', message: 'Unknown merge field: tags' }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Validation middleware for organization API requests
+ */
+
+const { collectPostalAddressErrors } = require('../utils/contactFields');
+const { checkGroupText } = require('./groupValidation');
+
+// Hostname made of dot-separated labels, ending in an alphabetic top-level domain
+const DOMAIN_REGEX = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+// Maximum length of an organization's notes
+const MAX_ORGANIZATION_NOTES_LENGTH = 2000;
+
+/**
+ * Middleware to validate an organization create or update request body
+ * The address is one postal address without a type or primary flag.
+ */
+function validateOrganization(req, res, next) {
+  const errors = [];
+  const { name, domain, address, notes } = req.body || {};
+
+  checkGroupText(name, 'name', 'Name', errors);
+
+  // Validate domain (optional host name such as example.com)
+  if (domain !== undefined && domain !== null && domain !== '') {
+    if (typeof domain !== 'string') {
+      errors.push({
+        field: 'domain',
+        message: 'Domain must be a string'
+      });
+    } else if (!DOMAIN_REGEX.test(domain.trim())) {
+      errors.push({
+        field: 'domain',
+        message: 'Domain must be a host name such as example.com'
+      });
+    }
+  }
+
+  // Validate address (optional postal address)
+  if (address !== undefined && address !== null) {
+    if (typeof address !== 'object' || Array.isArray(address)) {
+      errors.push({
+        field: 'address',
+        message: 'Address must be an object'
+      });
+    } else {
+      errors.push(...collectPostalAddressErrors(address, 'address'));
+    }
+  }
+
+  // Validate notes (optional, max 2000 chars)
+  if (notes !== undefined && notes !== null && notes !== '') {
+    if (typeof notes !== 'string') {
+      errors.push({
+        field: 'notes',
+        message: 'Notes must be a string'
+      });
+    } else if (notes.length > MAX_ORGANIZATION_NOTES_LENGTH) {
+      errors.push({
+        field: 'notes',
+        message: `Notes must not exceed ${MAX_ORGANIZATION_NOTES_LENGTH} characters`
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateOrganization
+};
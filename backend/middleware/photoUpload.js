@@ -0,0 +1,52 @@
+/**
+ * Upload middleware for contact photos
+ * Reads the photo file of a multipart/form-data body into memory with multer.
+ * The photo itself is checked by the photo service.
+ */
+
+const multer = require('multer');
+const { MAX_PHOTO_BYTES, PHOTO_FIELD } = require('../utils/photos');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PHOTO_BYTES,
+    files: 1,
+    fields: 10,
+    parts: 11,
+  },
+}).single(PHOTO_FIELD);
+
+/**
+ * Middleware to read the photo file into req.file
+ * A file over MAX_PHOTO_BYTES is rejected with 413 before it is read in full;
+ * a malformed body or a file in any other field with 400.
+ */
+function uploadPhoto(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `Photo must not exceed ${MAX_PHOTO_BYTES / (1024 * 1024)} MB`
+      });
+    }
+
+    const field = error instanceof multer.MulterError && error.field ? error.field : 'body';
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field,
+        message: error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Only the ${PHOTO_FIELD} field may hold a file`
+          : `Invalid multipart body: ${error.message}`
+      }]
+    });
+  });
+}
+
+module.exports = {
+  uploadPhoto,
+};
@@ -0,0 +1,47 @@
+/**
+ * Validation middleware for contact photo API requests
+ */
+
+const { THUMBNAIL_SIZES } = require('../utils/photos');
+
+/**
+ * Middleware to validate a photo upload request
+ * The body must be multipart/form-data; the photo itself is checked by the service.
+ */
+function validatePhotoUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'Content-Type',
+        message: 'Content-Type must be multipart/form-data'
+      }]
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the optional photo thumbnail size query parameter
+ */
+function validatePhotoSize(req, res, next) {
+  const { size } = req.query;
+
+  if (size !== undefined && !THUMBNAIL_SIZES.map(String).includes(size)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'size',
+        message: `Size must be one of: ${THUMBNAIL_SIZES.join(', ')}`
+      }]
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validatePhotoUpload,
+  validatePhotoSize
+};
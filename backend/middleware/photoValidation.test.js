@@ -0,0 +1,69 @@
+const { validatePhotoUpload, validatePhotoSize } = require('./photoValidation');
+
+describe('Photo Validation Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Mock request, response, and next function
+    req = {
+      body: {},
+      params: {}
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validatePhotoUpload', () => {
+    it('should require a multipart body', () => {
+      // Arrange
+      req.is = jest.fn().mockReturnValue(false);
+
+      // Act
+      validatePhotoUpload(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'Content-Type', message: 'Content-Type must be multipart/form-data' }]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass a multipart body on to the upload', () => {
+      // Arrange
+      req.is = jest.fn().mockReturnValue('multipart/form-data');
+
+      // Act
+      validatePhotoUpload(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validatePhotoSize', () => {
+    it('should only accept the thumbnail sizes', () => {
+      // Arrange
+      req.query = { size: '128' };
+
+      // Act
+      validatePhotoSize(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'size', message: 'Size must be one of: 64, 256' }]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Validation middleware for relationship API requests
+ */
+
+const { RELATIONSHIP_TYPES } = require('../utils/relationships');
+
+/**
+ * Middleware to validate a relationship create or update request body
+ * The related contact must differ from the :id contact, and an inverse type
+ * only applies to bidirectional relationships.
+ */
+function validateRelationship(req, res, next) {
+  const errors = [];
+  const { relatedContactId, type, bidirectional, inverseType } = req.body || {};
+
+  // Validate relatedContactId (required positive integer, not the contact itself)
+  if (!Number.isInteger(relatedContactId) || relatedContactId <= 0) {
+    errors.push({
+      field: 'relatedContactId',
+      message: 'Related contact ID must be a positive integer'
+    });
+  } else if (String(relatedContactId) === req.params.id) {
+    errors.push({
+      field: 'relatedContactId',
+      message: 'A contact cannot be related to itself'
+    });
+  }
+
+  // Validate type (required, one of the relationship types)
+  if (!RELATIONSHIP_TYPES.includes(type)) {
+    errors.push({
+      field: 'type',
+      message: `Type must be one of: ${RELATIONSHIP_TYPES.join(', ')}`
+    });
+  }
+
+  // Validate bidirectional (optional boolean)
+  if (bidirectional !== undefined && typeof bidirectional !== 'boolean') {
+    errors.push({
+      field: 'bidirectional',
+      message: 'Bidirectional must be a boolean'
+    });
+  }
+
+  // Validate inverseType (optional, bidirectional relationships only)
+  if (inverseType !== undefined && inverseType !== null) {
+    if (!RELATIONSHIP_TYPES.includes(inverseType)) {
+      errors.push({
+        field: 'inverseType',
+        message: `Inverse type must be one of: ${RELATIONSHIP_TYPES.join(', ')}`
+      });
+    } else if (bidirectional !== true) {
+      errors.push({
+        field: 'inverseType',
+        message: 'Inverse type requires a bidirectional relationship'
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the :relationshipId route parameter
+ */
+function validateRelationshipIdParam(req, res, next) {
+  const { relationshipId } = req.params;
+  const parsedId = parseInt(relationshipId, 10);
+
+  if (isNaN(parsedId) || parsedId <= 0 || parsedId.toString() !== relationshipId) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'relationshipId',
+        message: 'Relationship ID must be a positive integer'
+      }]
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateRelationship,
+  validateRelationshipIdParam
+};
@@ -0,0 +1,164 @@
+/**
+ * Validation middleware for reminder API requests
+ */
+
+const { MAX_UPCOMING_DAYS } = require('../utils/contactDates');
+const { RECURRENCE_UNITS, MAX_RECURRENCE_INTERVAL } = require('../utils/reminders');
+const { isCalendarDay } = require('./validation');
+
+// Maximum length of a reminder's title
+const MAX_REMINDER_TITLE_LENGTH = 200;
+
+/**
+ * Middleware to validate a reminder create or update request body
+ * recurrence is null for a one-off reminder, or { every, unit } such as
+ * { "every": 90, "unit": "day" }.
+ */
+function validateReminder(req, res, next) {
+  const errors = [];
+  const { title, dueDate, recurrence } = req.body || {};
+
+  // Validate title (required, max 200 chars)
+  if (title === undefined || title === null || title === '') {
+    errors.push({
+      field: 'title',
+      message: 'Title is required'
+    });
+  } else if (typeof title !== 'string') {
+    errors.push({
+      field: 'title',
+      message: 'Title must be a string'
+    });
+  } else if (title.trim().length === 0) {
+    errors.push({
+      field: 'title',
+      message: 'Title cannot be empty'
+    });
+  } else if (title.length > MAX_REMINDER_TITLE_LENGTH) {
+    errors.push({
+      field: 'title',
+      message: `Title must not exceed ${MAX_REMINDER_TITLE_LENGTH} characters`
+    });
+  }
+
+  // Validate dueDate (required calendar day)
+  if (!isCalendarDay(dueDate)) {
+    errors.push({
+      field: 'dueDate',
+      message: 'Due date must be a date in YYYY-MM-DD format'
+    });
+  }
+
+  // Validate recurrence (optional { every, unit })
+  if (recurrence !== undefined && recurrence !== null) {
+    if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+      errors.push({
+        field: 'recurrence',
+        message: 'Recurrence must be an object with every and unit'
+      });
+    } else {
+      if (!Number.isInteger(recurrence.every) || recurrence.every < 1 || recurrence.every > MAX_RECURRENCE_INTERVAL) {
+        errors.push({
+          field: 'recurrence.every',
+          message: `Every must be an integer between 1 and ${MAX_RECURRENCE_INTERVAL}`
+        });
+      }
+      if (!RECURRENCE_UNITS.includes(recurrence.unit)) {
+        errors.push({
+          field: 'recurrence.unit',
+          message: `Unit must be one of: ${RECURRENCE_UNITS.join(', ')}`
+        });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the :reminderId route parameter
+ */
+function validateReminderIdParam(req, res, next) {
+  const { reminderId } = req.params;
+  const parsedId = parseInt(reminderId, 10);
+
+  if (isNaN(parsedId) || parsedId <= 0 || parsedId.toString() !== reminderId) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'reminderId',
+        message: 'Reminder ID must be a positive integer'
+      }]
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate a reminder snooze request body
+ * Whether the day is after the reminder's due date is checked by the service.
+ */
+function validateSnooze(req, res, next) {
+  const { until } = req.body || {};
+
+  if (!isCalendarDay(until)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'until',
+        message: 'Until must be a date in YYYY-MM-DD format'
+      }]
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the due reminders query parameters
+ * days is 0-366 (default 7) and from is a YYYY-MM-DD day.
+ */
+function validateDueReminders(req, res, next) {
+  const errors = [];
+  const { days, from } = req.query;
+
+  if (days !== undefined) {
+    if (!/^\d+$/.test(days) || Number(days) > MAX_UPCOMING_DAYS) {
+      errors.push({
+        field: 'days',
+        message: `Days must be an integer between 0 and ${MAX_UPCOMING_DAYS}`
+      });
+    }
+  }
+
+  if (from !== undefined && !isCalendarDay(from)) {
+    errors.push({
+      field: 'from',
+      message: 'From must be a date in YYYY-MM-DD format'
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateReminder,
+  validateReminderIdParam,
+  validateSnooze,
+  validateDueReminders
+};
@@ -0,0 +1,93 @@
+const { validateReminder, validateSnooze, validateDueReminders } = require('./reminderValidation');
+
+describe('Reminder Validation Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Mock request, response, and next function
+    req = {
+      body: {},
+      params: {}
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateReminder', () => {
+    it('should accept a recurring reminder', () => {
+      // Arrange
+      req.body = { title: 'Check in', dueDate: '2026-11-03', recurrence: { every: 90, unit: 'day' } };
+
+      // Act
+      validateReminder(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should reject a missing title, an impossible due date and a bad recurrence', () => {
+      // Arrange
+      req.body = { dueDate: '2026-02-30', recurrence: { every: 0, unit: 'fortnight' } };
+
+      // Act
+      validateReminder(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [
+          { field: 'title', message: 'Title is required' },
+          { field: 'dueDate', message: 'Due date must be a date in YYYY-MM-DD format' },
+          { field: 'recurrence.every', message: 'Every must be an integer between 1 and 365' },
+          { field: 'recurrence.unit', message: 'Unit must be one of: day, week, month, year' }
+        ]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateSnooze', () => {
+    it('should require the day to snooze until', () => {
+      // Arrange
+      req.body = { until: 'next week' };
+
+      // Act
+      validateSnooze(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'until', message: 'Until must be a date in YYYY-MM-DD format' }]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateDueReminders', () => {
+    it('should reject a window that is too long and a malformed first day', () => {
+      // Arrange
+      req.query = { days: '400', from: '2026-13-01' };
+
+      // Act
+      validateDueReminders(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [
+          { field: 'days', message: 'Days must be an integer between 0 and 366' },
+          { field: 'from', message: 'From must be a date in YYYY-MM-DD format' }
+        ]
+      });
+    });
+  });
+});
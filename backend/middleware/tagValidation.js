@@ -0,0 +1,118 @@
+/**
+ * Validation middleware for tag API requests
+ */
+
+// Tag names: letters, digits, spaces, hyphens and underscores, e.g. "conference-2026"
+const TAG_NAME_REGEX = /^[a-z0-9][a-z0-9 _-]*$/i;
+const MAX_TAG_NAME_LENGTH = 50;
+
+// Maximum number of tags added to a contact in one request
+const MAX_TAGS_PER_REQUEST = 50;
+
+/**
+ * Check a single tag name
+ * Names are compared case-insensitively after trimming, so the length and
+ * pattern are checked on the trimmed value.
+ * @param {*} name - Tag name
+ * @returns {string|null} Error message, or null if valid
+ */
+function getTagNameError(name) {
+  if (typeof name !== 'string') {
+    return 'Tag name must be a string';
+  }
+  const trimmed = name.trim();
+  if (trimmed.length === 0) {
+    return 'Tag name cannot be empty';
+  }
+  if (trimmed.length > MAX_TAG_NAME_LENGTH) {
+    return `Tag name must not exceed ${MAX_TAG_NAME_LENGTH} characters`;
+  }
+  if (!TAG_NAME_REGEX.test(trimmed)) {
+    return 'Tag name may only contain letters, digits, spaces, hyphens and underscores';
+  }
+  return null;
+}
+
+/**
+ * Middleware to validate a tag create or rename request body ({ name })
+ */
+function validateTag(req, res, next) {
+  const body = req.body || {};
+  const message = body.name === undefined ? 'Tag name is required' : getTagNameError(body.name);
+
+  if (message) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'name',
+        message
+      }]
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the tags added to a contact ({ tags: [...] })
+ */
+function validateContactTags(req, res, next) {
+  const errors = [];
+  const { tags } = req.body || {};
+
+  if (!Array.isArray(tags) || tags.length === 0) {
+    errors.push({
+      field: 'tags',
+      message: 'Tags must be a non-empty array'
+    });
+  } else if (tags.length > MAX_TAGS_PER_REQUEST) {
+    errors.push({
+      field: 'tags',
+      message: `At most ${MAX_TAGS_PER_REQUEST} tags may be added at once`
+    });
+  } else {
+    tags.forEach((name, index) => {
+      const message = getTagNameError(name);
+      if (message) {
+        errors.push({
+          field: `tags[${index}]`,
+          message
+        });
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the :tag route parameter
+ */
+function validateTagParam(req, res, next) {
+  const message = getTagNameError(req.params.tag);
+
+  if (message) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'tag',
+        message
+      }]
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateTag,
+  validateContactTags,
+  validateTagParam
+};
@@ -0,0 +1,135 @@
+const { validateTag, validateContactTags, validateTagParam } = require('./tagValidation');
+
+describe('Tag Validation Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Mock request, response, and next function
+    req = {
+      body: {},
+      params: {}
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateTag', () => {
+    it('should pass validation for a tag name with letters, digits, spaces and hyphens', () => {
+      // Arrange
+      req.body = { name: ' Conference-2026 ' };
+
+      // Act
+      validateTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the name is missing', () => {
+      // Act
+      validateTag(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'name', message: 'Tag name is required' }]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should fail for blank, overlong and punctuated names', () => {
+      ['   ', 'a'.repeat(51), 'vip!', 42].forEach((name) => {
+        // Arrange
+        req.body = { name };
+        res.status.mockClear();
+
+        // Act
+        validateTag(req, res, next);
+
+        // Assert
+        expect(res.status).toHaveBeenCalledWith(400);
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateContactTags', () => {
+    it('should pass validation for a list of tag names', () => {
+      // Arrange
+      req.body = { tags: ['vip', 'vendor'] };
+
+      // Act
+      validateContactTags(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when tags is not a non-empty array', () => {
+      // Arrange
+      req.body = { tags: [] };
+
+      // Act
+      validateContactTags(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'tags', message: 'Tags must be a non-empty array' }]
+      });
+    });
+
+    it('should report each invalid tag by index', () => {
+      // Arrange
+      req.body = { tags: ['vip', '', 'a/b'] };
+
+      // Act
+      validateContactTags(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [
+          { field: 'tags[1]', message: 'Tag name cannot be empty' },
+          { field: 'tags[2]', message: 'Tag name may only contain letters, digits, spaces, hyphens and underscores' }
+        ]
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateTagParam', () => {
+    it('should pass validation for a valid tag parameter', () => {
+      // Arrange
+      req.params = { id: '1', tag: 'vip' };
+
+      // Act
+      validateTagParam(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail for an invalid tag parameter', () => {
+      // Arrange
+      req.params = { id: '1', tag: 'v%p' };
+
+      // Act
+      validateTagParam(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,141 +2,416 @@
  * Validation middleware for contact API requests
  */
 
+const { MAX_PAGE_SIZE, decodeCursor } = require('../utils/pagination');
+const { parseListQuery } = require('../utils/contactListQuery');
+const { VCARD_VERSIONS } = require('../utils/vcard');
+const { parseContactDate } = require('../utils/contactDates');
+const { collectCustomFieldErrors } = require('../utils/customFields');
+const { USER_HEADER, MAX_USER_LENGTH, getRequestUser } = require('../utils/requestUser');
+const { CONTACT_FIELDS, CSV_CONTACT_FIELDS, collectContactErrors } = require('../utils/contactFields');
+const customFieldService = require('../services/customFieldService');
+
 /**
- * Validates email format using a simple regex pattern
- * @param {string} email - Email address to validate
- * @returns {boolean} - True if valid email format
+ * Middleware to validate contact data for POST and PUT requests
+ * Validates required and optional fields according to business rules. Custom
+ * field values are checked against the current definitions when the body
+ * carries them; the service checks required custom fields on the result.
  */
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+async function validateContact(req, res, next) {
+  const errors = collectContactErrors(req.body, CONTACT_FIELDS);
+
+  if (req.body.customFields !== undefined) {
+    let definitions;
+    try {
+      definitions = await customFieldService.findAll();
+    } catch (error) {
+      return next(error);
+    }
+    errors.push(...collectCustomFieldErrors(req.body.customFields, definitions));
+  }
+
+  // If validation errors exist, return 400 with detailed error messages
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  // Validation passed, proceed to next middleware
+  next();
 }
 
 /**
- * Validates phone format - accepts various formats with digits, spaces, dashes, parentheses, and plus sign
- * @param {string} phone - Phone number to validate
- * @returns {boolean} - True if valid phone format
+ * Middleware to validate JSON Merge Patch (RFC 7396) bodies for PATCH requests
+ * Only fields present in the patch are validated; null removes an optional
+ * field, so required fields may not be null. Unknown fields are rejected.
+ * customFields is merged key by key in the same way.
  */
-function isValidPhone(phone) {
-  const phoneRegex = /^[\d\s\-\+\(\)]+$/;
-  return phoneRegex.test(phone) && phone.replace(/\D/g, '').length >= 10;
+async function validateContactPatch(req, res, next) {
+  const patch = req.body;
+
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'body',
+        message: 'Patch document must be a JSON object'
+      }]
+    });
+  }
+
+  const presentFields = Object.keys(patch);
+  const errors = presentFields
+    .filter((field) => !CONTACT_FIELDS.includes(field))
+    .map((field) => ({
+      field,
+      message: `Unknown field: ${field}`
+    }));
+
+  errors.push(...collectContactErrors(patch, presentFields));
+
+  if (patch.customFields !== undefined) {
+    let definitions;
+    try {
+      definitions = await customFieldService.findAll();
+    } catch (error) {
+      return next(error);
+    }
+    errors.push(...collectCustomFieldErrors(patch.customFields, definitions, { partial: true }));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
 }
 
 /**
- * Middleware to validate contact data for POST and PUT requests
- * Validates required and optional fields according to business rules
+ * Middleware to validate ID parameter in route params
+ * Ensures ID is a positive integer
  */
-function validateContact(req, res, next) {
-  const errors = [];
-  const { firstName, lastName, email, phone, company, notes } = req.body;
+function validateId(req, res, next) {
+  const { id } = req.params;
+  
+  // Check if ID is provided
+  if (!id) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'id',
+        message: 'ID parameter is required'
+      }]
+    });
+  }
 
-  // Validate firstName (required, 1-50 chars)
-  if (!firstName) {
-    errors.push({
-      field: 'firstName',
-      message: 'First name is required'
+  // Parse ID as integer
+  const parsedId = parseInt(id, 10);
+
+  // Check if ID is a valid positive integer
+  if (isNaN(parsedId) || parsedId <= 0 || parsedId.toString() !== id) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: 'id',
+        message: 'ID must be a positive integer'
+      }]
     });
-  } else if (typeof firstName !== 'string') {
+  }
+
+  // Validation passed, proceed to next middleware
+  next();
+}
+
+/**
+ * Validates an optional limit query parameter, pushing an error if invalid
+ * @param {*} limit - Raw limit query value
+ * @param {Array} errors - Error list to append to
+ */
+function validateLimit(limit, errors) {
+  if (limit === undefined) {
+    return;
+  }
+
+  const parsedLimit = parseInt(limit, 10);
+  if (typeof limit !== 'string' || isNaN(parsedLimit) || parsedLimit.toString() !== limit ||
+      parsedLimit < 1 || parsedLimit > MAX_PAGE_SIZE) {
     errors.push({
-      field: 'firstName',
-      message: 'First name must be a string'
+      field: 'limit',
+      message: `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
     });
-  } else if (firstName.trim().length === 0) {
+  }
+}
+
+/**
+ * Middleware to validate pagination query parameters
+ * Ensures limit is an integer between 1 and MAX_PAGE_SIZE and cursor is decodable
+ */
+function validatePagination(req, res, next) {
+  const errors = [];
+  const { limit, cursor } = req.query;
+
+  // Validate limit (optional, 1-MAX_PAGE_SIZE)
+  validateLimit(limit, errors);
+
+  // Validate cursor (optional, must be a cursor returned by a previous page)
+  if (cursor !== undefined) {
+    let isValidCursor = typeof cursor === 'string';
+    if (isValidCursor) {
+      try {
+        decodeCursor(cursor);
+      } catch (error) {
+        isValidCursor = false;
+      }
+    }
+    if (!isValidCursor) {
+      errors.push({
+        field: 'cursor',
+        message: 'Invalid cursor'
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate contact list filter and sort query parameters
+ * Rejects unknown filter fields, unknown sort fields and malformed values
+ */
+function validateListQuery(req, res, next) {
+  const { errors } = parseListQuery(req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Export formats accepted by GET /api/contacts/export
+ */
+const EXPORT_FORMATS = ['csv', 'json', 'vcf'];
+
+/**
+ * Middleware to validate export query parameters
+ * Accepts the list filters and sort alongside the format (and the vCard
+ * version for vcf exports).
+ */
+function validateExport(req, res, next) {
+  const { format, version, ...listQuery } = req.query;
+  const { errors } = parseListQuery(listQuery);
+
+  if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+    errors.unshift({
+      field: 'format',
+      message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  if (version !== undefined && (format !== 'vcf' || !VCARD_VERSIONS.includes(version))) {
     errors.push({
-      field: 'firstName',
-      message: 'First name cannot be empty'
+      field: 'version',
+      message: `Version must be one of ${VCARD_VERSIONS.join(', ')} and requires format=vcf`
     });
-  } else if (firstName.length > 50) {
+  }
+
+  if (listQuery.limit !== undefined || listQuery.cursor !== undefined) {
     errors.push({
-      field: 'firstName',
-      message: 'First name must not exceed 50 characters'
+      field: listQuery.limit !== undefined ? 'limit' : 'cursor',
+      message: 'Exports are not paginated'
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
     });
   }
 
-  // Validate lastName (required, 1-50 chars)
-  if (!lastName) {
+  next();
+}
+
+/**
+ * Middleware to validate search query parameters
+ * Requires q to contain at least one letter or digit and at most 100 characters
+ */
+function validateSearch(req, res, next) {
+  const errors = [];
+  const { q, limit } = req.query;
+
+  // Validate q (required, 1-100 chars, at least one letter or digit)
+  if (q === undefined || q === '') {
     errors.push({
-      field: 'lastName',
-      message: 'Last name is required'
+      field: 'q',
+      message: 'Search query is required'
     });
-  } else if (typeof lastName !== 'string') {
+  } else if (typeof q !== 'string') {
     errors.push({
-      field: 'lastName',
-      message: 'Last name must be a string'
+      field: 'q',
+      message: 'Search query must be a string'
     });
-  } else if (lastName.trim().length === 0) {
+  } else if (q.trim().length > 100) {
     errors.push({
-      field: 'lastName',
-      message: 'Last name cannot be empty'
+      field: 'q',
+      message: 'Search query must not exceed 100 characters'
     });
-  } else if (lastName.length > 50) {
+  } else if (!/[\p{L}\p{N}]/u.test(q)) {
     errors.push({
-      field: 'lastName',
-      message: 'Last name must not exceed 50 characters'
+      field: 'q',
+      message: 'Search query must contain a letter or digit'
     });
   }
 
-  // Validate email (optional, must be valid format if provided)
-  if (email !== undefined && email !== null && email !== '') {
-    if (typeof email !== 'string') {
-      errors.push({
-        field: 'email',
-        message: 'Email must be a string'
-      });
-    } else if (!isValidEmail(email)) {
-      errors.push({
-        field: 'email',
-        message: 'Invalid email format'
-      });
-    }
+  // Validate limit (optional, 1-MAX_PAGE_SIZE)
+  validateLimit(limit, errors);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
   }
 
-  // Validate phone (optional, must be valid format if provided)
-  if (phone !== undefined && phone !== null && phone !== '') {
-    if (typeof phone !== 'string') {
+  next();
+}
+
+/**
+ * Maximum number of operations accepted in one bulk request
+ */
+const MAX_BULK_OPERATIONS = 500;
+
+/**
+ * Middleware to validate the envelope of a bulk request
+ * Individual operations are validated by the service so each one can be
+ * reported on its own.
+ */
+function validateBulk(req, res, next) {
+  const errors = [];
+  const body = req.body;
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    errors.push({
+      field: 'body',
+      message: 'Request body must be a JSON object'
+    });
+  } else {
+    const { operations, atomic } = body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
       errors.push({
-        field: 'phone',
-        message: 'Phone must be a string'
+        field: 'operations',
+        message: 'Operations must be a non-empty array'
       });
-    } else if (!isValidPhone(phone)) {
+    } else if (operations.length > MAX_BULK_OPERATIONS) {
       errors.push({
-        field: 'phone',
-        message: 'Invalid phone format'
+        field: 'operations',
+        message: `A bulk request may contain at most ${MAX_BULK_OPERATIONS} operations`
       });
     }
-  }
 
-  // Validate company (optional, max 100 chars)
-  if (company !== undefined && company !== null && company !== '') {
-    if (typeof company !== 'string') {
+    if (atomic !== undefined && typeof atomic !== 'boolean') {
       errors.push({
-        field: 'company',
-        message: 'Company must be a string'
-      });
-    } else if (company.length > 100) {
-      errors.push({
-        field: 'company',
-        message: 'Company must not exceed 100 characters'
+        field: 'atomic',
+        message: 'Atomic must be a boolean'
       });
     }
   }
 
-  // Validate notes (optional, max 500 chars)
-  if (notes !== undefined && notes !== null && notes !== '') {
-    if (typeof notes !== 'string') {
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Collects errors shared by the import endpoints: the body must be the file
+ * as text, and dryRun must be a boolean flag
+ * @param {Object} req - Express request
+ * @param {string} description - What the body should hold, e.g. 'CSV text'
+ * @param {string} mediaType - Content type the body must be sent as
+ * @returns {Array} Array of validation error objects
+ */
+function collectImportErrors(req, description, mediaType) {
+  const errors = [];
+  const { dryRun } = req.query;
+
+  if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+    errors.push({
+      field: 'body',
+      message: `Request body must be ${description} sent as ${mediaType}`
+    });
+  }
+
+  if (dryRun !== undefined && dryRun !== 'true' && dryRun !== 'false') {
+    errors.push({
+      field: 'dryRun',
+      message: 'dryRun must be true or false'
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Middleware to validate a CSV import request
+ * The CSV itself is parsed and validated row by row by the service.
+ */
+function validateImport(req, res, next) {
+  const errors = collectImportErrors(req, 'CSV text', 'text/csv');
+  const { mapping } = req.query;
+
+  if (mapping !== undefined) {
+    let parsedMapping = null;
+    try {
+      parsedMapping = typeof mapping === 'string' ? JSON.parse(mapping) : null;
+    } catch (error) {
+      parsedMapping = null;
+    }
+
+    if (!parsedMapping || typeof parsedMapping !== 'object' || Array.isArray(parsedMapping)) {
       errors.push({
-        field: 'notes',
-        message: 'Notes must be a string'
+        field: 'mapping',
+        message: 'Mapping must be a JSON object of CSV column to contact field'
       });
-    } else if (notes.length > 500) {
-      errors.push({
-        field: 'notes',
-        message: 'Notes must not exceed 500 characters'
+    } else {
+      const mappedFields = Object.values(parsedMapping);
+      mappedFields.forEach((field, index) => {
+        if (!CSV_CONTACT_FIELDS.includes(field)) {
+          errors.push({
+            field: 'mapping',
+            message: `Unknown contact field in mapping: ${field}`
+          });
+        } else if (mappedFields.indexOf(field) !== index) {
+          errors.push({
+            field: 'mapping',
+            message: `Contact field mapped more than once: ${field}`
+          });
+        }
       });
     }
   }
 
-  // If validation errors exist, return 400 with detailed error messages
   if (errors.length > 0) {
     return res.status(400).json({
       error: 'Validation failed',
@@ -144,49 +419,125 @@ function validateContact(req, res, next) {
     });
   }
 
-  // Validation passed, proceed to next middleware
   next();
 }
 
 /**
- * Middleware to validate ID parameter in route params
- * Ensures ID is a positive integer
+ * Middleware to validate a vCard import request
  */
-function validateId(req, res, next) {
-  const { id } = req.params;
-  
-  // Check if ID is provided
-  if (!id) {
+function validateVCardImport(req, res, next) {
+  const errors = collectImportErrors(req, 'vCard text', 'text/vcard');
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the optional vCard version query parameter
+ */
+function validateVCardVersion(req, res, next) {
+  const { version } = req.query;
+
+  if (version !== undefined && !VCARD_VERSIONS.includes(version)) {
     return res.status(400).json({
       error: 'Validation failed',
       details: [{
-        field: 'id',
-        message: 'ID parameter is required'
+        field: 'version',
+        message: `Version must be one of: ${VCARD_VERSIONS.join(', ')}`
       }]
     });
   }
 
-  // Parse ID as integer
-  const parsedId = parseInt(id, 10);
+  next();
+}
 
-  // Check if ID is a valid positive integer
-  if (isNaN(parsedId) || parsedId <= 0 || parsedId.toString() !== id) {
+/**
+ * Check whether a value is a calendar day written YYYY-MM-DD
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an existing day such as 2026-11-03
+ */
+function isCalendarDay(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && parseContactDate(value) !== null;
+}
+
+/**
+ * Middleware to validate a revision ID route parameter
+ */
+function validateRevisionIdParam(req, res, next) {
+  const { revisionId } = req.params;
+  const parsedId = parseInt(revisionId, 10);
+
+  if (isNaN(parsedId) || parsedId <= 0 || parsedId.toString() !== revisionId) {
     return res.status(400).json({
       error: 'Validation failed',
       details: [{
-        field: 'id',
-        message: 'ID must be a positive integer'
+        field: 'revisionId',
+        message: 'Revision ID must be a positive integer'
+      }]
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to validate the optional X-User header naming the acting user
+ */
+function validateRequestUser(req, res, next) {
+  const user = getRequestUser(req);
+
+  if (user !== null && user.length > MAX_USER_LENGTH) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: USER_HEADER,
+        message: `${USER_HEADER} must not exceed ${MAX_USER_LENGTH} characters`
       }]
     });
   }
 
-  // Validation passed, proceed to next middleware
   next();
 }
 
+/**
+ * Middleware to require the X-User header, for requests acting on the user's own data
+ */
+function validateRequiredUser(req, res, next) {
+  if (getRequestUser(req) === null) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{
+        field: USER_HEADER,
+        message: `${USER_HEADER} header is required`
+      }]
+    });
+  }
+
+  validateRequestUser(req, res, next);
+}
+
 module.exports = {
+  MAX_BULK_OPERATIONS,
   validateContact,
+  validateContactPatch,
   validateId,
-  isValidEmail,
-  isValidPhone
+  validatePagination,
+  validateListQuery,
+  validateSearch,
+  validateExport,
+  validateBulk,
+  validateImport,
+  validateVCardImport,
+  validateVCardVersion,
+  validateRevisionIdParam,
+  validateRequestUser,
+  validateRequiredUser,
+  isCalendarDay,
+  validateLimit
 };
@@ -1,9 +1,19 @@
 const {
   validateContact,
+  validateContactPatch,
   validateId,
-  isValidEmail,
-  isValidPhone
+  validatePagination,
+  validateListQuery,
+  validateSearch,
+  validateBulk,
+  validateImport,
+  MAX_BULK_OPERATIONS
 } = require('./validation');
+const { encodeCursor } = require('../utils/pagination');
+const customFieldService = require('../services/customFieldService');
+
+// Mock the custom field definitions the contact validators load
+jest.mock('../services/customFieldService');
 
 describe('Validation Middleware', () => {
   let req, res, next;
@@ -25,38 +35,6 @@ describe('Validation Middleware', () => {
     jest.clearAllMocks();
   });
 
-  describe('isValidEmail', () => {
-    it('should return true for valid email addresses', () => {
-      expect(isValidEmail('test@example.com')).toBe(true);
-      expect(isValidEmail('user.name@domain.co.uk')).toBe(true);
-      expect(isValidEmail('user+tag@example.com')).toBe(true);
-    });
-
-    it('should return false for invalid email addresses', () => {
-      expect(isValidEmail('invalid')).toBe(false);
-      expect(isValidEmail('invalid@')).toBe(false);
-      expect(isValidEmail('@example.com')).toBe(false);
-      expect(isValidEmail('invalid@domain')).toBe(false);
-      expect(isValidEmail('invalid @domain.com')).toBe(false);
-    });
-  });
-
-  describe('isValidPhone', () => {
-    it('should return true for valid phone numbers', () => {
-      expect(isValidPhone('+1-555-123-4567')).toBe(true);
-      expect(isValidPhone('(555) 123-4567')).toBe(true);
-      expect(isValidPhone('555-123-4567')).toBe(true);
-      expect(isValidPhone('5551234567')).toBe(true);
-      expect(isValidPhone('+44 20 1234 5678')).toBe(true);
-    });
-
-    it('should return false for invalid phone numbers', () => {
-      expect(isValidPhone('123')).toBe(false); // Too short
-      expect(isValidPhone('abc-def-ghij')).toBe(false); // No digits
-      expect(isValidPhone('555-123')).toBe(false); // Less than 10 digits
-    });
-  });
-
   describe('validateContact', () => {
     describe('Valid contact data', () => {
       it('should pass validation with all required fields', () => {
@@ -485,6 +463,395 @@ describe('Validation Middleware', () => {
       });
     });
 
+    describe('emails and phones validation', () => {
+      it('should pass validation with typed email and phone lists', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          emails: [
+            { email: 'john@example.com', type: 'work', primary: true },
+            { email: 'john@home.example', type: 'home' },
+          ],
+          phones: [{ phone: '555-123-4567', type: 'mobile' }],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.status).not.toHaveBeenCalled();
+      });
+
+      it('should allow null to clear a list', () => {
+        // Arrange
+        req.body = { firstName: 'John', lastName: 'Doe', emails: null };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledTimes(1);
+      });
+
+      it('should fail when a list is not an array', () => {
+        // Arrange
+        req.body = { firstName: 'John', lastName: 'Doe', phones: '555-123-4567' };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [{ field: 'phones', message: 'Phone list must be an array' }]
+        });
+      });
+
+      it('should fail when a list has too many entries', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          emails: Array.from({ length: 11 }, (_, i) => ({ email: `john${i}@example.com` })),
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [{ field: 'emails', message: 'Email list must not have more than 10 entries' }]
+        });
+      });
+
+      it('should report invalid entries by position', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          emails: [
+            { email: 'john@example.com', type: 'mobile' },
+            { email: 'JOHN@example.com', primary: 'yes' },
+            { email: 'nope' },
+            'john@example.com',
+          ],
+          phones: [{ type: 'fax' }],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [
+            { field: 'emails[0].type', message: 'Type must be one of: home, work, other' },
+            { field: 'emails[1].email', message: 'Email is listed more than once' },
+            { field: 'emails[1].primary', message: 'Primary must be a boolean' },
+            { field: 'emails[2].email', message: 'Invalid email format' },
+            { field: 'emails[3]', message: 'Email entry must be an object' },
+            { field: 'phones[0].phone', message: 'Phone is required' },
+          ]
+        });
+      });
+
+      it('should fail when more than one entry is primary', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          phones: [
+            { phone: '555-123-4567', primary: true },
+            { phone: '555-123-4568', primary: true },
+          ],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [{ field: 'phones', message: 'Only one phone can be primary' }]
+        });
+      });
+    });
+
+    describe('addresses validation', () => {
+      it('should pass validation with valid addresses', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          addresses: [
+            { type: 'home', street: '1 Main St', locality: 'Springfield', region: 'IL', postalCode: '62701', country: 'US' },
+            { type: 'work', locality: 'London', postalCode: 'SW1A 1AA', country: 'gb', primary: true },
+          ],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.status).not.toHaveBeenCalled();
+      });
+
+      it('should fail when addresses is not an array', () => {
+        // Arrange
+        req.body = { firstName: 'John', lastName: 'Doe', addresses: { country: 'US' } };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [{ field: 'addresses', message: 'Addresses must be an array' }]
+        });
+      });
+
+      it('should check the country code and the postal code format of the country', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          addresses: [
+            { street: '1 Main St', country: 'UK' },
+            { street: '1 Main St', postalCode: '1234', country: 'US' },
+            { street: '1 Main St' },
+          ],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [
+            { field: 'addresses[0].country', message: 'Country must be an ISO 3166-1 alpha-2 code' },
+            { field: 'addresses[1].postalCode', message: 'Invalid postal code for US' },
+            { field: 'addresses[2].country', message: 'Country is required' },
+          ]
+        });
+      });
+
+      it('should report invalid address fields by position', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          addresses: [
+            { street: 'a'.repeat(201), locality: 5, country: 'US', type: 'billing', primary: 'yes' },
+            { region: 'Bavaria', country: 'DE' },
+            null,
+          ],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [
+            { field: 'addresses[0].street', message: 'Street must not exceed 200 characters' },
+            { field: 'addresses[0].locality', message: 'Locality must be a string' },
+            { field: 'addresses[0].type', message: 'Type must be one of: home, work, other' },
+            { field: 'addresses[0].primary', message: 'Primary must be a boolean' },
+            { field: 'addresses[1]', message: 'Address must include a street, locality or postal code' },
+            { field: 'addresses[2]', message: 'Address must be an object' },
+          ]
+        });
+      });
+
+      it('should fail when more than one address is primary', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          addresses: [
+            { locality: 'Paris', country: 'FR', primary: true },
+            { locality: 'Lyon', country: 'FR', primary: true },
+          ],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [{ field: 'addresses', message: 'Only one address can be primary' }]
+        });
+      });
+    });
+
+    describe('dates validation', () => {
+      it('should pass validation with dates with and without a year', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          dates: [
+            { type: 'birthday', date: '--02-29' },
+            { type: 'anniversary', date: '2012-06-30' },
+            { type: 'other', date: '2020-01-01' },
+          ],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledTimes(1);
+      });
+
+      it('should report malformed dates, impossible dates and unknown types', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          dates: [
+            { type: 'birthday', date: '15/06/1985' },
+            { type: 'anniversary', date: '2023-02-29' },
+            { type: 'wedding', date: '--06-30' },
+            'birthday',
+          ],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [
+            { field: 'dates[0].date', message: 'Date must be YYYY-MM-DD, or --MM-DD without a year' },
+            { field: 'dates[1].date', message: 'Date is not a valid calendar date' },
+            { field: 'dates[2].type', message: 'Type must be one of: birthday, anniversary, other' },
+            { field: 'dates[3]', message: 'Date entry must be an object' },
+          ]
+        });
+      });
+
+      it('should allow only one birthday', () => {
+        // Arrange
+        req.body = {
+          firstName: 'John',
+          lastName: 'Doe',
+          dates: [{ type: 'birthday', date: '--01-01' }, { type: 'birthday', date: '--01-02' }],
+        };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [{ field: 'dates', message: 'Only one birthday is allowed' }]
+        });
+      });
+    });
+
+    describe('custom fields validation', () => {
+      const definitions = [
+        { key: 'accountManager', label: 'Account manager', type: 'text', required: true, options: null },
+        { key: 'seats', label: 'Seats', type: 'number', required: false, options: null },
+      ];
+
+      beforeEach(() => {
+        customFieldService.findAll.mockResolvedValue(definitions);
+      });
+
+      it('should pass without loading definitions when customFields is absent', () => {
+        // Arrange
+        req.body = { firstName: 'John', lastName: 'Doe' };
+
+        // Act
+        validateContact(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(customFieldService.findAll).not.toHaveBeenCalled();
+      });
+
+      it('should enforce types and required flags from the definitions', async () => {
+        // Arrange
+        req.body = { firstName: 'John', lastName: 'Doe', customFields: { seats: 'many' } };
+
+        // Act
+        await validateContact(req, res, next);
+
+        // Assert
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith({
+          error: 'Validation failed',
+          details: [
+            { field: 'customFields.seats', message: 'Seats must be a number' },
+            { field: 'customFields.accountManager', message: 'Account manager is required' },
+          ]
+        });
+      });
+
+      it('should pass on errors loading the definitions', async () => {
+        // Arrange
+        const error = new Error('Failed to retrieve custom fields');
+        customFieldService.findAll.mockRejectedValue(error);
+        req.body = { firstName: 'John', lastName: 'Doe', customFields: {} };
+
+        // Act
+        await validateContact(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledWith(error);
+        expect(res.status).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('organizationId validation', () => {
+      it('should fail when organizationId is not a positive integer', () => {
+        ['3', 0, 1.5].forEach((organizationId) => {
+          // Arrange
+          res.status.mockClear();
+          res.json.mockClear();
+          req.body = { firstName: 'John', lastName: 'Doe', organizationId };
+
+          // Act
+          validateContact(req, res, next);
+
+          // Assert
+          expect(res.status).toHaveBeenCalledWith(400);
+          expect(res.json).toHaveBeenCalledWith({
+            error: 'Validation failed',
+            details: [{
+              field: 'organizationId',
+              message: 'Organization ID must be a positive integer'
+            }]
+          });
+        });
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should pass with an organization ID or null to unlink', () => {
+        [4, null].forEach((organizationId) => {
+          // Arrange
+          req.body = { firstName: 'John', lastName: 'Doe', organizationId };
+
+          // Act
+          validateContact(req, res, next);
+        });
+
+        // Assert
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.status).not.toHaveBeenCalled();
+      });
+    });
+
     describe('company validation', () => {
       it('should fail when company exceeds 100 characters', () => {
         // Arrange
@@ -881,4 +1248,516 @@ describe('Validation Middleware', () => {
       expect(response.details[0]).toHaveProperty('message');
     });
   });
+
+  describe('validatePagination', () => {
+    beforeEach(() => {
+      req.query = {};
+    });
+
+    it('should pass validation when no pagination params are given', () => {
+      // Act
+      validatePagination(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should pass validation with a valid limit and cursor', () => {
+      // Arrange
+      req.query = { limit: '25', cursor: encodeCursor(['Doe', 'John', 1]) };
+
+      // Act
+      validatePagination(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should fail when limit is not an integer', () => {
+      // Arrange
+      req.query = { limit: 'ten' };
+
+      // Act
+      validatePagination(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'limit',
+          message: 'Limit must be an integer between 1 and 100'
+        }]
+      });
+    });
+
+    it('should fail when limit is out of range', () => {
+      // Arrange
+      req.query = { limit: '0' };
+
+      // Act
+      validatePagination(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+
+      // Arrange
+      jest.clearAllMocks();
+      req.query = { limit: '101' };
+
+      // Act
+      validatePagination(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should fail when cursor is malformed', () => {
+      // Arrange
+      req.query = { cursor: 'garbage' };
+
+      // Act
+      validatePagination(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'cursor',
+          message: 'Invalid cursor'
+        }]
+      });
+    });
+
+    it('should fail when cursor is given more than once', () => {
+      // Arrange
+      const cursor = encodeCursor(['Doe', 'John', 1]);
+      req.query = { cursor: [cursor, cursor] };
+
+      // Act
+      validatePagination(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('validateSearch', () => {
+    beforeEach(() => {
+      req.query = {};
+    });
+
+    it('should pass validation with a search query', () => {
+      // Arrange
+      req.query = { q: 'john', limit: '10' };
+
+      // Act
+      validateSearch(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should fail when q is missing', () => {
+      // Act
+      validateSearch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'q',
+          message: 'Search query is required'
+        }]
+      });
+    });
+
+    it('should fail when q exceeds 100 characters', () => {
+      // Arrange
+      req.query = { q: 'a'.repeat(101) };
+
+      // Act
+      validateSearch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should fail when q has no letters or digits', () => {
+      // Arrange
+      req.query = { q: '  @@ ' };
+
+      // Act
+      validateSearch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'q',
+          message: 'Search query must contain a letter or digit'
+        }]
+      });
+    });
+
+    it('should fail when q is given more than once', () => {
+      // Arrange
+      req.query = { q: ['a', 'b'] };
+
+      // Act
+      validateSearch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should fail when limit is invalid', () => {
+      // Arrange
+      req.query = { q: 'john', limit: '-5' };
+
+      // Act
+      validateSearch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].details[0].field).toBe('limit');
+    });
+  });
+
+  describe('validateListQuery', () => {
+    beforeEach(() => {
+      req.query = {};
+    });
+
+    it('should pass validation with known filters and sort fields', () => {
+      // Arrange
+      req.query = { company: 'Acme', hasEmail: 'true', sort: '-updatedAt,lastName', limit: '10' };
+
+      // Act
+      validateListQuery(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should fail with details for unknown fields', () => {
+      // Arrange
+      req.query = { colour: 'blue', sort: 'shoeSize' };
+
+      // Act
+      validateListQuery(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [
+          { field: 'colour', message: 'Unknown filter field: colour' },
+          { field: 'sort', message: 'Unknown sort field: shoeSize' }
+        ]
+      });
+    });
+  });
+
+  describe('validateContactPatch', () => {
+    it('should pass validation when patching a single optional field', () => {
+      // Arrange
+      req.body = { phone: '555-123-4567' };
+
+      // Act
+      validateContactPatch(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should validate lists in a patch', () => {
+      // Arrange
+      req.body = { emails: [{ email: 'nope' }] };
+
+      // Act
+      validateContactPatch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'emails[0].email', message: 'Invalid email format' }]
+      });
+    });
+
+    it('should pass validation for an empty patch', () => {
+      // Arrange
+      req.body = {};
+
+      // Act
+      validateContactPatch(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should allow null to remove an optional field', () => {
+      // Arrange
+      req.body = { email: null, company: null };
+
+      // Act
+      validateContactPatch(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when a required field is removed', () => {
+      // Arrange
+      req.body = { firstName: null };
+
+      // Act
+      validateContactPatch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'firstName',
+          message: 'First name is required'
+        }]
+      });
+    });
+
+    it('should only validate fields present in the patch', () => {
+      // Arrange
+      req.body = { email: 'not-an-email' };
+
+      // Act
+      validateContactPatch(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'email',
+          message: 'Invalid email format'
+        }]
+      });
+    });
+
+    it('should check patched custom fields without requiring the others', async () => {
+      // Arrange
+      customFieldService.findAll.mockResolvedValue([
+        { key: 'accountManager', label: 'Account manager', type: 'text', required: true, options: null },
+        { key: 'website', label: 'Website', type: 'url', required: false, options: null },
+      ]);
+      req.body = { customFields: { accountManager: null, website: 'example' } };
+
+      // Act
+      await validateContactPatch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{ field: 'customFields.website', message: 'Website must be an http or https URL' }]
+      });
+    });
+
+    it('should fail for unknown fields', () => {
+      // Arrange
+      req.body = { nickname: 'JD' };
+
+      // Act
+      validateContactPatch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'nickname',
+          message: 'Unknown field: nickname'
+        }]
+      });
+    });
+
+    it('should fail when the patch is not a JSON object', () => {
+      // Arrange
+      req.body = [{ firstName: 'John' }];
+
+      // Act
+      validateContactPatch(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'body',
+          message: 'Patch document must be a JSON object'
+        }]
+      });
+    });
+  });
+
+  describe('validateBulk', () => {
+    it('should pass validation with operations and an atomic flag', () => {
+      // Arrange
+      req.body = { atomic: false, operations: [{ op: 'delete', id: 1 }] };
+
+      // Act
+      validateBulk(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should fail when operations is missing or empty', () => {
+      // Arrange
+      req.body = { operations: [] };
+
+      // Act
+      validateBulk(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'operations',
+          message: 'Operations must be a non-empty array'
+        }]
+      });
+    });
+
+    it('should fail when the batch is too large', () => {
+      // Arrange
+      req.body = { operations: new Array(MAX_BULK_OPERATIONS + 1).fill({ op: 'delete', id: 1 }) };
+
+      // Act
+      validateBulk(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].details[0].message)
+        .toBe(`A bulk request may contain at most ${MAX_BULK_OPERATIONS} operations`);
+    });
+
+    it('should fail when atomic is not a boolean', () => {
+      // Arrange
+      req.body = { atomic: 'yes', operations: [{ op: 'delete', id: 1 }] };
+
+      // Act
+      validateBulk(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'atomic',
+          message: 'Atomic must be a boolean'
+        }]
+      });
+    });
+  });
+
+  describe('validateImport', () => {
+    beforeEach(() => {
+      req.query = {};
+      req.body = 'First Name,Last Name\nJohn,Doe\n';
+    });
+
+    it('should pass validation with CSV text, a mapping and dryRun', () => {
+      // Arrange
+      req.query = { dryRun: 'true', mapping: JSON.stringify({ 'First Name': 'firstName', 'Last Name': 'lastName' }) };
+
+      // Act
+      validateImport(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the body is not CSV text', () => {
+      // Arrange
+      req.body = {};
+
+      // Act
+      validateImport(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Validation failed',
+        details: [{
+          field: 'body',
+          message: 'Request body must be CSV text sent as text/csv'
+        }]
+      });
+    });
+
+    it('should fail for an invalid dryRun flag', () => {
+      // Arrange
+      req.query = { dryRun: 'yes' };
+
+      // Act
+      validateImport(req, res, next);
+
+      // Assert
+      expect(res.json.mock.calls[0][0].details).toEqual([{
+        field: 'dryRun',
+        message: 'dryRun must be true or false'
+      }]);
+    });
+
+    it('should fail for a mapping that is not a JSON object', () => {
+      // Arrange
+      req.query = { mapping: '["firstName"]' };
+
+      // Act
+      validateImport(req, res, next);
+
+      // Assert
+      expect(res.json.mock.calls[0][0].details).toEqual([{
+        field: 'mapping',
+        message: 'Mapping must be a JSON object of CSV column to contact field'
+      }]);
+    });
+
+    it('should fail for unknown or repeated fields in the mapping', () => {
+      // Arrange
+      req.query = { mapping: JSON.stringify({ A: 'firstName', B: 'firstName', C: 'nickname' }) };
+
+      // Act
+      validateImport(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].details).toEqual([
+        { field: 'mapping', message: 'Contact field mapped more than once: firstName' },
+        { field: 'mapping', message: 'Unknown contact field in mapping: nickname' }
+      ]);
+    });
+  });
 });
@@ -0,0 +1,5 @@
+-- Migration 001: Composite index for keyset pagination
+-- PostgreSQL 14+
+-- GET /api/contacts pages through contacts ordered by (last_name, first_name, id)
+
+CREATE INDEX IF NOT EXISTS idx_contacts_name_id ON contacts(last_name, first_name, id);
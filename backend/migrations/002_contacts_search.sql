@@ -0,0 +1,25 @@
+-- Migration 002: Full-text and trigram search on contacts
+-- PostgreSQL 14+
+-- Backs GET /api/contacts/search. On Azure Database for PostgreSQL, pg_trgm must be
+-- allow-listed in the azure.extensions server parameter before running this script.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted document: names rank above email/company, which rank above phone/notes
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(first_name, '') || ' ' || coalesce(last_name, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(email, '') || ' ' || coalesce(company, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(phone, '') || ' ' || coalesce(notes, '')), 'C')
+    ) STORED;
+
+-- Plain concatenation of the searchable fields for trigram and substring matching
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS search_text TEXT
+    GENERATED ALWAYS AS (
+        coalesce(first_name, '') || ' ' || coalesce(last_name, '') || ' ' ||
+        coalesce(email, '') || ' ' || coalesce(phone, '') || ' ' ||
+        coalesce(company, '') || ' ' || coalesce(notes, '')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_search_vector ON contacts USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_contacts_search_text_trgm ON contacts USING GIN (search_text gin_trgm_ops);
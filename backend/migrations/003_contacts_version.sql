@@ -0,0 +1,20 @@
+-- Migration 003: Version column for optimistic concurrency control
+-- PostgreSQL 14+
+-- The version is exposed as the contact's ETag and checked against If-Match
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Bump the version on every UPDATE so no write path can forget it
+CREATE OR REPLACE FUNCTION increment_version_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version = OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS increment_contacts_version ON contacts;
+CREATE TRIGGER increment_contacts_version
+    BEFORE UPDATE ON contacts
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_version_column();
@@ -0,0 +1,11 @@
+-- Migration 004: Soft delete with a trash bin
+-- PostgreSQL 14+
+-- DELETE /api/contacts/:id sets deleted_at; rows are only removed for good by
+-- DELETE /api/contacts/trash once they are older than TRASH_RETENTION_DAYS
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Partial index backing the trash listing and the retention purge
+CREATE INDEX IF NOT EXISTS idx_contacts_deleted_at
+    ON contacts(deleted_at DESC, id DESC)
+    WHERE deleted_at IS NOT NULL;
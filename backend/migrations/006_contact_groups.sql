@@ -0,0 +1,31 @@
+-- Migration 006: Contact groups (distribution lists)
+-- PostgreSQL 14+
+-- A group is a named, owned list of contacts kept in a chosen order. Members
+-- that are moved to the trash stay in the list but are not returned.
+
+CREATE TABLE IF NOT EXISTS contact_groups (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    owner VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS contact_group_members (
+    group_id INTEGER NOT NULL REFERENCES contact_groups(id) ON DELETE CASCADE,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, contact_id)
+);
+
+-- Backs listing a group's members in order
+CREATE INDEX IF NOT EXISTS idx_contact_group_members_position
+    ON contact_group_members(group_id, position, contact_id);
+
+DROP TRIGGER IF EXISTS update_contact_groups_updated_at ON contact_groups;
+CREATE TRIGGER update_contact_groups_updated_at
+    BEFORE UPDATE ON contact_groups
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
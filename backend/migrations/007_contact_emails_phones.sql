@@ -0,0 +1,42 @@
+-- Migration 007: Multiple typed emails and phone numbers per contact
+-- PostgreSQL 14+
+-- Each contact gets lists of emails and phones with a type label and one
+-- primary entry. contacts.email and contacts.phone are kept and always hold
+-- the primary entry, so sorting, filtering and search are unchanged.
+
+CREATE TABLE IF NOT EXISTS contact_emails (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    email VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'other',
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS contact_phones (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    phone VARCHAR(20) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'other',
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_emails_contact_id ON contact_emails(contact_id, position);
+CREATE INDEX IF NOT EXISTS idx_contact_phones_contact_id ON contact_phones(contact_id, position);
+
+-- Copy the existing single values in as primary entries
+INSERT INTO contact_emails (contact_id, email, type, is_primary, position)
+SELECT id, email, 'other', TRUE, 1
+FROM contacts
+WHERE COALESCE(email, '') <> ''
+  AND NOT EXISTS (SELECT 1 FROM contact_emails e WHERE e.contact_id = contacts.id);
+
+INSERT INTO contact_phones (contact_id, phone, type, is_primary, position)
+SELECT id, phone, 'other', TRUE, 1
+FROM contacts
+WHERE COALESCE(phone, '') <> ''
+  AND NOT EXISTS (SELECT 1 FROM contact_phones p WHERE p.contact_id = contacts.id);
+
+COMMENT ON COLUMN contacts.email IS 'Primary email address, mirrored from contact_emails (optional, max 100 chars)';
+COMMENT ON COLUMN contacts.phone IS 'Primary phone number, mirrored from contact_phones (optional, max 20 chars)';
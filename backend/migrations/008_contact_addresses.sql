@@ -0,0 +1,27 @@
+-- Migration 008: Postal addresses per contact
+-- PostgreSQL 14+
+-- A contact can have several typed postal addresses (home, work), one of
+-- them primary. Countries are stored as ISO 3166-1 alpha-2 codes.
+
+CREATE TABLE IF NOT EXISTS contact_addresses (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL DEFAULT 'other',
+    street VARCHAR(200),
+    locality VARCHAR(100),
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country CHAR(2) NOT NULL,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_addresses_contact_id ON contact_addresses(contact_id, position);
+
+COMMENT ON TABLE contact_addresses IS 'Postal addresses of a contact with a type label and one primary entry';
+COMMENT ON COLUMN contact_addresses.type IS 'home, work or other';
+COMMENT ON COLUMN contact_addresses.street IS 'Street address, may span several lines (max 200 chars)';
+COMMENT ON COLUMN contact_addresses.locality IS 'City or town (max 100 chars)';
+COMMENT ON COLUMN contact_addresses.region IS 'State, province or county (max 100 chars)';
+COMMENT ON COLUMN contact_addresses.postal_code IS 'Postal code, checked against the country''s format where known';
+COMMENT ON COLUMN contact_addresses.country IS 'ISO 3166-1 alpha-2 country code';
@@ -0,0 +1,22 @@
+-- Migration 009: Birthdays, anniversaries and other yearly dates
+-- PostgreSQL 14+
+-- Dates are stored as month and day with an optional year, so a birthday
+-- can be kept without knowing the year of birth. The (month, day) index
+-- serves the upcoming events listing.
+
+CREATE TABLE IF NOT EXISTS contact_dates (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    year SMALLINT,
+    month SMALLINT NOT NULL CHECK (month BETWEEN 1 AND 12),
+    day SMALLINT NOT NULL CHECK (day BETWEEN 1 AND 31),
+    position INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_dates_contact_id ON contact_dates(contact_id, position);
+CREATE INDEX IF NOT EXISTS idx_contact_dates_month_day ON contact_dates(month, day);
+
+COMMENT ON TABLE contact_dates IS 'Yearly dates of a contact such as birthdays and anniversaries';
+COMMENT ON COLUMN contact_dates.type IS 'birthday, anniversary or other';
+COMMENT ON COLUMN contact_dates.year IS 'Year of the original date (NULL when not known)';
@@ -0,0 +1,29 @@
+-- Migration 010: Admin-managed custom fields
+-- PostgreSQL 14+
+-- Definitions describe each extra field; a contact's values are kept in one
+-- JSONB object keyed by field key. Deleting a definition removes its values.
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS custom_fields (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    required BOOLEAN NOT NULL DEFAULT FALSE,
+    options JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_custom_fields_updated_at ON custom_fields;
+CREATE TRIGGER update_custom_fields_updated_at
+    BEFORE UPDATE ON custom_fields
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN contacts.custom_fields IS 'Values of the admin-defined custom fields, keyed by field key';
+COMMENT ON TABLE custom_fields IS 'Definitions of the extra fields stored in contacts.custom_fields';
+COMMENT ON COLUMN custom_fields.key IS 'Key the value is stored under (unique, cannot change)';
+COMMENT ON COLUMN custom_fields.type IS 'text, number, date, select or url (cannot change)';
+COMMENT ON COLUMN custom_fields.options IS 'Allowed values of a select field (NULL for other types)';
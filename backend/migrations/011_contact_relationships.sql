@@ -0,0 +1,24 @@
+-- Migration 011: Relationships between contacts
+-- PostgreSQL 14+
+-- Each row links a contact to a related contact with a type ("B is A's
+-- assistant"). A bidirectional link also records the inverse type and is
+-- listed for both contacts. Moving either contact to the trash removes its
+-- links; the foreign keys cascade when a contact is purged.
+
+CREATE TABLE IF NOT EXISTS contact_relationships (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    related_contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    inverse_type VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (contact_id <> related_contact_id),
+    UNIQUE (contact_id, related_contact_id, type)
+);
+
+-- The unique constraint covers lookups by contact_id; this one serves the other side
+CREATE INDEX IF NOT EXISTS idx_contact_relationships_related_contact_id ON contact_relationships(related_contact_id);
+
+COMMENT ON TABLE contact_relationships IS 'Typed links between two contacts, optionally visible from both sides';
+COMMENT ON COLUMN contact_relationships.type IS 'What the related contact is to the contact, e.g. assistant or spouse';
+COMMENT ON COLUMN contact_relationships.inverse_type IS 'What the contact is to the related contact (NULL for a one-way link)';
@@ -0,0 +1,75 @@
+-- Migration 012: Organizations
+-- PostgreSQL 14+
+-- Contacts link to an organization instead of carrying a free-text company.
+-- Names are matched on a normalized key that ignores case, punctuation and
+-- legal suffixes, so "Acme", "ACME Inc." and "Acme Inc" are one organization.
+-- contacts.company stays as a mirror of the linked organization's name, which
+-- keeps search, sorting and the company filter working unchanged.
+
+CREATE OR REPLACE FUNCTION normalize_organization_name(name TEXT)
+RETURNS TEXT AS $$
+    SELECT COALESCE(
+        NULLIF(btrim(regexp_replace(
+            regexp_replace(lower(name), '[^[:alnum:]]+', ' ', 'g'),
+            '( (inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|plc))+ *$', ''
+        )), ''),
+        lower(btrim(name))
+    )
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    normalized_name TEXT GENERATED ALWAYS AS (normalize_organization_name(name)) STORED UNIQUE,
+    domain VARCHAR(253),
+    street VARCHAR(200),
+    locality VARCHAR(100),
+    region VARCHAR(100),
+    postal_code VARCHAR(20),
+    country CHAR(2),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON organizations;
+CREATE TRIGGER update_organizations_updated_at
+    BEFORE UPDATE ON organizations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_organization_id ON contacts(organization_id, last_name, first_name, id);
+
+-- One organization per normalized company name, named after its most used spelling
+WITH spellings AS (
+    SELECT btrim(company) AS name, normalize_organization_name(company) AS normalized_name, COUNT(*) AS uses
+    FROM contacts
+    WHERE organization_id IS NULL AND btrim(COALESCE(company, '')) <> ''
+    GROUP BY 1, 2
+)
+INSERT INTO organizations (name)
+SELECT DISTINCT ON (normalized_name) name
+FROM spellings
+ORDER BY normalized_name, uses DESC, length(name), name
+ON CONFLICT (normalized_name) DO NOTHING;
+
+-- Linking bumps each contact's version, since its payload changes, but keeps updated_at
+ALTER TABLE contacts DISABLE TRIGGER update_contacts_updated_at;
+
+UPDATE contacts c
+SET organization_id = o.id,
+    company = o.name
+FROM organizations o
+WHERE c.organization_id IS NULL
+  AND btrim(COALESCE(c.company, '')) <> ''
+  AND o.normalized_name = normalize_organization_name(c.company);
+
+ALTER TABLE contacts ENABLE TRIGGER update_contacts_updated_at;
+
+COMMENT ON COLUMN contacts.organization_id IS 'Organization the contact works for (NULL for none)';
+COMMENT ON COLUMN contacts.company IS 'Name of the linked organization, mirrored from organizations.name (optional)';
+COMMENT ON TABLE organizations IS 'Companies and other organizations contacts belong to';
+COMMENT ON COLUMN organizations.normalized_name IS 'Name without case, punctuation or legal suffixes; unique (generated)';
+COMMENT ON COLUMN organizations.country IS 'ISO 3166-1 alpha-2 country code of the address';
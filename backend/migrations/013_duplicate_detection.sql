@@ -0,0 +1,25 @@
+-- Migration 013: Duplicate detection
+-- PostgreSQL 14+
+-- Likely duplicates share a normalized email address, share normalized phone
+-- digits or have similar full names. The normalizing functions are IMMUTABLE so
+-- the lookups are served by expression indexes.
+
+-- Lower-cased, trimmed email without a "+tag" in the local part
+CREATE OR REPLACE FUNCTION normalize_email(email TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(regexp_replace(lower(btrim(email)), '\+[^@]*@', '@'), '')
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Last 10 digits of a phone number, so a country code prefix does not matter;
+-- NULL for numbers with fewer than 7 digits
+CREATE OR REPLACE FUNCTION normalize_phone(phone TEXT)
+RETURNS TEXT AS $$
+    SELECT CASE WHEN length(digits) >= 7 THEN right(digits, 10) END
+    FROM (SELECT regexp_replace(phone, '[^0-9]', '', 'g') AS digits) AS d
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_contact_emails_normalized ON contact_emails(normalize_email(email));
+CREATE INDEX IF NOT EXISTS idx_contact_phones_normalized ON contact_phones(normalize_phone(phone));
+CREATE INDEX IF NOT EXISTS idx_contacts_full_name_trgm ON contacts
+    USING GIN ((first_name || ' ' || last_name) gin_trgm_ops)
+    WHERE deleted_at IS NULL;
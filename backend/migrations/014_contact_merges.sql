@@ -0,0 +1,26 @@
+-- Migration 014: Contact merges
+-- PostgreSQL 14+
+-- Merging moves the tags, group memberships and relationships of the merged
+-- contacts to the surviving contact and moves the merged contacts to the
+-- trash. Each merge is recorded with the field choices, the contacts as they
+-- were before the merge and the user who made it, so it can be audited.
+
+CREATE TABLE IF NOT EXISTS contact_merges (
+    id SERIAL PRIMARY KEY,
+    survivor_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    loser_ids INTEGER[] NOT NULL,
+    field_choices JSONB NOT NULL DEFAULT '{}',
+    snapshot JSONB NOT NULL,
+    merged_by VARCHAR(100),
+    merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Back listing the merges a contact took part in, on either side
+CREATE INDEX IF NOT EXISTS idx_contact_merges_survivor_id ON contact_merges(survivor_id);
+CREATE INDEX IF NOT EXISTS idx_contact_merges_loser_ids ON contact_merges USING GIN (loser_ids);
+
+COMMENT ON TABLE contact_merges IS 'Audit log of contacts merged into a surviving contact';
+COMMENT ON COLUMN contact_merges.loser_ids IS 'Contacts merged into the survivor and moved to the trash';
+COMMENT ON COLUMN contact_merges.field_choices IS 'Field -> ID of the contact whose value was kept';
+COMMENT ON COLUMN contact_merges.snapshot IS 'Survivor and merged contacts as they were before the merge';
+COMMENT ON COLUMN contact_merges.merged_by IS 'User named in the X-User header of the merge request (NULL if none)';
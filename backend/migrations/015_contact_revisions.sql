@@ -0,0 +1,26 @@
+-- Migration 015: Contact revision history
+-- PostgreSQL 14+
+-- Every create, update, delete, restore, revert and merge of a contact is
+-- recorded in the same transaction as the change: the contact as it was
+-- afterwards (as it was before, for deletes and merged contacts), the fields
+-- that changed and the user who made the change. Contacts changed before this
+-- migration start their history at their next change.
+
+CREATE TABLE IF NOT EXISTS contact_revisions (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    action VARCHAR(10) NOT NULL
+        CHECK (action IN ('create', 'update', 'delete', 'restore', 'revert', 'merge')),
+    snapshot JSONB NOT NULL,
+    changes JSONB NOT NULL DEFAULT '[]',
+    changed_by VARCHAR(100),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Back the history of a contact, most recent first
+CREATE INDEX IF NOT EXISTS idx_contact_revisions_contact_id ON contact_revisions(contact_id, id DESC);
+
+COMMENT ON TABLE contact_revisions IS 'Revision history of contacts';
+COMMENT ON COLUMN contact_revisions.snapshot IS 'Contact fields after the change (before it, for delete and merged-away contacts)';
+COMMENT ON COLUMN contact_revisions.changes IS 'Changed fields as [{ field, from, to }]';
+COMMENT ON COLUMN contact_revisions.changed_by IS 'User named in the X-User header of the request (NULL if none)';
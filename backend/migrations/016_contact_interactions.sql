@@ -0,0 +1,30 @@
+-- Migration 016: Contact interactions
+-- PostgreSQL 14+
+-- Calls, meetings and emails are logged against a contact as separate,
+-- timestamped entries. A contact's lastContactedAt is derived from its most
+-- recent interaction, so nothing on the contacts table has to be kept in step.
+
+CREATE TABLE IF NOT EXISTS contact_interactions (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL
+        CHECK (type IN ('call', 'meeting', 'email', 'message', 'other')),
+    summary VARCHAR(200) NOT NULL,
+    body TEXT,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Back the timeline of a contact, most recent first, and its lastContactedAt
+CREATE INDEX IF NOT EXISTS idx_contact_interactions_contact_id
+    ON contact_interactions(contact_id, occurred_at DESC, id DESC);
+
+DROP TRIGGER IF EXISTS update_contact_interactions_updated_at ON contact_interactions;
+CREATE TRIGGER update_contact_interactions_updated_at
+    BEFORE UPDATE ON contact_interactions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE contact_interactions IS 'Calls, meetings and emails logged against a contact';
+COMMENT ON COLUMN contact_interactions.occurred_at IS 'When the interaction took place; the latest one is the contact''s lastContactedAt';
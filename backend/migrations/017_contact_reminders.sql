@@ -0,0 +1,41 @@
+-- Migration 017: Contact reminders
+-- PostgreSQL 14+
+-- Follow-up reminders attached to a contact, optionally repeating every N
+-- days, weeks, months or years. Each occurrence is its own row: completing or
+-- snoozing an open reminder closes it and, for recurring and snoozed
+-- reminders, opens the next occurrence linked back through previous_id.
+
+CREATE TABLE IF NOT EXISTS contact_reminders (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    due_date DATE NOT NULL,
+    recurrence_interval SMALLINT CHECK (recurrence_interval > 0),
+    recurrence_unit VARCHAR(5) CHECK (recurrence_unit IN ('day', 'week', 'month', 'year')),
+    status VARCHAR(10) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'completed', 'snoozed')),
+    closed_at TIMESTAMP,
+    previous_id INTEGER REFERENCES contact_reminders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((recurrence_interval IS NULL) = (recurrence_unit IS NULL))
+);
+
+-- Back listing a contact's reminders
+CREATE INDEX IF NOT EXISTS idx_contact_reminders_contact_id ON contact_reminders(contact_id, due_date);
+
+-- Back the due reminders listing, which only looks at open reminders
+CREATE INDEX IF NOT EXISTS idx_contact_reminders_due_date
+    ON contact_reminders(due_date, id)
+    WHERE status = 'open';
+
+DROP TRIGGER IF EXISTS update_contact_reminders_updated_at ON contact_reminders;
+CREATE TRIGGER update_contact_reminders_updated_at
+    BEFORE UPDATE ON contact_reminders
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE contact_reminders IS 'Follow-up reminders attached to contacts, one row per occurrence';
+COMMENT ON COLUMN contact_reminders.recurrence_interval IS 'Repeat every this many recurrence units (NULL for a one-off reminder)';
+COMMENT ON COLUMN contact_reminders.status IS 'open until the occurrence is completed or snoozed';
+COMMENT ON COLUMN contact_reminders.previous_id IS 'Occurrence this one was created from by completing or snoozing it';
@@ -0,0 +1,17 @@
+-- Migration 018: Starred contacts
+-- PostgreSQL 14+
+-- Each user named in the X-User header keeps their own set of starred
+-- contacts, which GET /api/contacts can sort to the top (sort=-starred).
+
+CREATE TABLE IF NOT EXISTS contact_stars (
+    user_name VARCHAR(100) NOT NULL,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    starred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_name, contact_id)
+);
+
+-- Back removing a contact's stars when it is deleted or merged away
+CREATE INDEX IF NOT EXISTS idx_contact_stars_contact_id ON contact_stars(contact_id);
+
+COMMENT ON TABLE contact_stars IS 'Contacts starred by each user';
+COMMENT ON COLUMN contact_stars.user_name IS 'User named in the X-User header';
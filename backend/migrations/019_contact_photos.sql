@@ -0,0 +1,18 @@
+-- Migration 019: Contact photos
+-- PostgreSQL 14+
+-- A contact has at most one photo. The files (the original upload and its
+-- square PNG thumbnails) live in photo storage under the row's storage_key.
+
+CREATE TABLE IF NOT EXISTS contact_photos (
+    contact_id INTEGER PRIMARY KEY REFERENCES contacts(id) ON DELETE CASCADE,
+    storage_key VARCHAR(64) NOT NULL UNIQUE,
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('image/jpeg', 'image/png')),
+    byte_size INTEGER NOT NULL CHECK (byte_size > 0),
+    width INTEGER NOT NULL CHECK (width > 0),
+    height INTEGER NOT NULL CHECK (height > 0),
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE contact_photos IS 'Photo of each contact that has one';
+COMMENT ON COLUMN contact_photos.storage_key IS 'Prefix of the photo files in photo storage';
+COMMENT ON COLUMN contact_photos.content_type IS 'Type sniffed from the uploaded file';
@@ -0,0 +1,18 @@
+-- Migration 020: Keep merge records and carry merged contacts' history
+-- PostgreSQL 14+
+-- A merge record outlives its survivor: purging the survivor from the trash
+-- clears survivor_id instead of deleting the record. Merging also moves the
+-- revision history of the merged contacts to the survivor, marking each moved
+-- revision with the contact it was recorded on. Merges made before this
+-- migration leave that history with the merged contacts.
+
+ALTER TABLE contact_merges ALTER COLUMN survivor_id DROP NOT NULL;
+ALTER TABLE contact_merges DROP CONSTRAINT IF EXISTS contact_merges_survivor_id_fkey;
+ALTER TABLE contact_merges
+    ADD CONSTRAINT contact_merges_survivor_id_fkey
+    FOREIGN KEY (survivor_id) REFERENCES contacts(id) ON DELETE SET NULL;
+
+ALTER TABLE contact_revisions ADD COLUMN IF NOT EXISTS merged_from_id INTEGER;
+
+COMMENT ON COLUMN contact_merges.survivor_id IS 'Contact the others were merged into (NULL once it is purged)';
+COMMENT ON COLUMN contact_revisions.merged_from_id IS 'Contact the revision was recorded on before it was merged into this one (NULL if this one)';
@@ -0,0 +1,18 @@
+-- Migration 021: Count reminder recurrence from an anchor day
+-- PostgreSQL 14+
+-- A recurring reminder keeps the day its recurrence counts from, so a monthly
+-- reminder due on the 31st goes back to the 31st after a shorter month. The
+-- anchor is set from the due date when a reminder is created or edited and
+-- carried to each following occurrence. Existing recurring reminders are
+-- anchored on their current due date.
+
+ALTER TABLE contact_reminders ADD COLUMN IF NOT EXISTS recurrence_anchor DATE;
+
+UPDATE contact_reminders SET recurrence_anchor = due_date
+WHERE recurrence_unit IS NOT NULL AND recurrence_anchor IS NULL;
+
+ALTER TABLE contact_reminders
+    ADD CONSTRAINT contact_reminders_recurrence_anchor_check
+    CHECK ((recurrence_unit IS NULL) = (recurrence_anchor IS NULL));
+
+COMMENT ON COLUMN contact_reminders.recurrence_anchor IS 'Day the recurrence counts from (NULL for a one-off reminder)';
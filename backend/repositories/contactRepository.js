@@ -1,4 +1,263 @@
-const { query } = require('../config/database');
+const { query, getClient, withTransaction, run } = require('../config/database');
+const {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+} = require('../utils/pagination');
+const { DEFAULT_SORT } = require('../utils/contactListQuery');
+const { resolveContactMethods, primaryValue } = require('../utils/contactMethods');
+const { resolveAddresses } = require('../utils/postalAddress');
+const { resolveDates, parseContactDate } = require('../utils/contactDates');
+const { normalizeCustomFields } = require('../utils/customFields');
+const { NAME_SIMILARITY_THRESHOLD } = require('../utils/duplicates');
+const { photoUrl } = require('../utils/photos');
+
+/**
+ * Run a callback on the given transaction client, or in a new transaction without one
+ * @param {Object} [client] - Client with an open transaction
+ * @param {Function} callback - Receives the client; its result is returned
+ * @returns {Promise<*>} Result of the callback
+ */
+function inTransaction(client, callback) {
+  return client ? callback(client) : withTransaction(callback);
+}
+
+/**
+ * Replace the stored emails and phones of a contact
+ * Only the lists present in methods are written.
+ * @param {Object} client - Client with an open transaction
+ * @param {number} contactId - Contact ID
+ * @param {Object} methods - { emails, phones } from resolveContactMethods
+ * @param {boolean} [isNew=false] - Whether the contact was just inserted, so
+ *   there is nothing to delete and empty lists can be skipped
+ * @returns {Promise<void>}
+ */
+async function writeContactMethods(client, contactId, methods, isNew = false) {
+  for (const [listKey, { table, column }] of Object.entries(CONTACT_METHOD_TABLES)) {
+    const entries = methods[listKey];
+    if (!entries || (isNew && entries.length === 0)) {
+      continue;
+    }
+    
+    // The DELETE runs on the statement's snapshot, so it never sees the new rows
+    const sql = `
+      WITH removed AS (
+        DELETE FROM ${table} WHERE contact_id = $1
+      )
+      INSERT INTO ${table} (contact_id, ${column}, type, is_primary, position)
+      SELECT $1, input.value, input.type, input.is_primary, input.ordinality
+      FROM unnest($2::text[], $3::text[], $4::boolean[]) WITH ORDINALITY
+        AS input(value, type, is_primary, ordinality)
+    `;
+    
+    await client.query(sql, [
+      contactId,
+      entries.map((entry) => entry[column]),
+      entries.map((entry) => entry.type),
+      entries.map((entry) => entry.primary),
+    ]);
+  }
+}
+
+/**
+ * Replace the stored addresses of a contact
+ * @param {Object} client - Client with an open transaction
+ * @param {number} contactId - Contact ID
+ * @param {Array<Object>} [addresses] - Normalized addresses; nothing is written when undefined
+ * @param {boolean} [isNew=false] - Whether the contact was just inserted
+ * @returns {Promise<void>}
+ */
+async function writeAddresses(client, contactId, addresses, isNew = false) {
+  if (!addresses || (isNew && addresses.length === 0)) {
+    return;
+  }
+  
+  const sql = `
+    WITH removed AS (
+      DELETE FROM contact_addresses WHERE contact_id = $1
+    )
+    INSERT INTO contact_addresses (contact_id, type, street, locality, region, postal_code, country, is_primary, position)
+    SELECT $1, input.type, input.street, input.locality, input.region, input.postal_code, input.country,
+           input.is_primary, input.ordinality
+    FROM unnest($2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::boolean[]) WITH ORDINALITY
+      AS input(type, street, locality, region, postal_code, country, is_primary, ordinality)
+  `;
+  
+  await client.query(sql, [
+    contactId,
+    addresses.map((address) => address.type),
+    addresses.map((address) => address.street),
+    addresses.map((address) => address.locality),
+    addresses.map((address) => address.region),
+    addresses.map((address) => address.postalCode),
+    addresses.map((address) => address.country),
+    addresses.map((address) => address.primary),
+  ]);
+}
+
+/**
+ * Replace the stored dates of a contact
+ * @param {Object} client - Client with an open transaction
+ * @param {number} contactId - Contact ID
+ * @param {Array<Object>} [dates] - { type, date } entries; nothing is written when undefined
+ * @param {boolean} [isNew=false] - Whether the contact was just inserted
+ * @returns {Promise<void>}
+ */
+async function writeDates(client, contactId, dates, isNew = false) {
+  if (!dates || (isNew && dates.length === 0)) {
+    return;
+  }
+  
+  const sql = `
+    WITH removed AS (
+      DELETE FROM contact_dates WHERE contact_id = $1
+    )
+    INSERT INTO contact_dates (contact_id, type, year, month, day, position)
+    SELECT $1, input.type, input.year, input.month, input.day, input.ordinality
+    FROM unnest($2::text[], $3::smallint[], $4::smallint[], $5::smallint[]) WITH ORDINALITY
+      AS input(type, year, month, day, ordinality)
+  `;
+  
+  const parsed = dates.map((entry) => parseContactDate(entry.date));
+  await client.query(sql, [
+    contactId,
+    dates.map((entry) => entry.type),
+    parsed.map((date) => date.year),
+    parsed.map((date) => date.month),
+    parsed.map((date) => date.day),
+  ]);
+}
+
+// Finds the organization a company name belongs to, creating it when there is
+// none. The INSERT skips an existing name and the SELECT half finds it instead.
+const ORGANIZATION_ID_BY_NAME = `
+    WITH inserted AS (
+      INSERT INTO organizations (name) VALUES ($1::text)
+      ON CONFLICT (normalized_name) DO NOTHING
+      RETURNING id
+    )
+    SELECT id FROM inserted
+    UNION ALL
+    SELECT id FROM organizations WHERE normalized_name = normalize_organization_name($1::text)
+    LIMIT 1`;
+
+/**
+ * Work out the organization a write links the contact to
+ * An organizationId wins over a company name. A company name links the
+ * contact to the organization with the same normalized name, which is
+ * created when there is none; an empty one unlinks it.
+ * @param {Object} client - Client with an open transaction
+ * @param {Object} data - Contact data being written
+ * @returns {Promise<number|null|undefined>} Organization ID, null to unlink,
+ *   or undefined when the data changes neither
+ */
+async function resolveOrganizationId(client, data) {
+  if (data.organizationId !== undefined) {
+    return data.organizationId;
+  }
+  if (data.company === undefined) {
+    return undefined;
+  }
+  
+  const name = typeof data.company === 'string' ? data.company.trim() : '';
+  if (!name) {
+    return null;
+  }
+  
+  const result = await client.query(ORGANIZATION_ID_BY_NAME, [name]);
+  return result.rows[0].id;
+}
+
+// When the contact was last contacted: the time of its most recent interaction
+const LAST_CONTACTED_AT = `(
+      SELECT max(i.occurred_at) FROM contact_interactions i WHERE i.contact_id = contacts.id
+    )`;
+
+// Columns selected for every contact, including its tag names, emails, phones,
+// addresses and dates, when it was last contacted and whether it has a photo
+const CONTACT_COLUMNS = `id, first_name, last_name, email, phone, company, organization_id, notes,
+    created_at, updated_at, version,
+    custom_fields,
+    ${LAST_CONTACTED_AT} AS last_contacted_at,
+    EXISTS (SELECT 1 FROM contact_photos ph WHERE ph.contact_id = contacts.id) AS has_photo,
+    ARRAY(
+      SELECT t.name FROM contact_tags ct JOIN tags t ON t.id = ct.tag_id
+      WHERE ct.contact_id = contacts.id ORDER BY t.name
+    ) AS tags,
+    (
+      SELECT json_agg(json_build_object('email', e.email, 'type', e.type, 'primary', e.is_primary) ORDER BY e.position)
+      FROM contact_emails e WHERE e.contact_id = contacts.id
+    ) AS emails,
+    (
+      SELECT json_agg(json_build_object('phone', p.phone, 'type', p.type, 'primary', p.is_primary) ORDER BY p.position)
+      FROM contact_phones p WHERE p.contact_id = contacts.id
+    ) AS phones,
+    (
+      SELECT json_agg(json_build_object(
+        'type', a.type, 'street', a.street, 'locality', a.locality, 'region', a.region,
+        'postalCode', a.postal_code, 'country', a.country, 'primary', a.is_primary
+      ) ORDER BY a.position)
+      FROM contact_addresses a WHERE a.contact_id = contacts.id
+    ) AS addresses,
+    (
+      SELECT json_agg(json_build_object(
+        'type', d.type,
+        'date', CASE WHEN d.year IS NULL THEN '-' ELSE lpad(d.year::text, 4, '0') END
+          || '-' || lpad(d.month::text, 2, '0') || '-' || lpad(d.day::text, 2, '0')
+      ) ORDER BY d.position)
+      FROM contact_dates d WHERE d.contact_id = contacts.id
+    ) AS dates`;
+
+// Child table and value column holding each list of a contact
+const CONTACT_METHOD_TABLES = {
+  emails: { table: 'contact_emails', column: 'email' },
+  phones: { table: 'contact_phones', column: 'phone' },
+};
+
+// API sort field -> SQL sort expression. Nullable columns are coalesced so
+// keyset comparisons never meet a NULL.
+const SORT_EXPRESSIONS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  company: "COALESCE(company, '')",
+  email: "COALESCE(email, '')",
+  createdAt: "COALESCE(created_at, '-infinity'::timestamp)",
+  updatedAt: "COALESCE(updated_at, '-infinity'::timestamp)",
+  lastContactedAt: `COALESCE(${LAST_CONTACTED_AT}, '-infinity'::timestamp)`,
+};
+
+// Type of each sort key's cursor value
+const SORT_KEY_TYPES = {
+  firstName: 'text',
+  lastName: 'text',
+  company: 'text',
+  email: 'text',
+  createdAt: 'timestamp',
+  updatedAt: 'timestamp',
+  lastContactedAt: 'timestamp',
+  starred: 'boolean',
+};
+
+/**
+ * Build the sort expressions for a request, including whether its user starred each contact
+ * @param {string|null} user - User named in the X-User header
+ * @param {Array} params - Query parameter list; the user is appended to it
+ * @returns {Object} API sort field -> SQL sort expression (starred is false without a user)
+ */
+function buildSortExpressions(user, params) {
+  if (!user) {
+    return { ...SORT_EXPRESSIONS, starred: 'false' };
+  }
+
+  params.push(user);
+  return {
+    ...SORT_EXPRESSIONS,
+    starred: `EXISTS (
+      SELECT 1 FROM contact_stars s WHERE s.contact_id = contacts.id AND s.user_name = $${params.length}
+    )`,
+  };
+}
 
 /**
  * Map database row (snake_case) to application object (camelCase)
@@ -15,20 +274,136 @@ function mapRowToContact(row) {
     email: row.email,
     phone: row.phone,
     company: row.company,
+    organizationId: row.organization_id,
     notes: row.notes,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
+    version: row.version,
+    tags: row.tags || [],
+    emails: row.emails || [],
+    phones: row.phones || [],
+    addresses: row.addresses || [],
+    dates: row.dates || [],
+    customFields: row.custom_fields || {},
+    lastContactedAt: row.last_contacted_at,
+    photoUrl: row.has_photo ? photoUrl(row.id) : null,
   };
 }
 
+// ts_headline match markers; they are swapped for <mark> tags only after the
+// snippet has been HTML-escaped, so contact data can never inject markup
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=15, MinWords=5`;
+
 /**
- * Find all contacts
+ * Map search result row to { contact, rank, snippet }
+ * @param {Object} row - Database row including rank and snippet columns
+ * @returns {Object} Search result object
+ */
+function mapRowToSearchResult(row) {
+  const escaped = row.snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  return {
+    contact: mapRowToContact(row),
+    rank: row.rank,
+    snippet: escaped
+      .split(HIGHLIGHT_START).join('<mark>')
+      .split(HIGHLIGHT_STOP).join('</mark>'),
+  };
+}
+
+/**
+ * Build a prefix-matching tsquery string from free text
+ * Only letters and digits survive, so user input cannot inject tsquery syntax.
+ * @param {string} term - Search term
+ * @returns {string} tsquery string, e.g. "jo:* & acme:*"
+ */
+function toPrefixTsQuery(term) {
+  const words = term.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map((word) => `${word}:*`).join(' & ');
+}
+
+/**
+ * Escape LIKE wildcards so the term is matched literally
+ * @param {string} term - Search term
+ * @returns {string} Escaped term
+ */
+function escapeLikePattern(term) {
+  return term.replace(/[\\%_]/g, '\\$&');
+}
+
+// Contact field -> column written by patch()
+const PATCHABLE_COLUMNS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  email: 'email',
+  phone: 'phone',
+  organizationId: 'organization_id',
+  notes: 'notes',
+  customFields: 'custom_fields',
+};
+
+/**
+ * Build parameterized WHERE conditions for list filters
+ * @param {Object} filters - Filters parsed by parseListQuery
+ * @param {Array} params - Query parameter list; filter values are appended to it
+ * @returns {Array<string>} SQL conditions to be joined with AND
+ */
+function buildFilterConditions(filters, params) {
+  const conditions = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.company !== undefined) {
+    conditions.push(`lower(company) = lower(${addParam(filters.company)})`);
+  }
+  if (filters.organizationId !== undefined) {
+    conditions.push(`organization_id = ${addParam(filters.organizationId)}`);
+  }
+  if (filters.tag !== undefined) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM contact_tags ct JOIN tags t ON t.id = ct.tag_id
+      WHERE ct.contact_id = contacts.id AND t.name = lower(${addParam(filters.tag)})
+    )`);
+  }
+  if (filters.hasEmail !== undefined) {
+    conditions.push(filters.hasEmail ? "COALESCE(email, '') <> ''" : "COALESCE(email, '') = ''");
+  }
+  if (filters.hasPhone !== undefined) {
+    conditions.push(filters.hasPhone ? "COALESCE(phone, '') <> ''" : "COALESCE(phone, '') = ''");
+  }
+  if (filters.createdAfter !== undefined) {
+    conditions.push(`created_at > ${addParam(filters.createdAfter)}`);
+  }
+  if (filters.createdBefore !== undefined) {
+    conditions.push(`created_at < ${addParam(filters.createdBefore)}`);
+  }
+  if (filters.updatedAfter !== undefined) {
+    conditions.push(`updated_at > ${addParam(filters.updatedAfter)}`);
+  }
+  if (filters.updatedBefore !== undefined) {
+    conditions.push(`updated_at < ${addParam(filters.updatedBefore)}`);
+  }
+
+  return conditions;
+}
+
+/**
+ * Find all contacts (excluding the trash)
  * @returns {Promise<Array>} Array of contact objects
  */
 async function findAll() {
   const sql = `
-    SELECT id, first_name, last_name, email, phone, company, notes, created_at, updated_at
+    SELECT ${CONTACT_COLUMNS}
     FROM contacts
+    WHERE deleted_at IS NULL
     ORDER BY last_name, first_name
   `;
   
@@ -41,20 +416,192 @@ async function findAll() {
   }
 }
 
+/**
+ * Find one page of contacts (excluding the trash) using keyset pagination
+ * Rows are ordered by the requested sort keys with id as the final tie-breaker,
+ * so the order is stable even when several contacts share the same values.
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit] - Maximum number of contacts to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @param {Object} [options.filters] - Filters parsed by parseListQuery
+ * @param {Array<Object>} [options.sort] - Sort keys ({ field, direction })
+ * @param {string|null} [options.user] - User whose stars set each contact's starred flag
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ */
+async function findPage({ limit = DEFAULT_PAGE_SIZE, cursor, filters = {}, sort = DEFAULT_SORT, user = null } = {}) {
+  const params = [];
+  const expressions = buildSortExpressions(user, params);
+  const keys = [
+    ...sort.map(({ field, direction }) => ({ expression: expressions[field], direction, type: SORT_KEY_TYPES[field] })),
+    { expression: 'id', direction: 'asc', type: 'integer' },
+  ];
+  const sortSignature = sort
+    .map(({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`)
+    .join(',');
+  
+  const conditions = ['deleted_at IS NULL', ...buildFilterConditions(filters, params)];
+
+  if (cursor) {
+    const [cursorSignature, ...values] = decodeCursor(cursor, keys.length + 1);
+    if (cursorSignature !== sortSignature) {
+      const error = new Error('Cursor does not match the requested sort order');
+      error.statusCode = 400;
+      throw error;
+    }
+    const keyset = buildKeysetCondition(keys, values, params.length + 1);
+    conditions.push(keyset.sql);
+    params.push(...keyset.params);
+  }
+
+  // Fetch one extra row to find out whether another page exists
+  params.push(limit + 1);
+
+  // Sort keys are also selected as text so cursors keep full timestamp precision
+  const sql = `
+    SELECT ${CONTACT_COLUMNS},
+           ${expressions.starred} AS starred,
+           ${keys.map((key, i) => `(${key.expression})::text AS sort_key_${i}`).join(', ')}
+    FROM contacts
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${keys.map((key) => `${key.expression} ${key.direction.toUpperCase()}`).join(', ')}
+    LIMIT $${params.length}
+  `;
+  
+  try {
+    const result = await query(sql, params);
+    const hasMore = result.rows.length > limit;
+    const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+    const lastRow = rows[rows.length - 1];
+    
+    return {
+      data: rows.map((row) => ({ ...mapRowToContact(row), starred: row.starred })),
+      nextCursor: hasMore
+        ? encodeCursor([sortSignature, ...keys.map((key, i) => lastRow[`sort_key_${i}`])])
+        : null,
+      hasMore,
+    };
+  } catch (error) {
+    console.error('Error in findPage:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stream every contact (excluding the trash) matching the filters
+ * Rows are read through a server-side cursor in batches, so the whole
+ * result never has to fit in memory. Stopping iteration early closes the
+ * cursor and releases the connection.
+ * @param {Object} [options] - Export options
+ * @param {Object} [options.filters] - Parsed filters (see utils/contactListQuery)
+ * @param {Array<Object>} [options.sort] - Sort fields and directions
+ * @param {number} [options.batchSize=500] - Rows fetched per round trip
+ * @param {string|null} [options.user] - User whose stars the starred sort field follows
+ * @returns {AsyncGenerator<Array<Object>>} Batches of contact objects
+ */
+async function* streamAll({ filters = {}, sort = DEFAULT_SORT, batchSize = 500, user = null } = {}) {
+  const params = [];
+  const expressions = buildSortExpressions(user, params);
+  const conditions = ['deleted_at IS NULL', ...buildFilterConditions(filters, params)];
+  const orderBy = [
+    ...sort.map(({ field, direction }) => `${expressions[field]} ${direction.toUpperCase()}`),
+    'id ASC',
+  ];
+  
+  const sql = `
+    DECLARE contacts_export NO SCROLL CURSOR FOR
+    SELECT ${CONTACT_COLUMNS}
+    FROM contacts
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${orderBy.join(', ')}
+  `;
+  
+  const client = await getClient();
+  let completed = false;
+  try {
+    // Cursors only live inside a transaction
+    await client.query('BEGIN');
+    await client.query(sql, params);
+    
+    while (true) {
+      const result = await client.query(`FETCH ${Number(batchSize)} FROM contacts_export`);
+      if (result.rows.length === 0) {
+        break;
+      }
+      yield result.rows.map(mapRowToContact);
+    }
+    
+    await client.query('CLOSE contacts_export');
+    await client.query('COMMIT');
+    completed = true;
+  } catch (error) {
+    console.error('Error in streamAll:', error.message);
+    throw error;
+  } finally {
+    if (!completed) {
+      // Reached on errors and when the consumer stops early
+      await client.query('ROLLBACK').catch((rollbackError) => {
+        console.error('Error rolling back export:', rollbackError.message);
+      });
+    }
+    client.release();
+  }
+}
+
+/**
+ * Search contacts by relevance across names, email, phone, company and notes
+ * Combines prefix full-text matching with trigram similarity, so partial
+ * words, typos and phone number fragments still find the contact.
+ * @param {string} term - Search term
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Maximum number of results to return
+ * @returns {Promise<Array>} Array of search results ({ contact, rank, snippet })
+ */
+async function search(term, { limit = DEFAULT_PAGE_SIZE } = {}) {
+  const sql = `
+    SELECT ${CONTACT_COLUMNS},
+           ts_rank_cd(search_vector, q.ts_query) + word_similarity($1, search_text) AS rank,
+           ts_headline('simple', search_text, q.ts_query, $3) AS snippet
+    FROM contacts, to_tsquery('simple', $2) AS q(ts_query)
+    WHERE deleted_at IS NULL
+      AND (search_vector @@ q.ts_query
+           OR $1 <% search_text
+           OR search_text ILIKE $4)
+    ORDER BY rank DESC, last_name, first_name, id
+    LIMIT $5
+  `;
+  
+  const params = [
+    term,
+    toPrefixTsQuery(term),
+    HEADLINE_OPTIONS,
+    `%${escapeLikePattern(term)}%`,
+    limit,
+  ];
+  
+  try {
+    const result = await query(sql, params);
+    return result.rows.map(mapRowToSearchResult);
+  } catch (error) {
+    console.error('Error in search:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Find contact by ID
  * @param {number} id - Contact ID
- * @returns {Promise<Object|null>} Contact object or null if not found
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Contact object or null if not found or in the trash
  */
-async function findById(id) {
+async function findById(id, client) {
   const sql = `
-    SELECT id, first_name, last_name, email, phone, company, notes, created_at, updated_at
+    SELECT ${CONTACT_COLUMNS}
     FROM contacts
-    WHERE id = $1
+    WHERE id = $1 AND deleted_at IS NULL
   `;
   
   try {
-    const result = await query(sql, [id]);
+    const result = await run(client, sql, [id]);
     return result.rows.length > 0 ? mapRowToContact(result.rows[0]) : null;
   } catch (error) {
     console.error('Error in findById:', error.message);
@@ -69,29 +616,50 @@ async function findById(id) {
  * @param {string} contact.lastName - Last name
  * @param {string} [contact.email] - Email address
  * @param {string} [contact.phone] - Phone number
- * @param {string} [contact.company] - Company name
+ * @param {Array<Object>} [contact.emails] - Email entries; replace email when given
+ * @param {Array<Object>} [contact.phones] - Phone entries; replace phone when given
+ * @param {Array<Object>} [contact.addresses] - Postal addresses; replace the stored ones when given
+ * @param {Array<Object>} [contact.dates] - Birthdays and other dates; replace the stored ones when given
+ * @param {string} [contact.company] - Company name; links the organization of that name, creating it if needed
+ * @param {number|null} [contact.organizationId] - Organization to link; wins over company
  * @param {string} [contact.notes] - Notes
+ * @param {Object} [contact.customFields] - Custom field values keyed by field key
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
  * @returns {Promise<Object>} Created contact object
  */
-async function create(contact) {
+async function create(contact, client) {
+  // The company column mirrors the name of the linked organization
   const sql = `
-    INSERT INTO contacts (first_name, last_name, email, phone, company, notes)
-    VALUES ($1, $2, $3, $4, $5, $6)
-    RETURNING id, first_name, last_name, email, phone, company, notes, created_at, updated_at
+    INSERT INTO contacts (first_name, last_name, email, phone, company, organization_id, notes, custom_fields)
+    VALUES ($1, $2, $3, $4, (SELECT name FROM organizations WHERE id = $5), $5, $6, $7)
+    RETURNING ${CONTACT_COLUMNS}
   `;
   
-  const params = [
-    contact.firstName,
-    contact.lastName,
-    contact.email || null,
-    contact.phone || null,
-    contact.company || null,
-    contact.notes || null,
-  ];
+  const methods = {
+    ...resolveContactMethods({ email: null, phone: null, ...contact }),
+    ...resolveAddresses(contact),
+    ...resolveDates(contact),
+  };
   
   try {
-    const result = await query(sql, params);
-    return mapRowToContact(result.rows[0]);
+    return await inTransaction(client, async (transactionClient) => {
+      const organizationId = await resolveOrganizationId(transactionClient, contact);
+      const params = [
+        contact.firstName,
+        contact.lastName,
+        primaryValue(methods.emails, 'email'),
+        primaryValue(methods.phones, 'phone'),
+        organizationId || null,
+        contact.notes || null,
+        JSON.stringify(normalizeCustomFields(contact.customFields)),
+      ];
+      const result = await transactionClient.query(sql, params);
+      const created = mapRowToContact(result.rows[0]);
+      await writeContactMethods(transactionClient, created.id, methods, true);
+      await writeAddresses(transactionClient, created.id, methods.addresses, true);
+      await writeDates(transactionClient, created.id, methods.dates, true);
+      return { ...created, ...methods };
+    });
   } catch (error) {
     console.error('Error in create:', error.message);
     throw error;
@@ -106,67 +674,602 @@ async function create(contact) {
  * @param {string} [contact.lastName] - Last name
  * @param {string} [contact.email] - Email address
  * @param {string} [contact.phone] - Phone number
- * @param {string} [contact.company] - Company name
+ * @param {Array<Object>} [contact.emails] - Email entries; replace email when given
+ * @param {Array<Object>} [contact.phones] - Phone entries; replace phone when given
+ * @param {Array<Object>} [contact.addresses] - Postal addresses; replace the stored ones when given
+ * @param {Array<Object>} [contact.dates] - Birthdays and other dates; replace the stored ones when given
+ * @param {string} [contact.company] - Company name; links the organization of that name, creating it if needed
+ * @param {number|null} [contact.organizationId] - Organization to link; wins over company
  * @param {string} [contact.notes] - Notes
- * @returns {Promise<Object|null>} Updated contact object or null if not found
+ * @param {Object} [contact.customFields] - Custom field values; replace the stored ones when given
+ * @param {number} [expectedVersion] - Only update if the row is still at this version
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Updated contact object or null if not found or version changed
  */
-async function update(id, contact) {
+async function update(id, contact, expectedVersion, client) {
+  // A full update without email or phone clears the primary entry
+  const data = { email: null, phone: null, ...contact };
+  
+  try {
+    return await inTransaction(client, async (transactionClient) => {
+      const methods = await resolveStoredContactMethods(id, data, transactionClient);
+      // A full update without company or organizationId unlinks the organization
+      const organizationId = await resolveOrganizationId(transactionClient, { company: null, ...contact });
+      const params = [
+        contact.firstName,
+        contact.lastName,
+        primaryValue(methods.emails, 'email'),
+        primaryValue(methods.phones, 'phone'),
+        organizationId || null,
+        contact.notes || null,
+        id,
+      ];
+      
+      let versionCondition = '';
+      if (expectedVersion !== undefined) {
+        params.push(expectedVersion);
+        versionCondition = ` AND version = $${params.length}`;
+      }
+      
+      // Custom field values are left alone unless the update carries them
+      let customFieldsAssignment = '';
+      if (contact.customFields !== undefined) {
+        params.push(JSON.stringify(normalizeCustomFields(contact.customFields)));
+        customFieldsAssignment = `\n            custom_fields = $${params.length},`;
+      }
+      
+      const sql = `
+        UPDATE contacts
+        SET first_name = $1,
+            last_name = $2,
+            email = $3,
+            phone = $4,
+            company = (SELECT name FROM organizations WHERE id = $5),
+            organization_id = $5,
+            notes = $6,${customFieldsAssignment}
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $7 AND deleted_at IS NULL${versionCondition}
+        RETURNING ${CONTACT_COLUMNS}
+      `;
+      
+      const result = await transactionClient.query(sql, params);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await writeContactMethods(transactionClient, id, methods);
+      await writeAddresses(transactionClient, id, methods.addresses);
+      await writeDates(transactionClient, id, methods.dates);
+      return { ...mapRowToContact(result.rows[0]), ...methods };
+    });
+  } catch (error) {
+    console.error('Error in update:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Partially update a contact, writing only the columns supplied
+ * @param {number} id - Contact ID
+ * @param {Object} changes - Fields to change; null or '' clears a field,
+ *   customFields holds the complete values to store, and company or
+ *   organizationId relinks the organization as in create()
+ * @param {number} [expectedVersion] - Only update if the row is still at this version
+ * @param {Object} [client] - Client with an open transaction (defaults to a new transaction)
+ * @returns {Promise<Object|null>} Updated contact object or null if not found or version changed
+ */
+async function patch(id, changes, expectedVersion, client) {
+  try {
+    return await inTransaction(client, async (transactionClient) => {
+      const methods = await resolveStoredContactMethods(id, changes, transactionClient);
+      
+      // Changed lists are written to their tables; the columns mirror the primary entries
+      const columnChanges = { ...changes };
+      if (methods.emails) {
+        columnChanges.email = primaryValue(methods.emails, 'email');
+      }
+      if (methods.phones) {
+        columnChanges.phone = primaryValue(methods.phones, 'phone');
+      }
+      if (changes.customFields !== undefined) {
+        columnChanges.customFields = JSON.stringify(normalizeCustomFields(changes.customFields));
+      }
+      const organizationId = await resolveOrganizationId(transactionClient, changes);
+      if (organizationId !== undefined) {
+        columnChanges.organizationId = organizationId;
+      }
+      
+      const fields = Object.keys(columnChanges).filter((field) => PATCHABLE_COLUMNS[field]);
+      
+      // An empty patch changes nothing; return the contact as it is if still at the expected version
+      if (fields.length === 0 && !methods.addresses && !methods.dates) {
+        const contact = await findById(id, transactionClient);
+        return contact && (expectedVersion === undefined || contact.version === expectedVersion) ? contact : null;
+      }
+      
+      // A patch of only addresses or dates still bumps updated_at and the version
+      const assignments = fields.map((field, i) => `${PATCHABLE_COLUMNS[field]} = $${i + 1}`);
+      if (fields.includes('organizationId')) {
+        assignments.push(`company = (SELECT name FROM organizations WHERE id = $${fields.indexOf('organizationId') + 1})`);
+      }
+      assignments.push('updated_at = CURRENT_TIMESTAMP');
+      const params = [...fields.map((field) => columnChanges[field] || null), id];
+      
+      let versionCondition = '';
+      if (expectedVersion !== undefined) {
+        params.push(expectedVersion);
+        versionCondition = ` AND version = $${params.length}`;
+      }
+      
+      const sql = `
+        UPDATE contacts
+        SET ${assignments.join(',\n            ')}
+        WHERE id = $${fields.length + 1} AND deleted_at IS NULL${versionCondition}
+        RETURNING ${CONTACT_COLUMNS}
+      `;
+      
+      const result = await transactionClient.query(sql, params);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await writeContactMethods(transactionClient, id, methods);
+      await writeAddresses(transactionClient, id, methods.addresses);
+      await writeDates(transactionClient, id, methods.dates);
+      return { ...mapRowToContact(result.rows[0]), ...methods };
+    });
+  } catch (error) {
+    console.error('Error in patch:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Work out the email, phone, address and date lists to store when updating a contact
+ * The stored lists are only read when a scalar email or phone has to be
+ * merged into them.
+ * @param {number} id - Contact ID
+ * @param {Object} data - Contact data being written
+ * @param {Object} transactionClient - Client with an open transaction
+ * @returns {Promise<Object>} { emails, phones, addresses, dates }, each undefined when unchanged
+ */
+async function resolveStoredContactMethods(id, data, client) {
+  const mergesScalar = (data.emails === undefined && data.email !== undefined) ||
+    (data.phones === undefined && data.phone !== undefined);
+  const current = mergesScalar ? await findById(id, client) : null;
+  return { ...resolveContactMethods(data, current || {}), ...resolveAddresses(data), ...resolveDates(data) };
+}
+
+/**
+ * Move a contact to the trash (soft delete)
+ * @param {number} id - Contact ID
+ * @param {number} [expectedVersion] - Only delete if the row is still at this version
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<boolean>} True if deleted, false if not found or version changed
+ */
+async function deleteContact(id, expectedVersion, client) {
+  const params = [id];
+  
+  let versionCondition = '';
+  if (expectedVersion !== undefined) {
+    params.push(expectedVersion);
+    versionCondition = ' AND version = $2';
+  }
+  
+  // Relationships stay: readers skip trashed contacts, and a purge cascades to them
   const sql = `
     UPDATE contacts
-    SET first_name = $1,
-        last_name = $2,
-        email = $3,
-        phone = $4,
-        company = $5,
-        notes = $6,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE id = $7
-    RETURNING id, first_name, last_name, email, phone, company, notes, created_at, updated_at
+    SET deleted_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND deleted_at IS NULL${versionCondition}
   `;
   
-  const params = [
-    contact.firstName,
-    contact.lastName,
-    contact.email || null,
-    contact.phone || null,
-    contact.company || null,
-    contact.notes || null,
-    id,
+  try {
+    const result = await run(client, sql, params);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find one page of contacts in the trash, most recently deleted first
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit] - Maximum number of contacts to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ */
+async function findDeletedPage({ limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const keys = [
+    { expression: 'deleted_at', direction: 'desc', type: 'timestamp' },
+    { expression: 'id', direction: 'desc', type: 'integer' },
+  ];
+  
+  const params = [];
+  const conditions = ['deleted_at IS NOT NULL'];
+  
+  if (cursor) {
+    const [cursorScope, ...values] = decodeCursor(cursor, keys.length + 1);
+    if (cursorScope !== 'trash') {
+      const error = new Error('Cursor does not match the requested sort order');
+      error.statusCode = 400;
+      throw error;
+    }
+    const keyset = buildKeysetCondition(keys, values, 1);
+    conditions.push(keyset.sql);
+    params.push(...keyset.params);
+  }
+  
+  // Fetch one extra row to find out whether another page exists
+  params.push(limit + 1);
+  
+  const sql = `
+    SELECT ${CONTACT_COLUMNS},
+           deleted_at, deleted_at::text AS deleted_at_key
+    FROM contacts
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY deleted_at DESC, id DESC
+    LIMIT $${params.length}
+  `;
+  
+  try {
+    const result = await query(sql, params);
+    const hasMore = result.rows.length > limit;
+    const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+    const lastRow = rows[rows.length - 1];
+    
+    return {
+      data: rows.map((row) => ({ ...mapRowToContact(row), deletedAt: row.deleted_at })),
+      nextCursor: hasMore ? encodeCursor(['trash', lastRow.deleted_at_key, String(lastRow.id)]) : null,
+      hasMore,
+    };
+  } catch (error) {
+    console.error('Error in findDeletedPage:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find one page of a group's members in group order
+ * Members in the trash are left out.
+ * @param {number} groupId - Group ID
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit] - Maximum number of contacts to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ */
+async function findGroupPage(groupId, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const keys = [
+    { expression: 'm.position', direction: 'asc', type: 'integer' },
+    { expression: 'contacts.id', direction: 'asc', type: 'integer' },
   ];
+  const scope = `group:${groupId}`;
+  
+  const params = [groupId];
+  const conditions = ['m.group_id = $1', 'contacts.deleted_at IS NULL'];
+  
+  if (cursor) {
+    const [cursorScope, ...values] = decodeCursor(cursor, keys.length + 1);
+    if (cursorScope !== scope) {
+      const error = new Error('Cursor does not belong to this group');
+      error.statusCode = 400;
+      throw error;
+    }
+    const keyset = buildKeysetCondition(keys, values, params.length + 1);
+    conditions.push(keyset.sql);
+    params.push(...keyset.params);
+  }
+  
+  // Fetch one extra row to find out whether another page exists
+  params.push(limit + 1);
+  
+  const sql = `
+    SELECT ${CONTACT_COLUMNS},
+           m.position
+    FROM contacts
+    JOIN contact_group_members m ON m.contact_id = contacts.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY m.position, contacts.id
+    LIMIT $${params.length}
+  `;
   
   try {
     const result = await query(sql, params);
-    return result.rows.length > 0 ? mapRowToContact(result.rows[0]) : null;
+    const hasMore = result.rows.length > limit;
+    const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+    const lastRow = rows[rows.length - 1];
+    
+    return {
+      data: rows.map((row) => ({ ...mapRowToContact(row), position: row.position })),
+      nextCursor: hasMore ? encodeCursor([scope, String(lastRow.position), String(lastRow.id)]) : null,
+      hasMore,
+    };
   } catch (error) {
-    console.error('Error in update:', error.message);
+    console.error('Error in findGroupPage:', error.message);
     throw error;
   }
 }
 
 /**
- * Delete a contact
- * @param {number} id - Contact ID
- * @returns {Promise<boolean>} True if deleted, false if not found
+ * Find pairs of live contacts that are likely duplicates
+ * A pair shares a normalized email address, shares normalized phone digits or
+ * has full names at least NAME_SIMILARITY_THRESHOLD similar. Each pair is
+ * returned once, with the lower ID first.
+ * @returns {Promise<Array<Object>>} Pairs ({ contactIds, emails, phones, nameSimilarity })
  */
-async function deleteContact(id) {
+async function findDuplicatePairs() {
   const sql = `
-    DELETE FROM contacts
-    WHERE id = $1
+    WITH live_emails AS (
+      SELECT DISTINCT e.contact_id, normalize_email(e.email) AS value
+      FROM contact_emails e JOIN contacts c ON c.id = e.contact_id
+      WHERE c.deleted_at IS NULL AND normalize_email(e.email) IS NOT NULL
+    ),
+    live_phones AS (
+      SELECT DISTINCT p.contact_id, normalize_phone(p.phone) AS value
+      FROM contact_phones p JOIN contacts c ON c.id = p.contact_id
+      WHERE c.deleted_at IS NULL AND normalize_phone(p.phone) IS NOT NULL
+    ),
+    pairs AS (
+      SELECT a.contact_id, b.contact_id AS other_contact_id, a.value AS email, NULL::text AS phone
+      FROM live_emails a JOIN live_emails b ON b.value = a.value AND b.contact_id > a.contact_id
+      UNION ALL
+      SELECT a.contact_id, b.contact_id, NULL, a.value
+      FROM live_phones a JOIN live_phones b ON b.value = a.value AND b.contact_id > a.contact_id
+      UNION ALL
+      SELECT a.id, b.id, NULL, NULL
+      FROM contacts a JOIN contacts b
+        ON b.id > a.id
+       AND (b.first_name || ' ' || b.last_name) % (a.first_name || ' ' || a.last_name)
+      WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL
+        AND similarity(a.first_name || ' ' || a.last_name, b.first_name || ' ' || b.last_name) >= $1
+    )
+    SELECT pairs.contact_id, pairs.other_contact_id,
+           array_remove(array_agg(DISTINCT pairs.email), NULL) AS emails,
+           array_remove(array_agg(DISTINCT pairs.phone), NULL) AS phones,
+           similarity(a.first_name || ' ' || a.last_name, b.first_name || ' ' || b.last_name) AS name_similarity
+    FROM pairs
+    JOIN contacts a ON a.id = pairs.contact_id
+    JOIN contacts b ON b.id = pairs.other_contact_id
+    GROUP BY pairs.contact_id, pairs.other_contact_id, a.first_name, a.last_name, b.first_name, b.last_name
+    ORDER BY pairs.contact_id, pairs.other_contact_id
+  `;
+
+  try {
+    const result = await query(sql, [NAME_SIMILARITY_THRESHOLD]);
+    return result.rows.map((row) => ({
+      contactIds: [row.contact_id, row.other_contact_id],
+      emails: row.emails,
+      phones: row.phones,
+      nameSimilarity: row.name_similarity,
+    }));
+  } catch (error) {
+    console.error('Error in findDuplicatePairs:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find live contacts that a draft contact would likely duplicate
+ * @param {Object} draft - Draft contact ({ firstName, lastName, emails, phones })
+ * @param {Array<string>} [draft.emails] - Email addresses of the draft
+ * @param {Array<string>} [draft.phones] - Phone numbers of the draft
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.limit] - Maximum number of candidates to return
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Array<Object>>} Candidates ({ contact, emails, phones, nameSimilarity }),
+ *   where emails and phones are the normalized values shared with the draft
+ */
+async function findDuplicateCandidates(draft, { limit = DEFAULT_PAGE_SIZE } = {}, client) {
+  const sql = `
+    WITH draft_emails AS (
+      SELECT DISTINCT normalize_email(value) AS value FROM unnest($1::text[]) AS value
+    ),
+    draft_phones AS (
+      SELECT DISTINCT normalize_phone(value) AS value FROM unnest($2::text[]) AS value
+    ),
+    email_matches AS (
+      SELECT e.contact_id, array_agg(DISTINCT d.value) AS matched_emails
+      FROM contact_emails e JOIN draft_emails d ON normalize_email(e.email) = d.value
+      GROUP BY e.contact_id
+    ),
+    phone_matches AS (
+      SELECT p.contact_id, array_agg(DISTINCT d.value) AS matched_phones
+      FROM contact_phones p JOIN draft_phones d ON normalize_phone(p.phone) = d.value
+      GROUP BY p.contact_id
+    ),
+    name_matches AS (
+      SELECT id AS contact_id
+      FROM contacts
+      WHERE deleted_at IS NULL
+        AND (first_name || ' ' || last_name) % $3
+        AND similarity(first_name || ' ' || last_name, $3) >= $4
+    ),
+    candidates AS (
+      SELECT contact_id FROM email_matches
+      UNION SELECT contact_id FROM phone_matches
+      UNION SELECT contact_id FROM name_matches
+    )
+    SELECT ${CONTACT_COLUMNS},
+           COALESCE(em.matched_emails, '{}') AS matched_emails,
+           COALESCE(pm.matched_phones, '{}') AS matched_phones,
+           similarity(first_name || ' ' || last_name, $3) AS name_similarity
+    FROM contacts
+    JOIN candidates ON candidates.contact_id = contacts.id
+    LEFT JOIN email_matches em ON em.contact_id = contacts.id
+    LEFT JOIN phone_matches pm ON pm.contact_id = contacts.id
+    WHERE deleted_at IS NULL
+    ORDER BY cardinality(em.matched_emails) DESC NULLS LAST,
+             cardinality(pm.matched_phones) DESC NULLS LAST,
+             name_similarity DESC, id
+    LIMIT $5
+  `;
+
+  const fullName = `${draft.firstName || ''} ${draft.lastName || ''}`.trim();
+  const params = [draft.emails || [], draft.phones || [], fullName, NAME_SIMILARITY_THRESHOLD, limit];
+
+  try {
+    const result = await run(client, sql, params);
+    return result.rows.map((row) => ({
+      contact: mapRowToContact(row),
+      emails: row.matched_emails,
+      phones: row.matched_phones,
+      nameSimilarity: row.name_similarity,
+    }));
+  } catch (error) {
+    console.error('Error in findDuplicateCandidates:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find live contacts by ID
+ * @param {Array<number>} ids - Contact IDs
+ * @returns {Promise<Array>} Contact objects ordered by ID; unknown and deleted IDs are left out
+ */
+async function findByIds(ids) {
+  const sql = `
+    SELECT ${CONTACT_COLUMNS}
+    FROM contacts
+    WHERE id = ANY($1::int[]) AND deleted_at IS NULL
+    ORDER BY id
   `;
+
+  try {
+    const result = await query(sql, [ids]);
+    return result.rows.map(mapRowToContact);
+  } catch (error) {
+    console.error('Error in findByIds:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find which of the given IDs do not belong to a live contact
+ * @param {Array<number>} ids - Contact IDs
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<Array<number>>} IDs that are unknown or in the trash, in input order
+ */
+async function findMissingIds(ids, client) {
+  const sql = `
+    SELECT input.id
+    FROM unnest($1::int[]) WITH ORDINALITY AS input(id, ordinality)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM contacts WHERE contacts.id = input.id AND contacts.deleted_at IS NULL
+    )
+    ORDER BY input.ordinality
+  `;
+  
+  try {
+    const result = await run(client, sql, [ids]);
+    return result.rows.map((row) => row.id);
+  } catch (error) {
+    console.error('Error in findMissingIds:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a contact exists, live or in the trash
+ * @param {number} id - Contact ID
+ * @returns {Promise<boolean>} True unless the contact never existed or was purged
+ */
+async function existsIncludingTrash(id) {
+  const sql = 'SELECT 1 FROM contacts WHERE id = $1';
   
   try {
     const result = await query(sql, [id]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error in existsIncludingTrash:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Mark a contact as changed without touching its fields
+ * Bumps updated_at and the version (via triggers) after a change to data kept
+ * outside the contacts table, such as its tags.
+ * @param {number} id - Contact ID
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<boolean>} True if the contact exists and was touched
+ */
+async function touch(id, client) {
+  const sql = `
+    UPDATE contacts
+    SET updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND deleted_at IS NULL
+  `;
+  
+  try {
+    const result = await run(client, sql, [id]);
     return result.rowCount > 0;
   } catch (error) {
-    console.error('Error in delete:', error.message);
+    console.error('Error in touch:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Restore a contact from the trash
+ * @param {number} id - Contact ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Restored contact object or null if not in the trash
+ */
+async function restore(id, client) {
+  const sql = `
+    UPDATE contacts
+    SET deleted_at = NULL
+    WHERE id = $1 AND deleted_at IS NOT NULL
+    RETURNING ${CONTACT_COLUMNS}
+  `;
+  
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rows.length > 0 ? mapRowToContact(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in restore:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Permanently remove contacts that have been in the trash longer than the retention period
+ * @param {number} retentionDays - Days a contact stays in the trash before it is purged
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<number>} Number of contacts purged
+ */
+async function purgeDeleted(retentionDays, client) {
+  const sql = `
+    DELETE FROM contacts
+    WHERE deleted_at IS NOT NULL
+      AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+  `;
+  
+  try {
+    const result = await run(client, sql, [retentionDays]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error in purgeDeleted:', error.message);
     throw error;
   }
 }
 
 module.exports = {
   findAll,
+  findPage,
+  streamAll,
+  search,
   findById,
   create,
   update,
+  patch,
   delete: deleteContact,
+  findGroupPage,
+  findDuplicatePairs,
+  findDuplicateCandidates,
+  findByIds,
+  findMissingIds,
+  existsIncludingTrash,
+  touch,
+  findDeletedPage,
+  restore,
+  purgeDeleted,
 };
@@ -1,13 +1,23 @@
 const contactRepository = require('./contactRepository');
 const database = require('../config/database');
+const { DEFAULT_PAGE_SIZE, encodeCursor, decodeCursor } = require('../utils/pagination');
 
 // Mock the database module
 jest.mock('../config/database');
 
+// Find the first statement sent to the mocked pool that contains the fragment
+function findStatement(fragment) {
+  return database.query.mock.calls.find(([sql]) => sql.includes(fragment));
+}
+
 describe('Contact Repository', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    // Run statements on the transaction client, or on the mocked pool query
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+    // Run transactional writes on the mocked pool query
+    database.withTransaction.mockImplementation((callback) => callback({ query: database.query }));
   });
 
   describe('findAll', () => {
@@ -54,6 +64,13 @@ describe('Contact Repository', () => {
         notes: 'Test note',
         createdAt: new Date('2025-01-01'),
         updatedAt: new Date('2025-01-02'),
+        tags: [],
+        emails: [],
+        phones: [],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
       });
       expect(result[1]).toEqual({
         id: 2,
@@ -65,6 +82,13 @@ describe('Contact Repository', () => {
         notes: null,
         createdAt: new Date('2025-01-03'),
         updatedAt: new Date('2025-01-04'),
+        tags: [],
+        emails: [],
+        phones: [],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
       });
       expect(database.query).toHaveBeenCalledTimes(1);
       expect(database.query).toHaveBeenCalledWith(
@@ -135,6 +159,13 @@ describe('Contact Repository', () => {
         notes: 'Test note',
         createdAt: new Date('2025-01-01'),
         updatedAt: new Date('2025-01-02'),
+        tags: [],
+        emails: [],
+        phones: [],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
       });
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('WHERE id = $1'),
@@ -186,9 +217,28 @@ describe('Contact Repository', () => {
         notes: null,
         createdAt: new Date('2025-01-01'),
         updatedAt: new Date('2025-01-02'),
+        tags: [],
+        emails: [],
+        phones: [],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
       });
     });
 
+    it('should give a contact with a photo its photo URL', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ id: 7, first_name: 'Dana', last_name: 'Lee', has_photo: true }] });
+
+      // Act
+      const result = await contactRepository.findById(7);
+
+      // Assert
+      expect(result.photoUrl).toBe('/api/contacts/7/photo');
+      expect(database.query.mock.calls[0][0]).toContain('FROM contact_photos ph WHERE ph.contact_id = contacts.id');
+    });
+
     it('should throw error when database query fails', async () => {
       // Arrange
       const dbError = new Error('Database error');
@@ -217,11 +267,13 @@ describe('Contact Repository', () => {
         email: 'john@example.com',
         phone: '+1-555-0123',
         company: 'Acme Corp',
+        organization_id: 7,
         notes: 'Test note',
         created_at: new Date('2025-01-01'),
         updated_at: new Date('2025-01-01'),
       };
-      database.query.mockResolvedValue({ rows: [mockRow] });
+      database.query.mockImplementation(async (sql) =>
+        (sql.includes('INTO organizations') ? { rows: [{ id: 7 }] } : { rows: [mockRow] }));
 
       // Act
       const result = await contactRepository.create(contactData);
@@ -234,14 +286,44 @@ describe('Contact Repository', () => {
         email: 'john@example.com',
         phone: '+1-555-0123',
         company: 'Acme Corp',
+        organizationId: 7,
         notes: 'Test note',
         createdAt: new Date('2025-01-01'),
         updatedAt: new Date('2025-01-01'),
+        tags: [],
+        emails: [{ email: 'john@example.com', type: 'other', primary: true }],
+        phones: [{ phone: '+1-555-0123', type: 'other', primary: true }],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
       });
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO contacts'),
-        ['John', 'Doe', 'john@example.com', '+1-555-0123', 'Acme Corp', 'Test note']
+        ['John', 'Doe', 'john@example.com', '+1-555-0123', 7, 'Test note', '{}']
       );
+      expect(findStatement('INTO organizations')[1]).toEqual(['Acme Corp']);
+      expect(findStatement('INSERT INTO contact_emails')[1]).toEqual([1, ['john@example.com'], ['other'], [true]]);
+    });
+
+    it('should link the given organization without looking up the company', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ id: 3, organization_id: 4, company: 'Acme' }] });
+
+      // Act
+      const result = await contactRepository.create({
+        firstName: 'Jane',
+        lastName: 'Smith',
+        company: 'Other',
+        organizationId: 4,
+      });
+
+      // Assert
+      expect(result.organizationId).toBe(4);
+      expect(findStatement('INTO organizations')).toBeUndefined();
+      const [sql, params] = findStatement('INSERT INTO contacts');
+      expect(sql).toContain('(SELECT name FROM organizations WHERE id = $5), $5');
+      expect(params[4]).toBe(4);
     });
 
     it('should create contact with only required fields', async () => {
@@ -277,10 +359,17 @@ describe('Contact Repository', () => {
         notes: null,
         createdAt: new Date('2025-01-01'),
         updatedAt: new Date('2025-01-01'),
+        tags: [],
+        emails: [],
+        phones: [],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
       });
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO contacts'),
-        ['Jane', 'Smith', null, null, null, null]
+        ['Jane', 'Smith', null, null, null, null, '{}']
       );
     });
 
@@ -313,7 +402,7 @@ describe('Contact Repository', () => {
       // Assert
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO contacts'),
-        ['John', 'Doe', null, null, null, null]
+        ['John', 'Doe', null, null, null, null, '{}']
       );
     });
 
@@ -362,11 +451,13 @@ describe('Contact Repository', () => {
         email: 'john.updated@example.com',
         phone: '+1-555-9999',
         company: 'New Corp',
+        organization_id: 3,
         notes: 'Updated note',
         created_at: new Date('2025-01-01'),
         updated_at: new Date('2025-01-02'),
       };
-      database.query.mockResolvedValue({ rows: [mockRow] });
+      database.query.mockImplementation(async (sql) =>
+        (sql.includes('INTO organizations') ? { rows: [{ id: 3 }] } : { rows: [mockRow] }));
 
       // Act
       const result = await contactRepository.update(1, contactData);
@@ -379,14 +470,23 @@ describe('Contact Repository', () => {
         email: 'john.updated@example.com',
         phone: '+1-555-9999',
         company: 'New Corp',
+        organizationId: 3,
         notes: 'Updated note',
         createdAt: new Date('2025-01-01'),
         updatedAt: new Date('2025-01-02'),
+        tags: [],
+        emails: [{ email: 'john.updated@example.com', type: 'other', primary: true }],
+        phones: [{ phone: '+1-555-9999', type: 'other', primary: true }],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
       });
       expect(database.query).toHaveBeenCalledWith(
         expect.stringContaining('UPDATE contacts'),
-        ['John', 'Doe', 'john.updated@example.com', '+1-555-9999', 'New Corp', 'Updated note', 1]
+        ['John', 'Doe', 'john.updated@example.com', '+1-555-9999', 3, 'Updated note', 1]
       );
+      expect(findStatement('INTO organizations')[1]).toEqual(['New Corp']);
     });
 
     it('should return null when contact not found', async () => {
@@ -469,7 +569,7 @@ describe('Contact Repository', () => {
   });
 
   describe('delete', () => {
-    it('should delete contact and return true when found', async () => {
+    it('should move contact to the trash and return true when found', async () => {
       // Arrange
       database.query.mockResolvedValue({ rowCount: 1 });
 
@@ -479,11 +579,25 @@ describe('Contact Repository', () => {
       // Assert
       expect(result).toBe(true);
       expect(database.query).toHaveBeenCalledWith(
-        expect.stringContaining('DELETE FROM contacts'),
+        expect.stringContaining('SET deleted_at = CURRENT_TIMESTAMP'),
         [1]
       );
     });
 
+    it('should keep the relationships of the trashed contact for a restore', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 1 });
+
+      // Act
+      await contactRepository.delete(1, 3);
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).not.toContain('contact_relationships');
+      expect(sql).toContain('AND version = $2');
+      expect(params).toEqual([1, 3]);
+    });
+
     it('should return false when contact not found', async () => {
       // Arrange
       database.query.mockResolvedValue({ rowCount: 0 });
@@ -669,4 +783,1334 @@ describe('Contact Repository', () => {
       await expect(contactRepository.delete(1)).rejects.toThrow('Transaction rollback');
     });
   });
+
+  describe('findPage', () => {
+    // Rows carry the default sort keys (lastName, firstName, id) as text
+    const makeRow = (id, firstName, lastName) => ({
+      id,
+      first_name: firstName,
+      last_name: lastName,
+      email: null,
+      phone: null,
+      company: null,
+      notes: null,
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-01'),
+      sort_key_0: lastName,
+      sort_key_1: firstName,
+      sort_key_2: String(id),
+    });
+
+    it('should return the first page ordered by name and id', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [makeRow(1, 'John', 'Doe'), makeRow(2, 'Jane', 'Smith')],
+      });
+
+      // Act
+      const result = await contactRepository.findPage({ limit: 10 });
+
+      // Assert
+      expect(result.data).toHaveLength(2);
+      expect(result.data[0]).toEqual({
+        id: 1,
+        firstName: 'John',
+        lastName: 'Doe',
+        email: null,
+        phone: null,
+        company: null,
+        notes: null,
+        createdAt: new Date('2025-01-01'),
+        updatedAt: new Date('2025-01-01'),
+        tags: [],
+        emails: [],
+        phones: [],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
+      });
+      expect(result.hasMore).toBe(false);
+      expect(result.nextCursor).toBeNull();
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('ORDER BY last_name ASC, first_name ASC, id ASC'),
+        [11]
+      );
+      expect(database.query.mock.calls[0][0]).toContain('WHERE deleted_at IS NULL\n');
+    });
+
+    it('should use the default page size when no limit is given', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await contactRepository.findPage();
+
+      // Assert
+      expect(result).toEqual({ data: [], nextCursor: null, hasMore: false });
+      expect(database.query).toHaveBeenCalledWith(expect.any(String), [DEFAULT_PAGE_SIZE + 1]);
+    });
+
+    it('should report hasMore and a cursor for the last returned row', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [makeRow(1, 'John', 'Doe'), makeRow(3, 'Ann', 'Lee'), makeRow(2, 'Jane', 'Smith')],
+      });
+
+      // Act
+      const result = await contactRepository.findPage({ limit: 2 });
+
+      // Assert
+      expect(result.data).toHaveLength(2);
+      expect(result.hasMore).toBe(true);
+      expect(decodeCursor(result.nextCursor)).toEqual(['lastName,firstName', 'Lee', 'Ann', '3']);
+    });
+
+    it('should continue after the cursor position', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [makeRow(2, 'Jane', 'Smith')] });
+      const cursor = encodeCursor(['lastName,firstName', 'Lee', 'Ann', '3']);
+
+      // Act
+      const result = await contactRepository.findPage({ limit: 2, cursor });
+
+      // Assert
+      expect(result.data).toHaveLength(1);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('WHERE deleted_at IS NULL AND ((last_name > $1) OR (last_name = $1 AND first_name > $2)');
+      expect(sql).toContain('(last_name = $1 AND first_name = $2 AND id > $3))');
+      expect(params).toEqual(['Lee', 'Ann', '3', 3]);
+    });
+
+    it('should reject a cursor with the wrong shape without querying', async () => {
+      // Act & Assert
+      await expect(
+        contactRepository.findPage({ cursor: encodeCursor([1]) })
+      ).rejects.toThrow('Invalid cursor');
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject cursor values that do not match the sort key types', async () => {
+      // Arrange
+      const cursors = [
+        encodeCursor(['lastName,firstName', { $gt: '' }, 'Ann', '3']),
+        encodeCursor(['lastName,firstName', 'Lee', ['Ann'], '3']),
+        encodeCursor(['lastName,firstName', 'Lee', 'Ann', 'abc']),
+        encodeCursor(['-updatedAt', 'yesterday', '7']),
+      ];
+
+      // Act & Assert
+      await expect(contactRepository.findPage({ cursor: cursors[0] }))
+        .rejects.toMatchObject({ message: 'Invalid cursor', statusCode: 400 });
+      await expect(contactRepository.findPage({ cursor: cursors[1] })).rejects.toThrow('Invalid cursor');
+      await expect(contactRepository.findPage({ cursor: cursors[2] })).rejects.toThrow('Invalid cursor');
+      await expect(
+        contactRepository.findPage({ cursor: cursors[3], sort: [{ field: 'updatedAt', direction: 'desc' }] })
+      ).rejects.toThrow('Invalid cursor');
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject a cursor issued for a different sort order', async () => {
+      // Arrange
+      const cursor = encodeCursor(['lastName,firstName', 'Lee', 'Ann', '3']);
+
+      // Act & Assert
+      await expect(
+        contactRepository.findPage({
+          cursor,
+          sort: [{ field: 'updatedAt', direction: 'desc' }, { field: 'lastName', direction: 'asc' }],
+        })
+      ).rejects.toMatchObject({
+        message: 'Cursor does not match the requested sort order',
+        statusCode: 400,
+      });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('should order by the requested sort keys with id as tie-breaker', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.findPage({
+        sort: [{ field: 'updatedAt', direction: 'desc' }, { field: 'company', direction: 'asc' }],
+      });
+
+      // Assert
+      const [sql] = database.query.mock.calls[0];
+      expect(sql).toContain(
+        "ORDER BY COALESCE(updated_at, '-infinity'::timestamp) DESC, COALESCE(company, '') ASC, id ASC"
+      );
+      expect(sql).toContain("(COALESCE(updated_at, '-infinity'::timestamp))::text AS sort_key_0");
+    });
+
+    it('should sort by the time of the most recent interaction', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [{ id: 3, first_name: 'Ann', last_name: 'Lee', last_contacted_at: new Date('2026-03-02T15:00:00Z') }],
+      });
+
+      // Act
+      const result = await contactRepository.findPage({ sort: [{ field: 'lastContactedAt', direction: 'desc' }] });
+
+      // Assert
+      const [sql] = database.query.mock.calls[0];
+      expect(sql).toContain('SELECT max(i.occurred_at) FROM contact_interactions i WHERE i.contact_id = contacts.id');
+      expect(sql).toMatch(/ORDER BY COALESCE\(\(\s+SELECT max\(i\.occurred_at\)[^)]*\), '-infinity'::timestamp\) DESC, id ASC/);
+      expect(result.data[0].lastContactedAt).toEqual(new Date('2026-03-02T15:00:00Z'));
+    });
+
+    it('should flip the keyset comparison for descending keys', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+      const cursor = encodeCursor(['-updatedAt', '2025-01-01 10:00:00.123456', '7']);
+
+      // Act
+      await contactRepository.findPage({
+        cursor,
+        sort: [{ field: 'updatedAt', direction: 'desc' }],
+      });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain("(COALESCE(updated_at, '-infinity'::timestamp) < $1)");
+      expect(sql).toContain("(COALESCE(updated_at, '-infinity'::timestamp) = $1 AND id > $2)");
+      expect(params).toEqual(['2025-01-01 10:00:00.123456', '7', DEFAULT_PAGE_SIZE + 1]);
+    });
+
+    it('should sort and flag the contacts the user starred', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...makeRow(1, 'John', 'Doe'), starred: true }] });
+      const cursor = encodeCursor(['-starred', 'true', '7']);
+
+      // Act
+      const result = await contactRepository.findPage({
+        cursor,
+        filters: { company: 'Acme' },
+        sort: [{ field: 'starred', direction: 'desc' }],
+        user: 'dana@example.com',
+      });
+
+      // Assert
+      expect(result.data[0].starred).toBe(true);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('s.contact_id = contacts.id AND s.user_name = $1');
+      expect(sql).toContain('lower(company) = lower($2)');
+      expect(sql).toMatch(/EXISTS \([^)]*\) < \$3/);
+      expect(params).toEqual(['dana@example.com', 'Acme', 'true', '7', DEFAULT_PAGE_SIZE + 1]);
+    });
+
+    it('should treat no contact as starred without a user', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.findPage({ sort: [{ field: 'starred', direction: 'desc' }] });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('false AS starred');
+      expect(sql).toContain('ORDER BY false DESC, id ASC');
+      expect(params).toEqual([DEFAULT_PAGE_SIZE + 1]);
+    });
+
+    it('should build parameterized conditions for filters', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.findPage({
+        limit: 5,
+        filters: {
+          company: "Acme'; DROP TABLE contacts; --",
+          hasEmail: true,
+          hasPhone: false,
+          createdAfter: '2025-01-01',
+          updatedBefore: '2025-06-30T00:00:00Z',
+        },
+      });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('lower(company) = lower($1)');
+      expect(sql).toContain("COALESCE(email, '') <> ''");
+      expect(sql).toContain("COALESCE(phone, '') = ''");
+      expect(sql).toContain('created_at > $2');
+      expect(sql).toContain('updated_at < $3');
+      expect(sql).not.toContain('DROP TABLE');
+      expect(params).toEqual([
+        "Acme'; DROP TABLE contacts; --",
+        '2025-01-01',
+        '2025-06-30T00:00:00Z',
+        6,
+      ]);
+    });
+
+    it('should number cursor placeholders after filter placeholders', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+      const cursor = encodeCursor(['lastName,firstName', 'Lee', 'Ann', '3']);
+
+      // Act
+      await contactRepository.findPage({ cursor, filters: { company: 'Acme' } });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('lower(company) = lower($1) AND ((last_name > $2)');
+      expect(sql).toContain('LIMIT $5');
+      expect(params).toEqual(['Acme', 'Lee', 'Ann', '3', DEFAULT_PAGE_SIZE + 1]);
+    });
+
+    it('should filter by organization', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.findPage({ filters: { organizationId: 4 } });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('organization_id = $1');
+      expect(params).toEqual([4, DEFAULT_PAGE_SIZE + 1]);
+    });
+
+    it('should throw error when database query fails', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('Database error'));
+
+      // Act & Assert
+      await expect(contactRepository.findPage()).rejects.toThrow('Database error');
+    });
+  });
+
+  describe('search', () => {
+    const mockRow = {
+      id: 1,
+      first_name: 'John',
+      last_name: 'Doe',
+      email: 'john@example.com',
+      phone: '+1-555-0123',
+      company: 'Acme Corp',
+      notes: 'Likes <b>bold</b> & tea',
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-02'),
+      rank: 0.75,
+      snippet: '\u0002John\u0003 Doe john@example.com Likes <b>bold</b> & tea',
+    };
+
+    it('should return ranked results with contact, rank and snippet', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await contactRepository.search('john');
+
+      // Assert
+      expect(result).toHaveLength(1);
+      expect(result[0].contact).toEqual({
+        id: 1,
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john@example.com',
+        phone: '+1-555-0123',
+        company: 'Acme Corp',
+        notes: 'Likes <b>bold</b> & tea',
+        createdAt: new Date('2025-01-01'),
+        updatedAt: new Date('2025-01-02'),
+        tags: [],
+        emails: [],
+        phones: [],
+        addresses: [],
+        dates: [],
+        customFields: {},
+        photoUrl: null,
+      });
+      expect(result[0].rank).toBe(0.75);
+    });
+
+    it('should highlight matches and HTML-escape the rest of the snippet', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const [result] = await contactRepository.search('john');
+
+      // Assert
+      expect(result.snippet).toBe(
+        '<mark>John</mark> Doe john@example.com Likes &lt;b&gt;bold&lt;/b&gt; &amp; tea'
+      );
+    });
+
+    it('should query full-text and trigram indexes ordered by rank', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.search('Jo Acme', { limit: 5 });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('search_vector @@ q.ts_query');
+      expect(sql).toContain('$1 <% search_text');
+      expect(sql).toContain('ORDER BY rank DESC, last_name, first_name, id');
+      expect(params[0]).toBe('Jo Acme');
+      expect(params[1]).toBe('jo:* & acme:*');
+      expect(params[3]).toBe('%Jo Acme%');
+      expect(params[4]).toBe(5);
+    });
+
+    it('should strip tsquery operators from the search term', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.search("o'brien | !x & (y)");
+
+      // Assert
+      expect(database.query.mock.calls[0][1][1]).toBe('o:* & brien:* & x:* & y:*');
+    });
+
+    it('should escape LIKE wildcards in the search term', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.search('100%_off\\');
+
+      // Assert
+      expect(database.query.mock.calls[0][1][3]).toBe('%100\\%\\_off\\\\%');
+    });
+
+    it('should use the default limit when none is given', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.search('john');
+
+      // Assert
+      expect(database.query.mock.calls[0][1][4]).toBe(DEFAULT_PAGE_SIZE);
+    });
+
+    it('should throw error when database query fails', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('Database error'));
+
+      // Act & Assert
+      await expect(contactRepository.search('john')).rejects.toThrow('Database error');
+    });
+  });
+
+  describe('patch', () => {
+    const mockRow = {
+      id: 1,
+      first_name: 'John',
+      last_name: 'Doe',
+      email: 'john@example.com',
+      phone: '555-999-0000',
+      company: null,
+      notes: null,
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-05'),
+    };
+
+    it('should update only the supplied columns', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await contactRepository.patch(1, { phone: '555-999-0000' });
+
+      // Assert
+      expect(result.phone).toBe('555-999-0000');
+      const [sql, params] = findStatement('UPDATE contacts');
+      expect(sql).toContain('SET phone = $1');
+      expect(sql).toContain('WHERE id = $2');
+      expect(sql).not.toContain('first_name =');
+      expect(sql).not.toContain('email =');
+      expect(params).toEqual(['555-999-0000', 1]);
+    });
+
+    it('should write NULL for removed fields', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      await contactRepository.patch(1, { company: null, notes: '', email: 'john@example.com' });
+
+      // Assert
+      const [sql, params] = findStatement('UPDATE contacts');
+      expect(sql).toContain('notes = $1');
+      expect(sql).toContain('email = $2');
+      expect(sql).toContain('organization_id = $3');
+      expect(sql).toContain('company = (SELECT name FROM organizations WHERE id = $3)');
+      expect(params).toEqual([null, 'john@example.com', null, 1]);
+      expect(findStatement('INTO organizations')).toBeUndefined();
+    });
+
+    it('should link the organization matching a patched company name', async () => {
+      // Arrange
+      database.query.mockImplementation(async (sql) =>
+        (sql.includes('INTO organizations') ? { rows: [{ id: 5 }] } : { rows: [{ ...mockRow, organization_id: 5 }] }));
+
+      // Act
+      const result = await contactRepository.patch(1, { company: ' ACME Inc. ' });
+
+      // Assert
+      expect(result.organizationId).toBe(5);
+      expect(findStatement('INTO organizations')[1]).toEqual(['ACME Inc.']);
+      const [sql, params] = findStatement('UPDATE contacts');
+      expect(sql).toContain('SET organization_id = $1');
+      expect(sql).toContain('company = (SELECT name FROM organizations WHERE id = $1)');
+      expect(params).toEqual([5, 1]);
+    });
+
+    it('should store the complete custom field values without empty ones', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...mockRow, custom_fields: { seats: 8 } }] });
+
+      // Act
+      const result = await contactRepository.patch(1, { customFields: { seats: 8, tier: null } });
+
+      // Assert
+      expect(result.customFields).toEqual({ seats: 8 });
+      const [sql, params] = findStatement('UPDATE contacts');
+      expect(sql).toContain('SET custom_fields = $1');
+      expect(params).toEqual(['{"seats":8}', 1]);
+    });
+
+    it('should ignore fields that are not contact columns', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      await contactRepository.patch(1, { firstName: 'John', id: 99, createdAt: 'x' });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('SET first_name = $1');
+      expect(params).toEqual(['John', 1]);
+    });
+
+    it('should return the current contact for an empty patch', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await contactRepository.patch(1, {});
+
+      // Assert
+      expect(result.id).toBe(1);
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('WHERE id = $1'), [1]);
+      expect(database.query.mock.calls[0][0]).not.toContain('UPDATE');
+    });
+
+    it('should return null for an empty patch when the version has changed', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...mockRow, version: 4 }] });
+
+      // Act
+      const result = await contactRepository.patch(1, {}, 3);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(findStatement('UPDATE contacts')).toBeUndefined();
+    });
+
+    it('should return null when contact not found', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await contactRepository.patch(999, { phone: '555-999-0000' });
+
+      // Assert
+      expect(result).toBeNull();
+    });
+
+    it('should throw error when database query fails', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('Database error'));
+
+      // Act & Assert
+      await expect(contactRepository.patch(1, { phone: '1' })).rejects.toThrow('Database error');
+    });
+  });
+
+  describe('emails and phones', () => {
+    const storedRow = {
+      id: 1,
+      first_name: 'John',
+      last_name: 'Doe',
+      email: 'john@example.com',
+      phone: null,
+      company: null,
+      notes: null,
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-02'),
+      emails: [
+        { email: 'john@example.com', type: 'work', primary: true },
+        { email: 'john@home.example', type: 'home', primary: false },
+      ],
+      phones: null,
+    };
+
+    it('should map the email and phone lists', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      const result = await contactRepository.findById(1);
+
+      // Assert
+      expect(result.emails).toEqual(storedRow.emails);
+      expect(result.phones).toEqual([]);
+    });
+
+    it('should store a list and mirror its primary entry in the email column', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+      const emails = [
+        { email: 'a@example.com', type: 'home' },
+        { email: 'b@example.com', type: 'work', primary: true },
+      ];
+
+      // Act
+      const result = await contactRepository.create({ firstName: 'John', lastName: 'Doe', emails });
+
+      // Assert
+      expect(findStatement('INSERT INTO contacts')[1][2]).toBe('b@example.com');
+      expect(findStatement('INSERT INTO contact_emails')[1]).toEqual([
+        1, ['a@example.com', 'b@example.com'], ['home', 'work'], [false, true],
+      ]);
+      expect(findStatement('INTO contact_phones')).toBeUndefined();
+      expect(result.emails).toHaveLength(2);
+    });
+
+    it('should merge a scalar email into the stored list on patch', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      const result = await contactRepository.patch(1, { email: 'new@example.com' });
+
+      // Assert
+      expect(database.query.mock.calls[0][0]).toMatch(/^\s*SELECT/);
+      expect(findStatement('UPDATE contacts')[1]).toEqual(['new@example.com', 1]);
+      expect(findStatement('INSERT INTO contact_emails')[1]).toEqual([
+        1, ['new@example.com', 'john@home.example'], ['work', 'home'], [true, false],
+      ]);
+      expect(result.emails[0]).toEqual({ email: 'new@example.com', type: 'work', primary: true });
+    });
+
+    it('should not read the stored lists when a list is supplied', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      await contactRepository.patch(1, { phones: [{ phone: '555-0100', type: 'mobile' }] });
+
+      // Assert
+      expect(database.query.mock.calls[0][0]).toContain('UPDATE contacts');
+      expect(findStatement('UPDATE contacts')[1]).toEqual(['555-0100', 1]);
+      expect(findStatement('INSERT INTO contact_phones')[1]).toEqual([1, ['555-0100'], ['mobile'], [true]]);
+    });
+
+    it('should not write the lists when the version check fails', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await contactRepository.update(1, { firstName: 'John', lastName: 'Doe', emails: [] }, 3);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(findStatement('INTO contact_emails')).toBeUndefined();
+    });
+  });
+
+  describe('addresses', () => {
+    const storedRow = {
+      id: 1,
+      first_name: 'John',
+      last_name: 'Doe',
+      email: null,
+      phone: null,
+      company: null,
+      notes: null,
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-02'),
+      addresses: [{
+        type: 'home',
+        street: '1 Main St',
+        locality: 'Springfield',
+        region: 'IL',
+        postalCode: '62701',
+        country: 'US',
+        primary: true,
+      }],
+    };
+
+    it('should map the addresses', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      const result = await contactRepository.findById(1);
+
+      // Assert
+      expect(result.addresses).toEqual(storedRow.addresses);
+    });
+
+    it('should store the addresses of a new contact', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      const result = await contactRepository.create({
+        firstName: 'John',
+        lastName: 'Doe',
+        addresses: [{ street: '1 Main St', locality: 'Springfield', postalCode: '62701', country: 'us' }],
+      });
+
+      // Assert
+      expect(findStatement('INSERT INTO contact_addresses')[1]).toEqual([
+        1, ['other'], ['1 Main St'], ['Springfield'], [null], ['62701'], ['US'], [true],
+      ]);
+      expect(result.addresses[0].country).toBe('US');
+    });
+
+    it('should leave the stored addresses alone when the data has none', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      const result = await contactRepository.update(1, { firstName: 'John', lastName: 'Doe' });
+
+      // Assert
+      expect(findStatement('INTO contact_addresses')).toBeUndefined();
+      expect(result.addresses).toEqual(storedRow.addresses);
+    });
+
+    it('should bump the contact when a patch only changes addresses', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      await contactRepository.patch(1, { addresses: [] }, 2);
+
+      // Assert
+      const [sql, params] = findStatement('UPDATE contacts');
+      expect(sql).toContain('SET updated_at = CURRENT_TIMESTAMP');
+      expect(params).toEqual([1, 2]);
+      expect(findStatement('DELETE FROM contact_addresses')[1][0]).toBe(1);
+    });
+  });
+
+  describe('dates', () => {
+    const storedRow = {
+      id: 1,
+      first_name: 'John',
+      last_name: 'Doe',
+      email: null,
+      phone: null,
+      company: null,
+      notes: null,
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-02'),
+      dates: [{ type: 'birthday', date: '--02-29' }],
+    };
+
+    it('should map the dates', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      const result = await contactRepository.findById(1);
+
+      // Assert
+      expect(result.dates).toEqual([{ type: 'birthday', date: '--02-29' }]);
+    });
+
+    it('should store dates as year, month and day', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [storedRow] });
+
+      // Act
+      await contactRepository.patch(1, {
+        dates: [{ type: 'birthday', date: '--02-29' }, { type: 'anniversary', date: '2012-06-30' }],
+      });
+
+      // Assert
+      expect(findStatement('UPDATE contacts')[0]).toContain('SET updated_at = CURRENT_TIMESTAMP');
+      expect(findStatement('INSERT INTO contact_dates')[1]).toEqual([
+        1, ['birthday', 'anniversary'], [null, 2012], [2, 6], [29, 30],
+      ]);
+    });
+  });
+
+  describe('version checks', () => {
+    const mockRow = {
+      id: 1,
+      first_name: 'John',
+      last_name: 'Doe',
+      email: null,
+      phone: null,
+      company: null,
+      notes: null,
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-02'),
+      version: 4,
+    };
+
+    it('should map the version column', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await contactRepository.findById(1);
+
+      // Assert
+      expect(result.version).toBe(4);
+    });
+
+    it('should condition update on the expected version', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      await contactRepository.update(1, { firstName: 'John', lastName: 'Doe' }, 3);
+
+      // Assert
+      const [sql, params] = findStatement('UPDATE contacts');
+      expect(sql).toContain('WHERE id = $7 AND deleted_at IS NULL AND version = $8');
+      expect(params).toEqual(['John', 'Doe', null, null, null, null, 1, 3]);
+    });
+
+    it('should replace custom field values only when the update carries them', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      await contactRepository.update(1, { firstName: 'John', lastName: 'Doe', customFields: { tier: 'gold' } }, 3);
+
+      // Assert
+      const [sql, params] = findStatement('UPDATE contacts');
+      expect(sql).toContain('custom_fields = $9');
+      expect(params).toEqual(['John', 'Doe', null, null, null, null, 1, 3, '{"tier":"gold"}']);
+    });
+
+    it('should not condition update when no version is expected', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      await contactRepository.update(1, { firstName: 'John', lastName: 'Doe' });
+
+      // Assert
+      expect(findStatement('UPDATE contacts')[0]).not.toContain('AND version');
+    });
+
+    it('should return null when update matches no row at the expected version', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await contactRepository.update(1, { firstName: 'John', lastName: 'Doe' }, 2);
+
+      // Assert
+      expect(result).toBeNull();
+    });
+
+    it('should condition patch on the expected version', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      await contactRepository.patch(1, { phone: '555-0199' }, 3);
+
+      // Assert
+      const [sql, params] = findStatement('UPDATE contacts');
+      expect(sql).toContain('WHERE id = $2 AND deleted_at IS NULL AND version = $3');
+      expect(params).toEqual(['555-0199', 1, 3]);
+    });
+
+    it('should condition delete on the expected version', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 0 });
+
+      // Act
+      const result = await contactRepository.delete(1, 3);
+
+      // Assert
+      expect(result).toBe(false);
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE id = $1 AND deleted_at IS NULL AND version = $2'),
+        [1, 3]
+      );
+    });
+  });
+
+  describe('trash', () => {
+    const deletedRow = {
+      id: 7,
+      first_name: 'Jane',
+      last_name: 'Smith',
+      email: null,
+      phone: null,
+      company: null,
+      notes: null,
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-02'),
+      version: 2,
+      deleted_at: new Date('2025-03-01T10:00:00Z'),
+      deleted_at_key: '2025-03-01 10:00:00.123456',
+    };
+
+    it('should exclude trashed contacts from every read path', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.findAll();
+      await contactRepository.findById(1);
+      await contactRepository.findPage({ limit: 10 });
+      await contactRepository.search('john');
+
+      // Assert
+      database.query.mock.calls.forEach(([sql]) => {
+        expect(sql).toContain('deleted_at IS NULL');
+      });
+    });
+
+    it('should return a page of trashed contacts, most recently deleted first', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [deletedRow, { ...deletedRow, id: 6 }] });
+
+      // Act
+      const result = await contactRepository.findDeletedPage({ limit: 1 });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('WHERE deleted_at IS NOT NULL');
+      expect(sql).toContain('ORDER BY deleted_at DESC, id DESC');
+      expect(params).toEqual([2]);
+      expect(result.data).toEqual([
+        expect.objectContaining({ id: 7, firstName: 'Jane', deletedAt: deletedRow.deleted_at }),
+      ]);
+      expect(result.hasMore).toBe(true);
+      expect(decodeCursor(result.nextCursor)).toEqual(['trash', '2025-03-01 10:00:00.123456', '7']);
+    });
+
+    it('should continue the trash listing after the cursor position', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+      const cursor = encodeCursor(['trash', '2025-03-01 10:00:00.123456', '7']);
+
+      // Act
+      const result = await contactRepository.findDeletedPage({ cursor });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('((deleted_at < $1) OR (deleted_at = $1 AND id < $2))');
+      expect(params).toEqual(['2025-03-01 10:00:00.123456', '7', DEFAULT_PAGE_SIZE + 1]);
+      expect(result).toEqual({ data: [], nextCursor: null, hasMore: false });
+    });
+
+    it('should reject a contact list cursor for the trash listing', async () => {
+      // Arrange
+      const cursor = encodeCursor(['lastName:asc', 'Doe', '1']);
+
+      // Act & Assert
+      await expect(contactRepository.findDeletedPage({ cursor })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('should restore a trashed contact', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...deletedRow, deleted_at: null }] });
+
+      // Act
+      const result = await contactRepository.restore(7);
+
+      // Assert
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET deleted_at = NULL'),
+        [7]
+      );
+      expect(database.query.mock.calls[0][0]).toContain('WHERE id = $1 AND deleted_at IS NOT NULL');
+      expect(result).toEqual(expect.objectContaining({ id: 7, version: 2 }));
+    });
+
+    it('should restore on the transaction client when given one', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ ...deletedRow, deleted_at: null }] }) };
+
+      // Act
+      await contactRepository.restore(7, client);
+
+      // Assert
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET deleted_at = NULL'), [7]);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('should return null when restoring a contact that is not in the trash', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await contactRepository.restore(999);
+
+      // Assert
+      expect(result).toBeNull();
+    });
+
+    it('should permanently delete contacts older than the retention period', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 4 });
+
+      // Act
+      const result = await contactRepository.purgeDeleted(30);
+
+      // Assert
+      expect(result).toBe(4);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('DELETE FROM contacts');
+      expect(sql).toContain('deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)');
+      expect(params).toEqual([30]);
+    });
+
+    it('should throw error when purge fails', async () => {
+      // Arrange
+      const dbError = new Error('Database purge failed');
+      database.query.mockRejectedValue(dbError);
+
+      // Act & Assert
+      await expect(contactRepository.purgeDeleted(30)).rejects.toThrow('Database purge failed');
+    });
+  });
+
+  describe('transaction client', () => {
+    it('should run writes on the given client instead of the pool', async () => {
+      // Arrange
+      const client = {
+        query: jest.fn().mockResolvedValue({ rows: [{ id: 1, first_name: 'John', last_name: 'Doe', version: 1 }], rowCount: 1 }),
+      };
+
+      // Act
+      await contactRepository.create({ firstName: 'John', lastName: 'Doe' }, client);
+      await contactRepository.update(1, { firstName: 'John', lastName: 'Doe' }, 2, client);
+      await contactRepository.delete(1, undefined, client);
+      await contactRepository.findById(1, client);
+      await contactRepository.purgeDeleted(30, client);
+
+      // Assert
+      const updateCall = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE contacts'));
+      expect(updateCall[1]).toEqual(['John', 'Doe', null, null, null, null, 1, 2]);
+      expect(database.query).not.toHaveBeenCalled();
+      expect(database.withTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('streamAll', () => {
+    const row = {
+      id: 1,
+      first_name: 'John',
+      last_name: 'Doe',
+      email: null,
+      phone: null,
+      company: 'Acme',
+      notes: null,
+      created_at: new Date('2025-01-01'),
+      updated_at: new Date('2025-01-02'),
+      version: 1,
+    };
+
+    function mockClient(...fetches) {
+      const client = { query: jest.fn(), release: jest.fn() };
+      client.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('FETCH')) {
+          return { rows: fetches.shift() || [] };
+        }
+        return { rows: [] };
+      });
+      database.getClient.mockResolvedValue(client);
+      return client;
+    }
+
+    it('should read batches through a cursor inside a transaction', async () => {
+      // Arrange
+      const client = mockClient([row, { ...row, id: 2 }], [{ ...row, id: 3 }]);
+
+      // Act
+      const batches = [];
+      for await (const batch of contactRepository.streamAll({
+        filters: { company: 'acme' },
+        sort: [{ field: 'createdAt', direction: 'desc' }],
+        batchSize: 2,
+      })) {
+        batches.push(batch.map((contact) => contact.id));
+      }
+
+      // Assert
+      expect(batches).toEqual([[1, 2], [3]]);
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim());
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[1]).toContain('DECLARE contacts_export NO SCROLL CURSOR FOR');
+      expect(statements[1]).toContain('WHERE deleted_at IS NULL AND lower(company) = lower($1)');
+      expect(statements[1]).toContain("ORDER BY COALESCE(created_at, '-infinity'::timestamp) DESC, id ASC");
+      expect(client.query.mock.calls[1][1]).toEqual(['acme']);
+      expect(statements.slice(2)).toEqual([
+        'FETCH 2 FROM contacts_export',
+        'FETCH 2 FROM contacts_export',
+        'FETCH 2 FROM contacts_export',
+        'CLOSE contacts_export',
+        'COMMIT',
+      ]);
+      expect(client.release).toHaveBeenCalledTimes(1);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('should roll back and release the client when the consumer stops early', async () => {
+      // Arrange
+      const client = mockClient([row], [row]);
+
+      // Act
+      for await (const batch of contactRepository.streamAll({ batchSize: 1 })) {
+        expect(batch).toHaveLength(1);
+        break;
+      }
+
+      // Assert
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim());
+      expect(statements[statements.length - 1]).toBe('ROLLBACK');
+      expect(statements).not.toContain('COMMIT');
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should roll back, release and rethrow when a fetch fails', async () => {
+      // Arrange
+      const client = mockClient();
+      client.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('FETCH')) {
+          throw new Error('Connection lost');
+        }
+        return { rows: [] };
+      });
+
+      // Act & Assert
+      const iterator = contactRepository.streamAll();
+      await expect(iterator.next()).rejects.toThrow('Connection lost');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('tags', () => {
+    it('should map the tag names selected with each contact', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [{ id: 1, first_name: 'John', last_name: 'Doe', tags: ['vendor', 'vip'] }],
+      });
+
+      // Act
+      const result = await contactRepository.findById(1);
+
+      // Assert
+      expect(result.tags).toEqual(['vendor', 'vip']);
+      expect(database.query.mock.calls[0][0]).toContain('AS tags');
+    });
+
+    it('should filter by tag name case-insensitively', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.findPage({ limit: 5, filters: { tag: 'VIP' } });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('EXISTS (');
+      expect(sql).toContain('t.name = lower($1)');
+      expect(params).toEqual(['VIP', 6]);
+    });
+
+    it('should touch a live contact on the transaction client', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+      // Act
+      const touched = await contactRepository.touch(1, client);
+
+      // Assert
+      expect(touched).toBe(true);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('SET updated_at = CURRENT_TIMESTAMP');
+      expect(sql).toContain('deleted_at IS NULL');
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe('findGroupPage', () => {
+    it('should return members in group order with their position', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [
+          { id: 4, first_name: 'Ann', last_name: 'Lee', tags: [], position: 1 },
+          { id: 2, first_name: 'Bob', last_name: 'Ray', tags: [], position: 2 },
+        ],
+      });
+
+      // Act
+      const result = await contactRepository.findGroupPage(7, { limit: 1 });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('JOIN contact_group_members m ON m.contact_id = contacts.id');
+      expect(sql).toContain('contacts.deleted_at IS NULL');
+      expect(sql).toContain('ORDER BY m.position, contacts.id');
+      expect(params).toEqual([7, 2]);
+      expect(result.data).toEqual([expect.objectContaining({ id: 4, position: 1 })]);
+      expect(result.hasMore).toBe(true);
+      expect(decodeCursor(result.nextCursor)).toEqual(['group:7', '1', '4']);
+    });
+
+    it('should continue after the cursor position', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await contactRepository.findGroupPage(7, { cursor: encodeCursor(['group:7', '1', '4']) });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('((m.position > $2) OR (m.position = $2 AND contacts.id > $3))');
+      expect(params).toEqual([7, '1', '4', DEFAULT_PAGE_SIZE + 1]);
+    });
+
+    it('should reject a cursor from another group', async () => {
+      // Act & Assert
+      await expect(
+        contactRepository.findGroupPage(8, { cursor: encodeCursor(['group:7', '1', '4']) })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findMissingIds', () => {
+    it('should return the IDs without a live contact', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 8 }] }) };
+
+      // Act
+      const result = await contactRepository.findMissingIds([5, 8], client);
+
+      // Assert
+      expect(result).toEqual([8]);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('contacts.deleted_at IS NULL');
+      expect(params).toEqual([[5, 8]]);
+    });
+  });
+
+  describe('existsIncludingTrash', () => {
+    it('should find live and trashed contacts alike', async () => {
+      // Arrange
+      database.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] }).mockResolvedValueOnce({ rows: [] });
+
+      // Act
+      const found = await contactRepository.existsIncludingTrash(7);
+      const missing = await contactRepository.existsIncludingTrash(999);
+
+      // Assert
+      expect(found).toBe(true);
+      expect(missing).toBe(false);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).not.toContain('deleted_at');
+      expect(params).toEqual([7]);
+    });
+  });
+
+  describe('duplicates', () => {
+    it('should return duplicate pairs with their shared signals', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [{
+          contact_id: 1,
+          other_contact_id: 4,
+          emails: ['john@example.com'],
+          phones: [],
+          name_similarity: 0.8,
+        }],
+      });
+
+      // Act
+      const result = await contactRepository.findDuplicatePairs();
+
+      // Assert
+      expect(result).toEqual([{
+        contactIds: [1, 4],
+        emails: ['john@example.com'],
+        phones: [],
+        nameSimilarity: 0.8,
+      }]);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('normalize_email(e.email)');
+      expect(sql).toContain('normalize_phone(p.phone)');
+      expect(sql).toContain('b.contact_id > a.contact_id');
+      expect(params).toEqual([0.6]);
+    });
+
+    it('should look up candidates by the draft name, emails and phones', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [{
+          id: 3,
+          first_name: 'John',
+          last_name: 'Doe',
+          matched_emails: [],
+          matched_phones: ['5550123456'],
+          name_similarity: 1,
+        }],
+      });
+
+      // Act
+      const result = await contactRepository.findDuplicateCandidates(
+        { firstName: 'John', lastName: 'Doe', emails: [], phones: ['+1 555 012 3456'] },
+        { limit: 10 }
+      );
+
+      // Assert
+      expect(result).toHaveLength(1);
+      expect(result[0].contact).toMatchObject({ id: 3, firstName: 'John', lastName: 'Doe' });
+      expect(result[0]).toMatchObject({ emails: [], phones: ['5550123456'], nameSimilarity: 1 });
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('deleted_at IS NULL');
+      expect(params).toEqual([[], ['+1 555 012 3456'], 'John Doe', 0.6, 10]);
+    });
+
+    it('should find live contacts by ID', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ id: 2, first_name: 'Jane', last_name: 'Doe' }] });
+
+      // Act
+      const result = await contactRepository.findByIds([2, 9]);
+
+      // Assert
+      expect(result.map((contact) => contact.id)).toEqual([2]);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('id = ANY($1::int[]) AND deleted_at IS NULL');
+      expect(params).toEqual([[2, 9]]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('Connection refused'));
+
+      // Act & Assert
+      await expect(contactRepository.findDuplicatePairs()).rejects.toThrow('Connection refused');
+    });
+  });
 });
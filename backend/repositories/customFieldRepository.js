@@ -0,0 +1,171 @@
+const { query, run } = require('../config/database');
+
+// Columns selected for every custom field definition
+const CUSTOM_FIELD_COLUMNS = 'id, key, label, type, required, options, created_at, updated_at';
+
+/**
+ * Maps database row to custom field definition
+ * @param {Object} row - Database row
+ * @returns {Object} Custom field definition
+ */
+function mapRowToCustomField(row) {
+  return {
+    id: row.id,
+    key: row.key,
+    label: row.label,
+    type: row.type,
+    required: row.required,
+    options: row.options,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Find all custom field definitions in the order they were created
+ * @returns {Promise<Array>} Array of custom field definitions
+ */
+async function findAll() {
+  const sql = `
+    SELECT ${CUSTOM_FIELD_COLUMNS}
+    FROM custom_fields
+    ORDER BY id
+  `;
+
+  try {
+    const result = await query(sql, []);
+    return result.rows.map(mapRowToCustomField);
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find custom field definition by ID
+ * @param {number} id - Custom field ID
+ * @returns {Promise<Object|null>} Custom field definition or null if not found
+ */
+async function findById(id) {
+  const sql = `
+    SELECT ${CUSTOM_FIELD_COLUMNS}
+    FROM custom_fields
+    WHERE id = $1
+  `;
+
+  try {
+    const result = await query(sql, [id]);
+    return result.rows.length > 0 ? mapRowToCustomField(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a custom field definition
+ * @param {Object} field - Definition ({ key, label, type, required, options })
+ * @returns {Promise<Object>} Created custom field definition
+ */
+async function create(field) {
+  const sql = `
+    INSERT INTO custom_fields (key, label, type, required, options)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${CUSTOM_FIELD_COLUMNS}
+  `;
+
+  try {
+    const result = await query(sql, [
+      field.key,
+      field.label,
+      field.type,
+      field.required,
+      field.options ? JSON.stringify(field.options) : null,
+    ]);
+    return mapRowToCustomField(result.rows[0]);
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update the label, required flag and options of a custom field definition
+ * @param {number} id - Custom field ID
+ * @param {Object} field - Definition ({ label, required, options })
+ * @returns {Promise<Object|null>} Updated custom field definition or null if not found
+ */
+async function update(id, field) {
+  const sql = `
+    UPDATE custom_fields
+    SET label = $1, required = $2, options = $3
+    WHERE id = $4
+    RETURNING ${CUSTOM_FIELD_COLUMNS}
+  `;
+
+  try {
+    const result = await query(sql, [
+      field.label,
+      field.required,
+      field.options ? JSON.stringify(field.options) : null,
+      id,
+    ]);
+    return result.rows.length > 0 ? mapRowToCustomField(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in update:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a custom field definition
+ * @param {number} id - Custom field ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Deleted custom field definition or null if not found
+ */
+async function deleteCustomField(id, client) {
+  const sql = `
+    DELETE FROM custom_fields
+    WHERE id = $1
+    RETURNING ${CUSTOM_FIELD_COLUMNS}
+  `;
+
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rows.length > 0 ? mapRowToCustomField(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Remove a custom field's values from every contact, including those in the trash
+ * @param {string} key - Custom field key
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<number>} Number of contacts that had a value
+ */
+async function removeValues(key, client) {
+  const sql = `
+    UPDATE contacts
+    SET custom_fields = custom_fields - $1::text
+    WHERE custom_fields ? $1::text
+  `;
+
+  try {
+    const result = await run(client, sql, [key]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error in removeValues:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  delete: deleteCustomField,
+  removeValues,
+};
@@ -0,0 +1,114 @@
+const customFieldRepository = require('./customFieldRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Custom Field Repository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('findAll', () => {
+    it('should return definitions in creation order with mapped fields', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [{
+          id: 1,
+          key: 'tier',
+          label: 'Tier',
+          type: 'select',
+          required: false,
+          options: ['gold', 'silver'],
+          created_at: new Date('2025-01-01'),
+          updated_at: new Date('2025-01-02'),
+        }],
+      });
+
+      // Act
+      const result = await customFieldRepository.findAll();
+
+      // Assert
+      expect(result).toEqual([{
+        id: 1,
+        key: 'tier',
+        label: 'Tier',
+        type: 'select',
+        required: false,
+        options: ['gold', 'silver'],
+        createdAt: new Date('2025-01-01'),
+        updatedAt: new Date('2025-01-02'),
+      }]);
+      const [sql] = database.query.mock.calls[0];
+      expect(sql).toContain('ORDER BY id');
+    });
+  });
+
+  describe('create', () => {
+    it('should store the options as JSON', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ id: 2, key: 'tier', type: 'select' }] });
+
+      // Act
+      await customFieldRepository.create({
+        key: 'tier', label: 'Tier', type: 'select', required: true, options: ['gold', 'silver'],
+      });
+
+      // Assert
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO custom_fields'),
+        ['tier', 'Tier', 'select', true, '["gold","silver"]']
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('should return null when the definition does not exist', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await customFieldRepository.update(999, { label: 'Seats', required: false, options: null });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE custom_fields'),
+        ['Seats', false, null, 999]
+      );
+    });
+  });
+
+  describe('delete', () => {
+    it('should return the deleted definition, or null', async () => {
+      // Arrange
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, key: 'tier' }] })
+          .mockResolvedValueOnce({ rows: [] }),
+      };
+
+      // Act & Assert
+      await expect(customFieldRepository.delete(1, client)).resolves.toEqual(expect.objectContaining({ key: 'tier' }));
+      await expect(customFieldRepository.delete(1, client)).resolves.toBeNull();
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeValues', () => {
+    it('should remove the key from every contact holding a value', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 3 }) };
+
+      // Act
+      const removed = await customFieldRepository.removeValues('tier', client);
+
+      // Assert
+      expect(removed).toBe(3);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('custom_fields - $1::text');
+      expect(params).toEqual(['tier']);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { query } = require('../config/database');
+
+/**
+ * Maps database row to a contact date with the contact's name
+ * @param {Object} row - Database row
+ * @returns {Object} { contact, type, year, month, day }
+ */
+function mapRowToContactDate(row) {
+  return {
+    contact: {
+      id: row.contact_id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+    },
+    type: row.type,
+    year: row.year,
+    month: row.month,
+    day: row.day,
+  };
+}
+
+/**
+ * Find the dates of contacts outside the trash that fall on given days of the year
+ * @param {Array<Array<number>>} monthDays - [month, day] pairs
+ * @param {string} [type] - Only dates of this type
+ * @returns {Promise<Array>} Contact dates in no particular order
+ */
+async function findByMonthDays(monthDays, type) {
+  const params = [monthDays.map(([month]) => month), monthDays.map(([, day]) => day)];
+
+  let typeCondition = '';
+  if (type !== undefined) {
+    params.push(type);
+    typeCondition = ' AND d.type = $3';
+  }
+
+  const sql = `
+    SELECT d.contact_id, c.first_name, c.last_name, d.type, d.year, d.month, d.day
+    FROM contact_dates d
+    JOIN unnest($1::smallint[], $2::smallint[]) AS window_days(month, day)
+      ON window_days.month = d.month AND window_days.day = d.day
+    JOIN contacts c ON c.id = d.contact_id
+    WHERE c.deleted_at IS NULL${typeCondition}
+  `;
+
+  try {
+    const result = await query(sql, params);
+    return result.rows.map(mapRowToContactDate);
+  } catch (error) {
+    console.error('Error in findByMonthDays:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findByMonthDays,
+};
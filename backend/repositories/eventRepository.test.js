@@ -0,0 +1,57 @@
+const eventRepository = require('./eventRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Event Repository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findByMonthDays', () => {
+    it('should return the dates on the given days with the contact names', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [{ contact_id: 4, first_name: 'John', last_name: 'Doe', type: 'birthday', year: null, month: 2, day: 29 }],
+      });
+
+      // Act
+      const result = await eventRepository.findByMonthDays([[2, 28], [2, 29]]);
+
+      // Assert
+      expect(result).toEqual([{
+        contact: { id: 4, firstName: 'John', lastName: 'Doe' },
+        type: 'birthday',
+        year: null,
+        month: 2,
+        day: 29,
+      }]);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('c.deleted_at IS NULL');
+      expect(sql).not.toContain('d.type =');
+      expect(params).toEqual([[2, 2], [28, 29]]);
+    });
+
+    it('should filter by type', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await eventRepository.findByMonthDays([[1, 1]], 'anniversary');
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('d.type = $3');
+      expect(params).toEqual([[1], [1], 'anniversary']);
+    });
+
+    it('should throw error when database query fails', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('Database error'));
+
+      // Act & Assert
+      await expect(eventRepository.findByMonthDays([[1, 1]])).rejects.toThrow('Database error');
+    });
+  });
+});
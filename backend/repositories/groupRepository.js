@@ -0,0 +1,221 @@
+const { query, run } = require('../config/database');
+
+// Columns selected for every group; only members outside the trash are counted
+const GROUP_COLUMNS = `id, name, owner, description, created_at, updated_at,
+    (
+      SELECT COUNT(*) FROM contact_group_members m JOIN contacts c ON c.id = m.contact_id
+      WHERE m.group_id = contact_groups.id AND c.deleted_at IS NULL
+    )::int AS member_count`;
+
+/**
+ * Maps database row to group object
+ * @param {Object} row - Database row
+ * @returns {Object} Group object
+ */
+function mapRowToGroup(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    owner: row.owner,
+    description: row.description,
+    memberCount: row.member_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Find all groups ordered by name
+ * @returns {Promise<Array>} Array of group objects
+ */
+async function findAll() {
+  const sql = `
+    SELECT ${GROUP_COLUMNS}
+    FROM contact_groups
+    ORDER BY name
+  `;
+  
+  try {
+    const result = await query(sql, []);
+    return result.rows.map(mapRowToGroup);
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find group by ID
+ * @param {number} id - Group ID
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<Object|null>} Group object or null if not found
+ */
+async function findById(id, client) {
+  const sql = `
+    SELECT ${GROUP_COLUMNS}
+    FROM contact_groups
+    WHERE id = $1
+  `;
+  
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rows.length > 0 ? mapRowToGroup(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a new group
+ * @param {Object} group - Group data (name, owner, description)
+ * @returns {Promise<Object>} Created group object
+ */
+async function create(group) {
+  const sql = `
+    INSERT INTO contact_groups (name, owner, description)
+    VALUES ($1, $2, $3)
+    RETURNING ${GROUP_COLUMNS}
+  `;
+  
+  const params = [group.name, group.owner, group.description || null];
+  
+  try {
+    const result = await query(sql, params);
+    return mapRowToGroup(result.rows[0]);
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing group
+ * @param {number} id - Group ID
+ * @param {Object} group - Group data (name, owner, description)
+ * @returns {Promise<Object|null>} Updated group object or null if not found
+ */
+async function update(id, group) {
+  const sql = `
+    UPDATE contact_groups
+    SET name = $1,
+        owner = $2,
+        description = $3
+    WHERE id = $4
+    RETURNING ${GROUP_COLUMNS}
+  `;
+  
+  const params = [group.name, group.owner, group.description || null, id];
+  
+  try {
+    const result = await query(sql, params);
+    return result.rows.length > 0 ? mapRowToGroup(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in update:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a group; its contacts are kept
+ * @param {number} id - Group ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteGroup(id) {
+  const sql = 'DELETE FROM contact_groups WHERE id = $1';
+  
+  try {
+    const result = await query(sql, [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Append contacts to the end of a group, in the given order
+ * Contacts that are already members keep their position.
+ * @param {number} groupId - Group ID
+ * @param {Array<number>} contactIds - Contact IDs
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<number>} Number of contacts added
+ */
+async function addMembers(groupId, contactIds, client) {
+  const sql = `
+    INSERT INTO contact_group_members (group_id, contact_id, position)
+    SELECT $1, input.contact_id,
+           COALESCE((SELECT MAX(position) FROM contact_group_members WHERE group_id = $1), 0) + input.ordinality
+    FROM unnest($2::int[]) WITH ORDINALITY AS input(contact_id, ordinality)
+    ON CONFLICT (group_id, contact_id) DO NOTHING
+  `;
+  
+  try {
+    const result = await run(client, sql, [groupId, contactIds]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error in addMembers:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace a group's membership with the given contacts, in the given order
+ * Contacts that stay in the group keep the time they were added.
+ * @param {number} groupId - Group ID
+ * @param {Array<number>} contactIds - Contact IDs in their new order
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<void>}
+ */
+async function replaceMembers(groupId, contactIds, client) {
+  const deleteSql = `
+    DELETE FROM contact_group_members
+    WHERE group_id = $1 AND contact_id <> ALL($2::int[])
+  `;
+  const upsertSql = `
+    INSERT INTO contact_group_members (group_id, contact_id, position)
+    SELECT $1, input.contact_id, input.ordinality
+    FROM unnest($2::int[]) WITH ORDINALITY AS input(contact_id, ordinality)
+    ON CONFLICT (group_id, contact_id) DO UPDATE SET position = EXCLUDED.position
+  `;
+  
+  try {
+    await run(client, deleteSql, [groupId, contactIds]);
+    await run(client, upsertSql, [groupId, contactIds]);
+  } catch (error) {
+    console.error('Error in replaceMembers:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Remove a contact from a group
+ * @param {number} groupId - Group ID
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<boolean>} True if the contact was a member
+ */
+async function removeMember(groupId, contactId) {
+  const sql = `
+    DELETE FROM contact_group_members
+    WHERE group_id = $1 AND contact_id = $2
+  `;
+  
+  try {
+    const result = await query(sql, [groupId, contactId]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in removeMember:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  delete: deleteGroup,
+  addMembers,
+  replaceMembers,
+  removeMember,
+};
@@ -0,0 +1,159 @@
+const groupRepository = require('./groupRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Group Repository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('findAll', () => {
+    it('should return groups ordered by name with mapped fields', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [{
+          id: 1,
+          name: 'Board members',
+          owner: 'Dana Lee',
+          description: null,
+          member_count: 7,
+          created_at: new Date('2025-01-01'),
+          updated_at: new Date('2025-01-02'),
+        }],
+      });
+
+      // Act
+      const result = await groupRepository.findAll();
+
+      // Assert
+      expect(result).toEqual([{
+        id: 1,
+        name: 'Board members',
+        owner: 'Dana Lee',
+        description: null,
+        memberCount: 7,
+        createdAt: new Date('2025-01-01'),
+        updatedAt: new Date('2025-01-02'),
+      }]);
+      const [sql] = database.query.mock.calls[0];
+      expect(sql).toContain('c.deleted_at IS NULL');
+      expect(sql).toContain('ORDER BY name');
+    });
+
+    it('should throw error when database query fails', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('Connection failed'));
+
+      // Act & Assert
+      await expect(groupRepository.findAll()).rejects.toThrow('Connection failed');
+    });
+  });
+
+  describe('findById', () => {
+    it('should use the transaction client when given', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      // Act
+      const result = await groupRepository.findById(9, client);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('WHERE id = $1'), [9]);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('create', () => {
+    it('should store a missing description as null', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ id: 2, name: 'Newsletter', owner: 'Sam', member_count: 0 }] });
+
+      // Act
+      const result = await groupRepository.create({ name: 'Newsletter', owner: 'Sam' });
+
+      // Assert
+      expect(result).toEqual(expect.objectContaining({ id: 2, memberCount: 0 }));
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO contact_groups'),
+        ['Newsletter', 'Sam', null]
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('should return null when the group does not exist', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await groupRepository.update(999, { name: 'A', owner: 'B', description: 'C' });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE contact_groups'), ['A', 'B', 'C', 999]);
+    });
+  });
+
+  describe('delete', () => {
+    it('should return whether a group was deleted', async () => {
+      // Arrange
+      database.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      // Act & Assert
+      await expect(groupRepository.delete(1)).resolves.toBe(true);
+      await expect(groupRepository.delete(1)).resolves.toBe(false);
+    });
+  });
+
+  describe('addMembers', () => {
+    it('should append contacts after the current last position', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 2 }) };
+
+      // Act
+      const added = await groupRepository.addMembers(1, [5, 3], client);
+
+      // Assert
+      expect(added).toBe(2);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('MAX(position)');
+      expect(sql).toContain('WITH ORDINALITY');
+      expect(sql).toContain('ON CONFLICT (group_id, contact_id) DO NOTHING');
+      expect(params).toEqual([1, [5, 3]]);
+    });
+  });
+
+  describe('replaceMembers', () => {
+    it('should drop contacts not listed and renumber the rest in order', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 0 }) };
+
+      // Act
+      await groupRepository.replaceMembers(1, [3, 5], client);
+
+      // Assert
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(client.query.mock.calls[0][0]).toContain('contact_id <> ALL($2::int[])');
+      expect(client.query.mock.calls[1][0]).toContain('DO UPDATE SET position = EXCLUDED.position');
+      expect(client.query.mock.calls[1][1]).toEqual([1, [3, 5]]);
+    });
+  });
+
+  describe('removeMember', () => {
+    it('should return false when the contact is not a member', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 0 });
+
+      // Act
+      const removed = await groupRepository.removeMember(1, 5);
+
+      // Assert
+      expect(removed).toBe(false);
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM contact_group_members'), [1, 5]);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { query, run } = require('../config/database');
+const {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+} = require('../utils/pagination');
+
+const INTERACTION_COLUMNS = 'id, contact_id, type, summary, body, occurred_at, created_at, updated_at';
+
+/**
+ * Maps database row to interaction object
+ * @param {Object} row - Database row
+ * @returns {Object} Interaction object
+ */
+function mapRowToInteraction(row) {
+  return {
+    id: row.id,
+    contactId: row.contact_id,
+    type: row.type,
+    summary: row.summary,
+    body: row.body,
+    occurredAt: row.occurred_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Find one page of a contact's interactions, most recent first
+ * @param {number} contactId - Contact ID
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit] - Maximum number of interactions to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ */
+async function findPage(contactId, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const keys = [
+    { expression: 'occurred_at', direction: 'desc', type: 'timestamp' },
+    { expression: 'id', direction: 'desc', type: 'integer' },
+  ];
+  const params = [contactId];
+  const conditions = ['contact_id = $1'];
+
+  if (cursor) {
+    const [cursorScope, ...values] = decodeCursor(cursor, keys.length + 1);
+    if (cursorScope !== 'interactions') {
+      const error = new Error('Cursor does not match the requested sort order');
+      error.statusCode = 400;
+      throw error;
+    }
+    const keyset = buildKeysetCondition(keys, values, params.length + 1);
+    conditions.push(keyset.sql);
+    params.push(...keyset.params);
+  }
+
+  // Fetch one extra row to find out whether another page exists
+  params.push(limit + 1);
+
+  const sql = `
+    SELECT ${INTERACTION_COLUMNS},
+           occurred_at::text AS occurred_at_key
+    FROM contact_interactions
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY occurred_at DESC, id DESC
+    LIMIT $${params.length}
+  `;
+
+  try {
+    const result = await query(sql, params);
+    const hasMore = result.rows.length > limit;
+    const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+    const lastRow = rows[rows.length - 1];
+
+    return {
+      data: rows.map(mapRowToInteraction),
+      nextCursor: hasMore
+        ? encodeCursor(['interactions', lastRow.occurred_at_key, String(lastRow.id)])
+        : null,
+      hasMore,
+    };
+  } catch (error) {
+    console.error('Error in findPage:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find one interaction of a contact
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Interaction ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Interaction, or null if the contact does not have it
+ */
+async function findForContact(contactId, id, client) {
+  const sql = `
+    SELECT ${INTERACTION_COLUMNS}
+    FROM contact_interactions
+    WHERE id = $1 AND contact_id = $2
+  `;
+
+  try {
+    const result = await run(client, sql, [id, contactId]);
+    return result.rows.length > 0 ? mapRowToInteraction(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findForContact:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Log an interaction with a contact
+ * @param {number} contactId - Contact ID
+ * @param {Object} interaction - { type, summary, body, occurredAt }; occurredAt defaults to now
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object>} Created interaction
+ */
+async function create(contactId, interaction, client) {
+  const sql = `
+    INSERT INTO contact_interactions (contact_id, type, summary, body, occurred_at)
+    VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP))
+    RETURNING ${INTERACTION_COLUMNS}
+  `;
+
+  const params = [
+    contactId,
+    interaction.type,
+    interaction.summary,
+    interaction.body || null,
+    interaction.occurredAt || null,
+  ];
+
+  try {
+    const result = await run(client, sql, params);
+    return mapRowToInteraction(result.rows[0]);
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace an interaction
+ * @param {number} id - Interaction ID
+ * @param {Object} interaction - { type, summary, body, occurredAt }; without occurredAt the time is kept
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Updated interaction, or null if not found
+ */
+async function update(id, interaction, client) {
+  const sql = `
+    UPDATE contact_interactions
+    SET type = $1, summary = $2, body = $3, occurred_at = COALESCE($4, occurred_at)
+    WHERE id = $5
+    RETURNING ${INTERACTION_COLUMNS}
+  `;
+
+  const params = [
+    interaction.type,
+    interaction.summary,
+    interaction.body || null,
+    interaction.occurredAt || null,
+    id,
+  ];
+
+  try {
+    const result = await run(client, sql, params);
+    return result.rows.length > 0 ? mapRowToInteraction(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in update:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete an interaction
+ * @param {number} id - Interaction ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteInteraction(id, client) {
+  const sql = 'DELETE FROM contact_interactions WHERE id = $1';
+
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findPage,
+  findForContact,
+  create,
+  update,
+  delete: deleteInteraction,
+};
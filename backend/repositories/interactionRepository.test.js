@@ -0,0 +1,197 @@
+const interactionRepository = require('./interactionRepository');
+const database = require('../config/database');
+const { encodeCursor } = require('../utils/pagination');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Interaction Repository', () => {
+  const mockRow = {
+    id: 6,
+    contact_id: 1,
+    type: 'call',
+    summary: 'Discussed the renewal',
+    body: 'Wants a quote by Friday',
+    occurred_at: new Date('2026-03-02T15:00:00Z'),
+    created_at: new Date('2026-03-02T15:30:00Z'),
+    updated_at: new Date('2026-03-02T15:30:00Z'),
+  };
+  const mockInteraction = {
+    id: 6,
+    contactId: 1,
+    type: 'call',
+    summary: 'Discussed the renewal',
+    body: 'Wants a quote by Friday',
+    occurredAt: new Date('2026-03-02T15:00:00Z'),
+    createdAt: new Date('2026-03-02T15:30:00Z'),
+    updatedAt: new Date('2026-03-02T15:30:00Z'),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('findPage', () => {
+    it('should return the most recent interactions with a cursor for the next page', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [
+          { ...mockRow, occurred_at_key: '2026-03-02 15:00:00' },
+          { ...mockRow, id: 4, occurred_at_key: '2026-02-20 09:00:00' },
+        ],
+      });
+
+      // Act
+      const result = await interactionRepository.findPage(1, { limit: 1 });
+
+      // Assert
+      expect(result).toEqual({
+        data: [mockInteraction],
+        nextCursor: encodeCursor(['interactions', '2026-03-02 15:00:00', '6']),
+        hasMore: true,
+      });
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('WHERE contact_id = $1');
+      expect(sql).toContain('ORDER BY occurred_at DESC, id DESC');
+      expect(params).toEqual([1, 2]);
+    });
+
+    it('should continue after the cursor', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await interactionRepository.findPage(1, {
+        limit: 10,
+        cursor: encodeCursor(['interactions', '2026-03-02 15:00:00', '6']),
+      });
+
+      // Assert
+      expect(result).toEqual({ data: [], nextCursor: null, hasMore: false });
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('(occurred_at < $2) OR (occurred_at = $2 AND id < $3)');
+      expect(params).toEqual([1, '2026-03-02 15:00:00', '6', 11]);
+    });
+
+    it('should reject a cursor from another listing', async () => {
+      // Act & Assert
+      await expect(interactionRepository.findPage(1, { cursor: encodeCursor(['history', 8, 1]) }))
+        .rejects.toMatchObject({ message: 'Cursor does not match the requested sort order', statusCode: 400 });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findForContact', () => {
+    it('should only find interactions of the given contact', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await interactionRepository.findForContact(1, 6);
+
+      // Assert
+      expect(result).toEqual(mockInteraction);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('WHERE id = $1 AND contact_id = $2');
+      expect(params).toEqual([6, 1]);
+    });
+
+    it('should return null for an unknown interaction', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await interactionRepository.findForContact(1, 99);
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('create', () => {
+    it('should log the interaction at the current time when no time is given', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...mockRow, body: null }] });
+
+      // Act
+      const result = await interactionRepository.create(1, { type: 'call', summary: 'Discussed the renewal' });
+
+      // Assert
+      expect(result).toEqual({ ...mockInteraction, body: null });
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('COALESCE($5, CURRENT_TIMESTAMP)');
+      expect(params).toEqual([1, 'call', 'Discussed the renewal', null, null]);
+    });
+
+    it('should use the transaction client when given', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [mockRow] }) };
+
+      // Act
+      await interactionRepository.create(1, {
+        type: 'call',
+        summary: 'Discussed the renewal',
+        body: 'Wants a quote by Friday',
+        occurredAt: '2026-03-02T15:00:00.000Z',
+      }, client);
+
+      // Assert
+      expect(client.query.mock.calls[0][1]).toEqual([
+        1, 'call', 'Discussed the renewal', 'Wants a quote by Friday', '2026-03-02T15:00:00.000Z',
+      ]);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should keep the time of the interaction when none is given', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await interactionRepository.update(6, { type: 'meeting', summary: 'Lunch' });
+
+      // Assert
+      expect(result).toEqual(mockInteraction);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('occurred_at = COALESCE($4, occurred_at)');
+      expect(params).toEqual(['meeting', 'Lunch', null, null, 6]);
+    });
+
+    it('should return null when the interaction does not exist', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await interactionRepository.update(99, { type: 'call', summary: 'Call' });
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('delete', () => {
+    it('should report whether the interaction was deleted', async () => {
+      // Arrange
+      database.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      // Act
+      const deleted = await interactionRepository.delete(6);
+      const missing = await interactionRepository.delete(99);
+
+      // Assert
+      expect(deleted).toBe(true);
+      expect(missing).toBe(false);
+      expect(database.query).toHaveBeenCalledWith('DELETE FROM contact_interactions WHERE id = $1', [6]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('connection lost'));
+
+      // Act & Assert
+      await expect(interactionRepository.delete(6)).rejects.toThrow('connection lost');
+    });
+  });
+});
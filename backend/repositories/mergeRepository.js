@@ -0,0 +1,226 @@
+const { query, run } = require('../config/database');
+const {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+} = require('../utils/pagination');
+
+const MERGE_COLUMNS = 'id, survivor_id, loser_ids, field_choices, snapshot, merged_by, merged_at';
+
+/**
+ * Maps database row to merge record
+ * @param {Object} row - Database row
+ * @returns {Object} Merge record
+ */
+function mapRowToMerge(row) {
+  return {
+    id: row.id,
+    survivorId: row.survivor_id,
+    loserIds: row.loser_ids,
+    fields: row.field_choices,
+    snapshot: row.snapshot,
+    mergedBy: row.merged_by,
+    mergedAt: row.merged_at,
+  };
+}
+
+// Most statements delete the merged contacts' rows and re-insert them for the
+// survivor. ON CONFLICT drops rows the survivor already has, so a tag or group
+// held by several of the contacts ends up once.
+const REPOINT_STATEMENTS = {
+  tags: `
+    WITH moved AS (
+      DELETE FROM contact_tags WHERE contact_id = ANY($2::int[])
+      RETURNING tag_id, created_at
+    )
+    INSERT INTO contact_tags (contact_id, tag_id, created_at)
+    SELECT DISTINCT ON (tag_id) $1, tag_id, created_at
+    FROM moved
+    ORDER BY tag_id, created_at
+    ON CONFLICT (contact_id, tag_id) DO NOTHING
+  `,
+  // A group keeps the survivor at its own position, or else at the first merged contact's
+  groups: `
+    WITH moved AS (
+      DELETE FROM contact_group_members WHERE contact_id = ANY($2::int[])
+      RETURNING group_id, position, added_at
+    )
+    INSERT INTO contact_group_members (group_id, contact_id, position, added_at)
+    SELECT DISTINCT ON (group_id) group_id, $1, position, added_at
+    FROM moved
+    ORDER BY group_id, position
+    ON CONFLICT (group_id, contact_id) DO NOTHING
+  `,
+  // Links between the merged contacts and the survivor would point at itself and are dropped
+  relationships: `
+    WITH moved AS (
+      DELETE FROM contact_relationships
+      WHERE contact_id = ANY($2::int[]) OR related_contact_id = ANY($2::int[])
+      RETURNING
+        CASE WHEN contact_id = ANY($2::int[]) THEN $1::int ELSE contact_id END AS contact_id,
+        CASE WHEN related_contact_id = ANY($2::int[]) THEN $1::int ELSE related_contact_id END AS related_contact_id,
+        type, inverse_type, created_at
+    )
+    INSERT INTO contact_relationships (contact_id, related_contact_id, type, inverse_type, created_at)
+    SELECT DISTINCT ON (contact_id, related_contact_id, type)
+           contact_id, related_contact_id, type, inverse_type, created_at
+    FROM moved
+    WHERE contact_id <> related_contact_id
+    ORDER BY contact_id, related_contact_id, type, created_at
+    ON CONFLICT (contact_id, related_contact_id, type) DO NOTHING
+  `,
+  // Interactions join the survivor's timeline as they are
+  interactions: `
+    UPDATE contact_interactions SET contact_id = $1 WHERE contact_id = ANY($2::int[])
+  `,
+  // Reminders, open or closed, follow the interactions
+  reminders: `
+    UPDATE contact_reminders SET contact_id = $1 WHERE contact_id = ANY($2::int[])
+  `,
+  // History joins the survivor's, keeping the contact it was first recorded on
+  revisions: `
+    UPDATE contact_revisions
+    SET contact_id = $1, merged_from_id = COALESCE(merged_from_id, contact_id)
+    WHERE contact_id = ANY($2::int[])
+  `,
+  // A user who starred any of the merged contacts has the survivor starred
+  stars: `
+    WITH moved AS (
+      DELETE FROM contact_stars WHERE contact_id = ANY($2::int[])
+      RETURNING user_name, starred_at
+    )
+    INSERT INTO contact_stars (user_name, contact_id, starred_at)
+    SELECT user_name, $1, min(starred_at)
+    FROM moved
+    GROUP BY user_name
+    ON CONFLICT (user_name, contact_id) DO NOTHING
+  `,
+  // A survivor without a photo takes the first merged contact's; the others stay with the merged contacts
+  photos: `
+    UPDATE contact_photos SET contact_id = $1
+    WHERE contact_id = (
+      SELECT contact_id FROM contact_photos
+      WHERE contact_id = ANY($2::int[])
+      ORDER BY array_position($2::int[], contact_id)
+      LIMIT 1
+    )
+    AND NOT EXISTS (SELECT 1 FROM contact_photos WHERE contact_id = $1)
+  `,
+};
+
+/**
+ * Move the tags, group memberships, relationships, interactions, reminders, revisions, stars and photo of merged contacts to the survivor
+ * @param {number} survivorId - Surviving contact ID
+ * @param {Array<number>} loserIds - IDs of the contacts merged into the survivor
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise<Object>} Number of rows moved per kind ({ tags, groups, relationships, interactions, reminders, revisions, stars, photos })
+ */
+async function repointRelatedRecords(survivorId, loserIds, client) {
+  const moved = {};
+
+  try {
+    for (const [kind, sql] of Object.entries(REPOINT_STATEMENTS)) {
+      const result = await client.query(sql, [survivorId, loserIds]);
+      moved[kind] = result.rowCount;
+    }
+    return moved;
+  } catch (error) {
+    console.error('Error in repointRelatedRecords:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Record a merge
+ * @param {Object} merge - { survivorId, loserIds, fields, snapshot, mergedBy }
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object>} Created merge record
+ */
+async function create(merge, client) {
+  const sql = `
+    INSERT INTO contact_merges (survivor_id, loser_ids, field_choices, snapshot, merged_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${MERGE_COLUMNS}
+  `;
+
+  const params = [
+    merge.survivorId,
+    merge.loserIds,
+    JSON.stringify(merge.fields),
+    JSON.stringify(merge.snapshot),
+    merge.mergedBy || null,
+  ];
+
+  try {
+    const result = await run(client, sql, params);
+    return mapRowToMerge(result.rows[0]);
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find one page of merges, most recent first
+ * @param {Object} [options] - Filter and pagination options
+ * @param {number} [options.contactId] - Only merges the contact took part in, as survivor or loser
+ * @param {number} [options.limit] - Maximum number of merges to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ */
+async function findPage({ contactId, limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const keys = [{ expression: 'id', direction: 'desc', type: 'integer' }];
+  const params = [];
+  const conditions = [];
+
+  if (contactId !== undefined) {
+    params.push(contactId);
+    conditions.push(`(survivor_id = $${params.length} OR loser_ids @> ARRAY[$${params.length}::int])`);
+  }
+
+  if (cursor) {
+    const [cursorScope, ...values] = decodeCursor(cursor, keys.length + 1);
+    if (cursorScope !== 'merges') {
+      const error = new Error('Cursor does not match the requested sort order');
+      error.statusCode = 400;
+      throw error;
+    }
+    const keyset = buildKeysetCondition(keys, values, params.length + 1);
+    conditions.push(keyset.sql);
+    params.push(...keyset.params);
+  }
+
+  // Fetch one extra row to find out whether another page exists
+  params.push(limit + 1);
+
+  const sql = `
+    SELECT ${MERGE_COLUMNS}
+    FROM contact_merges
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT $${params.length}
+  `;
+
+  try {
+    const result = await query(sql, params);
+    const hasMore = result.rows.length > limit;
+    const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+    const lastRow = rows[rows.length - 1];
+
+    return {
+      data: rows.map(mapRowToMerge),
+      nextCursor: hasMore ? encodeCursor(['merges', lastRow.id]) : null,
+      hasMore,
+    };
+  } catch (error) {
+    console.error('Error in findPage:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  repointRelatedRecords,
+  create,
+  findPage,
+};
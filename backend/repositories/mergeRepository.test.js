@@ -0,0 +1,136 @@
+const mergeRepository = require('./mergeRepository');
+const database = require('../config/database');
+const { encodeCursor } = require('../utils/pagination');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Merge Repository', () => {
+  const mockRow = {
+    id: 5,
+    survivor_id: 1,
+    loser_ids: [7, 9],
+    field_choices: { firstName: 7 },
+    snapshot: { survivor: { id: 1 }, losers: [{ id: 7 }, { id: 9 }] },
+    merged_by: 'jane@example.com',
+    merged_at: new Date('2026-01-01'),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('repointRelatedRecords', () => {
+    it('should move tags, group memberships, relationships, interactions, reminders, stars and a photo to the survivor', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 2 }) };
+
+      // Act
+      const result = await mergeRepository.repointRelatedRecords(1, [7, 9], client);
+
+      // Assert
+      expect(result).toEqual({
+        tags: 2,
+        groups: 2,
+        relationships: 2,
+        interactions: 2,
+        reminders: 2,
+        revisions: 2,
+        stars: 2,
+        photos: 2,
+      });
+      expect(client.query).toHaveBeenCalledTimes(8);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements[0]).toContain('DELETE FROM contact_tags WHERE contact_id = ANY($2::int[])');
+      expect(statements[1]).toContain('ON CONFLICT (group_id, contact_id) DO NOTHING');
+      expect(statements[2]).toContain('WHERE contact_id <> related_contact_id');
+      expect(statements[3]).toContain('UPDATE contact_interactions SET contact_id = $1');
+      expect(statements[4]).toContain('UPDATE contact_reminders SET contact_id = $1');
+      expect(statements[5]).toContain('merged_from_id = COALESCE(merged_from_id, contact_id)');
+      expect(statements[6]).toContain('ON CONFLICT (user_name, contact_id) DO NOTHING');
+      expect(statements[7]).toContain('AND NOT EXISTS (SELECT 1 FROM contact_photos WHERE contact_id = $1)');
+      client.query.mock.calls.forEach(([, params]) => {
+        expect(params).toEqual([1, [7, 9]]);
+      });
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockRejectedValue(new Error('deadlock detected')) };
+
+      // Act & Assert
+      await expect(mergeRepository.repointRelatedRecords(1, [7], client)).rejects.toThrow('deadlock detected');
+    });
+  });
+
+  describe('create', () => {
+    it('should store the merge with its field choices and snapshot as JSON', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [mockRow] }) };
+
+      // Act
+      const result = await mergeRepository.create({
+        survivorId: 1,
+        loserIds: [7, 9],
+        fields: { firstName: 7 },
+        snapshot: mockRow.snapshot,
+        mergedBy: 'jane@example.com',
+      }, client);
+
+      // Assert
+      expect(result).toEqual({
+        id: 5,
+        survivorId: 1,
+        loserIds: [7, 9],
+        fields: { firstName: 7 },
+        snapshot: mockRow.snapshot,
+        mergedBy: 'jane@example.com',
+        mergedAt: new Date('2026-01-01'),
+      });
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO contact_merges');
+      expect(params).toEqual([1, [7, 9], '{"firstName":7}', JSON.stringify(mockRow.snapshot), 'jane@example.com']);
+    });
+  });
+
+  describe('findPage', () => {
+    it('should return the most recent merges with a cursor for the next page', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow, { ...mockRow, id: 4 }] });
+
+      // Act
+      const result = await mergeRepository.findPage({ limit: 1 });
+
+      // Assert
+      expect(result.data).toHaveLength(1);
+      expect(result.hasMore).toBe(true);
+      expect(result.nextCursor).toBe(encodeCursor(['merges', 5]));
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('ORDER BY id DESC');
+      expect(sql).not.toContain('WHERE');
+      expect(params).toEqual([2]);
+    });
+
+    it('should filter by a contact on either side of the merge and continue after the cursor', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await mergeRepository.findPage({ contactId: 7, limit: 10, cursor: encodeCursor(['merges', 5]) });
+
+      // Assert
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('(survivor_id = $1 OR loser_ids @> ARRAY[$1::int])');
+      expect(sql).toContain('((id < $2))');
+      expect(params).toEqual([7, 5, 11]);
+    });
+
+    it('should reject a cursor from another listing', async () => {
+      // Act & Assert
+      await expect(mergeRepository.findPage({ cursor: encodeCursor(['trash', '2026-01-01', '3']) }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const { query, run } = require('../config/database');
+
+// Columns selected for every organization; only contacts outside the trash are counted
+const ORGANIZATION_COLUMNS = `id, name, domain, street, locality, region, postal_code, country, notes,
+    created_at, updated_at,
+    (
+      SELECT COUNT(*) FROM contacts c
+      WHERE c.organization_id = organizations.id AND c.deleted_at IS NULL
+    )::int AS contact_count`;
+
+/**
+ * Maps database row to organization object
+ * @param {Object} row - Database row
+ * @returns {Object} Organization object; address is null when none is stored
+ */
+function mapRowToOrganization(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    domain: row.domain,
+    address: row.country
+      ? {
+        street: row.street,
+        locality: row.locality,
+        region: row.region,
+        postalCode: row.postal_code,
+        country: row.country,
+      }
+      : null,
+    notes: row.notes,
+    contactCount: row.contact_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Build the stored column values of an organization
+ * @param {Object} organization - { name, domain, address, notes }
+ * @returns {Array} name, domain, street, locality, region, postal_code, country, notes
+ */
+function toParams(organization) {
+  const address = organization.address || {};
+  return [
+    organization.name,
+    organization.domain || null,
+    address.street || null,
+    address.locality || null,
+    address.region || null,
+    address.postalCode || null,
+    address.country || null,
+    organization.notes || null,
+  ];
+}
+
+/**
+ * Find all organizations ordered by name
+ * @returns {Promise<Array>} Array of organization objects
+ */
+async function findAll() {
+  const sql = `
+    SELECT ${ORGANIZATION_COLUMNS}
+    FROM organizations
+    ORDER BY name, id
+  `;
+
+  try {
+    const result = await query(sql, []);
+    return result.rows.map(mapRowToOrganization);
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find organization by ID
+ * @param {number} id - Organization ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Organization object or null if not found
+ */
+async function findById(id, client) {
+  const sql = `
+    SELECT ${ORGANIZATION_COLUMNS}
+    FROM organizations
+    WHERE id = $1
+  `;
+
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rows.length > 0 ? mapRowToOrganization(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a new organization
+ * @param {Object} organization - Normalized organization ({ name, domain, address, notes })
+ * @returns {Promise<Object>} Created organization object
+ */
+async function create(organization) {
+  const sql = `
+    INSERT INTO organizations (name, domain, street, locality, region, postal_code, country, notes)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${ORGANIZATION_COLUMNS}
+  `;
+
+  try {
+    const result = await query(sql, toParams(organization));
+    return mapRowToOrganization(result.rows[0]);
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace an existing organization
+ * @param {number} id - Organization ID
+ * @param {Object} organization - Normalized organization ({ name, domain, address, notes })
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Updated organization object or null if not found
+ */
+async function update(id, organization, client) {
+  const sql = `
+    UPDATE organizations
+    SET name = $1,
+        domain = $2,
+        street = $3,
+        locality = $4,
+        region = $5,
+        postal_code = $6,
+        country = $7,
+        notes = $8
+    WHERE id = $9
+    RETURNING ${ORGANIZATION_COLUMNS}
+  `;
+
+  try {
+    const result = await run(client, sql, [...toParams(organization), id]);
+    return result.rows.length > 0 ? mapRowToOrganization(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in update:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete an organization
+ * @param {number} id - Organization ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteOrganization(id, client) {
+  const sql = 'DELETE FROM organizations WHERE id = $1';
+
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Copy an organization's name into the company of its contacts
+ * Only contacts whose company differs are written, so their versions only
+ * change when the name does.
+ * @param {number} id - Organization ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<number>} Number of contacts updated
+ */
+async function mirrorNameToContacts(id, client) {
+  const sql = `
+    UPDATE contacts c
+    SET company = o.name
+    FROM organizations o
+    WHERE o.id = $1 AND c.organization_id = o.id AND c.company IS DISTINCT FROM o.name
+  `;
+
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error in mirrorNameToContacts:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Unlink every contact (including those in the trash) from an organization
+ * and clear their company
+ * @param {number} id - Organization ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<number>} Number of contacts unlinked
+ */
+async function unlinkContacts(id, client) {
+  const sql = `
+    UPDATE contacts
+    SET organization_id = NULL,
+        company = NULL
+    WHERE organization_id = $1
+  `;
+
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error in unlinkContacts:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  delete: deleteOrganization,
+  mirrorNameToContacts,
+  unlinkContacts,
+};
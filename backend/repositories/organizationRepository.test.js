@@ -0,0 +1,146 @@
+const organizationRepository = require('./organizationRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Organization Repository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('findAll', () => {
+    it('should return organizations by name with their address and contact count', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [
+          {
+            id: 1,
+            name: 'Acme',
+            domain: 'acme.example',
+            street: '1 Main St',
+            locality: 'Springfield',
+            region: null,
+            postal_code: '12345',
+            country: 'US',
+            notes: 'Key account',
+            contact_count: 3,
+            created_at: new Date('2025-01-01'),
+            updated_at: new Date('2025-01-02'),
+          },
+          { id: 2, name: 'Globex', domain: null, country: null, notes: null, contact_count: 0 },
+        ],
+      });
+
+      // Act
+      const result = await organizationRepository.findAll();
+
+      // Assert
+      expect(result[0]).toEqual({
+        id: 1,
+        name: 'Acme',
+        domain: 'acme.example',
+        address: { street: '1 Main St', locality: 'Springfield', region: null, postalCode: '12345', country: 'US' },
+        notes: 'Key account',
+        contactCount: 3,
+        createdAt: new Date('2025-01-01'),
+        updatedAt: new Date('2025-01-02'),
+      });
+      expect(result[1].address).toBeNull();
+      const [sql] = database.query.mock.calls[0];
+      expect(sql).toContain('c.deleted_at IS NULL');
+      expect(sql).toContain('ORDER BY name, id');
+    });
+  });
+
+  describe('create', () => {
+    it('should store the address in its columns', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ id: 1, name: 'Acme', country: 'CA' }] });
+
+      // Act
+      await organizationRepository.create({
+        name: 'Acme',
+        domain: 'acme.example',
+        address: { street: null, locality: 'Ottawa', region: 'ON', postalCode: 'K1A 0B1', country: 'CA' },
+        notes: null,
+      });
+
+      // Assert
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO organizations'),
+        ['Acme', 'acme.example', null, 'Ottawa', 'ON', 'K1A 0B1', 'CA', null]
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('should clear the address columns and return null when not found', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await organizationRepository.update(999, { name: 'Acme', domain: null, address: null, notes: null });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE organizations'),
+        ['Acme', null, null, null, null, null, null, null, 999]
+      );
+    });
+  });
+
+  describe('delete', () => {
+    it('should return whether a row was deleted', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 0 });
+
+      // Act & Assert
+      await expect(organizationRepository.delete(999)).resolves.toBe(false);
+    });
+  });
+
+  describe('mirrorNameToContacts', () => {
+    it('should only write contacts whose company differs from the name', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 2 }) };
+
+      // Act
+      const count = await organizationRepository.mirrorNameToContacts(1, client);
+
+      // Assert
+      expect(count).toBe(2);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('SET company = o.name');
+      expect(sql).toContain('c.company IS DISTINCT FROM o.name');
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe('unlinkContacts', () => {
+    it('should clear the organization and company of its contacts', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 4 });
+
+      // Act
+      const count = await organizationRepository.unlinkContacts(1);
+
+      // Assert
+      expect(count).toBe(4);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('SET organization_id = NULL');
+      expect(sql).toContain('company = NULL');
+      expect(params).toEqual([1]);
+    });
+
+    it('should throw error when database query fails', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('Database error'));
+
+      // Act & Assert
+      await expect(organizationRepository.unlinkContacts(1)).rejects.toThrow('Database error');
+    });
+  });
+});
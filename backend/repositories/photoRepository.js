@@ -0,0 +1,135 @@
+const { run } = require('../config/database');
+
+const PHOTO_COLUMNS = 'contact_id, storage_key, content_type, byte_size, width, height, uploaded_at';
+
+/**
+ * Maps database row to photo object
+ * @param {Object} row - Database row
+ * @returns {Object} Photo object
+ */
+function mapRowToPhoto(row) {
+  return {
+    contactId: row.contact_id,
+    storageKey: row.storage_key,
+    contentType: row.content_type,
+    byteSize: row.byte_size,
+    width: row.width,
+    height: row.height,
+    uploadedAt: row.uploaded_at,
+  };
+}
+
+/**
+ * Find a contact's photo
+ * @param {number} contactId - Contact ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Photo object or null if the contact has none
+ */
+async function findByContact(contactId, client) {
+  const sql = `SELECT ${PHOTO_COLUMNS} FROM contact_photos WHERE contact_id = $1`;
+
+  try {
+    const result = await run(client, sql, [contactId]);
+    return result.rows.length > 0 ? mapRowToPhoto(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findByContact:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Set a contact's photo, replacing the one it had
+ * @param {Object} photo - { contactId, storageKey, contentType, byteSize, width, height }
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object>} { photo, previousKey }: the stored photo and the
+ *   storage key of the photo it replaced (null if there was none)
+ */
+async function upsert(photo, client) {
+  const sql = `
+    WITH previous AS (
+      SELECT storage_key FROM contact_photos WHERE contact_id = $1 FOR UPDATE
+    )
+    INSERT INTO contact_photos (contact_id, storage_key, content_type, byte_size, width, height)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (contact_id) DO UPDATE SET
+      storage_key = EXCLUDED.storage_key,
+      content_type = EXCLUDED.content_type,
+      byte_size = EXCLUDED.byte_size,
+      width = EXCLUDED.width,
+      height = EXCLUDED.height,
+      uploaded_at = CURRENT_TIMESTAMP
+    RETURNING ${PHOTO_COLUMNS}, (SELECT storage_key FROM previous) AS previous_key
+  `;
+
+  const params = [
+    photo.contactId,
+    photo.storageKey,
+    photo.contentType,
+    photo.byteSize,
+    photo.width,
+    photo.height,
+  ];
+
+  try {
+    const result = await run(client, sql, params);
+    const row = result.rows[0];
+    return { photo: mapRowToPhoto(row), previousKey: row.previous_key };
+  } catch (error) {
+    console.error('Error in upsert:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a contact's photo
+ * @param {number} contactId - Contact ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<string|null>} Storage key of the deleted photo, or null if there was none
+ */
+async function deletePhoto(contactId, client) {
+  const sql = 'DELETE FROM contact_photos WHERE contact_id = $1 RETURNING storage_key';
+
+  try {
+    const result = await run(client, sql, [contactId]);
+    return result.rows.length > 0 ? result.rows[0].storage_key : null;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete the photos of the contacts a trash purge is about to remove
+ * The contacts are locked so none can be restored before the purge runs in
+ * the same transaction.
+ * @param {number} retentionDays - Days a deleted contact stays in the trash
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise<Array<string>>} Storage keys of the deleted photos
+ */
+async function deletePurgeable(retentionDays, client) {
+  const sql = `
+    DELETE FROM contact_photos
+    WHERE contact_id IN (
+      SELECT id FROM contacts
+      WHERE deleted_at IS NOT NULL
+        AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      FOR UPDATE
+    )
+    RETURNING storage_key
+  `;
+
+  try {
+    const result = await run(client, sql, [retentionDays]);
+    return result.rows.map((row) => row.storage_key);
+  } catch (error) {
+    console.error('Error in deletePurgeable:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findByContact,
+  upsert,
+  delete: deletePhoto,
+  deletePurgeable,
+};
@@ -0,0 +1,134 @@
+const photoRepository = require('./photoRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Photo Repository', () => {
+  const uploadedAt = new Date('2026-10-01T09:00:00Z');
+  const row = {
+    contact_id: 4,
+    storage_key: '0b6c7f1e',
+    content_type: 'image/jpeg',
+    byte_size: 2048,
+    width: 640,
+    height: 480,
+    uploaded_at: uploadedAt,
+  };
+  const photo = {
+    contactId: 4,
+    storageKey: '0b6c7f1e',
+    contentType: 'image/jpeg',
+    byteSize: 2048,
+    width: 640,
+    height: 480,
+    uploadedAt,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('findByContact', () => {
+    it('should return the mapped photo', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await photoRepository.findByContact(4);
+
+      // Assert
+      expect(result).toEqual(photo);
+      expect(database.query.mock.calls[0][1]).toEqual([4]);
+    });
+
+    it('should return null when the contact has no photo', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await photoRepository.findByContact(4);
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('upsert', () => {
+    it('should replace the photo and return the storage key it replaced', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ ...row, previous_key: '9d1e22aa' }] }) };
+
+      // Act
+      const result = await photoRepository.upsert({
+        contactId: 4,
+        storageKey: '0b6c7f1e',
+        contentType: 'image/jpeg',
+        byteSize: 2048,
+        width: 640,
+        height: 480,
+      }, client);
+
+      // Assert
+      expect(result).toEqual({ photo, previousKey: '9d1e22aa' });
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (contact_id) DO UPDATE SET');
+      expect(params).toEqual([4, '0b6c7f1e', 'image/jpeg', 2048, 640, 480]);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('delete', () => {
+    it('should return the storage key of the deleted photo', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ storage_key: '0b6c7f1e' }] });
+
+      // Act
+      const result = await photoRepository.delete(4);
+
+      // Assert
+      expect(result).toBe('0b6c7f1e');
+      expect(database.query).toHaveBeenCalledWith(
+        'DELETE FROM contact_photos WHERE contact_id = $1 RETURNING storage_key',
+        [4]
+      );
+    });
+
+    it('should return null when there was no photo', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await photoRepository.delete(4);
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('deletePurgeable', () => {
+    it('should delete the photos of contacts past the retention period and lock those contacts', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ storage_key: 'a1' }, { storage_key: 'b2' }] }) };
+
+      // Act
+      const result = await photoRepository.deletePurgeable(30, client);
+
+      // Assert
+      expect(result).toEqual(['a1', 'b2']);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)');
+      expect(sql).toContain('FOR UPDATE');
+      expect(params).toEqual([30]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockRejectedValue(new Error('Database error')) };
+
+      // Act & Assert
+      await expect(photoRepository.deletePurgeable(30, client)).rejects.toThrow('Database error');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const { run } = require('../config/database');
+
+// A contact's relationships as seen from that contact ($1): the links it owns,
+// plus the bidirectional links owned by the other side with the types swapped.
+// Only related contacts outside the trash are included.
+const RELATIONSHIPS_OF_CONTACT = `
+    SELECT r.id, r.type, r.inverse_type, r.created_at,
+      c.id AS related_contact_id, c.first_name, c.last_name, c.company
+    FROM (
+      SELECT id, related_contact_id AS other_id, type, inverse_type, created_at
+      FROM contact_relationships
+      WHERE contact_id = $1
+      UNION ALL
+      SELECT id, contact_id, inverse_type, type, created_at
+      FROM contact_relationships
+      WHERE related_contact_id = $1 AND inverse_type IS NOT NULL
+    ) r
+    JOIN contacts c ON c.id = r.other_id
+    WHERE c.deleted_at IS NULL`;
+
+/**
+ * Maps database row to a relationship seen from one contact
+ * @param {Object} row - Database row
+ * @returns {Object} Relationship object
+ */
+function mapRowToRelationship(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    bidirectional: row.inverse_type !== null,
+    inverseType: row.inverse_type,
+    relatedContact: {
+      id: row.related_contact_id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      company: row.company,
+    },
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Find a contact's relationships, grouped by type and ordered by name
+ * @param {number} contactId - Contact ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Array>} Relationships seen from the contact
+ */
+async function findByContact(contactId, client) {
+  const sql = `${RELATIONSHIPS_OF_CONTACT}
+    ORDER BY r.type, c.last_name, c.first_name, c.id
+  `;
+
+  try {
+    const result = await run(client, sql, [contactId]);
+    return result.rows.map(mapRowToRelationship);
+  } catch (error) {
+    console.error('Error in findByContact:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find one relationship of a contact
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Relationship ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Relationship seen from the contact, or null if the contact does not have it
+ */
+async function findForContact(contactId, id, client) {
+  const sql = `${RELATIONSHIPS_OF_CONTACT}
+      AND r.id = $2
+  `;
+
+  try {
+    const result = await run(client, sql, [contactId, id]);
+    return result.rows.length > 0 ? mapRowToRelationship(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findForContact:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a relationship
+ * @param {Object} relationship - { contactId, relatedContactId, type, inverseType }
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<number>} ID of the new relationship
+ */
+async function create(relationship, client) {
+  const sql = `
+    INSERT INTO contact_relationships (contact_id, related_contact_id, type, inverse_type)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id
+  `;
+
+  try {
+    const result = await run(client, sql, [
+      relationship.contactId,
+      relationship.relatedContactId,
+      relationship.type,
+      relationship.inverseType,
+    ]);
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace a relationship
+ * The link is rewritten from the point of view of the contact given, which
+ * may be the related side of the stored row.
+ * @param {number} id - Relationship ID
+ * @param {Object} relationship - { contactId, relatedContactId, type, inverseType }
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<boolean>} True if updated, false if not found
+ */
+async function update(id, relationship, client) {
+  const sql = `
+    UPDATE contact_relationships
+    SET contact_id = $1, related_contact_id = $2, type = $3, inverse_type = $4
+    WHERE id = $5
+  `;
+
+  try {
+    const result = await run(client, sql, [
+      relationship.contactId,
+      relationship.relatedContactId,
+      relationship.type,
+      relationship.inverseType,
+      id,
+    ]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in update:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a relationship
+ * @param {number} id - Relationship ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteRelationship(id, client) {
+  const sql = 'DELETE FROM contact_relationships WHERE id = $1';
+
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findByContact,
+  findForContact,
+  create,
+  update,
+  delete: deleteRelationship,
+};
@@ -0,0 +1,118 @@
+const relationshipRepository = require('./relationshipRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Relationship Repository', () => {
+  const row = {
+    id: 4,
+    type: 'assistant',
+    inverse_type: 'manager',
+    created_at: new Date('2025-01-01'),
+    related_contact_id: 9,
+    first_name: 'Sam',
+    last_name: 'Lee',
+    company: 'Acme',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('findByContact', () => {
+    it('should return the relationships seen from the contact', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [row, { ...row, id: 5, type: 'friend', inverse_type: null }] });
+
+      // Act
+      const result = await relationshipRepository.findByContact(2);
+
+      // Assert
+      expect(result).toEqual([
+        {
+          id: 4,
+          type: 'assistant',
+          bidirectional: true,
+          inverseType: 'manager',
+          relatedContact: { id: 9, firstName: 'Sam', lastName: 'Lee', company: 'Acme' },
+          createdAt: new Date('2025-01-01'),
+        },
+        expect.objectContaining({ id: 5, type: 'friend', bidirectional: false, inverseType: null }),
+      ]);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('WHERE related_contact_id = $1 AND inverse_type IS NOT NULL');
+      expect(sql).toContain('c.deleted_at IS NULL');
+      expect(params).toEqual([2]);
+    });
+  });
+
+  describe('findForContact', () => {
+    it('should return null when the contact does not have the relationship', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      // Act
+      const result = await relationshipRepository.findForContact(2, 4, client);
+
+      // Assert
+      expect(result).toBeNull();
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('AND r.id = $2');
+      expect(params).toEqual([2, 4]);
+    });
+  });
+
+  describe('create', () => {
+    it('should insert the link and return its ID', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 4 }] }) };
+
+      // Act
+      const id = await relationshipRepository.create(
+        { contactId: 2, relatedContactId: 9, type: 'assistant', inverseType: null },
+        client
+      );
+
+      // Assert
+      expect(id).toBe(4);
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO contact_relationships'),
+        [2, 9, 'assistant', null]
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('should rewrite every column of the link', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+      // Act
+      const updated = await relationshipRepository.update(
+        4,
+        { contactId: 9, relatedContactId: 2, type: 'manager', inverseType: 'assistant' },
+        client
+      );
+
+      // Assert
+      expect(updated).toBe(true);
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET contact_id = $1, related_contact_id = $2, type = $3, inverse_type = $4'),
+        [9, 2, 'manager', 'assistant', 4]
+      );
+    });
+  });
+
+  describe('delete', () => {
+    it('should return whether a relationship was deleted', async () => {
+      // Arrange
+      database.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      // Act & Assert
+      await expect(relationshipRepository.delete(4)).resolves.toBe(true);
+      await expect(relationshipRepository.delete(4)).resolves.toBe(false);
+    });
+  });
+});
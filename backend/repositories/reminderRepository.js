@@ -0,0 +1,223 @@
+const { query, run } = require('../config/database');
+
+// Due dates are selected as text so they stay calendar days, whatever the server time zone
+const REMINDER_COLUMNS = `id, contact_id, title, due_date::text AS due_date, recurrence_interval,
+    recurrence_unit, recurrence_anchor::text AS recurrence_anchor, status, closed_at, previous_id,
+    created_at, updated_at`;
+
+/**
+ * Maps database row to reminder object
+ * @param {Object} row - Database row
+ * @returns {Object} Reminder object
+ */
+function mapRowToReminder(row) {
+  return {
+    id: row.id,
+    contactId: row.contact_id,
+    title: row.title,
+    dueDate: row.due_date,
+    recurrence: row.recurrence_unit
+      ? { every: row.recurrence_interval, unit: row.recurrence_unit, anchorDate: row.recurrence_anchor }
+      : null,
+    status: row.status,
+    closedAt: row.closed_at,
+    previousId: row.previous_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Find a contact's reminders: open ones first, each by due date
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Array>} Reminders
+ */
+async function findByContact(contactId) {
+  const sql = `
+    SELECT ${REMINDER_COLUMNS}
+    FROM contact_reminders
+    WHERE contact_id = $1
+    ORDER BY status <> 'open', contact_reminders.due_date, id
+  `;
+
+  try {
+    const result = await query(sql, [contactId]);
+    return result.rows.map(mapRowToReminder);
+  } catch (error) {
+    console.error('Error in findByContact:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find one reminder of a contact
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Reminder ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Reminder, or null if the contact does not have it
+ */
+async function findForContact(contactId, id, client) {
+  const sql = `
+    SELECT ${REMINDER_COLUMNS}
+    FROM contact_reminders
+    WHERE id = $1 AND contact_id = $2
+  `;
+
+  try {
+    const result = await run(client, sql, [id, contactId]);
+    return result.rows.length > 0 ? mapRowToReminder(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findForContact:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find the open reminders of contacts outside the trash due on or before a day
+ * @param {string} through - Last due date to include (YYYY-MM-DD)
+ * @returns {Promise<Array>} Reminders with the contact's name, earliest due first
+ */
+async function findDue(through) {
+  const sql = `
+    SELECT due.*, c.first_name, c.last_name
+    FROM (
+      SELECT ${REMINDER_COLUMNS}
+      FROM contact_reminders
+      WHERE status = 'open' AND due_date <= $1
+    ) due
+    JOIN contacts c ON c.id = due.contact_id
+    WHERE c.deleted_at IS NULL
+    ORDER BY due.due_date, due.id
+  `;
+
+  try {
+    const result = await query(sql, [through]);
+    return result.rows.map((row) => ({
+      ...mapRowToReminder(row),
+      contact: { id: row.contact_id, firstName: row.first_name, lastName: row.last_name },
+    }));
+  } catch (error) {
+    console.error('Error in findDue:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a reminder
+ * @param {Object} reminder - { contactId, title, dueDate, recurrence, previousId }
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object>} Created reminder
+ */
+async function create(reminder, client) {
+  const sql = `
+    INSERT INTO contact_reminders
+      (contact_id, title, due_date, recurrence_interval, recurrence_unit, recurrence_anchor, previous_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING ${REMINDER_COLUMNS}
+  `;
+
+  const params = [
+    reminder.contactId,
+    reminder.title,
+    reminder.dueDate,
+    reminder.recurrence ? reminder.recurrence.every : null,
+    reminder.recurrence ? reminder.recurrence.unit : null,
+    reminder.recurrence ? reminder.recurrence.anchorDate : null,
+    reminder.previousId || null,
+  ];
+
+  try {
+    const result = await run(client, sql, params);
+    return mapRowToReminder(result.rows[0]);
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace the title, due date and recurrence of an open reminder
+ * @param {number} id - Reminder ID
+ * @param {Object} reminder - { title, dueDate, recurrence }
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Updated reminder, or null if not found or no longer open
+ */
+async function update(id, reminder, client) {
+  const sql = `
+    UPDATE contact_reminders
+    SET title = $1, due_date = $2, recurrence_interval = $3, recurrence_unit = $4, recurrence_anchor = $5
+    WHERE id = $6 AND status = 'open'
+    RETURNING ${REMINDER_COLUMNS}
+  `;
+
+  const params = [
+    reminder.title,
+    reminder.dueDate,
+    reminder.recurrence ? reminder.recurrence.every : null,
+    reminder.recurrence ? reminder.recurrence.unit : null,
+    reminder.recurrence ? reminder.recurrence.anchorDate : null,
+    id,
+  ];
+
+  try {
+    const result = await run(client, sql, params);
+    return result.rows.length > 0 ? mapRowToReminder(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in update:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Close an open reminder as completed or snoozed
+ * Only an open reminder is closed, so two requests racing to complete the
+ * same occurrence cannot both go on to create the next one.
+ * @param {number} id - Reminder ID
+ * @param {string} status - completed or snoozed
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} Closed reminder, or null if not found or no longer open
+ */
+async function close(id, status, client) {
+  const sql = `
+    UPDATE contact_reminders
+    SET status = $2, closed_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'open'
+    RETURNING ${REMINDER_COLUMNS}
+  `;
+
+  try {
+    const result = await run(client, sql, [id, status]);
+    return result.rows.length > 0 ? mapRowToReminder(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in close:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a reminder
+ * @param {number} id - Reminder ID
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteReminder(id, client) {
+  const sql = 'DELETE FROM contact_reminders WHERE id = $1';
+
+  try {
+    const result = await run(client, sql, [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findByContact,
+  findForContact,
+  findDue,
+  create,
+  update,
+  close,
+  delete: deleteReminder,
+};
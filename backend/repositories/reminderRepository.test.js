@@ -0,0 +1,189 @@
+const reminderRepository = require('./reminderRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Reminder Repository', () => {
+  const mockRow = {
+    id: 3,
+    contact_id: 1,
+    title: 'Check in',
+    due_date: '2026-11-03',
+    recurrence_interval: 90,
+    recurrence_unit: 'day',
+    recurrence_anchor: '2026-08-05',
+    status: 'open',
+    closed_at: null,
+    previous_id: null,
+    created_at: new Date('2026-10-01'),
+    updated_at: new Date('2026-10-01'),
+  };
+  const mockReminder = {
+    id: 3,
+    contactId: 1,
+    title: 'Check in',
+    dueDate: '2026-11-03',
+    recurrence: { every: 90, unit: 'day', anchorDate: '2026-08-05' },
+    status: 'open',
+    closedAt: null,
+    previousId: null,
+    createdAt: new Date('2026-10-01'),
+    updatedAt: new Date('2026-10-01'),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('findByContact', () => {
+    it('should list open reminders first and map one-off reminders without a recurrence', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [mockRow, { ...mockRow, id: 2, recurrence_interval: null, recurrence_unit: null, status: 'completed' }],
+      });
+
+      // Act
+      const result = await reminderRepository.findByContact(1);
+
+      // Assert
+      expect(result[0]).toEqual(mockReminder);
+      expect(result[1]).toMatchObject({ id: 2, recurrence: null, status: 'completed' });
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain("ORDER BY status <> 'open', contact_reminders.due_date, id");
+      expect(sql).toContain('due_date::text AS due_date');
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe('findForContact', () => {
+    it('should return null when the contact does not have the reminder', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await reminderRepository.findForContact(1, 99);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('WHERE id = $1 AND contact_id = $2'), [99, 1]);
+    });
+  });
+
+  describe('findDue', () => {
+    it('should return open reminders of live contacts with the contact\'s name', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...mockRow, first_name: 'John', last_name: 'Doe' }] });
+
+      // Act
+      const result = await reminderRepository.findDue('2026-11-05');
+
+      // Assert
+      expect(result).toEqual([{ ...mockReminder, contact: { id: 1, firstName: 'John', lastName: 'Doe' } }]);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain("WHERE status = 'open' AND due_date <= $1");
+      expect(sql).toContain('WHERE c.deleted_at IS NULL');
+      expect(sql).toContain('ORDER BY due.due_date, due.id');
+      expect(params).toEqual(['2026-11-05']);
+    });
+  });
+
+  describe('create', () => {
+    it('should store the recurrence and the occurrence it follows', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ ...mockRow, previous_id: 2 }] }) };
+
+      // Act
+      const result = await reminderRepository.create({
+        contactId: 1,
+        title: 'Check in',
+        dueDate: '2026-11-03',
+        recurrence: { every: 90, unit: 'day', anchorDate: '2026-08-05' },
+        previousId: 2,
+      }, client);
+
+      // Assert
+      expect(result).toEqual({ ...mockReminder, previousId: 2 });
+      expect(client.query.mock.calls[0][1]).toEqual([1, 'Check in', '2026-11-03', 90, 'day', '2026-08-05', 2]);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('should store a one-off reminder with no recurrence', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...mockRow, recurrence_interval: null, recurrence_unit: null }] });
+
+      // Act
+      await reminderRepository.create({ contactId: 1, title: 'Call back', dueDate: '2026-11-03', recurrence: null });
+
+      // Assert
+      expect(database.query.mock.calls[0][1]).toEqual([1, 'Call back', '2026-11-03', null, null, null, null]);
+    });
+  });
+
+  describe('update', () => {
+    it('should only change open reminders', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await reminderRepository.update(3, { title: 'Check in', dueDate: '2026-11-10', recurrence: null });
+
+      // Assert
+      expect(result).toBeNull();
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain("WHERE id = $6 AND status = 'open'");
+      expect(params).toEqual(['Check in', '2026-11-10', null, null, null, 3]);
+    });
+  });
+
+  describe('close', () => {
+    it('should close an open reminder with the given status', async () => {
+      // Arrange
+      const closedAt = new Date('2026-11-03T09:00:00Z');
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ ...mockRow, status: 'completed', closed_at: closedAt }] }) };
+
+      // Act
+      const result = await reminderRepository.close(3, 'completed', client);
+
+      // Assert
+      expect(result).toEqual({ ...mockReminder, status: 'completed', closedAt });
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("WHERE id = $1 AND status = 'open'");
+      expect(params).toEqual([3, 'completed']);
+    });
+
+    it('should return null when the reminder is no longer open', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await reminderRepository.close(3, 'snoozed');
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('delete', () => {
+    it('should report whether the reminder was deleted', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 1 });
+
+      // Act
+      const result = await reminderRepository.delete(3);
+
+      // Assert
+      expect(result).toBe(true);
+      expect(database.query).toHaveBeenCalledWith('DELETE FROM contact_reminders WHERE id = $1', [3]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('connection lost'));
+
+      // Act & Assert
+      await expect(reminderRepository.delete(3)).rejects.toThrow('connection lost');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { query, run } = require('../config/database');
+const {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+} = require('../utils/pagination');
+
+const REVISION_COLUMNS = 'id, contact_id, action, snapshot, changes, changed_by, changed_at, merged_from_id';
+
+/**
+ * Maps database row to revision object
+ * @param {Object} row - Database row
+ * @returns {Object} Revision object
+ */
+function mapRowToRevision(row) {
+  return {
+    id: row.id,
+    contactId: row.contact_id,
+    action: row.action,
+    snapshot: row.snapshot,
+    changes: row.changes,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at,
+    mergedFromId: row.merged_from_id,
+  };
+}
+
+/**
+ * Record a revision of a contact
+ * @param {Object} revision - { contactId, action, snapshot, changes, changedBy, mergedFromId }
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object>} Created revision
+ */
+async function create(revision, client) {
+  const sql = `
+    INSERT INTO contact_revisions (contact_id, action, snapshot, changes, changed_by, merged_from_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${REVISION_COLUMNS}
+  `;
+
+  const params = [
+    revision.contactId,
+    revision.action,
+    JSON.stringify(revision.snapshot),
+    JSON.stringify(revision.changes),
+    revision.changedBy || null,
+    revision.mergedFromId || null,
+  ];
+
+  try {
+    const result = await run(client, sql, params);
+    return mapRowToRevision(result.rows[0]);
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find a revision of a contact
+ * @param {number} contactId - Contact ID
+ * @param {number} revisionId - Revision ID
+ * @returns {Promise<Object|null>} Revision, or null if the contact has no such revision
+ */
+async function findById(contactId, revisionId) {
+  const sql = `
+    SELECT ${REVISION_COLUMNS}
+    FROM contact_revisions
+    WHERE id = $1 AND contact_id = $2
+  `;
+
+  try {
+    const result = await query(sql, [revisionId, contactId]);
+    return result.rows.length > 0 ? mapRowToRevision(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find one page of a contact's revisions, most recent first
+ * @param {number} contactId - Contact ID
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit] - Maximum number of revisions to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ */
+async function findPage(contactId, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const keys = [{ expression: 'id', direction: 'desc', type: 'integer' }];
+  const params = [contactId];
+  const conditions = ['contact_id = $1'];
+
+  if (cursor) {
+    const [cursorScope, ...values] = decodeCursor(cursor, keys.length + 1);
+    if (cursorScope !== 'history') {
+      const error = new Error('Cursor does not match the requested sort order');
+      error.statusCode = 400;
+      throw error;
+    }
+    const keyset = buildKeysetCondition(keys, values, params.length + 1);
+    conditions.push(keyset.sql);
+    params.push(...keyset.params);
+  }
+
+  // Fetch one extra row to find out whether another page exists
+  params.push(limit + 1);
+
+  const sql = `
+    SELECT ${REVISION_COLUMNS}
+    FROM contact_revisions
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id DESC
+    LIMIT $${params.length}
+  `;
+
+  try {
+    const result = await query(sql, params);
+    const hasMore = result.rows.length > limit;
+    const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+    const lastRow = rows[rows.length - 1];
+
+    return {
+      data: rows.map(mapRowToRevision),
+      nextCursor: hasMore ? encodeCursor(['history', lastRow.id]) : null,
+      hasMore,
+    };
+  } catch (error) {
+    console.error('Error in findPage:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  create,
+  findById,
+  findPage,
+};
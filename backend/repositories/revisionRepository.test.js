@@ -0,0 +1,154 @@
+const revisionRepository = require('./revisionRepository');
+const database = require('../config/database');
+const { encodeCursor } = require('../utils/pagination');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Revision Repository', () => {
+  const snapshot = { firstName: 'John', lastName: 'Doe', customFields: {} };
+  const mockRow = {
+    id: 8,
+    contact_id: 1,
+    action: 'update',
+    snapshot,
+    changes: [{ field: 'firstName', from: 'Jon', to: 'John' }],
+    changed_by: 'jane@example.com',
+    changed_at: new Date('2026-01-01'),
+    merged_from_id: null,
+  };
+  const mockRevision = {
+    id: 8,
+    contactId: 1,
+    action: 'update',
+    snapshot,
+    changes: [{ field: 'firstName', from: 'Jon', to: 'John' }],
+    changedBy: 'jane@example.com',
+    changedAt: new Date('2026-01-01'),
+    mergedFromId: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('create', () => {
+    it('should store the revision on the transaction client', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [mockRow] }) };
+
+      // Act
+      const result = await revisionRepository.create({
+        contactId: 1,
+        action: 'update',
+        snapshot,
+        changes: mockRevision.changes,
+        changedBy: 'jane@example.com',
+      }, client);
+
+      // Assert
+      expect(result).toEqual(mockRevision);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO contact_revisions');
+      expect(params).toEqual([
+        1, 'update', JSON.stringify(snapshot), JSON.stringify(mockRevision.changes), 'jane@example.com', null,
+      ]);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    it('should store a missing user as NULL', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...mockRow, changed_by: null }] });
+
+      // Act
+      await revisionRepository.create({ contactId: 1, action: 'create', snapshot, changes: [] });
+
+      // Assert
+      expect(database.query.mock.calls[0][1][4]).toBeNull();
+    });
+
+    it('should store the contact a merged revision was recorded for', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ ...mockRow, action: 'merge', merged_from_id: 7 }] });
+
+      // Act
+      const result = await revisionRepository.create({
+        contactId: 1, action: 'merge', snapshot, changes: [], mergedFromId: 7,
+      });
+
+      // Assert
+      expect(result.mergedFromId).toBe(7);
+      expect(database.query.mock.calls[0][1][5]).toBe(7);
+    });
+  });
+
+  describe('findById', () => {
+    it('should only find revisions of the given contact', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await revisionRepository.findById(1, 8);
+
+      // Assert
+      expect(result).toEqual(mockRevision);
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('WHERE id = $1 AND contact_id = $2');
+      expect(params).toEqual([8, 1]);
+    });
+
+    it('should return null for an unknown revision', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await revisionRepository.findById(1, 99);
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('findPage', () => {
+    it('should return the most recent revisions with a cursor for the next page', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [mockRow, { ...mockRow, id: 5 }] });
+
+      // Act
+      const result = await revisionRepository.findPage(1, { limit: 1 });
+
+      // Assert
+      expect(result).toEqual({
+        data: [mockRevision],
+        nextCursor: encodeCursor(['history', 8]),
+        hasMore: true,
+      });
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('WHERE contact_id = $1');
+      expect(sql).toContain('ORDER BY id DESC');
+      expect(params).toEqual([1, 2]);
+    });
+
+    it('should continue after the cursor', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await revisionRepository.findPage(1, { limit: 10, cursor: encodeCursor(['history', 8]) });
+
+      // Assert
+      expect(result).toEqual({ data: [], nextCursor: null, hasMore: false });
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('contact_id = $1 AND ((id < $2))');
+      expect(params).toEqual([1, 8, 11]);
+    });
+
+    it('should reject a cursor from another listing', async () => {
+      // Act & Assert
+      await expect(revisionRepository.findPage(1, { cursor: encodeCursor(['merges', 8]) }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+});
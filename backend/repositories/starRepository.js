@@ -0,0 +1,82 @@
+const { query, run } = require('../config/database');
+
+/**
+ * Maps database row to star object
+ * @param {Object} row - Database row
+ * @returns {Object} Star object
+ */
+function mapRowToStar(row) {
+  return {
+    contactId: row.contact_id,
+    starred: true,
+    starredAt: row.starred_at,
+  };
+}
+
+/**
+ * Star a contact for a user
+ * Starring a contact the user already starred keeps the original starredAt.
+ * @param {number} contactId - Contact ID
+ * @param {string} user - User named in the X-User header
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<Object>} Star ({ contactId, starred, starredAt })
+ */
+async function star(contactId, user, client) {
+  const sql = `
+    INSERT INTO contact_stars (user_name, contact_id)
+    VALUES ($1, $2)
+    ON CONFLICT (user_name, contact_id) DO UPDATE SET starred_at = contact_stars.starred_at
+    RETURNING contact_id, starred_at
+  `;
+
+  try {
+    const result = await run(client, sql, [user, contactId]);
+    return mapRowToStar(result.rows[0]);
+  } catch (error) {
+    console.error('Error in star:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Clear a user's star on a contact
+ * @param {number} contactId - Contact ID
+ * @param {string} user - User named in the X-User header
+ * @param {Object} [client] - Client with an open transaction (defaults to the pool)
+ * @returns {Promise<boolean>} True if the contact was starred
+ */
+async function unstar(contactId, user, client) {
+  const sql = 'DELETE FROM contact_stars WHERE user_name = $1 AND contact_id = $2';
+
+  try {
+    const result = await run(client, sql, [user, contactId]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in unstar:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a user starred a contact
+ * @param {number} contactId - Contact ID
+ * @param {string} user - User named in the X-User header
+ * @returns {Promise<boolean>} True if the contact is starred
+ */
+async function isStarred(contactId, user) {
+  const sql = 'SELECT 1 FROM contact_stars WHERE user_name = $1 AND contact_id = $2';
+
+  try {
+    const result = await query(sql, [user, contactId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error in isStarred:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  star,
+  unstar,
+  isStarred,
+};
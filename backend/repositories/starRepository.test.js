@@ -0,0 +1,69 @@
+const starRepository = require('./starRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Star Repository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('star', () => {
+    it('should star the contact for the user and keep an earlier star', async () => {
+      // Arrange
+      const starredAt = new Date('2026-10-01T09:00:00Z');
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ contact_id: 4, starred_at: starredAt }] }) };
+
+      // Act
+      const result = await starRepository.star(4, 'dana@example.com', client);
+
+      // Assert
+      expect(result).toEqual({ contactId: 4, starred: true, starredAt });
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (user_name, contact_id) DO UPDATE SET starred_at = contact_stars.starred_at');
+      expect(params).toEqual(['dana@example.com', 4]);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unstar', () => {
+    it('should report whether the contact was starred', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 0 });
+
+      // Act
+      const result = await starRepository.unstar(4, 'dana@example.com');
+
+      // Assert
+      expect(result).toBe(false);
+      expect(database.query).toHaveBeenCalledWith(
+        'DELETE FROM contact_stars WHERE user_name = $1 AND contact_id = $2',
+        ['dana@example.com', 4]
+      );
+    });
+  });
+
+  describe('isStarred', () => {
+    it('should return true when the user starred the contact', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ '?column?': 1 }] });
+
+      // Act
+      const result = await starRepository.isStarred(4, 'dana@example.com');
+
+      // Assert
+      expect(result).toBe(true);
+      expect(database.query.mock.calls[0][1]).toEqual(['dana@example.com', 4]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('connection lost'));
+
+      // Act & Assert
+      await expect(starRepository.isStarred(4, 'dana@example.com')).rejects.toThrow('connection lost');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const { query, run } = require('../config/database');
+
+// Columns selected for every tag; only contacts outside the trash are counted
+const TAG_COLUMNS = `id, name, created_at, updated_at,
+    (
+      SELECT COUNT(*) FROM contact_tags ct JOIN contacts c ON c.id = ct.contact_id
+      WHERE ct.tag_id = tags.id AND c.deleted_at IS NULL
+    )::int AS contact_count`;
+
+/**
+ * Maps database row to tag object
+ * @param {Object} row - Database row
+ * @returns {Object} Tag object
+ */
+function mapRowToTag(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    contactCount: row.contact_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Find all tags ordered by name
+ * @returns {Promise<Array>} Array of tag objects
+ */
+async function findAll() {
+  const sql = `
+    SELECT ${TAG_COLUMNS}
+    FROM tags
+    ORDER BY name
+  `;
+  
+  try {
+    const result = await query(sql, []);
+    return result.rows.map(mapRowToTag);
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find tag by ID
+ * @param {number} id - Tag ID
+ * @returns {Promise<Object|null>} Tag object or null if not found
+ */
+async function findById(id) {
+  const sql = `
+    SELECT ${TAG_COLUMNS}
+    FROM tags
+    WHERE id = $1
+  `;
+  
+  try {
+    const result = await query(sql, [id]);
+    return result.rows.length > 0 ? mapRowToTag(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a new tag
+ * @param {string} name - Normalized tag name
+ * @returns {Promise<Object>} Created tag object
+ */
+async function create(name) {
+  const sql = `
+    INSERT INTO tags (name)
+    VALUES ($1)
+    RETURNING ${TAG_COLUMNS}
+  `;
+  
+  try {
+    const result = await query(sql, [name]);
+    return mapRowToTag(result.rows[0]);
+  } catch (error) {
+    console.error('Error in create:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Rename a tag
+ * @param {number} id - Tag ID
+ * @param {string} name - Normalized tag name
+ * @returns {Promise<Object|null>} Updated tag object or null if not found
+ */
+async function update(id, name) {
+  const sql = `
+    UPDATE tags
+    SET name = $1
+    WHERE id = $2
+    RETURNING ${TAG_COLUMNS}
+  `;
+  
+  try {
+    const result = await query(sql, [name, id]);
+    return result.rows.length > 0 ? mapRowToTag(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error in update:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a tag, removing it from every contact
+ * @param {number} id - Tag ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteTag(id) {
+  const sql = 'DELETE FROM tags WHERE id = $1';
+  
+  try {
+    const result = await query(sql, [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in delete:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Attach tags to a contact, creating tags that do not exist yet
+ * @param {number} contactId - Contact ID
+ * @param {Array<string>} names - Normalized tag names
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<number>} Number of tags newly attached
+ */
+async function addToContact(contactId, names, client) {
+  const sql = `
+    WITH input AS (
+      SELECT DISTINCT unnest($2::text[]) AS name
+    ), created AS (
+      INSERT INTO tags (name)
+      SELECT name FROM input
+      ON CONFLICT (name) DO NOTHING
+      RETURNING id
+    ), matched AS (
+      SELECT id FROM created
+      UNION
+      SELECT tags.id FROM tags JOIN input ON input.name = tags.name
+    )
+    INSERT INTO contact_tags (contact_id, tag_id)
+    SELECT $1, id FROM matched
+    ON CONFLICT DO NOTHING
+  `;
+  
+  try {
+    const result = await run(client, sql, [contactId, names]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error in addToContact:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Detach a tag from a contact
+ * @param {number} contactId - Contact ID
+ * @param {string} name - Normalized tag name
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<boolean>} True if the contact had the tag
+ */
+async function removeFromContact(contactId, name, client) {
+  const sql = `
+    DELETE FROM contact_tags
+    USING tags
+    WHERE contact_tags.tag_id = tags.id
+      AND contact_tags.contact_id = $1
+      AND tags.name = $2
+  `;
+  
+  try {
+    const result = await run(client, sql, [contactId, name]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error in removeFromContact:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  delete: deleteTag,
+  addToContact,
+  removeFromContact,
+};
@@ -0,0 +1,135 @@
+const tagRepository = require('./tagRepository');
+const database = require('../config/database');
+
+// Mock the database module
+jest.mock('../config/database');
+
+describe('Tag Repository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.run.mockImplementation((client, ...args) => (client || database).query(...args));
+  });
+
+  describe('findAll', () => {
+    it('should return tags ordered by name with mapped fields', async () => {
+      // Arrange
+      database.query.mockResolvedValue({
+        rows: [{
+          id: 1,
+          name: 'vip',
+          contact_count: 2,
+          created_at: new Date('2025-01-01'),
+          updated_at: new Date('2025-01-02'),
+        }],
+      });
+
+      // Act
+      const result = await tagRepository.findAll();
+
+      // Assert
+      expect(result).toEqual([{
+        id: 1,
+        name: 'vip',
+        contactCount: 2,
+        createdAt: new Date('2025-01-01'),
+        updatedAt: new Date('2025-01-02'),
+      }]);
+      const [sql] = database.query.mock.calls[0];
+      expect(sql).toContain('c.deleted_at IS NULL');
+      expect(sql).toContain('ORDER BY name');
+    });
+
+    it('should throw error when database query fails', async () => {
+      // Arrange
+      database.query.mockRejectedValue(new Error('Connection failed'));
+
+      // Act & Assert
+      await expect(tagRepository.findAll()).rejects.toThrow('Connection failed');
+    });
+  });
+
+  describe('findById', () => {
+    it('should return null when the tag does not exist', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await tagRepository.findById(999);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('WHERE id = $1'), [999]);
+    });
+  });
+
+  describe('create', () => {
+    it('should insert the tag and return it', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [{ id: 3, name: 'vendor', contact_count: 0 }] });
+
+      // Act
+      const result = await tagRepository.create('vendor');
+
+      // Assert
+      expect(result).toEqual(expect.objectContaining({ id: 3, name: 'vendor', contactCount: 0 }));
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO tags'), ['vendor']);
+    });
+  });
+
+  describe('update', () => {
+    it('should return null when the tag does not exist', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await tagRepository.update(999, 'vip');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE tags'), ['vip', 999]);
+    });
+  });
+
+  describe('delete', () => {
+    it('should return whether a tag was deleted', async () => {
+      // Arrange
+      database.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      // Act & Assert
+      await expect(tagRepository.delete(1)).resolves.toBe(true);
+      await expect(tagRepository.delete(1)).resolves.toBe(false);
+    });
+  });
+
+  describe('addToContact', () => {
+    it('should create missing tags and link them on the transaction client', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 2 }) };
+
+      // Act
+      const added = await tagRepository.addToContact(1, ['vip', 'vendor'], client);
+
+      // Assert
+      expect(added).toBe(2);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (name) DO NOTHING');
+      expect(sql).toContain('INSERT INTO contact_tags');
+      expect(params).toEqual([1, ['vip', 'vendor']]);
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeFromContact', () => {
+    it('should return false when the contact does not have the tag', async () => {
+      // Arrange
+      database.query.mockResolvedValue({ rowCount: 0 });
+
+      // Act
+      const removed = await tagRepository.removeFromContact(1, 'vip');
+
+      // Assert
+      expect(removed).toBe(false);
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM contact_tags'), [1, 'vip']);
+    });
+  });
+});
@@ -1,26 +1,232 @@
 const express = require('express');
 const router = express.Router();
 const contactController = require('../controllers/contactController');
-const { validateContact, validateId } = require('../middleware/validation');
+const {
+  validateContact,
+  validateContactPatch,
+  validateId,
+  validatePagination,
+  validateListQuery,
+  validateSearch,
+  validateExport,
+  validateBulk,
+  validateImport,
+  validateVCardImport,
+  validateVCardVersion,
+  validateRevisionIdParam,
+  validateRequestUser,
+  validateRequiredUser,
+} = require('../middleware/validation');
+const { validateContactTags, validateTagParam } = require('../middleware/tagValidation');
+const { validateRelationship, validateRelationshipIdParam } = require('../middleware/relationshipValidation');
+const {
+  validateDuplicateQuery,
+  validateDuplicateCheck,
+  validateAllowDuplicates,
+} = require('../middleware/duplicateValidation');
+const { validateMerge, validateMergeQuery } = require('../middleware/mergeValidation');
+const { validateInteraction, validateInteractionIdParam } = require('../middleware/interactionValidation');
+const { validateReminder, validateReminderIdParam, validateSnooze } = require('../middleware/reminderValidation');
+const { validatePhotoUpload, validatePhotoSize } = require('../middleware/photoValidation');
+const { uploadPhoto } = require('../middleware/photoUpload');
 
 /**
  * Contact Routes
  * Base path: /api/contacts
  */
 
-// GET /api/contacts - Get all contacts
-router.get('/', contactController.getAllContacts);
+// GET /api/contacts - Get a filtered, sorted page of contacts
+router.get('/', validateRequestUser, validatePagination, validateListQuery, contactController.getAllContacts);
+
+// GET /api/contacts/search - Search contacts by relevance (must precede /:id)
+router.get('/search', validateSearch, contactController.searchContacts);
+
+// GET /api/contacts/export - Download contacts as CSV, JSON or vCard (must precede /:id)
+router.get('/export', validateRequestUser, validateExport, contactController.exportContacts);
+
+// GET /api/contacts/trash - Get a page of deleted contacts (must precede /:id)
+router.get('/trash', validatePagination, contactController.getTrash);
+
+// DELETE /api/contacts/trash - Purge deleted contacts past the retention period
+router.delete('/trash', contactController.purgeTrash);
+
+// GET /api/contacts/duplicates - Get clusters of likely duplicate contacts (must precede /:id)
+router.get('/duplicates', validateDuplicateQuery, contactController.getDuplicates);
+
+// GET /api/contacts/merges - Get a page of recorded merges (must precede /:id)
+router.get('/merges', validatePagination, validateMergeQuery, contactController.getMerges);
 
 // GET /api/contacts/:id - Get single contact by ID
-router.get('/:id', validateId, contactController.getContactById);
+router.get('/:id', validateId, validateRequestUser, contactController.getContactById);
+
+// GET /api/contacts/:id/vcard - Download single contact as a vCard
+router.get('/:id/vcard', validateId, validateVCardVersion, contactController.getContactVCard);
+
+// POST /api/contacts - Create new contact (409 for a likely duplicate unless allowDuplicates=true)
+router.post('/', validateRequestUser, validateAllowDuplicates, validateContact, contactController.createContact);
+
+// POST /api/contacts/check-duplicates - Find contacts a draft contact would likely duplicate
+router.post('/check-duplicates', validateDuplicateCheck, contactController.checkDuplicates);
+
+// POST /api/contacts/bulk - Create, update and delete contacts in one transaction
+router.post('/bulk', validateRequestUser, validateBulk, contactController.bulkContacts);
 
-// POST /api/contacts - Create new contact
-router.post('/', validateContact, contactController.createContact);
+// POST /api/contacts/merge - Merge duplicate contacts into a surviving contact
+router.post('/merge', validateRequestUser, validateMerge, contactController.mergeContacts);
+
+// POST /api/contacts/import - Import contacts from a CSV file (text/csv body)
+router.post(
+  '/import',
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  validateRequestUser,
+  validateImport,
+  contactController.importContacts
+);
+
+// POST /api/contacts/import/vcard - Import contacts from a vCard file (text/vcard body)
+router.post(
+  '/import/vcard',
+  express.text({ type: ['text/vcard', 'text/x-vcard', 'text/directory'], limit: '5mb' }),
+  validateRequestUser,
+  validateVCardImport,
+  contactController.importVCardContacts
+);
 
 // PUT /api/contacts/:id - Update existing contact
-router.put('/:id', validateId, validateContact, contactController.updateContact);
+router.put('/:id', validateId, validateRequestUser, validateContact, contactController.updateContact);
+
+// PATCH /api/contacts/:id - Partially update contact (JSON Merge Patch)
+router.patch('/:id', validateId, validateRequestUser, validateContactPatch, contactController.patchContact);
+
+// DELETE /api/contacts/:id - Move contact to the trash
+router.delete('/:id', validateId, validateRequestUser, contactController.deleteContact);
+
+// POST /api/contacts/:id/restore - Restore contact from the trash
+router.post('/:id/restore', validateId, validateRequestUser, contactController.restoreContact);
+
+// PUT /api/contacts/:id/star - Star contact for the X-User user
+router.put('/:id/star', validateId, validateRequiredUser, contactController.starContact);
+
+// DELETE /api/contacts/:id/star - Clear the X-User user's star
+router.delete('/:id/star', validateId, validateRequiredUser, contactController.unstarContact);
+
+// PUT /api/contacts/:id/photo - Upload contact photo (multipart/form-data with a photo file)
+router.put(
+  '/:id/photo',
+  validateId,
+  validatePhotoUpload,
+  uploadPhoto,
+  contactController.uploadContactPhoto
+);
+
+// GET /api/contacts/:id/photo - Download contact photo, or a square thumbnail with size=64|256
+router.get('/:id/photo', validateId, validatePhotoSize, contactController.getContactPhoto);
+
+// DELETE /api/contacts/:id/photo - Remove contact photo
+router.delete('/:id/photo', validateId, contactController.removeContactPhoto);
+
+// GET /api/contacts/:id/history - Get a page of contact's revision history
+router.get('/:id/history', validateId, validatePagination, contactController.getContactHistory);
+
+// POST /api/contacts/:id/history/:revisionId/revert - Revert contact to a revision
+router.post(
+  '/:id/history/:revisionId/revert',
+  validateId,
+  validateRevisionIdParam,
+  validateRequestUser,
+  contactController.revertContact
+);
+
+// POST /api/contacts/:id/tags - Tag contact
+router.post('/:id/tags', validateId, validateContactTags, contactController.addContactTags);
+
+// DELETE /api/contacts/:id/tags/:tag - Untag contact
+router.delete('/:id/tags/:tag', validateId, validateTagParam, contactController.removeContactTag);
+
+// GET /api/contacts/:id/relationships - List contact's relationships
+router.get('/:id/relationships', validateId, contactController.getContactRelationships);
+
+// POST /api/contacts/:id/relationships - Link contact to another contact
+router.post('/:id/relationships', validateId, validateRelationship, contactController.addContactRelationship);
+
+// PUT /api/contacts/:id/relationships/:relationshipId - Replace relationship
+router.put(
+  '/:id/relationships/:relationshipId',
+  validateId,
+  validateRelationshipIdParam,
+  validateRelationship,
+  contactController.updateContactRelationship
+);
+
+// DELETE /api/contacts/:id/relationships/:relationshipId - Remove relationship
+router.delete(
+  '/:id/relationships/:relationshipId',
+  validateId,
+  validateRelationshipIdParam,
+  contactController.removeContactRelationship
+);
+
+// GET /api/contacts/:id/interactions - Get a page of contact's interactions
+router.get('/:id/interactions', validateId, validatePagination, contactController.getContactInteractions);
+
+// POST /api/contacts/:id/interactions - Log interaction with contact
+router.post('/:id/interactions', validateId, validateInteraction, contactController.addContactInteraction);
+
+// PUT /api/contacts/:id/interactions/:interactionId - Replace interaction
+router.put(
+  '/:id/interactions/:interactionId',
+  validateId,
+  validateInteractionIdParam,
+  validateInteraction,
+  contactController.updateContactInteraction
+);
+
+// DELETE /api/contacts/:id/interactions/:interactionId - Remove interaction
+router.delete(
+  '/:id/interactions/:interactionId',
+  validateId,
+  validateInteractionIdParam,
+  contactController.removeContactInteraction
+);
+
+// GET /api/contacts/:id/reminders - List contact's reminders
+router.get('/:id/reminders', validateId, contactController.getContactReminders);
+
+// POST /api/contacts/:id/reminders - Set reminder for contact
+router.post('/:id/reminders', validateId, validateReminder, contactController.addContactReminder);
+
+// PUT /api/contacts/:id/reminders/:reminderId - Replace open reminder
+router.put(
+  '/:id/reminders/:reminderId',
+  validateId,
+  validateReminderIdParam,
+  validateReminder,
+  contactController.updateContactReminder
+);
+
+// DELETE /api/contacts/:id/reminders/:reminderId - Remove reminder
+router.delete(
+  '/:id/reminders/:reminderId',
+  validateId,
+  validateReminderIdParam,
+  contactController.removeContactReminder
+);
+
+// POST /api/contacts/:id/reminders/:reminderId/complete - Complete reminder
+router.post(
+  '/:id/reminders/:reminderId/complete',
+  validateId,
+  validateReminderIdParam,
+  contactController.completeContactReminder
+);
 
-// DELETE /api/contacts/:id - Delete contact
-router.delete('/:id', validateId, contactController.deleteContact);
+// POST /api/contacts/:id/reminders/:reminderId/snooze - Snooze reminder until a later day
+router.post(
+  '/:id/reminders/:reminderId/snooze',
+  validateId,
+  validateReminderIdParam,
+  validateSnooze,
+  contactController.snoozeContactReminder
+);
 
 module.exports = router;
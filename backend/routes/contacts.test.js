@@ -2,15 +2,31 @@ const express = require('express');
 const request = require('supertest');
 const contactRoutes = require('./contacts');
 const contactService = require('../services/contactService');
+const tagService = require('../services/tagService');
+const relationshipService = require('../services/relationshipService');
+const mergeService = require('../services/mergeService');
+const interactionService = require('../services/interactionService');
+const reminderService = require('../services/reminderService');
+const starService = require('../services/starService');
+const photoService = require('../services/photoService');
 const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+const { encodeCursor } = require('../utils/pagination');
+const { DEFAULT_SORT } = require('../utils/contactListQuery');
 
 // Mock the contact service
 jest.mock('../services/contactService');
+jest.mock('../services/tagService');
+jest.mock('../services/relationshipService');
+jest.mock('../services/mergeService');
+jest.mock('../services/interactionService');
+jest.mock('../services/reminderService');
+jest.mock('../services/starService');
+jest.mock('../services/photoService');
 
 // Create test Express app
 function createTestApp() {
   const app = express();
-  app.use(express.json());
+  app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
   app.use('/api/contacts', contactRoutes);
   
   // Use the actual error handling middleware
@@ -29,7 +45,7 @@ describe('Contact Routes Integration Tests', () => {
   });
 
   describe('GET /api/contacts', () => {
-    it('should return all contacts with 200 status', async () => {
+    it('should return a page of contacts with 200 status', async () => {
       const mockContacts = [
         {
           id: 1,
@@ -54,30 +70,131 @@ describe('Contact Routes Integration Tests', () => {
           updatedAt: '2025-01-02T00:00:00.000Z',
         },
       ];
+      const mockPage = { data: mockContacts, nextCursor: null, hasMore: false };
 
-      contactService.findAll.mockResolvedValue(mockContacts);
+      contactService.findPage.mockResolvedValue(mockPage);
 
       const response = await request(app).get('/api/contacts');
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockContacts);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body).toHaveLength(2);
-      expect(contactService.findAll).toHaveBeenCalledTimes(1);
+      expect(response.body).toEqual(mockPage);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.data).toHaveLength(2);
+      expect(contactService.findPage).toHaveBeenCalledTimes(1);
+      expect(contactService.findPage).toHaveBeenCalledWith({
+        limit: undefined,
+        cursor: undefined,
+        filters: {},
+        sort: DEFAULT_SORT,
+        user: null,
+      });
     });
 
-    it('should return empty array when no contacts exist', async () => {
-      contactService.findAll.mockResolvedValue([]);
+    it('should return empty page when no contacts exist', async () => {
+      contactService.findPage.mockResolvedValue({ data: [], nextCursor: null, hasMore: false });
 
       const response = await request(app).get('/api/contacts');
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual([]);
-      expect(Array.isArray(response.body)).toBe(true);
+      expect(response.body.data).toEqual([]);
+      expect(response.body.hasMore).toBe(false);
+    });
+
+    it('should pass limit and cursor to the service', async () => {
+      const cursor = encodeCursor(['Doe', 'John', 1]);
+      contactService.findPage.mockResolvedValue({ data: [], nextCursor: 'next', hasMore: true });
+
+      const response = await request(app).get(`/api/contacts?limit=10&cursor=${cursor}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.nextCursor).toBe('next');
+      expect(contactService.findPage).toHaveBeenCalledWith({
+        limit: 10,
+        cursor,
+        filters: {},
+        sort: DEFAULT_SORT,
+        user: null,
+      });
+    });
+
+    it('should pass parsed filters and sort to the service', async () => {
+      contactService.findPage.mockResolvedValue({ data: [], nextCursor: null, hasMore: false });
+
+      const response = await request(app)
+        .get('/api/contacts?company=Acme&hasEmail=true&createdAfter=2025-01-01&sort=-updatedAt,lastName');
+
+      expect(response.status).toBe(200);
+      expect(contactService.findPage).toHaveBeenCalledWith({
+        limit: undefined,
+        cursor: undefined,
+        filters: { company: 'Acme', hasEmail: true, createdAfter: '2025-01-01' },
+        sort: [
+          { field: 'updatedAt', direction: 'desc' },
+          { field: 'lastName', direction: 'asc' },
+        ],
+        user: null,
+      });
+    });
+
+    it('should sort the X-User user\'s starred contacts first', async () => {
+      contactService.findPage.mockResolvedValue({ data: [], nextCursor: null, hasMore: false });
+
+      const response = await request(app)
+        .get('/api/contacts?sort=-starred,lastName')
+        .set('X-User', 'dana@example.com');
+
+      expect(response.status).toBe(200);
+      expect(contactService.findPage).toHaveBeenCalledWith(expect.objectContaining({
+        sort: [
+          { field: 'starred', direction: 'desc' },
+          { field: 'lastName', direction: 'asc' },
+        ],
+        user: 'dana@example.com',
+      }));
+    });
+
+    it('should return 400 status for unknown filter fields', async () => {
+      const response = await request(app).get('/api/contacts?colour=blue');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Validation failed',
+        details: [{ field: 'colour', message: 'Unknown filter field: colour' }],
+      });
+      expect(contactService.findPage).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 status for unknown sort fields', async () => {
+      const response = await request(app).get('/api/contacts?sort=-password');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContainEqual(
+        expect.objectContaining({ field: 'sort' })
+      );
+    });
+
+    it('should return 400 status for an invalid limit', async () => {
+      const response = await request(app).get('/api/contacts?limit=1000');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.details).toContainEqual(
+        expect.objectContaining({ field: 'limit' })
+      );
+      expect(contactService.findPage).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 status for an invalid cursor', async () => {
+      const response = await request(app).get('/api/contacts?cursor=garbage');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContainEqual(
+        expect.objectContaining({ field: 'cursor' })
+      );
     });
 
     it('should return 500 status on service error', async () => {
-      contactService.findAll.mockRejectedValue(new Error('Database connection failed'));
+      contactService.findPage.mockRejectedValue(new Error('Database connection failed'));
 
       const response = await request(app).get('/api/contacts');
 
@@ -87,6 +204,46 @@ describe('Contact Routes Integration Tests', () => {
     });
   });
 
+  describe('GET /api/contacts/search', () => {
+    it('should return ranked search results with 200 status', async () => {
+      const mockResults = [
+        {
+          contact: { id: 1, firstName: 'John', lastName: 'Doe' },
+          rank: 0.9,
+          snippet: '<mark>John</mark> Doe',
+        },
+      ];
+      contactService.search.mockResolvedValue(mockResults);
+
+      const response = await request(app).get('/api/contacts/search?q=%20john%20&limit=5');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: mockResults });
+      expect(contactService.search).toHaveBeenCalledWith('john', { limit: 5 });
+      expect(contactService.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 status when q is missing', async () => {
+      const response = await request(app).get('/api/contacts/search');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.details).toContainEqual(
+        expect.objectContaining({ field: 'q' })
+      );
+      expect(contactService.search).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 status on service error', async () => {
+      contactService.search.mockRejectedValue(new Error('Failed to search contacts'));
+
+      const response = await request(app).get('/api/contacts/search?q=john');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Internal server error');
+    });
+  });
+
   describe('GET /api/contacts/:id', () => {
     it('should return contact by id with 200 status', async () => {
       const mockContact = {
@@ -108,7 +265,7 @@ describe('Contact Routes Integration Tests', () => {
       expect(response.status).toBe(200);
       expect(response.body).toEqual(mockContact);
       expect(response.body.id).toBe(1);
-      expect(contactService.findById).toHaveBeenCalledWith(1);
+      expect(contactService.findById).toHaveBeenCalledWith(1, { user: null });
     });
 
     it('should return 404 status when contact not found', async () => {
@@ -177,7 +334,7 @@ describe('Contact Routes Integration Tests', () => {
       expect(response.body).toEqual(createdContact);
       expect(response.body.id).toBe(1);
       expect(response.body.firstName).toBe('John');
-      expect(contactService.create).toHaveBeenCalledWith(newContactData);
+      expect(contactService.create).toHaveBeenCalledWith(newContactData, { allowDuplicates: false, user: null });
     });
 
     it('should create contact with only required fields', async () => {
@@ -296,6 +453,187 @@ describe('Contact Routes Integration Tests', () => {
       expect(response.status).toBe(500);
       expect(response.body).toHaveProperty('error');
     });
+
+    it('should return 409 with the likely duplicates', async () => {
+      const duplicates = [{
+        contact: { id: 3, firstName: 'John', lastName: 'Doe' },
+        confidence: 0.97,
+        reasons: [{ type: 'email', value: 'john@example.com' }],
+      }];
+      const conflict = new Error('Contact may already exist; check the duplicates or create it with allowDuplicates=true');
+      conflict.statusCode = 409;
+      conflict.duplicates = duplicates;
+      contactService.create.mockRejectedValue(conflict);
+
+      const response = await request(app)
+        .post('/api/contacts')
+        .send({ firstName: 'John', lastName: 'Doe', email: 'john@example.com' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.duplicates).toEqual(duplicates);
+    });
+
+    it('should pass allowDuplicates to the service', async () => {
+      contactService.create.mockResolvedValue({ id: 4, firstName: 'John', lastName: 'Doe' });
+
+      const response = await request(app)
+        .post('/api/contacts?allowDuplicates=true')
+        .send({ firstName: 'John', lastName: 'Doe' });
+
+      expect(response.status).toBe(201);
+      expect(contactService.create).toHaveBeenCalledWith(
+        { firstName: 'John', lastName: 'Doe' },
+        { allowDuplicates: true, user: null }
+      );
+    });
+
+    it('should return 400 for an invalid allowDuplicates flag', async () => {
+      const response = await request(app)
+        .post('/api/contacts?allowDuplicates=yes')
+        .send({ firstName: 'John', lastName: 'Doe' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('allowDuplicates');
+      expect(contactService.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Duplicates', () => {
+    it('should return duplicate clusters with 200 status', async () => {
+      const clusters = [{
+        confidence: 0.97,
+        contacts: [{ id: 1, firstName: 'John', lastName: 'Doe' }, { id: 2, firstName: 'Jon', lastName: 'Doe' }],
+        matches: [{ contactIds: [1, 2], confidence: 0.97, reasons: [{ type: 'email', value: 'john@example.com' }] }],
+      }];
+      contactService.findDuplicates.mockResolvedValue(clusters);
+
+      const response = await request(app).get('/api/contacts/duplicates?minConfidence=0.8&limit=10');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: clusters });
+      expect(contactService.findDuplicates).toHaveBeenCalledWith({ minConfidence: 0.8, limit: 10 });
+      expect(contactService.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a minimum confidence outside 0-1', async () => {
+      const response = await request(app).get('/api/contacts/duplicates?minConfidence=1.5');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('minConfidence');
+      expect(contactService.findDuplicates).not.toHaveBeenCalled();
+    });
+
+    it('should check a draft contact for duplicates', async () => {
+      const matches = [{
+        contact: { id: 3, firstName: 'John', lastName: 'Doe' },
+        confidence: 0.8,
+        reasons: [{ type: 'phone', value: '5550123456' }],
+      }];
+      contactService.checkDuplicates.mockResolvedValue(matches);
+      const draft = { firstName: 'John', phone: '+1 555 012 3456' };
+
+      const response = await request(app).post('/api/contacts/check-duplicates').send(draft);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: matches });
+      expect(contactService.checkDuplicates).toHaveBeenCalledWith(draft, { minConfidence: undefined, limit: undefined });
+    });
+
+    it('should return 400 for a draft without anything to match on', async () => {
+      const response = await request(app).post('/api/contacts/check-duplicates').send({ notes: 'Met at a fair' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'body', message: 'Draft contact needs a name, email or phone number to match on' },
+      ]);
+      expect(contactService.checkDuplicates).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid and unknown draft fields', async () => {
+      const response = await request(app)
+        .post('/api/contacts/check-duplicates')
+        .send({ firstName: 'John', email: 'not-an-email', nickname: 'Johnny' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map((detail) => detail.field)).toEqual(['nickname', 'email']);
+    });
+  });
+
+  describe('Merge', () => {
+    it('should merge contacts into the survivor and return the merge record', async () => {
+      const result = {
+        contact: { id: 1, firstName: 'John', lastName: 'Doe', version: 4 },
+        merge: { id: 5, survivorId: 1, loserIds: [7], fields: { firstName: 7 }, mergedBy: 'jane@example.com' },
+      };
+      mergeService.merge.mockResolvedValue(result);
+      const body = { survivorId: 1, loserIds: [7], fields: { firstName: 7 } };
+
+      const response = await request(app)
+        .post('/api/contacts/merge')
+        .set('X-User', 'jane@example.com')
+        .send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe('"4"');
+      expect(response.body).toEqual(result);
+      expect(mergeService.merge).toHaveBeenCalledWith(body, { user: 'jane@example.com' });
+      expect(contactService.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid merge request', async () => {
+      const response = await request(app)
+        .post('/api/contacts/merge')
+        .send({ survivorId: 1, loserIds: [1], fields: { company: 1 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'loserIds[0]', message: 'The survivor cannot be merged into itself' },
+        { field: 'fields.company', message: 'Unknown merge field: company' },
+      ]);
+      expect(mergeService.merge).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an X-User header that is too long', async () => {
+      const response = await request(app)
+        .post('/api/contacts/merge')
+        .set('X-User', 'a'.repeat(101))
+        .send({ survivorId: 1, loserIds: [7] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('X-User');
+      expect(mergeService.merge).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when a contact changed during the merge', async () => {
+      const error = new Error('A contact changed during the merge; try again');
+      error.statusCode = 409;
+      mergeService.merge.mockRejectedValue(error);
+
+      const response = await request(app).post('/api/contacts/merge').send({ survivorId: 1, loserIds: [7] });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('A contact changed during the merge; try again');
+    });
+
+    it('should list merges a contact took part in', async () => {
+      const page = { data: [{ id: 5, survivorId: 1, loserIds: [7] }], nextCursor: null, hasMore: false };
+      mergeService.findPage.mockResolvedValue(page);
+
+      const response = await request(app).get('/api/contacts/merges?contactId=7&limit=10');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(page);
+      expect(mergeService.findPage).toHaveBeenCalledWith({ contactId: 7, limit: 10, cursor: undefined });
+      expect(contactService.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid contactId filter', async () => {
+      const response = await request(app).get('/api/contacts/merges?contactId=abc');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('contactId');
+      expect(mergeService.findPage).not.toHaveBeenCalled();
+    });
   });
 
   describe('PUT /api/contacts/:id', () => {
@@ -326,7 +664,7 @@ describe('Contact Routes Integration Tests', () => {
       expect(response.status).toBe(200);
       expect(response.body).toEqual(updatedContact);
       expect(response.body.email).toBe('john.updated@example.com');
-      expect(contactService.update).toHaveBeenCalledWith(1, updateData);
+      expect(contactService.update).toHaveBeenCalledWith(1, updateData, null, { user: null });
     });
 
     it('should return 404 status when contact not found', async () => {
@@ -398,6 +736,93 @@ describe('Contact Routes Integration Tests', () => {
     });
   });
 
+  describe('PATCH /api/contacts/:id', () => {
+    const patchedContact = {
+      id: 1,
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john@example.com',
+      phone: '555-555-9999',
+      company: null,
+      notes: null,
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-02T00:00:00.000Z',
+    };
+
+    it('should patch a single field and return 200 status', async () => {
+      contactService.patch.mockResolvedValue(patchedContact);
+
+      const response = await request(app)
+        .patch('/api/contacts/1')
+        .send({ phone: '555-555-9999' })
+        .set('Content-Type', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(patchedContact);
+      expect(contactService.patch).toHaveBeenCalledWith(1, { phone: '555-555-9999' }, null, { user: null });
+    });
+
+    it('should accept application/merge-patch+json bodies', async () => {
+      contactService.patch.mockResolvedValue(patchedContact);
+
+      const response = await request(app)
+        .patch('/api/contacts/1')
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ company: null }));
+
+      expect(response.status).toBe(200);
+      expect(contactService.patch).toHaveBeenCalledWith(1, { company: null }, null, { user: null });
+    });
+
+    it('should return 400 status when removing a required field', async () => {
+      const response = await request(app)
+        .patch('/api/contacts/1')
+        .send({ lastName: null })
+        .set('Content-Type', 'application/json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContainEqual(
+        expect.objectContaining({ field: 'lastName' })
+      );
+      expect(contactService.patch).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 status for unknown fields', async () => {
+      const response = await request(app)
+        .patch('/api/contacts/1')
+        .send({ nickname: 'JD' })
+        .set('Content-Type', 'application/json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContainEqual(
+        expect.objectContaining({ field: 'nickname' })
+      );
+    });
+
+    it('should return 404 status when contact not found', async () => {
+      const notFoundError = new Error('Contact not found');
+      notFoundError.statusCode = 404;
+      contactService.patch.mockRejectedValue(notFoundError);
+
+      const response = await request(app)
+        .patch('/api/contacts/999')
+        .send({ phone: '555-555-9999' })
+        .set('Content-Type', 'application/json');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Contact not found');
+    });
+
+    it('should return 400 status for invalid id format', async () => {
+      const response = await request(app)
+        .patch('/api/contacts/invalid')
+        .send({ phone: '555-555-9999' })
+        .set('Content-Type', 'application/json');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('DELETE /api/contacts/:id', () => {
     it('should delete contact and return 204 status', async () => {
       contactService.remove.mockResolvedValue();
@@ -406,7 +831,7 @@ describe('Contact Routes Integration Tests', () => {
 
       expect(response.status).toBe(204);
       expect(response.body).toEqual({});
-      expect(contactService.remove).toHaveBeenCalledWith(1);
+      expect(contactService.remove).toHaveBeenCalledWith(1, null, { user: null });
     });
 
     it('should return 404 status when contact not found', async () => {
@@ -438,9 +863,105 @@ describe('Contact Routes Integration Tests', () => {
     });
   });
 
+  describe('ETag and If-Match', () => {
+    const contact = {
+      id: 1,
+      firstName: 'John',
+      lastName: 'Doe',
+      email: null,
+      phone: null,
+      company: null,
+      notes: null,
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-02T00:00:00.000Z',
+      version: 3,
+    };
+    const staleError = () => {
+      const error = new Error('Contact has been modified by someone else; reload it and try again');
+      error.statusCode = 412;
+      error.currentVersion = 4;
+      return error;
+    };
+
+    it('should return an ETag on GET', async () => {
+      contactService.findById.mockResolvedValue(contact);
+
+      const response = await request(app).get('/api/contacts/1');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe('"3"');
+    });
+
+    it('should pass If-Match to the service and return the new ETag on PUT', async () => {
+      contactService.update.mockResolvedValue({ ...contact, version: 4 });
+
+      const response = await request(app)
+        .put('/api/contacts/1')
+        .set('If-Match', '"3"')
+        .send({ firstName: 'John', lastName: 'Doe' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe('"4"');
+      expect(contactService.update).toHaveBeenCalledWith(1, { firstName: 'John', lastName: 'Doe' }, [3], { user: null });
+    });
+
+    it('should return the new ETag on PATCH', async () => {
+      contactService.patch.mockResolvedValue({ ...contact, phone: '555-555-9999', version: 4 });
+
+      const response = await request(app)
+        .patch('/api/contacts/1')
+        .set('If-Match', '*')
+        .send({ phone: '555-555-9999' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe('"4"');
+      expect(contactService.patch).toHaveBeenCalledWith(1, { phone: '555-555-9999' }, '*', { user: null });
+    });
+
+    it('should return 412 with the current version for a stale PUT', async () => {
+      contactService.update.mockRejectedValue(staleError());
+
+      const response = await request(app)
+        .put('/api/contacts/1')
+        .set('If-Match', '"3"')
+        .send({ firstName: 'John', lastName: 'Doe' });
+
+      expect(response.status).toBe(412);
+      expect(response.body).toEqual({
+        error: 'Contact has been modified by someone else; reload it and try again',
+        currentVersion: 4,
+      });
+      expect(response.headers.etag).toBe('"4"');
+    });
+
+    it('should return 412 for a stale PATCH', async () => {
+      contactService.patch.mockRejectedValue(staleError());
+
+      const response = await request(app)
+        .patch('/api/contacts/1')
+        .set('If-Match', '"3"')
+        .send({ phone: '555-555-9999' });
+
+      expect(response.status).toBe(412);
+      expect(response.body.currentVersion).toBe(4);
+    });
+
+    it('should return 412 for a stale DELETE', async () => {
+      contactService.remove.mockRejectedValue(staleError());
+
+      const response = await request(app)
+        .delete('/api/contacts/1')
+        .set('If-Match', '"3"');
+
+      expect(response.status).toBe(412);
+      expect(response.body.currentVersion).toBe(4);
+      expect(contactService.remove).toHaveBeenCalledWith(1, [3], { user: null });
+    });
+  });
+
   describe('Response Format Tests', () => {
     it('should return JSON content type for all responses', async () => {
-      contactService.findAll.mockResolvedValue([]);
+      contactService.findPage.mockResolvedValue({ data: [], nextCursor: null, hasMore: false });
 
       const response = await request(app).get('/api/contacts');
 
@@ -491,4 +1012,924 @@ describe('Contact Routes Integration Tests', () => {
       expect(response.body).toHaveProperty('updatedAt');
     });
   });
+
+  describe('Trash', () => {
+    it('should return a page of deleted contacts', async () => {
+      const mockPage = {
+        data: [{ id: 1, firstName: 'John', lastName: 'Doe', deletedAt: '2025-03-01T00:00:00.000Z' }],
+        nextCursor: null,
+        hasMore: false,
+      };
+      contactService.findTrash.mockResolvedValue(mockPage);
+
+      const response = await request(app).get('/api/contacts/trash?limit=10');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockPage);
+      expect(contactService.findTrash).toHaveBeenCalledWith({ limit: 10, cursor: undefined });
+      expect(contactService.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid trash limit', async () => {
+      const response = await request(app).get('/api/contacts/trash?limit=0');
+
+      expect(response.status).toBe(400);
+      expect(contactService.findTrash).not.toHaveBeenCalled();
+    });
+
+    it('should purge deleted contacts and report the count', async () => {
+      contactService.purgeTrash.mockResolvedValue(3);
+
+      const response = await request(app).delete('/api/contacts/trash');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ purged: 3 });
+      expect(contactService.remove).not.toHaveBeenCalled();
+    });
+
+    it('should restore a contact and return it with an ETag', async () => {
+      const restored = { id: 1, firstName: 'John', lastName: 'Doe', version: 4 };
+      contactService.restore.mockResolvedValue(restored);
+
+      const response = await request(app).post('/api/contacts/1/restore');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(restored);
+      expect(response.headers.etag).toBe('"4"');
+      expect(contactService.restore).toHaveBeenCalledWith(1, { user: null });
+    });
+
+    it('should return 404 when restoring a contact that is not in the trash', async () => {
+      const notFoundError = new Error('Contact not found in trash');
+      notFoundError.statusCode = 404;
+      contactService.restore.mockRejectedValue(notFoundError);
+
+      const response = await request(app).post('/api/contacts/999/restore');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Contact not found in trash');
+    });
+
+    it('should return 400 status for invalid restore id', async () => {
+      const response = await request(app).post('/api/contacts/abc/restore');
+
+      expect(response.status).toBe(400);
+      expect(contactService.restore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Revision history', () => {
+    const revision = {
+      id: 8,
+      contactId: 1,
+      action: 'update',
+      snapshot: { firstName: 'John', lastName: 'Doe' },
+      changes: [{ field: 'notes', from: null, to: 'VIP' }],
+      changedBy: 'jane@example.com',
+      changedAt: '2026-01-01T00:00:00.000Z',
+    };
+
+    it('should return a page of the contact history', async () => {
+      const page = { data: [revision], nextCursor: null, hasMore: false };
+      contactService.findHistory.mockResolvedValue(page);
+
+      const response = await request(app).get('/api/contacts/1/history?limit=10');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(page);
+      expect(contactService.findHistory).toHaveBeenCalledWith(1, { limit: 10, cursor: undefined });
+    });
+
+    it('should return 404 for the history of an unknown contact', async () => {
+      const notFoundError = new Error('Contact not found');
+      notFoundError.statusCode = 404;
+      contactService.findHistory.mockRejectedValue(notFoundError);
+
+      const response = await request(app).get('/api/contacts/999/history');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should revert a contact with the acting user and return the new ETag', async () => {
+      const reverted = { id: 1, firstName: 'John', lastName: 'Doe', version: 6 };
+      contactService.revert.mockResolvedValue(reverted);
+
+      const response = await request(app)
+        .post('/api/contacts/1/history/8/revert')
+        .set('If-Match', '"5"')
+        .set('X-User', 'jane@example.com');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(reverted);
+      expect(response.headers.etag).toBe('"6"');
+      expect(contactService.revert).toHaveBeenCalledWith(1, 8, [5], { user: 'jane@example.com' });
+    });
+
+    it('should return 400 for an invalid revision ID', async () => {
+      const response = await request(app).post('/api/contacts/1/history/abc/revert');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('revisionId');
+      expect(contactService.revert).not.toHaveBeenCalled();
+    });
+
+    it('should pass the acting user to every change', async () => {
+      contactService.update.mockResolvedValue({ id: 1, firstName: 'John', lastName: 'Doe', version: 2 });
+
+      await request(app)
+        .put('/api/contacts/1')
+        .set('X-User', '  jane@example.com ')
+        .send({ firstName: 'John', lastName: 'Doe' });
+
+      expect(contactService.update).toHaveBeenCalledWith(
+        1,
+        { firstName: 'John', lastName: 'Doe' },
+        null,
+        { user: 'jane@example.com' }
+      );
+    });
+
+    it('should return 400 for an X-User header that is too long', async () => {
+      const response = await request(app)
+        .delete('/api/contacts/1')
+        .set('X-User', 'a'.repeat(101));
+
+      expect(response.status).toBe(400);
+      expect(contactService.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/contacts/bulk', () => {
+    it('should run the batch and return per-item results', async () => {
+      const outcome = {
+        atomic: false,
+        committed: true,
+        summary: { succeeded: 1, failed: 0 },
+        results: [{ index: 0, op: 'delete', id: 1, status: 'success', statusCode: 204 }],
+      };
+      contactService.bulk.mockResolvedValue(outcome);
+
+      const response = await request(app)
+        .post('/api/contacts/bulk')
+        .send({ atomic: false, operations: [{ op: 'delete', id: 1 }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(outcome);
+      expect(contactService.bulk).toHaveBeenCalledWith([{ op: 'delete', id: 1 }], { atomic: false, user: null });
+      expect(contactService.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when operations is missing', async () => {
+      const response = await request(app).post('/api/contacts/bulk').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('operations');
+      expect(contactService.bulk).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 status on service error', async () => {
+      contactService.bulk.mockRejectedValue(new Error('Failed to process bulk operations'));
+
+      const response = await request(app)
+        .post('/api/contacts/bulk')
+        .send({ operations: [{ op: 'delete', id: 1 }] });
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('POST /api/contacts/import', () => {
+    const csv = 'First,Last\nJohn,Doe\n';
+
+    it('should import the CSV body and return 201', async () => {
+      const result = { dryRun: false, total: 1, imported: 1, data: [{ id: 1, firstName: 'John', lastName: 'Doe' }] };
+      contactService.importCsv.mockResolvedValue(result);
+      const mapping = { First: 'firstName', Last: 'lastName' };
+
+      const response = await request(app)
+        .post('/api/contacts/import')
+        .query({ mapping: JSON.stringify(mapping) })
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(result);
+      expect(contactService.importCsv).toHaveBeenCalledWith(csv, { mapping, dryRun: false, user: null });
+    });
+
+    it('should return 200 with the report for a dry run', async () => {
+      const report = { dryRun: true, total: 1, valid: 1, invalid: 0, errors: [] };
+      contactService.importCsv.mockResolvedValue(report);
+
+      const response = await request(app)
+        .post('/api/contacts/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(report);
+      expect(contactService.importCsv).toHaveBeenCalledWith(csv, { mapping: undefined, dryRun: true, user: null });
+    });
+
+    it('should return 400 with per-row details when rows are invalid', async () => {
+      const validationError = new Error('Validation failed');
+      validationError.statusCode = 400;
+      validationError.details = [{ row: 2, field: 'lastName', message: 'Last name is required' }];
+      contactService.importCsv.mockRejectedValue(validationError);
+
+      const response = await request(app)
+        .post('/api/contacts/import')
+        .set('Content-Type', 'text/csv')
+        .send('First,Last\nJohn,\n');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(validationError.details);
+    });
+
+    it('should return 400 when the body is not sent as text/csv', async () => {
+      const response = await request(app).post('/api/contacts/import').send({ csv });
+
+      expect(response.status).toBe(400);
+      expect(contactService.importCsv).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/contacts/export', () => {
+    const contacts = [
+      {
+        id: 1,
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john@example.com',
+        phone: '+1 555 555 0123',
+        company: 'Acme, Inc.',
+        notes: '=HYPERLINK("http://evil.example")',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-02T00:00:00.000Z',
+        version: 1,
+      },
+      {
+        id: 2,
+        firstName: 'Jane',
+        lastName: 'Smith',
+        email: null,
+        phone: null,
+        company: null,
+        notes: null,
+        createdAt: '2025-01-03T00:00:00.000Z',
+        updatedAt: '2025-01-03T00:00:00.000Z',
+        version: 1,
+      },
+    ];
+
+    function mockBatches(...batches) {
+      contactService.exportContacts.mockImplementation(async function* exportBatches() {
+        yield* batches;
+      });
+    }
+
+    it('should stream escaped CSV as an attachment by default', async () => {
+      mockBatches([contacts[0]], [contacts[1]]);
+
+      const response = await request(app).get('/api/contacts/export');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="contacts-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(response.text).toBe(
+        'id,firstName,lastName,email,phone,company,notes,createdAt,updatedAt\r\n' +
+        '1,John,Doe,john@example.com,\'+1 555 555 0123,"Acme, Inc.","\'=HYPERLINK(""http://evil.example"")",' +
+        '2025-01-01T00:00:00.000Z,2025-01-02T00:00:00.000Z\r\n' +
+        '2,Jane,Smith,,,,,2025-01-03T00:00:00.000Z,2025-01-03T00:00:00.000Z\r\n'
+      );
+    });
+
+    it('should stream a JSON array', async () => {
+      mockBatches([contacts[0]], [contacts[1]]);
+
+      const response = await request(app).get('/api/contacts/export?format=json');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/json; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/filename="contacts-.*\.json"$/);
+      expect(response.body).toEqual(contacts);
+    });
+
+    it('should return an empty JSON array when nothing matches', async () => {
+      mockBatches();
+
+      const response = await request(app).get('/api/contacts/export?format=json&company=Nobody');
+
+      expect(response.body).toEqual([]);
+      expect(contactService.exportContacts).toHaveBeenCalledWith({
+        filters: { company: 'Nobody' },
+        sort: DEFAULT_SORT,
+        user: null,
+      });
+    });
+
+    it('should return 400 for an unknown format or a pagination parameter', async () => {
+      const response = await request(app).get('/api/contacts/export?format=xml&limit=10');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'format', message: 'Format must be one of: csv, json, vcf' },
+        { field: 'limit', message: 'Exports are not paginated' },
+      ]);
+      expect(contactService.exportContacts).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the export cannot start', async () => {
+      contactService.exportContacts.mockImplementation(async function* failingExport() {
+        throw new Error('Failed to export contacts');
+      });
+
+      const response = await request(app).get('/api/contacts/export');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Internal server error' });
+    });
+  });
+
+  describe('vCard', () => {
+    const contact = {
+      id: 1,
+      firstName: 'John',
+      lastName: "O'Neil",
+      email: 'john@example.com',
+      phone: null,
+      company: null,
+      notes: null,
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-02T00:00:00.000Z',
+      version: 1,
+    };
+
+    it('should download a contact as a vCard', async () => {
+      contactService.findById.mockResolvedValue(contact);
+
+      const response = await request(app).get('/api/contacts/1/vcard?version=3.0');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/vcard; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="John-O-Neil.vcf"');
+      expect(response.text).toContain('VERSION:3.0\r\nFN:John O\'Neil\r\nN:O\'Neil;John;;;\r\n');
+    });
+
+    it('should link the photo under the configured public URL, whatever the Host header', async () => {
+      contactService.findById.mockResolvedValue({ ...contact, photoUrl: '/api/contacts/1/photo' });
+      process.env.PUBLIC_BASE_URL = 'https://contacts.example.com/';
+
+      try {
+        const response = await request(app).get('/api/contacts/1/vcard?version=3.0').set('Host', 'attacker.example');
+
+        expect(response.text).toContain('\r\nPHOTO;VALUE=uri:https://contacts.example.com/api/contacts/1/photo\r\n');
+      } finally {
+        delete process.env.PUBLIC_BASE_URL;
+      }
+    });
+
+    it('should leave out the photo when no public URL is configured', async () => {
+      contactService.findById.mockResolvedValue({ ...contact, photoUrl: '/api/contacts/1/photo' });
+
+      const response = await request(app).get('/api/contacts/1/vcard');
+
+      expect(response.text).not.toContain('PHOTO');
+    });
+
+    it('should return 404 for a missing contact', async () => {
+      const notFoundError = new Error('Contact not found');
+      notFoundError.statusCode = 404;
+      contactService.findById.mockRejectedValue(notFoundError);
+
+      const response = await request(app).get('/api/contacts/999/vcard');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 400 for an unsupported version', async () => {
+      const response = await request(app).get('/api/contacts/1/vcard?version=2.1');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].message).toBe('Version must be one of: 3.0, 4.0');
+    });
+
+    it('should export all contacts as one .vcf file', async () => {
+      contactService.exportContacts.mockImplementation(async function* exportBatches() {
+        yield [contact, { ...contact, id: 2, firstName: 'Jane' }];
+      });
+
+      const response = await request(app).get('/api/contacts/export?format=vcf&version=4.0');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/vcard; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/filename="contacts-.*\.vcf"$/);
+      expect(response.text.match(/BEGIN:VCARD/g)).toHaveLength(2);
+    });
+
+    it('should reject a vCard version for other export formats', async () => {
+      const response = await request(app).get('/api/contacts/export?format=csv&version=4.0');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('version');
+    });
+
+    it('should import a vCard file', async () => {
+      const result = { dryRun: true, total: 1, valid: 1, invalid: 0, errors: [] };
+      contactService.importVCards.mockResolvedValue(result);
+      const card = 'BEGIN:VCARD\r\nN:Doe;John;;;\r\nEND:VCARD\r\n';
+
+      const response = await request(app)
+        .post('/api/contacts/import/vcard?dryRun=true')
+        .set('Content-Type', 'text/vcard')
+        .send(card);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(result);
+      expect(contactService.importVCards).toHaveBeenCalledWith(card, { dryRun: true, user: null });
+    });
+
+    it('should return 400 when the import body is not text/vcard', async () => {
+      const response = await request(app).post('/api/contacts/import/vcard').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].message).toBe('Request body must be vCard text sent as text/vcard');
+    });
+  });
+
+  describe('Tags', () => {
+    it('should tag a contact and return it with an ETag', async () => {
+      const tagged = { id: 1, firstName: 'John', lastName: 'Doe', tags: ['vendor', 'vip'], version: 3 };
+      tagService.tagContact.mockResolvedValue(tagged);
+
+      const response = await request(app)
+        .post('/api/contacts/1/tags')
+        .send({ tags: ['VIP', 'vendor'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(tagged);
+      expect(response.headers.etag).toBe('"3"');
+      expect(tagService.tagContact).toHaveBeenCalledWith(1, ['VIP', 'vendor']);
+    });
+
+    it('should return 400 when tags are missing', async () => {
+      const response = await request(app).post('/api/contacts/1/tags').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('tags');
+      expect(tagService.tagContact).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when tagging a missing contact', async () => {
+      const notFoundError = new Error('Contact not found');
+      notFoundError.statusCode = 404;
+      tagService.tagContact.mockRejectedValue(notFoundError);
+
+      const response = await request(app).post('/api/contacts/999/tags').send({ tags: ['vip'] });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Contact not found');
+    });
+
+    it('should untag a contact by tag name', async () => {
+      const untagged = { id: 1, firstName: 'John', lastName: 'Doe', tags: [], version: 4 };
+      tagService.untagContact.mockResolvedValue(untagged);
+
+      const response = await request(app).delete('/api/contacts/1/tags/conference%202026');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(untagged);
+      expect(tagService.untagContact).toHaveBeenCalledWith(1, 'conference 2026');
+      expect(contactService.remove).not.toHaveBeenCalled();
+    });
+
+    it('should pass the tag filter to the contact list', async () => {
+      contactService.findPage.mockResolvedValue({ data: [], nextCursor: null, hasMore: false });
+
+      const response = await request(app).get('/api/contacts?tag=vip');
+
+      expect(response.status).toBe(200);
+      expect(contactService.findPage).toHaveBeenCalledWith(
+        expect.objectContaining({ filters: { tag: 'vip' } })
+      );
+    });
+  });
+
+  describe('Contact relationships', () => {
+    const relationship = {
+      id: 4,
+      type: 'assistant',
+      bidirectional: true,
+      inverseType: 'manager',
+      relatedContact: { id: 9, firstName: 'Sam', lastName: 'Lee', company: null },
+    };
+
+    it('should list a contact\'s relationships wrapped in data', async () => {
+      relationshipService.findByContact.mockResolvedValue([relationship]);
+
+      const response = await request(app).get('/api/contacts/2/relationships');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: [relationship] });
+      expect(relationshipService.findByContact).toHaveBeenCalledWith(2);
+    });
+
+    it('should create a relationship with 201 status', async () => {
+      relationshipService.create.mockResolvedValue(relationship);
+      const body = { relatedContactId: 9, type: 'assistant', bidirectional: true };
+
+      const response = await request(app).post('/api/contacts/2/relationships').send(body);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(relationship);
+      expect(relationshipService.create).toHaveBeenCalledWith(2, body);
+    });
+
+    it('should return 400 for an invalid relationship', async () => {
+      const response = await request(app)
+        .post('/api/contacts/2/relationships')
+        .send({ relatedContactId: 2, type: 'boss', inverseType: 'report' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'relatedContactId', message: 'A contact cannot be related to itself' },
+        { field: 'type', message: expect.stringContaining('Type must be one of') },
+        { field: 'inverseType', message: 'Inverse type requires a bidirectional relationship' },
+      ]);
+      expect(relationshipService.create).not.toHaveBeenCalled();
+    });
+
+    it('should replace a relationship', async () => {
+      relationshipService.update.mockResolvedValue({ ...relationship, type: 'colleague' });
+      const body = { relatedContactId: 9, type: 'colleague' };
+
+      const response = await request(app).put('/api/contacts/2/relationships/4').send(body);
+
+      expect(response.status).toBe(200);
+      expect(relationshipService.update).toHaveBeenCalledWith(2, 4, body);
+    });
+
+    it('should delete a relationship with 204 status', async () => {
+      relationshipService.remove.mockResolvedValue();
+
+      const response = await request(app).delete('/api/contacts/2/relationships/4');
+
+      expect(response.status).toBe(204);
+      expect(relationshipService.remove).toHaveBeenCalledWith(2, 4);
+    });
+
+    it('should return 400 for an invalid relationship ID', async () => {
+      const response = await request(app).delete('/api/contacts/2/relationships/abc');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('relationshipId');
+      expect(relationshipService.remove).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the contact does not have the relationship', async () => {
+      const notFoundError = new Error('Relationship not found');
+      notFoundError.statusCode = 404;
+      relationshipService.remove.mockRejectedValue(notFoundError);
+
+      const response = await request(app).delete('/api/contacts/2/relationships/99');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Relationship not found');
+    });
+  });
+
+  describe('Contact interactions', () => {
+    const interaction = {
+      id: 6,
+      contactId: 2,
+      type: 'call',
+      summary: 'Discussed the renewal',
+      body: null,
+      occurredAt: '2026-03-02T15:00:00.000Z',
+    };
+
+    it('should return a page of a contact\'s interactions', async () => {
+      const page = { data: [interaction], nextCursor: null, hasMore: false };
+      interactionService.findPage.mockResolvedValue(page);
+
+      const response = await request(app).get('/api/contacts/2/interactions?limit=20');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(page);
+      expect(interactionService.findPage).toHaveBeenCalledWith(2, { limit: 20, cursor: undefined });
+    });
+
+    it('should log an interaction with 201 status', async () => {
+      interactionService.create.mockResolvedValue(interaction);
+      const body = { type: 'call', summary: 'Discussed the renewal', occurredAt: '2026-03-02T15:00:00Z' };
+
+      const response = await request(app).post('/api/contacts/2/interactions').send(body);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(interaction);
+      expect(interactionService.create).toHaveBeenCalledWith(2, body);
+    });
+
+    it('should return 400 for an invalid interaction', async () => {
+      const response = await request(app).post('/api/contacts/2/interactions').send({ type: 'call' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ field: 'summary', message: 'Summary is required' }]);
+      expect(interactionService.create).not.toHaveBeenCalled();
+    });
+
+    it('should replace an interaction', async () => {
+      interactionService.update.mockResolvedValue({ ...interaction, type: 'meeting' });
+      const body = { type: 'meeting', summary: 'Discussed the renewal' };
+
+      const response = await request(app).put('/api/contacts/2/interactions/6').send(body);
+
+      expect(response.status).toBe(200);
+      expect(interactionService.update).toHaveBeenCalledWith(2, 6, body);
+    });
+
+    it('should delete an interaction with 204 status', async () => {
+      interactionService.remove.mockResolvedValue();
+
+      const response = await request(app).delete('/api/contacts/2/interactions/6');
+
+      expect(response.status).toBe(204);
+      expect(interactionService.remove).toHaveBeenCalledWith(2, 6);
+    });
+
+    it('should return 400 for an invalid interaction ID', async () => {
+      const response = await request(app).delete('/api/contacts/2/interactions/0');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('interactionId');
+      expect(interactionService.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Contact reminders', () => {
+    const reminder = {
+      id: 3,
+      contactId: 2,
+      title: 'Check in',
+      dueDate: '2026-11-03',
+      recurrence: { every: 90, unit: 'day' },
+      status: 'open',
+      closedAt: null,
+      previousId: null,
+    };
+
+    it('should list a contact\'s reminders', async () => {
+      reminderService.findByContact.mockResolvedValue([reminder]);
+
+      const response = await request(app).get('/api/contacts/2/reminders');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: [reminder] });
+      expect(reminderService.findByContact).toHaveBeenCalledWith(2);
+    });
+
+    it('should set a reminder with 201 status', async () => {
+      reminderService.create.mockResolvedValue(reminder);
+      const body = { title: 'Check in', dueDate: '2026-11-03', recurrence: { every: 90, unit: 'day' } };
+
+      const response = await request(app).post('/api/contacts/2/reminders').send(body);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(reminder);
+      expect(reminderService.create).toHaveBeenCalledWith(2, body);
+    });
+
+    it('should return 400 for an invalid reminder', async () => {
+      const response = await request(app).post('/api/contacts/2/reminders').send({ title: 'Check in' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'dueDate', message: 'Due date must be a date in YYYY-MM-DD format' },
+      ]);
+      expect(reminderService.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when replacing a reminder that is no longer open', async () => {
+      const error = new Error('Reminder is already completed or snoozed');
+      error.statusCode = 409;
+      reminderService.update.mockRejectedValue(error);
+      const body = { title: 'Call', dueDate: '2026-11-10' };
+
+      const response = await request(app).put('/api/contacts/2/reminders/3').send(body);
+
+      expect(response.status).toBe(409);
+      expect(reminderService.update).toHaveBeenCalledWith(2, 3, body);
+    });
+
+    it('should delete a reminder with 204 status', async () => {
+      reminderService.remove.mockResolvedValue();
+
+      const response = await request(app).delete('/api/contacts/2/reminders/3');
+
+      expect(response.status).toBe(204);
+      expect(reminderService.remove).toHaveBeenCalledWith(2, 3);
+    });
+
+    it('should complete a reminder and return the next occurrence', async () => {
+      const result = {
+        reminder: { ...reminder, status: 'completed' },
+        next: { ...reminder, id: 4, dueDate: '2027-02-01', previousId: 3 },
+      };
+      reminderService.complete.mockResolvedValue(result);
+
+      const response = await request(app).post('/api/contacts/2/reminders/3/complete');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(result);
+      expect(reminderService.complete).toHaveBeenCalledWith(2, 3);
+    });
+
+    it('should snooze a reminder until a later day', async () => {
+      const result = {
+        reminder: { ...reminder, status: 'snoozed' },
+        next: { ...reminder, id: 4, dueDate: '2026-11-10', previousId: 3 },
+      };
+      reminderService.snooze.mockResolvedValue(result);
+
+      const response = await request(app).post('/api/contacts/2/reminders/3/snooze').send({ until: '2026-11-10' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(result);
+      expect(reminderService.snooze).toHaveBeenCalledWith(2, 3, '2026-11-10');
+    });
+
+    it('should return 400 for an invalid reminder ID', async () => {
+      const response = await request(app).post('/api/contacts/2/reminders/abc/complete');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('reminderId');
+      expect(reminderService.complete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Starred contacts', () => {
+    it('should star a contact for the X-User user', async () => {
+      const star = { contactId: 4, starred: true, starredAt: '2026-10-01T09:00:00.000Z' };
+      starService.star.mockResolvedValue(star);
+
+      const response = await request(app).put('/api/contacts/4/star').set('X-User', 'dana@example.com');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(star);
+      expect(starService.star).toHaveBeenCalledWith(4, 'dana@example.com');
+    });
+
+    it('should clear a star with 204 status', async () => {
+      starService.unstar.mockResolvedValue();
+
+      const response = await request(app).delete('/api/contacts/4/star').set('X-User', 'dana@example.com');
+
+      expect(response.status).toBe(204);
+      expect(starService.unstar).toHaveBeenCalledWith(4, 'dana@example.com');
+    });
+
+    it('should return 400 without an X-User header', async () => {
+      const response = await request(app).put('/api/contacts/4/star');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ field: 'X-User', message: 'X-User header is required' }]);
+      expect(starService.star).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the contact does not exist', async () => {
+      const error = new Error('Contact not found');
+      error.statusCode = 404;
+      starService.unstar.mockRejectedValue(error);
+
+      const response = await request(app).delete('/api/contacts/999/star').set('X-User', 'dana@example.com');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Contact photos', () => {
+    const photo = {
+      contactId: 4,
+      url: '/api/contacts/4/photo',
+      thumbnails: { 64: '/api/contacts/4/photo?size=64', 256: '/api/contacts/4/photo?size=256' },
+      contentType: 'image/png',
+      byteSize: 67,
+      width: 1,
+      height: 1,
+      uploadedAt: '2026-10-01T09:00:00.000Z',
+    };
+
+    it('should upload a photo sent as multipart/form-data', async () => {
+      photoService.upload.mockResolvedValue(photo);
+
+      const response = await request(app)
+        .put('/api/contacts/4/photo')
+        .attach('photo', Buffer.from('image bytes'), 'dana.png');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(photo);
+      const [id, file] = photoService.upload.mock.calls[0];
+      expect(id).toBe(4);
+      expect(file.toString()).toBe('image bytes');
+    });
+
+    it('should pass no file on when the form has no photo', async () => {
+      photoService.upload.mockResolvedValue(photo);
+
+      await request(app).put('/api/contacts/4/photo').field('note', 'no photo');
+
+      expect(photoService.upload).toHaveBeenCalledWith(4, undefined);
+    });
+
+    it('should return 413 for a photo over 5 MB without calling the service', async () => {
+      const response = await request(app)
+        .put('/api/contacts/4/photo')
+        .attach('photo', Buffer.alloc(5 * 1024 * 1024 + 1), 'dana.jpg');
+
+      expect(response.status).toBe(413);
+      expect(response.body.error).toBe('Photo must not exceed 5 MB');
+      expect(photoService.upload).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a file in another field', async () => {
+      const response = await request(app)
+        .put('/api/contacts/4/photo')
+        .attach('avatar', Buffer.from('image bytes'), 'dana.png');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ field: 'avatar', message: 'Only the photo field may hold a file' }]);
+      expect(photoService.upload).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a malformed multipart body', async () => {
+      const response = await request(app)
+        .put('/api/contacts/4/photo')
+        .set('Content-Type', 'multipart/form-data')
+        .send('--x\r\n');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].message).toMatch(/^Invalid multipart body: /);
+      expect(photoService.upload).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a body that is not multipart/form-data', async () => {
+      const response = await request(app).put('/api/contacts/4/photo').send({ photo: 'dana.png' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('Content-Type');
+      expect(photoService.upload).not.toHaveBeenCalled();
+    });
+
+    it('should return 415 for a file that is not a JPEG or PNG image', async () => {
+      const error = new Error('Photo must be a JPEG or PNG image');
+      error.statusCode = 415;
+      photoService.upload.mockRejectedValue(error);
+
+      const response = await request(app)
+        .put('/api/contacts/4/photo')
+        .attach('photo', Buffer.from('GIF89a'), 'dana.gif');
+
+      expect(response.status).toBe(415);
+      expect(response.body.error).toBe('Photo must be a JPEG or PNG image');
+    });
+
+    it('should serve a thumbnail with its content type', async () => {
+      photoService.find.mockResolvedValue({ contentType: 'image/png', data: Buffer.from('png bytes') });
+
+      const response = await request(app).get('/api/contacts/4/photo?size=256');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+      expect(response.body.toString()).toBe('png bytes');
+      expect(photoService.find).toHaveBeenCalledWith(4, 256);
+    });
+
+    it('should return 400 for a size that has no thumbnail', async () => {
+      const response = await request(app).get('/api/contacts/4/photo?size=100');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ field: 'size', message: 'Size must be one of: 64, 256' }]);
+    });
+
+    it('should return 404 when the contact has no photo', async () => {
+      const error = new Error('Photo not found');
+      error.statusCode = 404;
+      photoService.find.mockRejectedValue(error);
+
+      const response = await request(app).get('/api/contacts/4/photo');
+
+      expect(response.status).toBe(404);
+      expect(photoService.find).toHaveBeenCalledWith(4, undefined);
+    });
+
+    it('should remove a photo with 204 status', async () => {
+      photoService.remove.mockResolvedValue();
+
+      const response = await request(app).delete('/api/contacts/4/photo');
+
+      expect(response.status).toBe(204);
+      expect(photoService.remove).toHaveBeenCalledWith(4);
+    });
+  });
 });
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const customFieldController = require('../controllers/customFieldController');
+const { validateId } = require('../middleware/validation');
+const { validateCustomField } = require('../middleware/customFieldValidation');
+
+/**
+ * Custom Field Routes
+ * Base path: /api/custom-fields
+ */
+
+// GET /api/custom-fields - Get all custom field definitions
+router.get('/', customFieldController.getAllCustomFields);
+
+// GET /api/custom-fields/:id - Get single custom field definition by ID
+router.get('/:id', validateId, customFieldController.getCustomFieldById);
+
+// POST /api/custom-fields - Create new custom field definition
+router.post('/', validateCustomField, customFieldController.createCustomField);
+
+// PUT /api/custom-fields/:id - Update label, required flag and options
+router.put('/:id', validateId, validateCustomField, customFieldController.updateCustomField);
+
+// DELETE /api/custom-fields/:id - Delete custom field and its values on every contact
+router.delete('/:id', validateId, customFieldController.deleteCustomField);
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const request = require('supertest');
+const customFieldRoutes = require('./customFields');
+const customFieldService = require('../services/customFieldService');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+// Mock the custom field service
+jest.mock('../services/customFieldService');
+
+// Create test Express app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/custom-fields', customFieldRoutes);
+
+  // Use the actual error handling middleware
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('Custom Field Routes Integration Tests', () => {
+  let app;
+  const field = { id: 1, key: 'tier', label: 'Tier', type: 'select', required: false, options: ['gold', 'silver'] };
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/custom-fields', () => {
+    it('should return all definitions wrapped in data', async () => {
+      customFieldService.findAll.mockResolvedValue([field]);
+
+      const response = await request(app).get('/api/custom-fields');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: [field] });
+    });
+  });
+
+  describe('GET /api/custom-fields/:id', () => {
+    it('should return 404 when the definition does not exist', async () => {
+      const notFoundError = new Error('Custom field not found');
+      notFoundError.statusCode = 404;
+      customFieldService.findById.mockRejectedValue(notFoundError);
+
+      const response = await request(app).get('/api/custom-fields/999');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Custom field not found');
+    });
+  });
+
+  describe('POST /api/custom-fields', () => {
+    it('should create a definition with 201 status', async () => {
+      customFieldService.create.mockResolvedValue(field);
+      const body = { key: 'tier', label: 'Tier', type: 'select', options: ['gold', 'silver'] };
+
+      const response = await request(app).post('/api/custom-fields').send(body);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(field);
+      expect(customFieldService.create).toHaveBeenCalledWith(body);
+    });
+
+    it('should return 400 for an invalid key, label and type', async () => {
+      const response = await request(app).post('/api/custom-fields')
+        .send({ key: 'Account Manager', label: '', type: 'email', required: 'yes' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map((detail) => detail.field)).toEqual(['key', 'label', 'type', 'required']);
+      expect(customFieldService.create).not.toHaveBeenCalled();
+    });
+
+    it('should require options for a select field only', async () => {
+      const select = await request(app).post('/api/custom-fields')
+        .send({ key: 'tier', label: 'Tier', type: 'select', options: ['gold', ' gold'] });
+      const text = await request(app).post('/api/custom-fields')
+        .send({ key: 'slackHandle', label: 'Slack handle', type: 'text', options: ['a'] });
+
+      expect(select.status).toBe(400);
+      expect(select.body.details).toEqual([{ field: 'options[1]', message: 'Option is listed more than once' }]);
+      expect(text.status).toBe(400);
+      expect(text.body.details).toEqual([{ field: 'options', message: 'Options are only allowed for select fields' }]);
+    });
+
+    it('should return 409 when the key is taken', async () => {
+      const conflictError = new Error('Custom field already exists');
+      conflictError.statusCode = 409;
+      customFieldService.create.mockRejectedValue(conflictError);
+
+      const response = await request(app).post('/api/custom-fields')
+        .send({ key: 'website', label: 'Website', type: 'url' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /api/custom-fields/:id', () => {
+    it('should update the definition', async () => {
+      customFieldService.update.mockResolvedValue({ ...field, required: true });
+      const body = { key: 'tier', label: 'Tier', type: 'select', required: true, options: ['gold', 'silver'] };
+
+      const response = await request(app).put('/api/custom-fields/1').send(body);
+
+      expect(response.status).toBe(200);
+      expect(customFieldService.update).toHaveBeenCalledWith(1, body);
+    });
+  });
+
+  describe('DELETE /api/custom-fields/:id', () => {
+    it('should delete the definition with 204 status', async () => {
+      customFieldService.remove.mockResolvedValue();
+
+      const response = await request(app).delete('/api/custom-fields/1');
+
+      expect(response.status).toBe(204);
+      expect(customFieldService.remove).toHaveBeenCalledWith(1);
+    });
+  });
+});
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { validateUpcomingEvents } = require('../middleware/eventValidation');
+
+/**
+ * Event Routes
+ * Base path: /api/events
+ */
+
+// GET /api/events/upcoming - Get the next occurrences of contact dates
+router.get('/upcoming', validateUpcomingEvents, eventController.getUpcomingEvents);
+
+module.exports = router;
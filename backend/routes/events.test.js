@@ -0,0 +1,83 @@
+const express = require('express');
+const request = require('supertest');
+const eventRoutes = require('./events');
+const eventService = require('../services/eventService');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+// Mock the event service
+jest.mock('../services/eventService');
+
+// Create test Express app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/events', eventRoutes);
+
+  // Use the actual error handling middleware
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('Event Routes Integration Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/events/upcoming', () => {
+    it('should return the upcoming events', async () => {
+      const mockResult = {
+        from: '2026-10-19',
+        to: '2026-11-18',
+        data: [{
+          contact: { id: 1, firstName: 'John', lastName: 'Doe' },
+          type: 'birthday',
+          date: '--10-20',
+          nextDate: '2026-10-20',
+          daysUntil: 1,
+          years: null,
+        }],
+      };
+      eventService.findUpcoming.mockResolvedValue(mockResult);
+
+      const response = await request(app).get('/api/events/upcoming');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockResult);
+      expect(eventService.findUpcoming).toHaveBeenCalledWith({ days: undefined, from: undefined, type: undefined });
+    });
+
+    it('should pass the window and type to the service', async () => {
+      eventService.findUpcoming.mockResolvedValue({ from: '2027-02-01', to: '2027-03-03', data: [] });
+
+      const response = await request(app).get('/api/events/upcoming?days=30&from=2027-02-01&type=birthday');
+
+      expect(response.status).toBe(200);
+      expect(eventService.findUpcoming).toHaveBeenCalledWith({ days: 30, from: '2027-02-01', type: 'birthday' });
+    });
+
+    it('should return 400 for invalid parameters', async () => {
+      const response = await request(app).get('/api/events/upcoming?days=400&from=2027-02-29&type=wedding');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'days', message: 'Days must be an integer between 0 and 366' },
+        { field: 'from', message: 'From must be a date in YYYY-MM-DD format' },
+        { field: 'type', message: 'Type must be one of: birthday, anniversary, other' },
+      ]);
+      expect(eventService.findUpcoming).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the service fails', async () => {
+      eventService.findUpcoming.mockRejectedValue(new Error('Failed to retrieve upcoming events'));
+
+      const response = await request(app).get('/api/events/upcoming');
+
+      expect(response.status).toBe(500);
+    });
+  });
+});
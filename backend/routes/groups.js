@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupController');
+const { validateId, validatePagination } = require('../middleware/validation');
+const {
+  validateGroup,
+  validateGroupMembers,
+  validateGroupMemberOrder,
+  validateContactIdParam,
+} = require('../middleware/groupValidation');
+
+/**
+ * Group Routes
+ * Base path: /api/groups
+ */
+
+// GET /api/groups - Get all groups
+router.get('/', groupController.getAllGroups);
+
+// GET /api/groups/:id - Get single group by ID
+router.get('/:id', validateId, groupController.getGroupById);
+
+// GET /api/groups/:id/contacts - Get a page of the group's contacts in group order
+router.get('/:id/contacts', validateId, validatePagination, groupController.getGroupContacts);
+
+// POST /api/groups - Create new group
+router.post('/', validateGroup, groupController.createGroup);
+
+// PUT /api/groups/:id - Update existing group
+router.put('/:id', validateId, validateGroup, groupController.updateGroup);
+
+// DELETE /api/groups/:id - Delete group (its contacts are kept)
+router.delete('/:id', validateId, groupController.deleteGroup);
+
+// POST /api/groups/:id/members - Append contacts to the group
+router.post('/:id/members', validateId, validateGroupMembers, groupController.addGroupMembers);
+
+// PUT /api/groups/:id/members - Replace and reorder the group's members
+router.put('/:id/members', validateId, validateGroupMemberOrder, groupController.replaceGroupMembers);
+
+// DELETE /api/groups/:id/members/:contactId - Remove a contact from the group
+router.delete('/:id/members/:contactId', validateId, validateContactIdParam, groupController.removeGroupMember);
+
+module.exports = router;
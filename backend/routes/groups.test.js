@@ -0,0 +1,165 @@
+const express = require('express');
+const request = require('supertest');
+const groupRoutes = require('./groups');
+const groupService = require('../services/groupService');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+// Mock the group service
+jest.mock('../services/groupService');
+
+// Create test Express app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/groups', groupRoutes);
+
+  // Use the actual error handling middleware
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('Group Routes Integration Tests', () => {
+  let app;
+  const group = { id: 1, name: 'Board members', owner: 'Dana Lee', description: null, memberCount: 2 };
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/groups', () => {
+    it('should return all groups wrapped in data', async () => {
+      groupService.findAll.mockResolvedValue([group]);
+
+      const response = await request(app).get('/api/groups');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: [group] });
+    });
+  });
+
+  describe('GET /api/groups/:id', () => {
+    it('should return 404 when the group does not exist', async () => {
+      const notFoundError = new Error('Group not found');
+      notFoundError.statusCode = 404;
+      groupService.findById.mockRejectedValue(notFoundError);
+
+      const response = await request(app).get('/api/groups/999');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Group not found');
+    });
+  });
+
+  describe('GET /api/groups/:id/contacts', () => {
+    it('should return a page of contacts', async () => {
+      const page = { data: [{ id: 3, firstName: 'Ann', lastName: 'Lee', position: 1 }], nextCursor: null, hasMore: false };
+      groupService.findContacts.mockResolvedValue(page);
+
+      const response = await request(app).get('/api/groups/1/contacts?limit=10');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(page);
+      expect(groupService.findContacts).toHaveBeenCalledWith(1, { limit: 10, cursor: undefined });
+    });
+
+    it('should return 400 for an invalid limit', async () => {
+      const response = await request(app).get('/api/groups/1/contacts?limit=500');
+
+      expect(response.status).toBe(400);
+      expect(groupService.findContacts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/groups', () => {
+    it('should create a group with 201 status', async () => {
+      groupService.create.mockResolvedValue(group);
+      const body = { name: 'Board members', owner: 'Dana Lee', description: 'Quarterly board' };
+
+      const response = await request(app).post('/api/groups').send(body);
+
+      expect(response.status).toBe(201);
+      expect(groupService.create).toHaveBeenCalledWith(body);
+    });
+
+    it('should return 400 when name and owner are missing', async () => {
+      const response = await request(app).post('/api/groups').send({ description: 'x' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map((detail) => detail.field)).toEqual(['name', 'owner']);
+      expect(groupService.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/groups/:id', () => {
+    it('should update the group', async () => {
+      groupService.update.mockResolvedValue(group);
+
+      const response = await request(app).put('/api/groups/1').send({ name: 'Board members', owner: 'Sam' });
+
+      expect(response.status).toBe(200);
+      expect(groupService.update).toHaveBeenCalledWith(1, { name: 'Board members', owner: 'Sam' });
+    });
+  });
+
+  describe('DELETE /api/groups/:id', () => {
+    it('should delete the group with 204 status', async () => {
+      groupService.remove.mockResolvedValue();
+
+      const response = await request(app).delete('/api/groups/1');
+
+      expect(response.status).toBe(204);
+      expect(groupService.remove).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('members', () => {
+    it('should append contacts and return the group', async () => {
+      groupService.addMembers.mockResolvedValue(group);
+
+      const response = await request(app).post('/api/groups/1/members').send({ contactIds: [5, 3] });
+
+      expect(response.status).toBe(200);
+      expect(groupService.addMembers).toHaveBeenCalledWith(1, [5, 3]);
+    });
+
+    it('should reject duplicate and non-integer contact IDs', async () => {
+      const response = await request(app).post('/api/groups/1/members').send({ contactIds: [5, 5, 'x'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'contactIds[1]', message: 'Contact 5 is listed more than once' },
+        { field: 'contactIds[2]', message: 'Contact ID must be a positive integer' },
+      ]);
+      expect(groupService.addMembers).not.toHaveBeenCalled();
+    });
+
+    it('should accept an empty list when replacing the membership', async () => {
+      groupService.replaceMembers.mockResolvedValue({ ...group, memberCount: 0 });
+
+      const response = await request(app).put('/api/groups/1/members').send({ contactIds: [] });
+
+      expect(response.status).toBe(200);
+      expect(groupService.replaceMembers).toHaveBeenCalledWith(1, []);
+    });
+
+    it('should remove a member with 204 status', async () => {
+      groupService.removeMember.mockResolvedValue();
+
+      const response = await request(app).delete('/api/groups/1/members/5');
+
+      expect(response.status).toBe(204);
+      expect(groupService.removeMember).toHaveBeenCalledWith(1, 5);
+    });
+
+    it('should return 400 for an invalid contact ID', async () => {
+      const response = await request(app).delete('/api/groups/1/members/abc');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('contactId');
+      expect(groupService.removeMember).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { validateId, validatePagination } = require('../middleware/validation');
+const { validateOrganization } = require('../middleware/organizationValidation');
+
+/**
+ * Organization Routes
+ * Base path: /api/organizations
+ */
+
+// GET /api/organizations - Get all organizations
+router.get('/', organizationController.getAllOrganizations);
+
+// GET /api/organizations/:id - Get single organization by ID
+router.get('/:id', validateId, organizationController.getOrganizationById);
+
+// GET /api/organizations/:id/contacts - Get a page of the organization's contacts by name
+router.get('/:id/contacts', validateId, validatePagination, organizationController.getOrganizationContacts);
+
+// POST /api/organizations - Create new organization
+router.post('/', validateOrganization, organizationController.createOrganization);
+
+// PUT /api/organizations/:id - Update existing organization (renames its contacts' company)
+router.put('/:id', validateId, validateOrganization, organizationController.updateOrganization);
+
+// DELETE /api/organizations/:id - Delete organization (its contacts are kept without a company)
+router.delete('/:id', validateId, organizationController.deleteOrganization);
+
+module.exports = router;
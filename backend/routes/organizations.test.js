@@ -0,0 +1,156 @@
+const express = require('express');
+const request = require('supertest');
+const organizationRoutes = require('./organizations');
+const organizationService = require('../services/organizationService');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+// Mock the organization service
+jest.mock('../services/organizationService');
+
+// Create test Express app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/organizations', organizationRoutes);
+
+  // Use the actual error handling middleware
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('Organization Routes Integration Tests', () => {
+  let app;
+  const organization = {
+    id: 1,
+    name: 'Acme',
+    domain: 'acme.example',
+    address: null,
+    notes: null,
+    contactCount: 2,
+  };
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/organizations', () => {
+    it('should return all organizations wrapped in data', async () => {
+      organizationService.findAll.mockResolvedValue([organization]);
+
+      const response = await request(app).get('/api/organizations');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: [organization] });
+    });
+  });
+
+  describe('GET /api/organizations/:id', () => {
+    it('should return 404 when the organization does not exist', async () => {
+      const notFoundError = new Error('Organization not found');
+      notFoundError.statusCode = 404;
+      organizationService.findById.mockRejectedValue(notFoundError);
+
+      const response = await request(app).get('/api/organizations/999');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Organization not found');
+    });
+  });
+
+  describe('GET /api/organizations/:id/contacts', () => {
+    it('should return a page of the organization contacts', async () => {
+      const page = { data: [{ id: 5, firstName: 'Ann', lastName: 'Lee', organizationId: 1 }], nextCursor: null, hasMore: false };
+      organizationService.findContacts.mockResolvedValue(page);
+
+      const response = await request(app).get('/api/organizations/1/contacts?limit=25');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(page);
+      expect(organizationService.findContacts).toHaveBeenCalledWith(1, { limit: 25, cursor: undefined });
+    });
+
+    it('should return 400 for an invalid limit', async () => {
+      const response = await request(app).get('/api/organizations/1/contacts?limit=0');
+
+      expect(response.status).toBe(400);
+      expect(organizationService.findContacts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/organizations', () => {
+    it('should create an organization with 201 status', async () => {
+      organizationService.create.mockResolvedValue(organization);
+      const body = {
+        name: 'Acme',
+        domain: 'acme.example',
+        address: { street: '1 Main St', locality: 'Springfield', postalCode: '12345', country: 'US' },
+      };
+
+      const response = await request(app).post('/api/organizations').send(body);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(organization);
+      expect(organizationService.create).toHaveBeenCalledWith(body);
+    });
+
+    it('should return 400 for an invalid name, domain and address', async () => {
+      const response = await request(app).post('/api/organizations').send({
+        name: '  ',
+        domain: 'https://acme.example',
+        address: { locality: 'Springfield', postalCode: 'ABC', country: 'US' },
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'name', message: 'Name cannot be empty' },
+        { field: 'domain', message: 'Domain must be a host name such as example.com' },
+        { field: 'address.postalCode', message: 'Invalid postal code for US' },
+      ]);
+      expect(organizationService.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the name is taken', async () => {
+      const conflictError = new Error('Organization already exists');
+      conflictError.statusCode = 409;
+      organizationService.create.mockRejectedValue(conflictError);
+
+      const response = await request(app).post('/api/organizations').send({ name: 'ACME Inc.' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Organization already exists');
+    });
+  });
+
+  describe('PUT /api/organizations/:id', () => {
+    it('should update the organization', async () => {
+      organizationService.update.mockResolvedValue({ ...organization, name: 'Acme Holdings' });
+
+      const response = await request(app).put('/api/organizations/1').send({ name: 'Acme Holdings', notes: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Acme Holdings');
+      expect(organizationService.update).toHaveBeenCalledWith(1, { name: 'Acme Holdings', notes: null });
+    });
+
+    it('should return 400 when the address is not an object', async () => {
+      const response = await request(app).put('/api/organizations/1').send({ name: 'Acme', address: 'Springfield' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ field: 'address', message: 'Address must be an object' }]);
+    });
+  });
+
+  describe('DELETE /api/organizations/:id', () => {
+    it('should delete the organization with 204 status', async () => {
+      organizationService.remove.mockResolvedValue();
+
+      const response = await request(app).delete('/api/organizations/1');
+
+      expect(response.status).toBe(204);
+      expect(organizationService.remove).toHaveBeenCalledWith(1);
+    });
+  });
+});
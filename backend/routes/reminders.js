@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const reminderController = require('../controllers/reminderController');
+const { validateDueReminders } = require('../middleware/reminderValidation');
+
+/**
+ * Reminder Routes
+ * Base path: /api/reminders
+ */
+
+// GET /api/reminders/due - Get overdue and soon-due reminders
+router.get('/due', validateDueReminders, reminderController.getDueReminders);
+
+module.exports = router;
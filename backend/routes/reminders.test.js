@@ -0,0 +1,84 @@
+const express = require('express');
+const request = require('supertest');
+const reminderRoutes = require('./reminders');
+const reminderService = require('../services/reminderService');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+// Mock the reminder service
+jest.mock('../services/reminderService');
+
+// Create test Express app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/reminders', reminderRoutes);
+
+  // Use the actual error handling middleware
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('Reminder Routes Integration Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/reminders/due', () => {
+    it('should return the overdue and soon-due reminders', async () => {
+      const mockResult = {
+        from: '2026-10-19',
+        to: '2026-10-26',
+        data: [{
+          id: 3,
+          contactId: 1,
+          contact: { id: 1, firstName: 'John', lastName: 'Doe' },
+          title: 'Check in',
+          dueDate: '2026-10-17',
+          recurrence: null,
+          status: 'open',
+          daysUntil: -2,
+          overdue: true,
+        }],
+      };
+      reminderService.findDue.mockResolvedValue(mockResult);
+
+      const response = await request(app).get('/api/reminders/due');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockResult);
+      expect(reminderService.findDue).toHaveBeenCalledWith({ days: undefined, from: undefined });
+    });
+
+    it('should pass the window to the service', async () => {
+      reminderService.findDue.mockResolvedValue({ from: '2027-02-01', to: '2027-02-15', data: [] });
+
+      const response = await request(app).get('/api/reminders/due?days=14&from=2027-02-01');
+
+      expect(response.status).toBe(200);
+      expect(reminderService.findDue).toHaveBeenCalledWith({ days: 14, from: '2027-02-01' });
+    });
+
+    it('should return 400 for invalid parameters', async () => {
+      const response = await request(app).get('/api/reminders/due?days=-1');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'days', message: 'Days must be an integer between 0 and 366' },
+      ]);
+      expect(reminderService.findDue).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the service fails', async () => {
+      reminderService.findDue.mockRejectedValue(new Error('Failed to retrieve due reminders'));
+
+      const response = await request(app).get('/api/reminders/due');
+
+      expect(response.status).toBe(500);
+    });
+  });
+});
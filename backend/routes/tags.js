@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const { validateId } = require('../middleware/validation');
+const { validateTag } = require('../middleware/tagValidation');
+
+/**
+ * Tag Routes
+ * Base path: /api/tags
+ */
+
+// GET /api/tags - Get all tags
+router.get('/', tagController.getAllTags);
+
+// GET /api/tags/:id - Get single tag by ID
+router.get('/:id', validateId, tagController.getTagById);
+
+// POST /api/tags - Create new tag
+router.post('/', validateTag, tagController.createTag);
+
+// PUT /api/tags/:id - Rename tag
+router.put('/:id', validateId, validateTag, tagController.updateTag);
+
+// DELETE /api/tags/:id - Delete tag and remove it from all contacts
+router.delete('/:id', validateId, tagController.deleteTag);
+
+module.exports = router;
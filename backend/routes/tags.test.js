@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+const tagRoutes = require('./tags');
+const tagService = require('../services/tagService');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+// Mock the tag service
+jest.mock('../services/tagService');
+
+// Create test Express app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/tags', tagRoutes);
+
+  // Use the actual error handling middleware
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('Tag Routes Integration Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/tags', () => {
+    it('should return all tags wrapped in data', async () => {
+      const mockTags = [
+        { id: 1, name: 'vendor', contactCount: 0 },
+        { id: 2, name: 'vip', contactCount: 3 },
+      ];
+      tagService.findAll.mockResolvedValue(mockTags);
+
+      const response = await request(app).get('/api/tags');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: mockTags });
+    });
+  });
+
+  describe('GET /api/tags/:id', () => {
+    it('should return the tag', async () => {
+      tagService.findById.mockResolvedValue({ id: 2, name: 'vip', contactCount: 3 });
+
+      const response = await request(app).get('/api/tags/2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('vip');
+      expect(tagService.findById).toHaveBeenCalledWith(2);
+    });
+
+    it('should return 404 when the tag does not exist', async () => {
+      const notFoundError = new Error('Tag not found');
+      notFoundError.statusCode = 404;
+      tagService.findById.mockRejectedValue(notFoundError);
+
+      const response = await request(app).get('/api/tags/999');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Tag not found');
+    });
+
+    it('should return 400 for an invalid id', async () => {
+      const response = await request(app).get('/api/tags/abc');
+
+      expect(response.status).toBe(400);
+      expect(tagService.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/tags', () => {
+    it('should create a tag with 201 status', async () => {
+      const created = { id: 3, name: 'conference-2026', contactCount: 0 };
+      tagService.create.mockResolvedValue(created);
+
+      const response = await request(app).post('/api/tags').send({ name: 'Conference-2026' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(created);
+      expect(tagService.create).toHaveBeenCalledWith('Conference-2026');
+    });
+
+    it('should return 400 for an invalid name', async () => {
+      const response = await request(app).post('/api/tags').send({ name: 'v.i.p' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('name');
+      expect(tagService.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the tag already exists', async () => {
+      const conflictError = new Error('Tag already exists');
+      conflictError.statusCode = 409;
+      tagService.create.mockRejectedValue(conflictError);
+
+      const response = await request(app).post('/api/tags').send({ name: 'vip' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Tag already exists');
+    });
+  });
+
+  describe('PUT /api/tags/:id', () => {
+    it('should rename the tag', async () => {
+      tagService.update.mockResolvedValue({ id: 2, name: 'key-account', contactCount: 3 });
+
+      const response = await request(app).put('/api/tags/2').send({ name: 'key-account' });
+
+      expect(response.status).toBe(200);
+      expect(tagService.update).toHaveBeenCalledWith(2, 'key-account');
+    });
+  });
+
+  describe('DELETE /api/tags/:id', () => {
+    it('should delete the tag with 204 status', async () => {
+      tagService.remove.mockResolvedValue();
+
+      const response = await request(app).delete('/api/tags/2');
+
+      expect(response.status).toBe(204);
+      expect(tagService.remove).toHaveBeenCalledWith(2);
+    });
+  });
+});
@@ -3,24 +3,38 @@ const express = require('express');
 const cors = require('cors');
 const { initializeDatabase, closeDatabase } = require('./config/database');
 const contactRoutes = require('./routes/contacts');
+const tagRoutes = require('./routes/tags');
+const groupRoutes = require('./routes/groups');
+const eventRoutes = require('./routes/events');
+const customFieldRoutes = require('./routes/customFields');
+const organizationRoutes = require('./routes/organizations');
+const reminderRoutes = require('./routes/reminders');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// application/merge-patch+json is the media type for PATCH requests (RFC 7396)
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 
 // CORS configuration
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-User'],
+  exposedHeaders: ['ETag', 'Content-Disposition']
 };
 app.use(cors(corsOptions));
 
 // Routes
 app.use('/api/contacts', contactRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/reminders', reminderRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -216,6 +216,18 @@ describe('Server Integration Tests', () => {
       expect(response.headers['access-control-allow-methods']).toMatch(/DELETE/);
     });
 
+    it('should allow PATCH requests', async () => {
+      // Act
+      const response = await request(app)
+        .options('/api/contacts')
+        .set('Origin', 'https://example.com')
+        .set('Access-Control-Request-Method', 'PATCH');
+
+      // Assert
+      expect(response.status).toBe(204);
+      expect(response.headers['access-control-allow-methods']).toMatch(/PATCH/);
+    });
+
     it('should allow configured headers', async () => {
       // Act
       const response = await request(app)
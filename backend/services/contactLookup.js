@@ -0,0 +1,24 @@
+const contactRepository = require('../repositories/contactRepository');
+
+/**
+ * Load a contact that is not in the trash
+ * Services for a contact's tags, relationships, interactions, reminders, star
+ * and photo all look the contact up here, so a missing contact is one 404.
+ * @param {number} id - Contact ID
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<Object>} Contact object
+ * @throws {Error} 404 if the contact does not exist or is in the trash
+ */
+async function findContact(id, client) {
+  const contact = await contactRepository.findById(id, client);
+  if (!contact) {
+    const error = new Error('Contact not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return contact;
+}
+
+module.exports = {
+  findContact,
+};
@@ -0,0 +1,29 @@
+const { findContact } = require('./contactLookup');
+const contactRepository = require('../repositories/contactRepository');
+
+// Mock the repository layer
+jest.mock('../repositories/contactRepository');
+
+describe('Contact Lookup', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findContact', () => {
+    it('should return the contact, reading it on the given client', async () => {
+      const client = { query: jest.fn() };
+      contactRepository.findById.mockResolvedValue({ id: 4, firstName: 'Dana', lastName: 'Lee' });
+
+      const result = await findContact(4, client);
+
+      expect(result).toEqual({ id: 4, firstName: 'Dana', lastName: 'Lee' });
+      expect(contactRepository.findById).toHaveBeenCalledWith(4, client);
+    });
+
+    it('should throw 404 when the contact does not exist or is in the trash', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(findContact(999)).rejects.toMatchObject({ message: 'Contact not found', statusCode: 404 });
+    });
+  });
+});
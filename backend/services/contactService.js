@@ -1,4 +1,33 @@
 const contactRepository = require('../repositories/contactRepository');
+const customFieldRepository = require('../repositories/customFieldRepository');
+const organizationRepository = require('../repositories/organizationRepository');
+const revisionRepository = require('../repositories/revisionRepository');
+const photoRepository = require('../repositories/photoRepository');
+const starRepository = require('../repositories/starRepository');
+const photoService = require('./photoService');
+const { withTransaction, withSavepoint } = require('../config/database');
+const { CONTACT_FIELDS, CSV_CONTACT_FIELDS, collectContactErrors } = require('../utils/contactFields');
+const { matchesIfMatch } = require('../utils/etag');
+const { parseCsv, stripFormulaGuard } = require('../utils/csv');
+const { parseVCards } = require('../utils/vcard');
+const { collectCustomFieldErrors, mergeCustomFields } = require('../utils/customFields');
+const {
+  DEFAULT_MIN_CONFIDENCE,
+  BLOCKING_CONFIDENCE,
+  scoreMatch,
+  clusterMatches,
+} = require('../utils/duplicates');
+const { DEFAULT_PAGE_SIZE } = require('../utils/pagination');
+const { buildRevision, snapshotToContactData } = require('../utils/contactRevisions');
+
+// Days a deleted contact stays in the trash before a purge removes it for good
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Operations accepted by bulk()
+const BULK_OPERATIONS = ['create', 'update', 'delete'];
+
+// Maximum number of contacts in one CSV or vCard import
+const MAX_IMPORT_CONTACTS = 5000;
 
 /**
  * Find all contacts
@@ -13,13 +42,114 @@ async function findAll() {
   }
 }
 
+/**
+ * Find one page of contacts
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit] - Maximum number of contacts to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ */
+async function findPage(options) {
+  try {
+    return await contactRepository.findPage(options);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      throw error;
+    }
+    console.error('Service error in findPage:', error.message);
+    throw new Error('Failed to retrieve contacts');
+  }
+}
+
+/**
+ * Stream every contact matching the filters, for export
+ * @param {Object} [options] - Filters and sort (see contactRepository.streamAll)
+ * @returns {AsyncGenerator<Array<Object>>} Batches of contact objects
+ */
+async function* exportContacts(options) {
+  try {
+    yield* contactRepository.streamAll(options);
+  } catch (error) {
+    console.error('Service error in exportContacts:', error.message);
+    throw new Error('Failed to export contacts');
+  }
+}
+
+/**
+ * Search contacts ranked by relevance
+ * @param {string} term - Search term
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Maximum number of results to return
+ * @returns {Promise<Array>} Array of search results ({ contact, rank, snippet })
+ */
+async function search(term, options) {
+  try {
+    return await contactRepository.search(term, options);
+  } catch (error) {
+    console.error('Service error in search:', error.message);
+    throw new Error('Failed to search contacts');
+  }
+}
+
+/**
+ * Find clusters of contacts that are likely duplicates of each other
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.minConfidence] - Lowest pair confidence (0-1) to report
+ * @param {number} [options.limit] - Maximum number of clusters to return
+ * @returns {Promise<Array>} Clusters ({ confidence, contacts, matches }), most
+ *   confident first; matches list each scored pair with its reasons
+ */
+async function findDuplicates({ minConfidence = DEFAULT_MIN_CONFIDENCE, limit = DEFAULT_PAGE_SIZE } = {}) {
+  try {
+    const pairs = await contactRepository.findDuplicatePairs();
+    const matches = pairs
+      .map(({ contactIds, ...signals }) => ({ contactIds, ...scoreMatch(signals) }))
+      .filter((match) => match.confidence > 0 && match.confidence >= minConfidence);
+    const clusters = clusterMatches(matches).slice(0, limit);
+    if (clusters.length === 0) {
+      return [];
+    }
+
+    const contacts = await contactRepository.findByIds(clusters.flatMap((cluster) => cluster.contactIds));
+    const contactsById = new Map(contacts.map((contact) => [contact.id, contact]));
+
+    return clusters.map((cluster) => ({
+      confidence: cluster.confidence,
+      contacts: cluster.contactIds.map((id) => contactsById.get(id)).filter(Boolean),
+      matches: cluster.matches,
+    }));
+  } catch (error) {
+    console.error('Service error in findDuplicates:', error.message);
+    throw new Error('Failed to find duplicate contacts');
+  }
+}
+
+/**
+ * Find existing contacts that a draft contact would likely duplicate
+ * @param {Object} draft - Draft contact (same shape as a create request)
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.minConfidence] - Lowest confidence (0-1) to report
+ * @param {number} [options.limit] - Maximum number of matches to return
+ * @returns {Promise<Array>} Matches ({ contact, confidence, reasons }), most confident first
+ */
+async function checkDuplicates(draft, options) {
+  try {
+    return await findLikelyDuplicates(draft, options);
+  } catch (error) {
+    console.error('Service error in checkDuplicates:', error.message);
+    throw new Error('Failed to check for duplicate contacts');
+  }
+}
+
 /**
  * Find contact by ID
  * @param {number} id - Contact ID
- * @returns {Promise<Object>} Contact object
+ * @param {Object} [options] - Lookup options
+ * @param {string|null} [options.user] - User whose star sets the starred flag
+ * @returns {Promise<Object>} Contact object with starred (false without a user)
  * @throws {Error} If contact not found
  */
-async function findById(id) {
+async function findById(id, { user = null } = {}) {
   try {
     const contact = await contactRepository.findById(id);
     
@@ -29,7 +159,7 @@ async function findById(id) {
       throw error;
     }
     
-    return contact;
+    return { ...contact, starred: user ? await starRepository.isStarred(id, user) : false };
   } catch (error) {
     if (error.statusCode === 404) {
       throw error;
@@ -46,23 +176,38 @@ async function findById(id) {
  * @param {string} contactData.lastName - Last name
  * @param {string} [contactData.email] - Email address
  * @param {string} [contactData.phone] - Phone number
- * @param {string} [contactData.company] - Company name
+ * @param {string} [contactData.company] - Company name; links the organization of that name
+ * @param {number|null} [contactData.organizationId] - Organization to link; wins over company
  * @param {string} [contactData.notes] - Notes
+ * @param {Object} [contactData.customFields] - Custom field values keyed by field key
+ * @param {Object} [options] - Create options
+ * @param {boolean} [options.allowDuplicates] - Create the contact even if it likely exists already
+ * @param {string|null} [options.user] - User recorded in the contact's history
  * @returns {Promise<Object>} Created contact object
- * @throws {Error} If validation fails
+ * @throws {Error} If validation fails, 409 with the likely duplicates if the
+ *   contact probably exists already
  */
-async function create(contactData) {
+async function create(contactData, { allowDuplicates = false, user = null } = {}) {
   // Business validation
-  const validationErrors = validateContactData(contactData);
+  const definitions = await findCustomFieldDefinitions();
+  const validationErrors = validateContactData(withCustomFields(contactData), definitions);
   if (validationErrors.length > 0) {
     const error = new Error('Validation failed');
     error.statusCode = 400;
     error.details = validationErrors;
     throw error;
   }
+  await checkOrganization(contactData);
+  if (!allowDuplicates) {
+    await checkNotDuplicate(contactData);
+  }
   
   try {
-    return await contactRepository.create(contactData);
+    return await withTransaction(async (client) => {
+      const contact = await contactRepository.create(contactData, client);
+      await recordRevision('create', null, contact, user, client);
+      return contact;
+    });
   } catch (error) {
     console.error('Service error in create:', error.message);
     throw new Error('Failed to create contact');
@@ -70,52 +215,695 @@ async function create(contactData) {
 }
 
 /**
- * Update an existing contact with existence check
+ * Update an existing contact with existence and version checks
  * @param {number} id - Contact ID
  * @param {Object} contactData - Contact data to update
  * @param {string} [contactData.firstName] - First name
  * @param {string} [contactData.lastName] - Last name
  * @param {string} [contactData.email] - Email address
  * @param {string} [contactData.phone] - Phone number
- * @param {string} [contactData.company] - Company name
+ * @param {string} [contactData.company] - Company name; links the organization of that name
+ * @param {number|null} [contactData.organizationId] - Organization to link; wins over company
  * @param {string} [contactData.notes] - Notes
+ * @param {Object} [contactData.customFields] - Custom field values; replace the stored ones when given
+ * @param {null|string|Array<number>} [ifMatch] - Parsed If-Match header
+ * @param {Object} [options] - Update options
+ * @param {string|null} [options.user] - User recorded in the contact's history
  * @returns {Promise<Object>} Updated contact object
- * @throws {Error} If contact not found or validation fails
+ * @throws {Error} If contact not found, version is stale or validation fails
  */
-async function update(id, contactData) {
-  // Check if contact exists
-  const existingContact = await contactRepository.findById(id);
-  if (!existingContact) {
-    const error = new Error('Contact not found');
-    error.statusCode = 404;
+async function update(id, contactData, ifMatch = null, { user = null } = {}) {
+  // Check if contact exists and is still at the version the client saw
+  const existingContact = await findCurrentVersion(id, ifMatch);
+  
+  // Business validation
+  const definitions = await findCustomFieldDefinitions();
+  const validationErrors = validateContactData(contactData, definitions);
+  if (validationErrors.length > 0) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.details = validationErrors;
     throw error;
   }
+  await checkOrganization(contactData);
   
-  // Business validation
-  const validationErrors = validateContactData(contactData);
+  return writeUpdate(existingContact, contactData, ifMatch, 'update', user);
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) to a contact
+ * The patch is merged onto the stored contact and the result is validated
+ * as a whole, but only the patched columns are written. customFields is
+ * merged key by key, so a patch only names the values it changes.
+ * @param {number} id - Contact ID
+ * @param {Object} patchData - Fields to change; null removes an optional field
+ * @param {null|string|Array<number>} [ifMatch] - Parsed If-Match header
+ * @param {Object} [options] - Patch options
+ * @param {string|null} [options.user] - User recorded in the contact's history
+ * @returns {Promise<Object>} Updated contact object
+ * @throws {Error} If contact not found, version is stale or validation fails
+ */
+async function patch(id, patchData, ifMatch = null, { user = null } = {}) {
+  // Check if contact exists and is still at the version the client saw
+  const existingContact = await findCurrentVersion(id, ifMatch);
+  
+  // Stored custom field values are only re-checked when the patch changes them
+  const { customFields: storedCustomFields, ...existingFields } = existingContact;
+  const changes = patchData.customFields === undefined
+    ? patchData
+    : { ...patchData, customFields: mergeCustomFields(storedCustomFields || {}, patchData.customFields) };
+  
+  // Business validation of the merged result
+  const definitions = await findCustomFieldDefinitions();
+  const validationErrors = validateContactData({ ...existingFields, ...changes }, definitions);
   if (validationErrors.length > 0) {
     const error = new Error('Validation failed');
     error.statusCode = 400;
     error.details = validationErrors;
     throw error;
   }
+  await checkOrganization(changes);
   
+  let patchedContact;
   try {
-    return await contactRepository.update(id, contactData);
+    patchedContact = await withTransaction(async (client) => {
+      const contact = await contactRepository.patch(id, changes, expectedVersion(existingContact, ifMatch), client);
+      if (contact) {
+        await recordRevision('update', existingContact, contact, user, client);
+      }
+      return contact;
+    });
   } catch (error) {
-    console.error('Service error in update:', error.message);
+    console.error('Service error in patch:', error.message);
     throw new Error('Failed to update contact');
   }
+  
+  if (!patchedContact) {
+    await throwConcurrentModification(id);
+  }
+  
+  return patchedContact;
 }
 
 /**
- * Remove a contact with existence check
+ * Remove a contact with existence and version checks
  * @param {number} id - Contact ID
+ * @param {null|string|Array<number>} [ifMatch] - Parsed If-Match header
+ * @param {Object} [options] - Remove options
+ * @param {string|null} [options.user] - User recorded in the contact's history
  * @returns {Promise<void>}
- * @throws {Error} If contact not found
+ * @throws {Error} If contact not found or version is stale
+ */
+async function remove(id, ifMatch = null, { user = null } = {}) {
+  // Check if contact exists and is still at the version the client saw
+  const existingContact = await findCurrentVersion(id, ifMatch);
+  
+  let deleted;
+  try {
+    deleted = await withTransaction(async (client) => {
+      const removed = await contactRepository.delete(id, expectedVersion(existingContact, ifMatch), client);
+      if (removed) {
+        await recordRevision('delete', existingContact, existingContact, user, client);
+      }
+      return removed;
+    });
+  } catch (error) {
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete contact');
+  }
+  
+  if (!deleted) {
+    await throwConcurrentModification(id);
+  }
+}
+
+/**
+ * Find one page of contacts in the trash
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit] - Maximum number of contacts to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
  */
-async function remove(id) {
-  // Check if contact exists
+async function findTrash(options) {
+  try {
+    return await contactRepository.findDeletedPage(options);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      throw error;
+    }
+    console.error('Service error in findTrash:', error.message);
+    throw new Error('Failed to retrieve deleted contacts');
+  }
+}
+
+/**
+ * Restore a contact from the trash
+ * @param {number} id - Contact ID
+ * @param {Object} [options] - Restore options
+ * @param {string|null} [options.user] - User recorded in the contact's history
+ * @returns {Promise<Object>} Restored contact object
+ * @throws {Error} If the contact is not in the trash
+ */
+async function restore(id, { user = null } = {}) {
+  try {
+    const contact = await withTransaction(async (client) => {
+      const restored = await contactRepository.restore(id, client);
+      if (restored) {
+        await recordRevision('restore', restored, restored, user, client);
+      }
+      return restored;
+    });
+    
+    if (!contact) {
+      const error = new Error('Contact not found in trash');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    return contact;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in restore:', error.message);
+    throw new Error('Failed to restore contact');
+  }
+}
+
+/**
+ * Permanently remove contacts that have been in the trash longer than the
+ * retention period (TRASH_RETENTION_DAYS, default 30 days)
+ * Their photo files are deleted once the purge has committed.
+ * @returns {Promise<number>} Number of contacts purged
+ */
+async function purgeTrash() {
+  const retentionDays = getTrashRetentionDays();
+
+  try {
+    const { purged, photoKeys } = await withTransaction(async (client) => {
+      const storageKeys = await photoRepository.deletePurgeable(retentionDays, client);
+      const count = await contactRepository.purgeDeleted(retentionDays, client);
+      return { purged: count, photoKeys: storageKeys };
+    });
+    await photoService.removeFiles(photoKeys);
+    return purged;
+  } catch (error) {
+    console.error('Service error in purgeTrash:', error.message);
+    throw new Error('Failed to purge deleted contacts');
+  }
+}
+
+/**
+ * Read the trash retention period from the environment
+ * @returns {number} Retention period in days
+ */
+function getTrashRetentionDays() {
+  const value = process.env.TRASH_RETENTION_DAYS;
+  if (!value || !/^\d+$/.test(value.trim())) {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Find one page of a contact's revision history, most recent first
+ * The history of a contact in the trash stays readable until it is purged.
+ * @param {number} id - Contact ID
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit] - Maximum number of revisions to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ * @throws {Error} 404 if the contact does not exist
+ */
+async function findHistory(id, options) {
+  try {
+    const exists = await contactRepository.existsIncludingTrash(id);
+    if (!exists) {
+      const error = new Error('Contact not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    return await revisionRepository.findPage(id, options);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findHistory:', error.message);
+    throw new Error('Failed to retrieve contact history');
+  }
+}
+
+/**
+ * Revert a contact to the fields recorded in one of its revisions
+ * The revision is written like a full update and recorded as a new revision,
+ * so a revert can itself be reverted. Tags, groups and relationships are not
+ * part of a revision and stay as they are.
+ * @param {number} id - Contact ID
+ * @param {number} revisionId - Revision to revert to
+ * @param {null|string|Array<number>} [ifMatch] - Parsed If-Match header
+ * @param {Object} [options] - Revert options
+ * @param {string|null} [options.user] - User recorded in the contact's history
+ * @returns {Promise<Object>} Reverted contact object
+ * @throws {Error} 404 if the contact or revision is not found, 412 if the
+ *   version is stale, 400 if the revision no longer passes validation
+ */
+async function revert(id, revisionId, ifMatch = null, { user = null } = {}) {
+  // Check if contact exists and is still at the version the client saw
+  const existingContact = await findCurrentVersion(id, ifMatch);
+  
+  let revision;
+  try {
+    revision = await revisionRepository.findById(id, revisionId);
+  } catch (error) {
+    console.error('Service error in revert:', error.message);
+    throw new Error('Failed to retrieve revision');
+  }
+  
+  if (!revision) {
+    const error = new Error('Revision not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  // Custom field definitions or limits may have changed since the revision was recorded
+  const contactData = snapshotToContactData(revision.snapshot);
+  const definitions = await findCustomFieldDefinitions();
+  const validationErrors = validateContactInput(contactData, definitions);
+  if (validationErrors.length > 0) {
+    const error = new Error('Revision can no longer be applied');
+    error.statusCode = 400;
+    error.details = validationErrors;
+    throw error;
+  }
+  await checkOrganization(contactData);
+  
+  return writeUpdate(existingContact, contactData, ifMatch, 'revert', user);
+}
+
+/**
+ * Run a batch of create, update and delete operations in one transaction
+ * In atomic mode any failing operation rolls back the whole batch; otherwise
+ * each operation runs in its own savepoint and failures, unexpected ones
+ * included, are reported per item and skipped.
+ * @param {Array<Object>} operations - Operations ({ op, id, version, data })
+ * @param {Object} [options] - Bulk options
+ * @param {boolean} [options.atomic=true] - All-or-nothing when true, best-effort when false
+ * @param {string|null} [options.user] - User recorded in the history of the contacts changed
+ * @returns {Promise<Object>} Batch outcome with atomic, committed, summary and per-item results
+ */
+async function bulk(operations, { atomic = true, user = null } = {}) {
+  const definitions = await findCustomFieldDefinitions();
+  const validationResults = operations.map((operation, index) => validateBulkOperation(operation, index, definitions));
+  
+  // An atomic batch with invalid operations is rejected before touching the database
+  if (atomic && validationResults.some(Boolean)) {
+    const results = operations.map((operation, index) =>
+      validationResults[index] || bulkStatus(index, operation, 'skipped'));
+    return summarizeBulk(atomic, false, results);
+  }
+  
+  try {
+    return await withTransaction(async (client) => {
+      const results = [];
+      
+      for (const [index, operation] of operations.entries()) {
+        if (validationResults[index]) {
+          results.push(validationResults[index]);
+          continue;
+        }
+        
+        try {
+          const outcome = atomic
+            ? await applyBulkOperation(operation, client, user)
+            : await withSavepoint(client, () => applyBulkOperation(operation, client, user));
+          results.push({ ...bulkStatus(index, operation, 'success'), ...outcome });
+        } catch (error) {
+          if (!error.statusCode) {
+            if (atomic) {
+              throw error;
+            }
+            // The savepoint undid the operation, so the rest of the batch can go on
+            console.error(`Service error in bulk ${operation.op}:`, error.message);
+            results.push({ ...bulkStatus(index, operation, 'error'), statusCode: 500, error: `Failed to ${operation.op} contact` });
+            continue;
+          }
+          results.push(bulkError(index, operation, error));
+          
+          if (atomic) {
+            // Throwing rolls the transaction back; the results travel with the error
+            const rollback = new Error('Bulk operation rolled back');
+            rollback.results = results
+              .map((result) => (result.status === 'success' ? bulkStatus(result.index, operations[result.index], 'rolled_back') : result))
+              .concat(operations.slice(index + 1).map((op, offset) => bulkStatus(index + 1 + offset, op, 'skipped')));
+            throw rollback;
+          }
+        }
+      }
+      
+      return summarizeBulk(atomic, true, results);
+    });
+  } catch (error) {
+    if (error.results) {
+      return summarizeBulk(atomic, false, error.results);
+    }
+    console.error('Service error in bulk:', error.message);
+    throw new Error('Failed to process bulk operations');
+  }
+}
+
+/**
+ * Validate one bulk operation
+ * @param {Object} operation - Operation from the request
+ * @param {number} index - Position in the batch
+ * @param {Array<Object>} definitions - Custom field definitions
+ * @returns {Object|null} Error result for the operation, or null if it is valid
+ */
+function validateBulkOperation(operation, index, definitions) {
+  const errors = [];
+  
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    errors.push({ field: 'op', message: 'Operation must be an object' });
+  } else {
+    const { op, id, version, data } = operation;
+    
+    if (!BULK_OPERATIONS.includes(op)) {
+      errors.push({ field: 'op', message: `Operation must be one of: ${BULK_OPERATIONS.join(', ')}` });
+    }
+    
+    if (op === 'update' || op === 'delete') {
+      if (!Number.isInteger(id) || id <= 0) {
+        errors.push({ field: 'id', message: 'ID must be a positive integer' });
+      }
+      if (version !== undefined && (!Number.isInteger(version) || version <= 0)) {
+        errors.push({ field: 'version', message: 'Version must be a positive integer' });
+      }
+    }
+    
+    if (op === 'create' || op === 'update') {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push({ field: 'data', message: 'Data must be an object' });
+      } else {
+        errors.push(...validateContactInput(op === 'create' ? withCustomFields(data) : data, definitions));
+      }
+    }
+  }
+  
+  if (errors.length === 0) {
+    return null;
+  }
+  
+  const error = new Error('Validation failed');
+  error.statusCode = 400;
+  error.details = errors;
+  return bulkError(index, operation, error);
+}
+
+/**
+ * Apply one validated bulk operation on the transaction client
+ * @param {Object} operation - Validated operation
+ * @param {Object} client - Client with an open transaction
+ * @param {string|null} user - User recorded in the contact's history
+ * @returns {Promise<Object>} Status code plus the contact or ID affected
+ * @throws {Error} 404 if the contact is not found, 412 if the version is stale
+ */
+async function applyBulkOperation({ op, id, version, data }, client, user) {
+  if (op !== 'delete') {
+    await checkOrganization(data, client);
+  }
+  
+  if (op === 'create') {
+    const contact = await contactRepository.create(data, client);
+    await recordRevision('create', null, contact, user, client);
+    return { statusCode: 201, id: contact.id, contact };
+  }
+  
+  // The contact as it was is needed for its history
+  const existingContact = await contactRepository.findById(id, client);
+  
+  if (op === 'update') {
+    const contact = existingContact && await contactRepository.update(id, data, version, client);
+    if (!contact) {
+      await throwConcurrentModification(id, client);
+    }
+    await recordRevision('update', existingContact, contact, user, client);
+    return { statusCode: 200, contact };
+  }
+  
+  const deleted = existingContact && await contactRepository.delete(id, version, client);
+  if (!deleted) {
+    await throwConcurrentModification(id, client);
+  }
+  await recordRevision('delete', existingContact, existingContact, user, client);
+  return { statusCode: 204 };
+}
+
+/**
+ * Build a per-item result without a payload
+ * @param {number} index - Position in the batch
+ * @param {Object} operation - Operation from the request
+ * @param {string} status - success, error, rolled_back or skipped
+ * @returns {Object} Result entry
+ */
+function bulkStatus(index, operation, status) {
+  const result = { index, op: operation && operation.op, status };
+  if (operation && operation.id !== undefined) {
+    result.id = operation.id;
+  }
+  return result;
+}
+
+/**
+ * Build a per-item error result from a service error
+ * @param {number} index - Position in the batch
+ * @param {Object} operation - Operation from the request
+ * @param {Error} error - Error with statusCode and optional details or currentVersion
+ * @returns {Object} Result entry
+ */
+function bulkError(index, operation, error) {
+  const result = {
+    ...bulkStatus(index, operation, 'error'),
+    statusCode: error.statusCode,
+    error: error.message,
+  };
+  if (error.details) {
+    result.details = error.details;
+  }
+  if (error.currentVersion !== undefined) {
+    result.currentVersion = error.currentVersion;
+  }
+  return result;
+}
+
+/**
+ * Wrap per-item results with the batch outcome
+ * @param {boolean} atomic - Whether the batch was all-or-nothing
+ * @param {boolean} committed - Whether the transaction was committed
+ * @param {Array<Object>} results - Per-item results in request order
+ * @returns {Object} Batch outcome
+ */
+function summarizeBulk(atomic, committed, results) {
+  const succeeded = results.filter((result) => result.status === 'success').length;
+  const failed = results.filter((result) => result.status === 'error').length;
+  return { atomic, committed, summary: { succeeded, failed }, results };
+}
+
+/**
+ * Import contacts from CSV text
+ * Every row is validated with the contact rules. A dry run only reports the
+ * per-row errors; a real run inserts all rows in one transaction and writes
+ * nothing if any row is invalid.
+ * @param {string} csvText - CSV text with a header row
+ * @param {Object} [options] - Import options
+ * @param {Object} [options.mapping] - CSV column -> contact field; defaults to matching header names
+ * @param {boolean} [options.dryRun=false] - Validate without writing
+ * @param {string|null} [options.user] - User recorded in the history of the imported contacts
+ * @returns {Promise<Object>} Dry run report, or the imported contacts
+ * @throws {Error} 400 if the CSV, the mapping or (for a real run) any row is invalid
+ */
+async function importCsv(csvText, { mapping, dryRun = false, user = null } = {}) {
+  const [header, ...records] = parseCsv(csvText);
+  
+  if (!header || records.length === 0) {
+    const error = new Error('CSV must contain a header row and at least one contact');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  if (records.length > MAX_IMPORT_CONTACTS) {
+    const error = new Error(`CSV may contain at most ${MAX_IMPORT_CONTACTS} contacts`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const columns = resolveImportColumns(header, mapping);
+  const definitions = await findCustomFieldDefinitions();
+  const entries = [];
+  
+  records.forEach((cells, index) => {
+    // Row numbers count the header as row 1, as spreadsheets do
+    const position = index + 2;
+    
+    if (cells.every((cell) => cell.trim() === '')) {
+      return;
+    }
+    if (cells.length > header.length) {
+      entries.push({
+        position,
+        errors: [{ field: 'row', message: `Row has ${cells.length} columns but the header has ${header.length}` }],
+      });
+      return;
+    }
+    
+    const contactData = {};
+    columns.forEach(({ index: column, field }) => {
+      const value = stripFormulaGuard((cells[column] || '').trim());
+      if (value !== '') {
+        contactData[field] = value;
+      }
+    });
+    
+    entries.push({ position, contactData, errors: validateContactInput(withCustomFields(contactData), definitions) });
+  });
+  
+  return importEntries(entries, 'row', dryRun, user);
+}
+
+/**
+ * Import contacts from a vCard (.vcf) file holding one or more cards
+ * Works like importCsv; errors are reported per card, numbered from 1.
+ * @param {string} text - vCard text
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.dryRun=false] - Validate without writing
+ * @param {string|null} [options.user] - User recorded in the history of the imported contacts
+ * @returns {Promise<Object>} Dry run report, or the imported contacts
+ * @throws {Error} 400 if the file holds no cards or (for a real run) any card is invalid
+ */
+async function importVCards(text, { dryRun = false, user = null } = {}) {
+  const cards = parseVCards(text);
+  
+  if (cards.length === 0) {
+    const error = new Error('File must contain at least one vCard');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  if (cards.length > MAX_IMPORT_CONTACTS) {
+    const error = new Error(`File may contain at most ${MAX_IMPORT_CONTACTS} contacts`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const definitions = await findCustomFieldDefinitions();
+  const entries = cards.map((card, index) => ({
+    position: index + 1,
+    contactData: card.contact,
+    errors: card.error
+      ? [{ field: 'card', message: card.error }]
+      : validateContactInput(withCustomFields(card.contact), definitions),
+  }));
+  
+  return importEntries(entries, 'card', dryRun, user);
+}
+
+/**
+ * Report on or insert parsed import entries
+ * A dry run only reports; a real run inserts every entry in one transaction
+ * and writes nothing if any entry is invalid.
+ * @param {Array<Object>} entries - { position, contactData, errors } per row or card
+ * @param {string} positionKey - Name of the position in error objects (row or card)
+ * @param {boolean} dryRun - Validate without writing
+ * @param {string|null} user - User recorded in the history of the imported contacts
+ * @returns {Promise<Object>} Dry run report, or the imported contacts
+ * @throws {Error} 400 with per-entry details if a real run has invalid entries
+ */
+async function importEntries(entries, positionKey, dryRun, user) {
+  const errors = entries.flatMap(({ position, errors: entryErrors }) =>
+    entryErrors.map((error) => ({ [positionKey]: position, ...error })));
+  
+  if (dryRun) {
+    const invalid = entries.filter((entry) => entry.errors.length > 0).length;
+    return { dryRun: true, total: entries.length, valid: entries.length - invalid, invalid, errors };
+  }
+  
+  if (errors.length > 0) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+  
+  try {
+    const imported = await withTransaction(async (client) => {
+      const created = [];
+      for (const { contactData } of entries) {
+        const contact = await contactRepository.create(contactData, client);
+        await recordRevision('create', null, contact, user, client);
+        created.push(contact);
+      }
+      return created;
+    });
+    return { dryRun: false, total: entries.length, imported: imported.length, data: imported };
+  } catch (error) {
+    console.error('Service error in importEntries:', error.message);
+    throw new Error('Failed to import contacts');
+  }
+}
+
+/**
+ * Work out which CSV column feeds which contact field
+ * Without a mapping, headers are matched to field names ignoring case,
+ * spaces and punctuation, so "First Name" feeds firstName.
+ * @param {Array<string>} header - Header row
+ * @param {Object} [mapping] - CSV column -> contact field
+ * @returns {Array<Object>} Column index and contact field pairs
+ * @throws {Error} 400 if a mapped column is missing or a required field is unmapped
+ */
+function resolveImportColumns(header, mapping) {
+  const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const headerNames = header.map((name) => name.trim());
+  const fieldMapping = mapping || Object.fromEntries(
+    headerNames
+      .map((name) => [name, CSV_CONTACT_FIELDS.find((field) => normalize(field) === normalize(name))])
+      .filter(([, field]) => field)
+  );
+  
+  const errors = [];
+  const columns = [];
+  
+  Object.entries(fieldMapping).forEach(([column, field]) => {
+    const index = headerNames.indexOf(column.trim());
+    if (index === -1) {
+      errors.push({ field: 'mapping', message: `Column not found in CSV: ${column}` });
+    } else {
+      columns.push({ index, field });
+    }
+  });
+  
+  ['firstName', 'lastName'].forEach((field) => {
+    if (!Object.values(fieldMapping).includes(field)) {
+      errors.push({ field: 'mapping', message: `No CSV column is mapped to ${field}` });
+    }
+  });
+  
+  if (errors.length > 0) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+  
+  return columns;
+}
+
+/**
+ * Load a contact and check it against the client's If-Match precondition
+ * @param {number} id - Contact ID
+ * @param {null|string|Array<number>} ifMatch - Parsed If-Match header
+ * @returns {Promise<Object>} Current contact
+ * @throws {Error} 404 if not found, 412 if the precondition fails
+ */
+async function findCurrentVersion(id, ifMatch) {
   const existingContact = await contactRepository.findById(id);
   if (!existingContact) {
     const error = new Error('Contact not found');
@@ -123,20 +911,238 @@ async function remove(id) {
     throw error;
   }
   
+  if (!matchesIfMatch(ifMatch, existingContact.version)) {
+    throw createPreconditionFailedError(existingContact.version);
+  }
+  
+  return existingContact;
+}
+
+/**
+ * Version the write must be conditioned on, so a concurrent change between
+ * the precondition check and the write is still detected
+ * @param {Object} existingContact - Contact loaded by findCurrentVersion
+ * @param {null|string|Array<number>} ifMatch - Parsed If-Match header
+ * @returns {number|undefined} Expected version, or undefined without If-Match
+ */
+function expectedVersion(existingContact, ifMatch) {
+  return ifMatch === null ? undefined : existingContact.version;
+}
+
+/**
+ * Write a full update of a checked contact and record it in the contact's history
+ * @param {Object} existingContact - Contact loaded by findCurrentVersion
+ * @param {Object} contactData - Validated contact data
+ * @param {null|string|Array<number>} ifMatch - Parsed If-Match header
+ * @param {string} action - Revision action (update or revert)
+ * @param {string|null} user - User recorded in the contact's history
+ * @returns {Promise<Object>} Updated contact object
+ * @throws {Error} 404 or 412 if the contact changed after it was checked
+ */
+async function writeUpdate(existingContact, contactData, ifMatch, action, user) {
+  const { id } = existingContact;
+  
+  let updatedContact;
   try {
-    await contactRepository.delete(id);
+    updatedContact = await withTransaction(async (client) => {
+      const contact = await contactRepository.update(id, contactData, expectedVersion(existingContact, ifMatch), client);
+      if (contact) {
+        await recordRevision(action, existingContact, contact, user, client);
+      }
+      return contact;
+    });
   } catch (error) {
-    console.error('Service error in remove:', error.message);
-    throw new Error('Failed to delete contact');
+    console.error(`Service error in ${action}:`, error.message);
+    throw new Error(action === 'revert' ? 'Failed to revert contact' : 'Failed to update contact');
+  }
+  
+  if (!updatedContact) {
+    await throwConcurrentModification(id);
+  }
+  
+  return updatedContact;
+}
+
+/**
+ * Record a change to a contact in its revision history
+ * Updates that leave every recorded field as it was are not recorded.
+ * @param {string} action - create, update, delete, restore or revert
+ * @param {Object|null} before - Contact before the change
+ * @param {Object} after - Contact after the change
+ * @param {string|null} user - User who made the change
+ * @param {Object} client - Client with the change's open transaction
+ * @returns {Promise<void>}
+ */
+async function recordRevision(action, before, after, user, client) {
+  const revision = buildRevision(action, before, after, user);
+  if (revision.changes.length === 0 && (action === 'update' || action === 'revert')) {
+    return;
+  }
+  await revisionRepository.create(revision, client);
+}
+
+/**
+ * Report a conditional write that matched no row
+ * The contact was either deleted or modified after the precondition check.
+ * @param {number} id - Contact ID
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<never>}
+ * @throws {Error} 404 if the contact is gone, otherwise 412
+ */
+async function throwConcurrentModification(id, client) {
+  const currentContact = await contactRepository.findById(id, client);
+  if (!currentContact) {
+    const error = new Error('Contact not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  throw createPreconditionFailedError(currentContact.version);
+}
+
+/**
+ * Create a 412 Precondition Failed error carrying the current version
+ * @param {number} currentVersion - Version currently stored on the server
+ * @returns {Error} Error with statusCode 412 and currentVersion
+ */
+function createPreconditionFailedError(currentVersion) {
+  const error = new Error('Contact has been modified by someone else; reload it and try again');
+  error.statusCode = 412;
+  error.currentVersion = currentVersion;
+  return error;
+}
+
+/**
+ * Check that the organization contact data links to exists
+ * @param {Object} contactData - Contact data being written
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<void>}
+ * @throws {Error} 400 if the organization does not exist
+ */
+async function checkOrganization(contactData, client) {
+  const { organizationId } = contactData;
+  if (organizationId === undefined || organizationId === null) {
+    return;
+  }
+  
+  let organization;
+  try {
+    organization = await organizationRepository.findById(organizationId, client);
+  } catch (error) {
+    console.error('Service error in checkOrganization:', error.message);
+    throw new Error('Failed to retrieve organization');
+  }
+  
+  if (!organization) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.details = [{ field: 'organizationId', message: `Organization ${organizationId} not found` }];
+    throw error;
+  }
+}
+
+/**
+ * Score the live contacts a draft contact would likely duplicate
+ * @param {Object} draft - Draft contact (same shape as a create request)
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.minConfidence] - Lowest confidence (0-1) to report
+ * @param {number} [options.limit] - Maximum number of matches to return
+ * @returns {Promise<Array>} Matches ({ contact, confidence, reasons }), most confident first
+ */
+async function findLikelyDuplicates(draft, { minConfidence = DEFAULT_MIN_CONFIDENCE, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const candidates = await contactRepository.findDuplicateCandidates(toDuplicateDraft(draft), { limit });
+  return candidates
+    .map(({ contact, ...signals }) => ({ contact, ...scoreMatch(signals) }))
+    .filter((match) => match.confidence > 0 && match.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence || a.contact.id - b.contact.id);
+}
+
+/**
+ * Check that a new contact does not already exist
+ * This is a best-effort check; two clients creating the same person at the
+ * same moment can both pass it.
+ * @param {Object} contactData - Contact data being created
+ * @returns {Promise<void>}
+ * @throws {Error} 409 carrying the likely duplicates
+ */
+async function checkNotDuplicate(contactData) {
+  let duplicates;
+  try {
+    duplicates = await findLikelyDuplicates(contactData, { minConfidence: BLOCKING_CONFIDENCE });
+  } catch (error) {
+    console.error('Service error in checkNotDuplicate:', error.message);
+    throw new Error('Failed to check for duplicate contacts');
+  }
+
+  if (duplicates.length > 0) {
+    const error = new Error('Contact may already exist; check the duplicates or create it with allowDuplicates=true');
+    error.statusCode = 409;
+    error.duplicates = duplicates;
+    throw error;
+  }
+}
+
+/**
+ * Collect the name, email addresses and phone numbers duplicates are matched on
+ * @param {Object} contactData - Contact data (scalar email and phone and/or the lists)
+ * @returns {Object} { firstName, lastName, emails, phones }
+ */
+function toDuplicateDraft({ firstName, lastName, email, phone, emails, phones }) {
+  const values = (scalar, entries, key) => [scalar, ...(entries || []).map((entry) => entry[key])]
+    .filter((value) => typeof value === 'string' && value.trim() !== '');
+
+  return {
+    firstName: firstName || '',
+    lastName: lastName || '',
+    emails: values(email, emails, 'email'),
+    phones: values(phone, phones, 'phone'),
+  };
+}
+
+/**
+ * Load the custom field definitions contact data is checked against
+ * @returns {Promise<Array>} Array of custom field definitions
+ */
+async function findCustomFieldDefinitions() {
+  try {
+    return await customFieldRepository.findAll();
+  } catch (error) {
+    console.error('Service error in findCustomFieldDefinitions:', error.message);
+    throw new Error('Failed to retrieve custom fields');
   }
 }
 
+/**
+ * Contact data for a new contact; one created without custom fields has no
+ * values, so its required custom fields are reported as missing
+ * @param {Object} contactData - Contact data
+ * @returns {Object} Contact data with customFields set
+ */
+function withCustomFields(contactData) {
+  return contactData.customFields === undefined ? { ...contactData, customFields: {} } : contactData;
+}
+
+/**
+ * Validate contact data that did not pass through the request validation
+ * middleware (bulk items, CSV rows) with the same rules as a single request
+ * @param {Object} contactData - Contact data to validate
+ * @param {Array<Object>} definitions - Custom field definitions
+ * @returns {Array} Array of validation error objects
+ */
+function validateContactInput(contactData, definitions) {
+  const fieldErrors = collectContactErrors(contactData, CONTACT_FIELDS);
+  return fieldErrors.length > 0 ? fieldErrors : validateContactData(contactData, definitions);
+}
+
 /**
  * Validate contact data according to business rules
+ * Custom field values are checked against their definitions, including the
+ * required flag, when the data carries customFields; data without it leaves
+ * the stored values as they are.
  * @param {Object} contactData - Contact data to validate
+ * @param {Array<Object>} [definitions=[]] - Custom field definitions
  * @returns {Array} Array of validation error objects
  */
-function validateContactData(contactData) {
+function validateContactData(contactData, definitions = []) {
   const errors = [];
   
   // Validate firstName
@@ -188,13 +1194,32 @@ function validateContactData(contactData) {
     }
   }
   
+  // Validate custom fields (types and required flags from their definitions)
+  if (contactData.customFields !== undefined) {
+    errors.push(...collectCustomFieldErrors(contactData.customFields, definitions));
+  }
+  
   return errors;
 }
 
 module.exports = {
   findAll,
+  findPage,
+  exportContacts,
+  search,
+  findDuplicates,
+  checkDuplicates,
   findById,
   create,
   update,
+  patch,
   remove,
+  findTrash,
+  restore,
+  findHistory,
+  revert,
+  purgeTrash,
+  bulk,
+  importCsv,
+  importVCards,
 };
@@ -1,13 +1,32 @@
 const contactService = require('./contactService');
 const contactRepository = require('../repositories/contactRepository');
-
-// Mock the repository layer
+const customFieldRepository = require('../repositories/customFieldRepository');
+const organizationRepository = require('../repositories/organizationRepository');
+const revisionRepository = require('../repositories/revisionRepository');
+const starRepository = require('../repositories/starRepository');
+const photoRepository = require('../repositories/photoRepository');
+const photoService = require('./photoService');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
 jest.mock('../repositories/contactRepository');
+jest.mock('../repositories/customFieldRepository');
+jest.mock('../repositories/organizationRepository');
+jest.mock('../repositories/revisionRepository');
+jest.mock('../repositories/starRepository');
+jest.mock('../repositories/photoRepository');
+jest.mock('./photoService');
+jest.mock('../config/database');
 
 describe('Contact Service', () => {
+  const transactionClient = { query: jest.fn() };
+
   // Clear all mocks before each test
   beforeEach(() => {
     jest.clearAllMocks();
+    customFieldRepository.findAll.mockResolvedValue([]);
+    contactRepository.findDuplicateCandidates.mockResolvedValue([]);
+    database.withTransaction.mockImplementation(async (callback) => callback(transactionClient));
   });
 
   describe('findAll', () => {
@@ -48,8 +67,19 @@ describe('Contact Service', () => {
 
       const result = await contactService.findById(1);
 
-      expect(result).toEqual(mockContact);
+      expect(result).toEqual({ ...mockContact, starred: false });
       expect(contactRepository.findById).toHaveBeenCalledWith(1);
+      expect(starRepository.isStarred).not.toHaveBeenCalled();
+    });
+
+    it('should flag whether the requesting user starred the contact', async () => {
+      contactRepository.findById.mockResolvedValue({ id: 1, firstName: 'John', lastName: 'Doe' });
+      starRepository.isStarred.mockResolvedValue(true);
+
+      const result = await contactService.findById(1, { user: 'dana@example.com' });
+
+      expect(result.starred).toBe(true);
+      expect(starRepository.isStarred).toHaveBeenCalledWith(1, 'dana@example.com');
     });
 
     it('should throw 404 error when contact not found', async () => {
@@ -101,7 +131,43 @@ describe('Contact Service', () => {
       const result = await contactService.create(validContactData);
 
       expect(result).toEqual(mockCreatedContact);
-      expect(contactRepository.create).toHaveBeenCalledWith(validContactData);
+      expect(contactRepository.create).toHaveBeenCalledWith(validContactData, transactionClient);
+    });
+
+    it('should link an existing organization', async () => {
+      organizationRepository.findById.mockResolvedValue({ id: 4, name: 'Acme' });
+      contactRepository.create.mockResolvedValue({ id: 1, ...validContactData, organizationId: 4 });
+
+      await contactService.create({ ...validContactData, organizationId: 4 });
+
+      expect(organizationRepository.findById).toHaveBeenCalledWith(4, undefined);
+      expect(contactRepository.create).toHaveBeenCalledWith({ ...validContactData, organizationId: 4 }, transactionClient);
+    });
+
+    it('should throw 400 when the organization does not exist', async () => {
+      organizationRepository.findById.mockResolvedValue(null);
+
+      await expect(contactService.create({ ...validContactData, organizationId: 99 })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'organizationId', message: 'Organization 99 not found' }],
+      });
+      expect(contactRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should require custom fields flagged as required', async () => {
+      customFieldRepository.findAll.mockResolvedValue([
+        { key: 'renewalDate', label: 'Contract renewal date', type: 'date', required: true, options: null },
+      ]);
+
+      await expect(contactService.create(validContactData)).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'customFields.renewalDate', message: 'Contract renewal date is required' }],
+      });
+      expect(contactRepository.create).not.toHaveBeenCalled();
+
+      contactRepository.create.mockResolvedValue({ id: 1, ...validContactData });
+      await contactService.create({ ...validContactData, customFields: { renewalDate: '2027-01-31' } });
+      expect(contactRepository.create).toHaveBeenCalledTimes(1);
     });
 
     it('should create contact with only required fields', async () => {
@@ -112,7 +178,7 @@ describe('Contact Service', () => {
       const result = await contactService.create(minimalData);
 
       expect(result).toEqual(mockCreatedContact);
-      expect(contactRepository.create).toHaveBeenCalledWith(minimalData);
+      expect(contactRepository.create).toHaveBeenCalledWith(minimalData, transactionClient);
     });
 
     it('should throw validation error when firstName is missing', async () => {
@@ -261,6 +327,53 @@ describe('Contact Service', () => {
       await expect(contactService.create(validContactData)).rejects.toThrow('Failed to create contact');
     });
 
+    it('should refuse a likely duplicate with 409 and the matches', async () => {
+      const existing = { id: 3, firstName: 'John', lastName: 'Doe' };
+      contactRepository.findDuplicateCandidates.mockResolvedValue([
+        { contact: existing, emails: ['john@example.com'], phones: [], nameSimilarity: 1 },
+        { contact: { id: 8, firstName: 'Johanna', lastName: 'Doering' }, emails: [], phones: [], nameSimilarity: 0.6 },
+      ]);
+
+      await expect(contactService.create(validContactData)).rejects.toMatchObject({
+        statusCode: 409,
+        duplicates: [{
+          contact: existing,
+          confidence: 0.97,
+          reasons: [{ type: 'email', value: 'john@example.com' }, { type: 'name', similarity: 1 }],
+        }],
+      });
+      expect(contactRepository.findDuplicateCandidates).toHaveBeenCalledWith(
+        { firstName: 'John', lastName: 'Doe', emails: ['john@example.com'], phones: ['+1-555-0123'] },
+        { limit: 50 }
+      );
+      expect(contactRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should match on every email and phone in the lists', async () => {
+      contactRepository.create.mockResolvedValue({ id: 1 });
+
+      await contactService.create({
+        firstName: 'John',
+        lastName: 'Doe',
+        emails: [{ email: 'john@example.com' }, { email: 'jd@work.example' }],
+        phones: [{ phone: '555-0100' }],
+      });
+
+      expect(contactRepository.findDuplicateCandidates).toHaveBeenCalledWith(
+        { firstName: 'John', lastName: 'Doe', emails: ['john@example.com', 'jd@work.example'], phones: ['555-0100'] },
+        { limit: 50 }
+      );
+    });
+
+    it('should create a likely duplicate when allowDuplicates is set', async () => {
+      contactRepository.create.mockResolvedValue({ id: 4, ...validContactData });
+
+      await contactService.create(validContactData, { allowDuplicates: true });
+
+      expect(contactRepository.findDuplicateCandidates).not.toHaveBeenCalled();
+      expect(contactRepository.create).toHaveBeenCalledWith(validContactData, transactionClient);
+    });
+
     it('should collect multiple validation errors', async () => {
       const invalidData = { 
         firstName: '', 
@@ -296,7 +409,7 @@ describe('Contact Service', () => {
 
       expect(result).toEqual(updatedContact);
       expect(contactRepository.findById).toHaveBeenCalledWith(1);
-      expect(contactRepository.update).toHaveBeenCalledWith(1, validContactData);
+      expect(contactRepository.update).toHaveBeenCalledWith(1, validContactData, undefined, transactionClient);
     });
 
     it('should throw 404 error when contact does not exist', async () => {
@@ -363,12 +476,12 @@ describe('Contact Service', () => {
       const existingContact = { id: 1, firstName: 'John', lastName: 'Doe' };
       
       contactRepository.findById.mockResolvedValue(existingContact);
-      contactRepository.delete.mockResolvedValue();
+      contactRepository.delete.mockResolvedValue(true);
 
       await contactService.remove(1);
 
       expect(contactRepository.findById).toHaveBeenCalledWith(1);
-      expect(contactRepository.delete).toHaveBeenCalledWith(1);
+      expect(contactRepository.delete).toHaveBeenCalledWith(1, undefined, transactionClient);
     });
 
     it('should throw 404 error when contact does not exist', async () => {
@@ -485,4 +598,896 @@ describe('Contact Service', () => {
       }
     });
   });
+
+  describe('findPage', () => {
+    it('should return the page from repository', async () => {
+      const mockPage = {
+        data: [{ id: 1, firstName: 'John', lastName: 'Doe' }],
+        nextCursor: 'abc',
+        hasMore: true,
+      };
+      contactRepository.findPage.mockResolvedValue(mockPage);
+
+      const result = await contactService.findPage({ limit: 1 });
+
+      expect(result).toEqual(mockPage);
+      expect(contactRepository.findPage).toHaveBeenCalledWith({ limit: 1 });
+    });
+
+    it('should preserve 400 error for an invalid cursor', async () => {
+      const cursorError = new Error('Invalid cursor');
+      cursorError.statusCode = 400;
+      contactRepository.findPage.mockRejectedValue(cursorError);
+
+      await expect(contactService.findPage({ cursor: 'x' })).rejects.toBe(cursorError);
+    });
+
+    it('should throw error when repository fails', async () => {
+      contactRepository.findPage.mockRejectedValue(new Error('Database error'));
+
+      await expect(contactService.findPage()).rejects.toThrow('Failed to retrieve contacts');
+    });
+  });
+
+  describe('search', () => {
+    it('should return search results from repository', async () => {
+      const mockResults = [
+        { contact: { id: 1, firstName: 'John', lastName: 'Doe' }, rank: 0.5, snippet: '<mark>John</mark> Doe' },
+      ];
+      contactRepository.search.mockResolvedValue(mockResults);
+
+      const result = await contactService.search('john', { limit: 10 });
+
+      expect(result).toEqual(mockResults);
+      expect(contactRepository.search).toHaveBeenCalledWith('john', { limit: 10 });
+    });
+
+    it('should throw error when repository fails', async () => {
+      contactRepository.search.mockRejectedValue(new Error('Database error'));
+
+      await expect(contactService.search('john')).rejects.toThrow('Failed to search contacts');
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should score, filter and cluster duplicate pairs', async () => {
+      contactRepository.findDuplicatePairs.mockResolvedValue([
+        { contactIds: [1, 2], emails: ['john@example.com'], phones: [], nameSimilarity: 1 },
+        { contactIds: [2, 5], emails: [], phones: ['5550123456'], nameSimilarity: 0.3 },
+        { contactIds: [3, 4], emails: [], phones: [], nameSimilarity: 0.65 },
+      ]);
+      const contacts = [1, 2, 5].map((id) => ({ id, firstName: 'John', lastName: 'Doe' }));
+      contactRepository.findByIds.mockResolvedValue(contacts);
+
+      const result = await contactService.findDuplicates();
+
+      expect(result).toEqual([{
+        confidence: 0.97,
+        contacts,
+        matches: [
+          {
+            contactIds: [1, 2],
+            confidence: 0.97,
+            reasons: [{ type: 'email', value: 'john@example.com' }, { type: 'name', similarity: 1 }],
+          },
+          { contactIds: [2, 5], confidence: 0.8, reasons: [{ type: 'phone', value: '5550123456' }] },
+        ],
+      }]);
+      expect(contactRepository.findByIds).toHaveBeenCalledWith([1, 2, 5]);
+    });
+
+    it('should honour the minimum confidence and limit', async () => {
+      contactRepository.findDuplicatePairs.mockResolvedValue([
+        { contactIds: [1, 2], emails: ['john@example.com'], phones: [], nameSimilarity: 0 },
+        { contactIds: [3, 4], emails: [], phones: ['5550123456'], nameSimilarity: 0 },
+        { contactIds: [5, 6], emails: [], phones: [], nameSimilarity: 1 },
+      ]);
+      contactRepository.findByIds.mockResolvedValue([]);
+
+      await contactService.findDuplicates({ minConfidence: 0.75, limit: 1 });
+
+      expect(contactRepository.findByIds).toHaveBeenCalledWith([1, 2]);
+    });
+
+    it('should not load contacts when there are no duplicates', async () => {
+      contactRepository.findDuplicatePairs.mockResolvedValue([]);
+
+      await expect(contactService.findDuplicates()).resolves.toEqual([]);
+      expect(contactRepository.findByIds).not.toHaveBeenCalled();
+    });
+
+    it('should throw error when repository fails', async () => {
+      contactRepository.findDuplicatePairs.mockRejectedValue(new Error('Database error'));
+
+      await expect(contactService.findDuplicates()).rejects.toThrow('Failed to find duplicate contacts');
+    });
+  });
+
+  describe('checkDuplicates', () => {
+    it('should return scored matches for a draft, most confident first', async () => {
+      contactRepository.findDuplicateCandidates.mockResolvedValue([
+        { contact: { id: 2 }, emails: [], phones: [], nameSimilarity: 0.9 },
+        { contact: { id: 7 }, emails: [], phones: ['5550123456'], nameSimilarity: 0.2 },
+        { contact: { id: 9 }, emails: [], phones: [], nameSimilarity: 0.61 },
+      ]);
+
+      const result = await contactService.checkDuplicates({ firstName: 'John', phone: '555 012 3456' }, { limit: 5 });
+
+      expect(result).toEqual([
+        { contact: { id: 7 }, confidence: 0.8, reasons: [{ type: 'phone', value: '5550123456' }] },
+        { contact: { id: 2 }, confidence: 0.63, reasons: [{ type: 'name', similarity: 0.9 }] },
+      ]);
+      expect(contactRepository.findDuplicateCandidates).toHaveBeenCalledWith(
+        { firstName: 'John', lastName: '', emails: [], phones: ['555 012 3456'] },
+        { limit: 5 }
+      );
+    });
+
+    it('should throw error when repository fails', async () => {
+      contactRepository.findDuplicateCandidates.mockRejectedValue(new Error('Database error'));
+
+      await expect(contactService.checkDuplicates({ firstName: 'John' })).rejects.toThrow(
+        'Failed to check for duplicate contacts'
+      );
+    });
+  });
+
+  describe('patch', () => {
+    const existingContact = {
+      id: 1,
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john@example.com',
+      phone: '555-0100',
+    };
+
+    it('should patch contact when merged result is valid', async () => {
+      const patchedContact = { ...existingContact, phone: '555-0199' };
+      contactRepository.findById.mockResolvedValue(existingContact);
+      contactRepository.patch.mockResolvedValue(patchedContact);
+
+      const result = await contactService.patch(1, { phone: '555-0199' });
+
+      expect(result).toEqual(patchedContact);
+      expect(contactRepository.patch).toHaveBeenCalledWith(1, { phone: '555-0199' }, undefined, transactionClient);
+    });
+
+    it('should throw 404 error when contact not found', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(contactService.patch(999, { phone: '555-0199' })).rejects.toMatchObject({
+        message: 'Contact not found',
+        statusCode: 404,
+      });
+      expect(contactRepository.patch).not.toHaveBeenCalled();
+    });
+
+    it('should merge patched custom fields onto the stored values', async () => {
+      const stored = { ...existingContact, customFields: { accountManager: 'Dana', seats: 5 } };
+      customFieldRepository.findAll.mockResolvedValue([
+        { key: 'accountManager', label: 'Account manager', type: 'text', required: true, options: null },
+        { key: 'seats', label: 'Seats', type: 'number', required: false, options: null },
+      ]);
+      contactRepository.findById.mockResolvedValue(stored);
+      contactRepository.patch.mockResolvedValue(stored);
+
+      await contactService.patch(1, { customFields: { seats: null } });
+
+      expect(contactRepository.patch).toHaveBeenCalledWith(
+        1,
+        { customFields: { accountManager: 'Dana', seats: null } },
+        undefined,
+        transactionClient
+      );
+
+      await expect(contactService.patch(1, { customFields: { accountManager: null } })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'customFields.accountManager', message: 'Account manager is required' }],
+      });
+    });
+
+    it('should throw validation error when merged result is invalid', async () => {
+      contactRepository.findById.mockResolvedValue(existingContact);
+
+      try {
+        await contactService.patch(1, { lastName: null });
+        fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).toBe('Validation failed');
+        expect(error.statusCode).toBe(400);
+        expect(error.details).toContainEqual({ field: 'lastName', message: 'Last name is required' });
+      }
+      expect(contactRepository.patch).not.toHaveBeenCalled();
+    });
+
+    it('should throw error when repository fails', async () => {
+      contactRepository.findById.mockResolvedValue(existingContact);
+      contactRepository.patch.mockRejectedValue(new Error('Database error'));
+
+      await expect(contactService.patch(1, { phone: '555-0199' })).rejects.toThrow('Failed to update contact');
+    });
+  });
+
+  describe('optimistic concurrency', () => {
+    const existingContact = { id: 1, firstName: 'John', lastName: 'Doe', version: 3 };
+    const contactData = { firstName: 'John', lastName: 'Doe', phone: '555-0199' };
+
+    it('should condition the update on the version matched by If-Match', async () => {
+      const updatedContact = { ...existingContact, ...contactData, version: 4 };
+      contactRepository.findById.mockResolvedValue(existingContact);
+      contactRepository.update.mockResolvedValue(updatedContact);
+
+      const result = await contactService.update(1, contactData, [3]);
+
+      expect(result).toEqual(updatedContact);
+      expect(contactRepository.update).toHaveBeenCalledWith(1, contactData, 3, transactionClient);
+    });
+
+    it('should accept the wildcard If-Match for an existing contact', async () => {
+      contactRepository.findById.mockResolvedValue(existingContact);
+      contactRepository.patch.mockResolvedValue({ ...existingContact, version: 4 });
+
+      await contactService.patch(1, { phone: '555-0199' }, '*');
+
+      expect(contactRepository.patch).toHaveBeenCalledWith(1, { phone: '555-0199' }, 3, transactionClient);
+    });
+
+    it('should throw 412 with the current version for a stale If-Match', async () => {
+      contactRepository.findById.mockResolvedValue(existingContact);
+
+      try {
+        await contactService.update(1, contactData, [2]);
+        fail('Should have thrown error');
+      } catch (error) {
+        expect(error.statusCode).toBe(412);
+        expect(error.currentVersion).toBe(3);
+        expect(error.message).toMatch(/modified/);
+      }
+      expect(contactRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw 412 for a stale If-Match on patch and remove', async () => {
+      contactRepository.findById.mockResolvedValue(existingContact);
+
+      await expect(contactService.patch(1, { phone: '555-0199' }, [1])).rejects.toMatchObject({ statusCode: 412 });
+      await expect(contactService.remove(1, [1])).rejects.toMatchObject({ statusCode: 412, currentVersion: 3 });
+      expect(contactRepository.patch).not.toHaveBeenCalled();
+      expect(contactRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it('should throw 412 when the contact changes between check and write', async () => {
+      contactRepository.findById
+        .mockResolvedValueOnce(existingContact)
+        .mockResolvedValueOnce({ ...existingContact, version: 4 });
+      contactRepository.update.mockResolvedValue(null);
+
+      await expect(contactService.update(1, contactData, [3])).rejects.toMatchObject({
+        statusCode: 412,
+        currentVersion: 4,
+      });
+    });
+
+    it('should throw 404 when the contact is deleted between check and write', async () => {
+      contactRepository.findById
+        .mockResolvedValueOnce(existingContact)
+        .mockResolvedValueOnce(null);
+      contactRepository.delete.mockResolvedValue(false);
+
+      await expect(contactService.remove(1, [3])).rejects.toMatchObject({ statusCode: 404 });
+      expect(contactRepository.delete).toHaveBeenCalledWith(1, 3, transactionClient);
+    });
+  });
+
+  describe('trash', () => {
+    const originalRetention = process.env.TRASH_RETENTION_DAYS;
+
+    afterEach(() => {
+      if (originalRetention === undefined) {
+        delete process.env.TRASH_RETENTION_DAYS;
+      } else {
+        process.env.TRASH_RETENTION_DAYS = originalRetention;
+      }
+    });
+
+    it('should return a page of deleted contacts from repository', async () => {
+      const mockPage = {
+        data: [{ id: 1, firstName: 'John', lastName: 'Doe', deletedAt: '2025-03-01T00:00:00.000Z' }],
+        nextCursor: null,
+        hasMore: false,
+      };
+      contactRepository.findDeletedPage.mockResolvedValue(mockPage);
+
+      const result = await contactService.findTrash({ limit: 10 });
+
+      expect(result).toEqual(mockPage);
+      expect(contactRepository.findDeletedPage).toHaveBeenCalledWith({ limit: 10 });
+    });
+
+    it('should preserve 400 error for a cursor from another listing', async () => {
+      const cursorError = new Error('Cursor does not match the requested sort order');
+      cursorError.statusCode = 400;
+      contactRepository.findDeletedPage.mockRejectedValue(cursorError);
+
+      await expect(contactService.findTrash({ cursor: 'x' })).rejects.toBe(cursorError);
+    });
+
+    it('should restore a contact from the trash', async () => {
+      const restored = { id: 1, firstName: 'John', lastName: 'Doe', version: 3 };
+      contactRepository.restore.mockResolvedValue(restored);
+
+      const result = await contactService.restore(1);
+
+      expect(result).toEqual(restored);
+      expect(contactRepository.restore).toHaveBeenCalledWith(1, transactionClient);
+    });
+
+    it('should throw 404 when the contact is not in the trash', async () => {
+      contactRepository.restore.mockResolvedValue(null);
+
+      await expect(contactService.restore(999)).rejects.toMatchObject({
+        message: 'Contact not found in trash',
+        statusCode: 404,
+      });
+    });
+
+    it('should throw error when restore fails', async () => {
+      contactRepository.restore.mockRejectedValue(new Error('Database error'));
+
+      await expect(contactService.restore(1)).rejects.toThrow('Failed to restore contact');
+    });
+
+    it('should purge with the default 30 day retention period', async () => {
+      delete process.env.TRASH_RETENTION_DAYS;
+      contactRepository.purgeDeleted.mockResolvedValue(2);
+
+      const result = await contactService.purgeTrash();
+
+      expect(result).toBe(2);
+      expect(contactRepository.purgeDeleted).toHaveBeenCalledWith(30, transactionClient);
+    });
+
+    it('should purge with the configured retention period', async () => {
+      process.env.TRASH_RETENTION_DAYS = '7';
+      contactRepository.purgeDeleted.mockResolvedValue(0);
+
+      await contactService.purgeTrash();
+
+      expect(contactRepository.purgeDeleted).toHaveBeenCalledWith(7, transactionClient);
+    });
+
+    it('should fall back to the default for an invalid retention period', async () => {
+      process.env.TRASH_RETENTION_DAYS = 'soon';
+      contactRepository.purgeDeleted.mockResolvedValue(0);
+
+      await contactService.purgeTrash();
+
+      expect(contactRepository.purgeDeleted).toHaveBeenCalledWith(30, transactionClient);
+    });
+
+    it('should delete the photo files of the purged contacts after the purge', async () => {
+      delete process.env.TRASH_RETENTION_DAYS;
+      photoRepository.deletePurgeable.mockResolvedValue(['0b6c7f1e']);
+      contactRepository.purgeDeleted.mockResolvedValue(1);
+
+      await contactService.purgeTrash();
+
+      expect(photoRepository.deletePurgeable).toHaveBeenCalledWith(30, transactionClient);
+      expect(photoService.removeFiles).toHaveBeenCalledWith(['0b6c7f1e']);
+    });
+
+    it('should keep the photo files when the purge fails', async () => {
+      photoRepository.deletePurgeable.mockResolvedValue(['0b6c7f1e']);
+      contactRepository.purgeDeleted.mockRejectedValue(new Error('Database error'));
+
+      await expect(contactService.purgeTrash()).rejects.toThrow('Failed to purge deleted contacts');
+      expect(photoService.removeFiles).not.toHaveBeenCalled();
+    });
+
+    it('should throw error when purge fails', async () => {
+      contactRepository.purgeDeleted.mockRejectedValue(new Error('Database error'));
+
+      await expect(contactService.purgeTrash()).rejects.toThrow('Failed to purge deleted contacts');
+    });
+  });
+
+  describe('revision history', () => {
+    const stored = {
+      id: 1,
+      firstName: 'John',
+      lastName: 'Doe',
+      phone: '555-555-0100',
+      phones: [{ phone: '555-555-0100', type: 'mobile', primary: true }],
+      customFields: {},
+      version: 3,
+    };
+    const revision = {
+      id: 8,
+      contactId: 1,
+      action: 'update',
+      snapshot: {
+        firstName: 'Johnny',
+        lastName: 'Doe',
+        company: null,
+        organizationId: null,
+        notes: null,
+        emails: [],
+        phones: [{ phone: '555-555-0199', type: 'mobile', primary: true }],
+        addresses: [],
+        dates: [],
+        customFields: {},
+      },
+      changes: [],
+      changedBy: null,
+    };
+
+    it('should record a new contact with the user who created it', async () => {
+      const created = { id: 5, firstName: 'John', lastName: 'Doe', phones: [], customFields: {} };
+      contactRepository.create.mockResolvedValue(created);
+
+      await contactService.create({ firstName: 'John', lastName: 'Doe' }, { user: 'jane@example.com' });
+
+      expect(revisionRepository.create).toHaveBeenCalledWith({
+        contactId: 5,
+        action: 'create',
+        snapshot: expect.objectContaining({ firstName: 'John', lastName: 'Doe', emails: [] }),
+        changes: [
+          { field: 'firstName', from: null, to: 'John' },
+          { field: 'lastName', from: null, to: 'Doe' },
+        ],
+        changedBy: 'jane@example.com',
+      }, transactionClient);
+    });
+
+    it('should record the fields an update changed', async () => {
+      contactRepository.findById.mockResolvedValue(stored);
+      contactRepository.patch.mockResolvedValue({
+        ...stored,
+        phone: '555-555-0199',
+        phones: [{ phone: '555-555-0199', type: 'mobile', primary: true }],
+        version: 4,
+      });
+
+      await contactService.patch(1, { phone: '555-555-0199' }, null, { user: 'jane@example.com' });
+
+      const [recorded, client] = revisionRepository.create.mock.calls[0];
+      expect(recorded.action).toBe('update');
+      expect(recorded.changes).toEqual([{
+        field: 'phones',
+        from: [{ phone: '555-555-0100', type: 'mobile', primary: true }],
+        to: [{ phone: '555-555-0199', type: 'mobile', primary: true }],
+      }]);
+      expect(client).toBe(transactionClient);
+    });
+
+    it('should not record an update that changed nothing', async () => {
+      contactRepository.findById.mockResolvedValue(stored);
+      contactRepository.update.mockResolvedValue({ ...stored, version: 4 });
+
+      await contactService.update(1, { firstName: 'John', lastName: 'Doe', phone: '555-555-0100' });
+
+      expect(revisionRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should record a delete with the contact as it was', async () => {
+      contactRepository.findById.mockResolvedValue(stored);
+      contactRepository.delete.mockResolvedValue(true);
+
+      await contactService.remove(1, null, { user: 'jane@example.com' });
+
+      expect(revisionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        contactId: 1,
+        action: 'delete',
+        snapshot: expect.objectContaining({ firstName: 'John' }),
+        changes: [],
+      }), transactionClient);
+    });
+
+    it('should return a page of the history of a contact, even in the trash', async () => {
+      const page = { data: [revision], nextCursor: null, hasMore: false };
+      contactRepository.existsIncludingTrash.mockResolvedValue(true);
+      revisionRepository.findPage.mockResolvedValue(page);
+
+      const result = await contactService.findHistory(1, { limit: 10 });
+
+      expect(result).toEqual(page);
+      expect(revisionRepository.findPage).toHaveBeenCalledWith(1, { limit: 10 });
+    });
+
+    it('should throw 404 for the history of an unknown contact', async () => {
+      contactRepository.existsIncludingTrash.mockResolvedValue(false);
+
+      await expect(contactService.findHistory(999)).rejects.toMatchObject({ statusCode: 404 });
+      expect(revisionRepository.findPage).not.toHaveBeenCalled();
+    });
+
+    it('should revert a contact to a revision and record the revert', async () => {
+      const reverted = { ...stored, ...revision.snapshot, version: 4 };
+      contactRepository.findById.mockResolvedValue(stored);
+      revisionRepository.findById.mockResolvedValue(revision);
+      contactRepository.update.mockResolvedValue(reverted);
+
+      const result = await contactService.revert(1, 8, [3], { user: 'jane@example.com' });
+
+      expect(result).toEqual(reverted);
+      expect(revisionRepository.findById).toHaveBeenCalledWith(1, 8);
+      expect(contactRepository.update).toHaveBeenCalledWith(1, {
+        firstName: 'Johnny',
+        lastName: 'Doe',
+        organizationId: null,
+        notes: null,
+        emails: [],
+        phones: [{ phone: '555-555-0199', type: 'mobile', primary: true }],
+        addresses: [],
+        dates: [],
+        customFields: {},
+      }, 3, transactionClient);
+      expect(revisionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'revert',
+        changedBy: 'jane@example.com',
+      }), transactionClient);
+    });
+
+    it('should throw 404 when the contact has no such revision', async () => {
+      contactRepository.findById.mockResolvedValue(stored);
+      revisionRepository.findById.mockResolvedValue(null);
+
+      await expect(contactService.revert(1, 99)).rejects.toMatchObject({
+        message: 'Revision not found',
+        statusCode: 404,
+      });
+      expect(contactRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when the revision no longer passes validation', async () => {
+      contactRepository.findById.mockResolvedValue(stored);
+      revisionRepository.findById.mockResolvedValue({
+        ...revision,
+        snapshot: { ...revision.snapshot, customFields: { retired: 'x' } },
+      });
+
+      await expect(contactService.revert(1, 8)).rejects.toMatchObject({
+        message: 'Revision can no longer be applied',
+        statusCode: 400,
+        details: [expect.objectContaining({ field: 'customFields.retired' })],
+      });
+      expect(contactRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulk', () => {
+    const client = { query: jest.fn() };
+    const validData = { firstName: 'John', lastName: 'Doe', email: 'john@example.com' };
+
+    beforeEach(() => {
+      database.withTransaction.mockImplementation(async (callback) => callback(client));
+      database.withSavepoint.mockImplementation(async (txClient, callback) => callback());
+    });
+
+    it('should apply create, update and delete operations on the transaction client', async () => {
+      contactRepository.create.mockResolvedValue({ id: 10, ...validData, version: 1 });
+      contactRepository.findById.mockImplementation(async (id) => ({ id, ...validData, notes: 'Old', version: 3 }));
+      contactRepository.update.mockResolvedValue({ id: 2, ...validData, version: 4 });
+      contactRepository.delete.mockResolvedValue(true);
+
+      const result = await contactService.bulk([
+        { op: 'create', data: validData },
+        { op: 'update', id: 2, version: 3, data: validData },
+        { op: 'delete', id: 3 },
+      ], { user: 'jane@example.com' });
+
+      expect(result).toEqual({
+        atomic: true,
+        committed: true,
+        summary: { succeeded: 3, failed: 0 },
+        results: [
+          { index: 0, op: 'create', status: 'success', statusCode: 201, id: 10, contact: { id: 10, ...validData, version: 1 } },
+          { index: 1, op: 'update', id: 2, status: 'success', statusCode: 200, contact: { id: 2, ...validData, version: 4 } },
+          { index: 2, op: 'delete', id: 3, status: 'success', statusCode: 204 },
+        ],
+      });
+      expect(contactRepository.create).toHaveBeenCalledWith(validData, client);
+      expect(contactRepository.update).toHaveBeenCalledWith(2, validData, 3, client);
+      expect(contactRepository.delete).toHaveBeenCalledWith(3, undefined, client);
+      expect(database.withSavepoint).not.toHaveBeenCalled();
+      expect(revisionRepository.create.mock.calls.map(([revision, txClient]) => (
+        [revision.contactId, revision.action, revision.changedBy, txClient]
+      ))).toEqual([
+        [10, 'create', 'jane@example.com', client],
+        [2, 'update', 'jane@example.com', client],
+        [3, 'delete', 'jane@example.com', client],
+      ]);
+    });
+
+    it('should report an operation linking a missing organization', async () => {
+      organizationRepository.findById.mockResolvedValue(null);
+
+      const result = await contactService.bulk([
+        { op: 'create', data: { ...validData, organizationId: 99 } },
+      ], { atomic: false });
+
+      expect(result.results[0]).toMatchObject({
+        status: 'error',
+        statusCode: 400,
+        details: [{ field: 'organizationId', message: 'Organization 99 not found' }],
+      });
+      expect(organizationRepository.findById).toHaveBeenCalledWith(99, client);
+      expect(contactRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an atomic batch with invalid operations without opening a transaction', async () => {
+      const result = await contactService.bulk([
+        { op: 'create', data: validData },
+        { op: 'create', data: { firstName: 'Jane', email: 'not-an-email' } },
+        { op: 'rename', id: 1 },
+      ]);
+
+      expect(result.committed).toBe(false);
+      expect(result.summary).toEqual({ succeeded: 0, failed: 2 });
+      expect(result.results[0]).toEqual({ index: 0, op: 'create', status: 'skipped' });
+      expect(result.results[1]).toEqual({
+        index: 1,
+        op: 'create',
+        status: 'error',
+        statusCode: 400,
+        error: 'Validation failed',
+        details: [
+          { field: 'lastName', message: 'Last name is required' },
+          { field: 'email', message: 'Invalid email format' },
+        ],
+      });
+      expect(result.results[2].details).toEqual([
+        { field: 'op', message: 'Operation must be one of: create, update, delete' },
+      ]);
+      expect(database.withTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should roll back an atomic batch when an operation fails', async () => {
+      contactRepository.create.mockResolvedValue({ id: 10, ...validData, version: 1 });
+      contactRepository.update.mockResolvedValue(null);
+      contactRepository.findById.mockResolvedValue({ id: 2, ...validData, version: 5 });
+
+      const result = await contactService.bulk([
+        { op: 'create', data: validData },
+        { op: 'update', id: 2, version: 3, data: validData },
+        { op: 'delete', id: 3 },
+      ]);
+
+      expect(result).toEqual({
+        atomic: true,
+        committed: false,
+        summary: { succeeded: 0, failed: 1 },
+        results: [
+          { index: 0, op: 'create', status: 'rolled_back' },
+          {
+            index: 1,
+            op: 'update',
+            id: 2,
+            status: 'error',
+            statusCode: 412,
+            error: 'Contact has been modified by someone else; reload it and try again',
+            currentVersion: 5,
+          },
+          { index: 2, op: 'delete', id: 3, status: 'skipped' },
+        ],
+      });
+      expect(contactRepository.findById).toHaveBeenCalledWith(2, client);
+      expect(contactRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it('should skip failing operations in best-effort mode and commit the rest', async () => {
+      contactRepository.delete.mockResolvedValue(true);
+      contactRepository.findById.mockImplementation(async (id) => (id === 3 ? { id: 3, ...validData, version: 2 } : null));
+
+      const result = await contactService.bulk([
+        { op: 'delete', id: 99 },
+        { op: 'update', id: 'abc', data: validData },
+        { op: 'delete', id: 3 },
+      ], { atomic: false });
+
+      expect(result.committed).toBe(true);
+      expect(result.summary).toEqual({ succeeded: 1, failed: 2 });
+      expect(result.results[0]).toEqual({
+        index: 0, op: 'delete', id: 99, status: 'error', statusCode: 404, error: 'Contact not found',
+      });
+      expect(result.results[1].details).toEqual([{ field: 'id', message: 'ID must be a positive integer' }]);
+      expect(result.results[2]).toEqual({ index: 2, op: 'delete', id: 3, status: 'success', statusCode: 204 });
+      expect(database.withSavepoint).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report an unexpected failure in best-effort mode and go on with the batch', async () => {
+      contactRepository.create
+        .mockRejectedValueOnce(new Error('value too long for type character varying(50)'))
+        .mockResolvedValueOnce({ id: 11, ...validData, version: 1 });
+
+      const result = await contactService.bulk([
+        { op: 'create', data: validData },
+        { op: 'create', data: validData },
+      ], { atomic: false });
+
+      expect(result.committed).toBe(true);
+      expect(result.summary).toEqual({ succeeded: 1, failed: 1 });
+      expect(result.results[0]).toEqual({
+        index: 0, op: 'create', status: 'error', statusCode: 500, error: 'Failed to create contact',
+      });
+      expect(result.results[1]).toMatchObject({ index: 1, status: 'success', statusCode: 201 });
+    });
+
+    it('should throw error when the database fails in atomic mode', async () => {
+      contactRepository.create.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(contactService.bulk([{ op: 'create', data: validData }]))
+        .rejects.toThrow('Failed to process bulk operations');
+    });
+  });
+
+  describe('importCsv', () => {
+    const client = { query: jest.fn() };
+    const csv = 'First Name,Surname,E-mail\nJohn,Doe,john@example.com\nJane,Smith,\n';
+    const mapping = { 'First Name': 'firstName', Surname: 'lastName', 'E-mail': 'email' };
+
+    beforeEach(() => {
+      database.withTransaction.mockImplementation(async (callback) => callback(client));
+    });
+
+    it('should insert every mapped row in one transaction', async () => {
+      contactRepository.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      const result = await contactService.importCsv(csv, { mapping });
+
+      expect(result).toEqual({
+        dryRun: false,
+        total: 2,
+        imported: 2,
+        data: [
+          { id: 1, firstName: 'John', lastName: 'Doe', email: 'john@example.com' },
+          { id: 1, firstName: 'Jane', lastName: 'Smith' },
+        ],
+      });
+      expect(database.withTransaction).toHaveBeenCalledTimes(1);
+      expect(contactRepository.create).toHaveBeenNthCalledWith(
+        1,
+        { firstName: 'John', lastName: 'Doe', email: 'john@example.com' },
+        client
+      );
+    });
+
+    it('should match header names to fields when no mapping is given', async () => {
+      contactRepository.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      const result = await contactService.importCsv('first_name,LAST NAME,Phone\nJohn,Doe,555-555-0123\n');
+
+      expect(result.data).toEqual([
+        { id: 1, firstName: 'John', lastName: 'Doe', phone: '555-555-0123' },
+      ]);
+    });
+
+    it('should report per-row errors on a dry run without writing', async () => {
+      const result = await contactService.importCsv(
+        'First Name,Surname,E-mail\nJohn,Doe,john@example.com\n,Smith,bad-email\nJane,Roe,,extra\n',
+        { mapping, dryRun: true }
+      );
+
+      expect(result).toEqual({
+        dryRun: true,
+        total: 3,
+        valid: 1,
+        invalid: 2,
+        errors: [
+          { row: 3, field: 'firstName', message: 'First name is required' },
+          { row: 3, field: 'email', message: 'Invalid email format' },
+          { row: 4, field: 'row', message: 'Row has 4 columns but the header has 3' },
+        ],
+      });
+      expect(database.withTransaction).not.toHaveBeenCalled();
+      expect(contactRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should write nothing when any row is invalid', async () => {
+      await expect(contactService.importCsv('First Name,Surname\nJohn,\n', { mapping: { 'First Name': 'firstName', Surname: 'lastName' } }))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          details: [{ row: 2, field: 'lastName', message: 'Last name is required' }],
+        });
+      expect(database.withTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject a mapping that names a missing column or leaves out a required field', async () => {
+      await expect(contactService.importCsv(csv, { mapping: { Given: 'firstName' } }))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          details: [
+            { field: 'mapping', message: 'Column not found in CSV: Given' },
+            { field: 'mapping', message: 'No CSV column is mapped to lastName' },
+          ],
+        });
+    });
+
+    it('should reject a CSV without contact rows', async () => {
+      await expect(contactService.importCsv('First Name,Surname\n', { mapping }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'CSV must contain a header row and at least one contact' });
+    });
+
+    it('should throw error when the database fails', async () => {
+      contactRepository.create.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(contactService.importCsv(csv, { mapping })).rejects.toThrow('Failed to import contacts');
+    });
+  });
+
+  describe('exportContacts', () => {
+    it('should pass batches through from the repository', async () => {
+      contactRepository.streamAll.mockImplementation(async function* batches() {
+        yield [{ id: 1 }];
+        yield [{ id: 2 }];
+      });
+
+      const batches = [];
+      for await (const batch of contactService.exportContacts({ filters: {} })) {
+        batches.push(batch);
+      }
+
+      expect(batches).toEqual([[{ id: 1 }], [{ id: 2 }]]);
+      expect(contactRepository.streamAll).toHaveBeenCalledWith({ filters: {} });
+    });
+
+    it('should throw error when repository fails', async () => {
+      contactRepository.streamAll.mockImplementation(async function* failing() {
+        throw new Error('Database error');
+      });
+
+      await expect(contactService.exportContacts().next()).rejects.toThrow('Failed to export contacts');
+    });
+  });
+
+  describe('importVCards', () => {
+    const client = { query: jest.fn() };
+    const cards =
+      'BEGIN:VCARD\r\nVERSION:4.0\r\nN:Doe;John;;;\r\nEMAIL:john@example.com\r\nEND:VCARD\r\n' +
+      'BEGIN:VCARD\r\nVERSION:3.0\r\nN:Smith;Jane;;;\r\nEND:VCARD\r\n';
+
+    beforeEach(() => {
+      database.withTransaction.mockImplementation(async (callback) => callback(client));
+    });
+
+    it('should insert every card in one transaction', async () => {
+      contactRepository.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      const result = await contactService.importVCards(cards);
+
+      expect(result.imported).toBe(2);
+      expect(contactRepository.create).toHaveBeenNthCalledWith(
+        1,
+        { firstName: 'John', lastName: 'Doe', email: 'john@example.com' },
+        client
+      );
+      expect(contactRepository.create).toHaveBeenNthCalledWith(2, { firstName: 'Jane', lastName: 'Smith' }, client);
+    });
+
+    it('should report per-card errors on a dry run without writing', async () => {
+      const result = await contactService.importVCards(
+        `${cards}BEGIN:VCARD\r\nN:;Cher;;;\r\nEMAIL:nope\r\nEND:VCARD\r\nBEGIN:VCARD\r\nN:Open;Card;;;\r\n`,
+        { dryRun: true }
+      );
+
+      expect(result).toEqual({
+        dryRun: true,
+        total: 4,
+        valid: 2,
+        invalid: 2,
+        errors: [
+          { card: 3, field: 'lastName', message: 'Last name is required' },
+          { card: 3, field: 'email', message: 'Invalid email format' },
+          { card: 4, field: 'card', message: 'Card is missing END:VCARD' },
+        ],
+      });
+      expect(contactRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a file without cards', async () => {
+      await expect(contactService.importVCards('not a vcard')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'File must contain at least one vCard',
+      });
+    });
+  });
 });
@@ -0,0 +1,164 @@
+const customFieldRepository = require('../repositories/customFieldRepository');
+const { withTransaction } = require('../config/database');
+
+/**
+ * Find all custom field definitions
+ * @returns {Promise<Array>} Array of custom field definitions
+ */
+async function findAll() {
+  try {
+    return await customFieldRepository.findAll();
+  } catch (error) {
+    console.error('Service error in findAll:', error.message);
+    throw new Error('Failed to retrieve custom fields');
+  }
+}
+
+/**
+ * Find custom field definition by ID
+ * @param {number} id - Custom field ID
+ * @returns {Promise<Object>} Custom field definition
+ * @throws {Error} 404 if the custom field does not exist
+ */
+async function findById(id) {
+  try {
+    const field = await customFieldRepository.findById(id);
+
+    if (!field) {
+      throw createNotFoundError();
+    }
+
+    return field;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findById:', error.message);
+    throw new Error('Failed to retrieve custom field');
+  }
+}
+
+/**
+ * Create a custom field definition
+ * @param {Object} fieldData - Definition ({ key, label, type, required, options })
+ * @returns {Promise<Object>} Created custom field definition
+ * @throws {Error} 409 if a custom field with the same key exists
+ */
+async function create(fieldData) {
+  try {
+    return await customFieldRepository.create(toDefinition(fieldData));
+  } catch (error) {
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in create:', error.message);
+    throw new Error('Failed to create custom field');
+  }
+}
+
+/**
+ * Update a custom field definition
+ * The key and type are fixed once created, since contacts already hold
+ * values stored under them; the label, required flag and options can change.
+ * Contacts are not re-checked until they are next written.
+ * @param {number} id - Custom field ID
+ * @param {Object} fieldData - Definition ({ key, label, type, required, options })
+ * @returns {Promise<Object>} Updated custom field definition
+ * @throws {Error} 404 if the custom field does not exist, 400 if the key or type changes
+ */
+async function update(id, fieldData) {
+  const existingField = await findById(id);
+
+  const errors = ['key', 'type']
+    .filter((field) => fieldData[field] !== existingField[field])
+    .map((field) => ({ field, message: `${field === 'key' ? 'Key' : 'Type'} cannot be changed` }));
+  if (errors.length > 0) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+
+  try {
+    const field = await customFieldRepository.update(id, toDefinition(fieldData));
+
+    if (!field) {
+      throw createNotFoundError();
+    }
+
+    return field;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in update:', error.message);
+    throw new Error('Failed to update custom field');
+  }
+}
+
+/**
+ * Delete a custom field definition and its values on every contact
+ * @param {number} id - Custom field ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the custom field does not exist
+ */
+async function remove(id) {
+  try {
+    await withTransaction(async (client) => {
+      const field = await customFieldRepository.delete(id, client);
+      if (!field) {
+        throw createNotFoundError();
+      }
+      await customFieldRepository.removeValues(field.key, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete custom field');
+  }
+}
+
+/**
+ * Pick the stored definition out of a validated request body
+ * @param {Object} fieldData - Request body
+ * @returns {Object} { key, label, type, required, options }
+ */
+function toDefinition({ key, label, type, required, options }) {
+  return {
+    key,
+    label: label.trim(),
+    type,
+    required: required === true,
+    options: type === 'select' ? options.map((option) => option.trim()) : null,
+  };
+}
+
+/**
+ * Create the error returned when a custom field does not exist
+ * @returns {Error} Error with statusCode 404
+ */
+function createNotFoundError() {
+  const error = new Error('Custom field not found');
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create the error returned when a custom field key is already taken
+ * @returns {Error} Error with statusCode 409
+ */
+function createConflictError() {
+  const error = new Error('Custom field already exists');
+  error.statusCode = 409;
+  return error;
+}
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  remove,
+};
@@ -0,0 +1,115 @@
+const customFieldService = require('./customFieldService');
+const customFieldRepository = require('../repositories/customFieldRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/customFieldRepository');
+jest.mock('../config/database');
+
+describe('Custom Field Service', () => {
+  const client = { query: jest.fn() };
+  const field = { id: 1, key: 'tier', label: 'Tier', type: 'select', required: false, options: ['gold', 'silver'] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+  });
+
+  describe('findAll', () => {
+    it('should throw error when repository fails', async () => {
+      customFieldRepository.findAll.mockRejectedValue(new Error('Database error'));
+
+      await expect(customFieldService.findAll()).rejects.toThrow('Failed to retrieve custom fields');
+    });
+  });
+
+  describe('findById', () => {
+    it('should throw 404 when the definition does not exist', async () => {
+      customFieldRepository.findById.mockResolvedValue(null);
+
+      await expect(customFieldService.findById(999)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('create', () => {
+    it('should trim the label and options and default required to false', async () => {
+      customFieldRepository.create.mockResolvedValue(field);
+
+      await customFieldService.create({ key: 'tier', label: ' Tier ', type: 'select', options: [' gold', 'silver '] });
+
+      expect(customFieldRepository.create).toHaveBeenCalledWith({
+        key: 'tier', label: 'Tier', type: 'select', required: false, options: ['gold', 'silver'],
+      });
+    });
+
+    it('should store no options for other types', async () => {
+      customFieldRepository.create.mockResolvedValue(field);
+
+      await customFieldService.create({ key: 'seats', label: 'Seats', type: 'number', required: true });
+
+      expect(customFieldRepository.create).toHaveBeenCalledWith(expect.objectContaining({ required: true, options: null }));
+    });
+
+    it('should throw 409 when the key is taken', async () => {
+      const duplicate = new Error('duplicate key');
+      duplicate.code = '23505';
+      customFieldRepository.create.mockRejectedValue(duplicate);
+
+      await expect(customFieldService.create({ key: 'tier', label: 'Tier', type: 'text' }))
+        .rejects.toMatchObject({ message: 'Custom field already exists', statusCode: 409 });
+    });
+  });
+
+  describe('update', () => {
+    it('should update the label, required flag and options', async () => {
+      customFieldRepository.findById.mockResolvedValue(field);
+      customFieldRepository.update.mockResolvedValue({ ...field, required: true });
+
+      const result = await customFieldService.update(1, { ...field, required: true, options: ['gold', 'silver', 'bronze'] });
+
+      expect(result.required).toBe(true);
+      expect(customFieldRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({
+        options: ['gold', 'silver', 'bronze'],
+      }));
+    });
+
+    it('should reject a change of key or type', async () => {
+      customFieldRepository.findById.mockResolvedValue(field);
+
+      await expect(customFieldService.update(1, { key: 'level', label: 'Tier', type: 'text' }))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          details: [
+            { field: 'key', message: 'Key cannot be changed' },
+            { field: 'type', message: 'Type cannot be changed' },
+          ],
+        });
+      expect(customFieldRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when the definition does not exist', async () => {
+      customFieldRepository.findById.mockResolvedValue(null);
+
+      await expect(customFieldService.update(999, field)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete the definition and its values in one transaction', async () => {
+      customFieldRepository.delete.mockResolvedValue(field);
+      customFieldRepository.removeValues.mockResolvedValue(4);
+
+      await customFieldService.remove(1);
+
+      expect(customFieldRepository.delete).toHaveBeenCalledWith(1, client);
+      expect(customFieldRepository.removeValues).toHaveBeenCalledWith('tier', client);
+    });
+
+    it('should throw 404 when the definition does not exist', async () => {
+      customFieldRepository.delete.mockResolvedValue(null);
+
+      await expect(customFieldService.remove(999)).rejects.toMatchObject({ statusCode: 404 });
+      expect(customFieldRepository.removeValues).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const eventRepository = require('../repositories/eventRepository');
+const {
+  MS_PER_DAY,
+  formatContactDate,
+  startOfDay,
+  formatDay,
+  nextOccurrence,
+  monthDaysInWindow,
+} = require('../utils/contactDates');
+
+// Days the upcoming events listing looks ahead by default
+const DEFAULT_UPCOMING_DAYS = 30;
+
+/**
+ * Find the next occurrences of contact dates within a window
+ * The window runs from the first day through the given number of days after
+ * it. Each date is listed once, at its next occurrence; Feb 29 is observed on
+ * Feb 28 in years that are not leap years.
+ * @param {Object} [options] - Window options
+ * @param {number} [options.days=30] - Days after the first day to include
+ * @param {string} [options.from] - First day (YYYY-MM-DD), defaults to today (UTC)
+ * @param {string} [options.type] - Only dates of this type
+ * @returns {Promise<Object>} { from, to, data } with events soonest first
+ */
+async function findUpcoming({ days = DEFAULT_UPCOMING_DAYS, from, type } = {}) {
+  const start = startOfDay(from);
+
+  try {
+    const dates = await eventRepository.findByMonthDays(monthDaysInWindow(start, days), type);
+
+    const events = dates.map((date) => {
+      const next = nextOccurrence(date, start);
+      const years = date.year === null ? null : next.getUTCFullYear() - date.year;
+      return {
+        contact: date.contact,
+        type: date.type,
+        date: formatContactDate(date),
+        nextDate: formatDay(next),
+        daysUntil: Math.round((next - start) / MS_PER_DAY),
+        // Age reached or years since the original date; unknown for future dates
+        years: years !== null && years >= 0 ? years : null,
+      };
+    });
+
+    events.sort((a, b) =>
+      a.daysUntil - b.daysUntil ||
+      a.contact.lastName.localeCompare(b.contact.lastName) ||
+      a.contact.firstName.localeCompare(b.contact.firstName) ||
+      a.contact.id - b.contact.id);
+
+    return {
+      from: formatDay(start),
+      to: formatDay(new Date(start.getTime() + days * MS_PER_DAY)),
+      data: events,
+    };
+  } catch (error) {
+    console.error('Service error in findUpcoming:', error.message);
+    throw new Error('Failed to retrieve upcoming events');
+  }
+}
+
+module.exports = {
+  DEFAULT_UPCOMING_DAYS,
+  findUpcoming,
+};
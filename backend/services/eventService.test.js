@@ -0,0 +1,71 @@
+const eventService = require('./eventService');
+const eventRepository = require('../repositories/eventRepository');
+
+// Mock the repository layer
+jest.mock('../repositories/eventRepository');
+
+describe('Event Service', () => {
+  const contact = (id, lastName) => ({ id, firstName: 'Alex', lastName });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventRepository.findByMonthDays.mockResolvedValue([]);
+  });
+
+  describe('findUpcoming', () => {
+    it('should query the days of the window and report its bounds', async () => {
+      const result = await eventService.findUpcoming({ days: 2, from: '2026-12-30' });
+
+      expect(result).toEqual({ from: '2026-12-30', to: '2027-01-01', data: [] });
+      expect(eventRepository.findByMonthDays).toHaveBeenCalledWith([[12, 30], [12, 31], [1, 1]], undefined);
+    });
+
+    it('should list the next occurrences soonest first with the years reached', async () => {
+      eventRepository.findByMonthDays.mockResolvedValue([
+        { contact: contact(1, 'Young'), type: 'anniversary', year: 2010, month: 1, day: 1 },
+        { contact: contact(2, 'Baker'), type: 'birthday', year: null, month: 12, day: 31 },
+        { contact: contact(3, 'Adams'), type: 'birthday', year: 1990, month: 1, day: 1 },
+      ]);
+
+      const result = await eventService.findUpcoming({ days: 30, from: '2026-12-31', type: 'birthday' });
+
+      expect(eventRepository.findByMonthDays).toHaveBeenCalledWith(expect.any(Array), 'birthday');
+      expect(result.data).toEqual([
+        { contact: contact(2, 'Baker'), type: 'birthday', date: '--12-31', nextDate: '2026-12-31', daysUntil: 0, years: null },
+        { contact: contact(3, 'Adams'), type: 'birthday', date: '1990-01-01', nextDate: '2027-01-01', daysUntil: 1, years: 37 },
+        { contact: contact(1, 'Young'), type: 'anniversary', date: '2010-01-01', nextDate: '2027-01-01', daysUntil: 1, years: 17 },
+      ]);
+    });
+
+    it('should observe Feb 29 on Feb 28 outside leap years', async () => {
+      eventRepository.findByMonthDays.mockResolvedValue([
+        { contact: contact(1, 'Leap'), type: 'birthday', year: 2000, month: 2, day: 29 },
+      ]);
+
+      const result = await eventService.findUpcoming({ days: 7, from: '2027-02-25' });
+
+      expect(eventRepository.findByMonthDays.mock.calls[0][0]).toContainEqual([2, 29]);
+      expect(result.data[0]).toMatchObject({ nextDate: '2027-02-28', daysUntil: 3, years: 27 });
+    });
+
+    it('should look 30 days ahead from today by default', async () => {
+      jest.useFakeTimers().setSystemTime(new Date('2026-03-01T23:30:00Z'));
+
+      try {
+        const result = await eventService.findUpcoming();
+
+        expect(result.from).toBe('2026-03-01');
+        expect(result.to).toBe('2026-03-31');
+        expect(eventRepository.findByMonthDays.mock.calls[0][0]).toHaveLength(31);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should throw error when repository fails', async () => {
+      eventRepository.findByMonthDays.mockRejectedValue(new Error('Database error'));
+
+      await expect(eventService.findUpcoming()).rejects.toThrow('Failed to retrieve upcoming events');
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const groupRepository = require('../repositories/groupRepository');
+const contactRepository = require('../repositories/contactRepository');
+const { withTransaction } = require('../config/database');
+
+/**
+ * Find all groups
+ * @returns {Promise<Array>} Array of group objects
+ */
+async function findAll() {
+  try {
+    return await groupRepository.findAll();
+  } catch (error) {
+    console.error('Service error in findAll:', error.message);
+    throw new Error('Failed to retrieve groups');
+  }
+}
+
+/**
+ * Find group by ID
+ * @param {number} id - Group ID
+ * @returns {Promise<Object>} Group object
+ * @throws {Error} 404 if the group does not exist
+ */
+async function findById(id) {
+  try {
+    const group = await groupRepository.findById(id);
+    
+    if (!group) {
+      throw createNotFoundError('Group not found');
+    }
+    
+    return group;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findById:', error.message);
+    throw new Error('Failed to retrieve group');
+  }
+}
+
+/**
+ * Find one page of a group's contacts in group order
+ * @param {number} id - Group ID
+ * @param {Object} [options] - Pagination options (limit, cursor)
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ * @throws {Error} 404 if the group does not exist, 400 for a cursor of another group
+ */
+async function findContacts(id, options = {}) {
+  try {
+    const group = await groupRepository.findById(id);
+    
+    if (!group) {
+      throw createNotFoundError('Group not found');
+    }
+    
+    return await contactRepository.findGroupPage(id, options);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findContacts:', error.message);
+    throw new Error('Failed to retrieve group contacts');
+  }
+}
+
+/**
+ * Create a new group
+ * @param {Object} groupData - Group data (name, owner, description)
+ * @returns {Promise<Object>} Created group object
+ * @throws {Error} 409 if a group with the same name exists
+ */
+async function create(groupData) {
+  try {
+    return await groupRepository.create(groupData);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in create:', error.message);
+    throw new Error('Failed to create group');
+  }
+}
+
+/**
+ * Update an existing group
+ * @param {number} id - Group ID
+ * @param {Object} groupData - Group data (name, owner, description)
+ * @returns {Promise<Object>} Updated group object
+ * @throws {Error} 404 if the group does not exist, 409 if the name is taken
+ */
+async function update(id, groupData) {
+  try {
+    const group = await groupRepository.update(id, groupData);
+    
+    if (!group) {
+      throw createNotFoundError('Group not found');
+    }
+    
+    return group;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in update:', error.message);
+    throw new Error('Failed to update group');
+  }
+}
+
+/**
+ * Delete a group; its contacts are kept
+ * @param {number} id - Group ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the group does not exist
+ */
+async function remove(id) {
+  try {
+    const deleted = await groupRepository.delete(id);
+    
+    if (!deleted) {
+      throw createNotFoundError('Group not found');
+    }
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete group');
+  }
+}
+
+/**
+ * Append contacts to the end of a group
+ * @param {number} id - Group ID
+ * @param {Array<number>} contactIds - Contact IDs, in the order to append them
+ * @returns {Promise<Object>} Updated group object
+ * @throws {Error} 404 if the group does not exist, 400 if a contact does not exist
+ */
+async function addMembers(id, contactIds) {
+  return changeMembers(id, contactIds, 'addMembers', 'Failed to add group members');
+}
+
+/**
+ * Replace a group's membership, which also sets the order of its contacts
+ * @param {number} id - Group ID
+ * @param {Array<number>} contactIds - Every member, in order
+ * @returns {Promise<Object>} Updated group object
+ * @throws {Error} 404 if the group does not exist, 400 if a contact does not exist
+ */
+async function replaceMembers(id, contactIds) {
+  return changeMembers(id, contactIds, 'replaceMembers', 'Failed to replace group members');
+}
+
+/**
+ * Remove a contact from a group
+ * @param {number} id - Group ID
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the contact is not a member of the group
+ */
+async function removeMember(id, contactId) {
+  try {
+    const removed = await groupRepository.removeMember(id, contactId);
+    
+    if (!removed) {
+      throw createNotFoundError('Contact is not a member of this group');
+    }
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in removeMember:', error.message);
+    throw new Error('Failed to remove group member');
+  }
+}
+
+/**
+ * Check the group and contacts, then run a membership change in a transaction
+ * @param {number} id - Group ID
+ * @param {Array<number>} contactIds - Contact IDs
+ * @param {string} method - groupRepository method making the change
+ * @param {string} failureMessage - Message for unexpected errors
+ * @returns {Promise<Object>} Updated group object
+ */
+async function changeMembers(id, contactIds, method, failureMessage) {
+  try {
+    return await withTransaction(async (client) => {
+      const group = await groupRepository.findById(id, client);
+      if (!group) {
+        throw createNotFoundError('Group not found');
+      }
+      
+      const missingIds = await contactRepository.findMissingIds(contactIds, client);
+      if (missingIds.length > 0) {
+        const error = new Error('Validation failed');
+        error.statusCode = 400;
+        error.details = missingIds.map((contactId) => ({
+          field: `contactIds[${contactIds.indexOf(contactId)}]`,
+          message: `Contact ${contactId} not found`,
+        }));
+        throw error;
+      }
+      
+      await groupRepository[method](id, contactIds, client);
+      return groupRepository.findById(id, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw error;
+    }
+    console.error(`Service error in ${method}:`, error.message);
+    throw new Error(failureMessage);
+  }
+}
+
+/**
+ * Create a 404 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 404
+ */
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create the error returned when a group name is already taken
+ * @returns {Error} Error with statusCode 409
+ */
+function createConflictError() {
+  const error = new Error('Group already exists');
+  error.statusCode = 409;
+  return error;
+}
+
+module.exports = {
+  findAll,
+  findById,
+  findContacts,
+  create,
+  update,
+  remove,
+  addMembers,
+  replaceMembers,
+  removeMember,
+};
@@ -0,0 +1,170 @@
+const groupService = require('./groupService');
+const groupRepository = require('../repositories/groupRepository');
+const contactRepository = require('../repositories/contactRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/groupRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../config/database');
+
+describe('Group Service', () => {
+  const client = { query: jest.fn() };
+  const group = { id: 1, name: 'Board members', owner: 'Dana Lee', description: null, memberCount: 2 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+  });
+
+  describe('findAll', () => {
+    it('should return all groups from repository', async () => {
+      groupRepository.findAll.mockResolvedValue([group]);
+
+      await expect(groupService.findAll()).resolves.toEqual([group]);
+    });
+
+    it('should throw error when repository fails', async () => {
+      groupRepository.findAll.mockRejectedValue(new Error('Database error'));
+
+      await expect(groupService.findAll()).rejects.toThrow('Failed to retrieve groups');
+    });
+  });
+
+  describe('findById', () => {
+    it('should throw 404 when the group does not exist', async () => {
+      groupRepository.findById.mockResolvedValue(null);
+
+      await expect(groupService.findById(999)).rejects.toMatchObject({
+        message: 'Group not found',
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('findContacts', () => {
+    it('should return a page of the group contacts', async () => {
+      const page = { data: [{ id: 3, position: 1 }], nextCursor: null, hasMore: false };
+      groupRepository.findById.mockResolvedValue(group);
+      contactRepository.findGroupPage.mockResolvedValue(page);
+
+      const result = await groupService.findContacts(1, { limit: 10 });
+
+      expect(result).toEqual(page);
+      expect(contactRepository.findGroupPage).toHaveBeenCalledWith(1, { limit: 10 });
+    });
+
+    it('should throw 404 when the group does not exist', async () => {
+      groupRepository.findById.mockResolvedValue(null);
+
+      await expect(groupService.findContacts(999)).rejects.toMatchObject({ statusCode: 404 });
+      expect(contactRepository.findGroupPage).not.toHaveBeenCalled();
+    });
+
+    it('should pass through a 400 for a cursor of another group', async () => {
+      const cursorError = new Error('Cursor does not belong to this group');
+      cursorError.statusCode = 400;
+      groupRepository.findById.mockResolvedValue(group);
+      contactRepository.findGroupPage.mockRejectedValue(cursorError);
+
+      await expect(groupService.findContacts(1, { cursor: 'abc' })).rejects.toBe(cursorError);
+    });
+  });
+
+  describe('create', () => {
+    it('should create the group', async () => {
+      groupRepository.create.mockResolvedValue(group);
+
+      await expect(groupService.create({ name: 'Board members', owner: 'Dana Lee' })).resolves.toEqual(group);
+    });
+
+    it('should throw 409 when the name is taken', async () => {
+      const uniqueViolation = new Error('duplicate key value violates unique constraint');
+      uniqueViolation.code = '23505';
+      groupRepository.create.mockRejectedValue(uniqueViolation);
+
+      await expect(groupService.create({ name: 'Board members', owner: 'Dana Lee' })).rejects.toMatchObject({
+        message: 'Group already exists',
+        statusCode: 409,
+      });
+    });
+  });
+
+  describe('update', () => {
+    it('should throw 404 when the group does not exist', async () => {
+      groupRepository.update.mockResolvedValue(null);
+
+      await expect(groupService.update(999, { name: 'A', owner: 'B' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('remove', () => {
+    it('should throw 404 when the group does not exist', async () => {
+      groupRepository.delete.mockResolvedValue(false);
+
+      await expect(groupService.remove(999)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('addMembers', () => {
+    it('should append the contacts in a transaction and return the group', async () => {
+      const updated = { ...group, memberCount: 4 };
+      groupRepository.findById.mockResolvedValueOnce(group).mockResolvedValueOnce(updated);
+      contactRepository.findMissingIds.mockResolvedValue([]);
+
+      const result = await groupService.addMembers(1, [5, 3]);
+
+      expect(result).toEqual(updated);
+      expect(contactRepository.findMissingIds).toHaveBeenCalledWith([5, 3], client);
+      expect(groupRepository.addMembers).toHaveBeenCalledWith(1, [5, 3], client);
+    });
+
+    it('should reject unknown contacts with their positions in the list', async () => {
+      groupRepository.findById.mockResolvedValue(group);
+      contactRepository.findMissingIds.mockResolvedValue([8]);
+
+      await expect(groupService.addMembers(1, [5, 8])).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'contactIds[1]', message: 'Contact 8 not found' }],
+      });
+      expect(groupRepository.addMembers).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when the group does not exist', async () => {
+      groupRepository.findById.mockResolvedValue(null);
+
+      await expect(groupService.addMembers(999, [5])).rejects.toMatchObject({ statusCode: 404 });
+      expect(contactRepository.findMissingIds).not.toHaveBeenCalled();
+    });
+
+    it('should wrap repository errors', async () => {
+      groupRepository.findById.mockResolvedValue(group);
+      contactRepository.findMissingIds.mockResolvedValue([]);
+      groupRepository.addMembers.mockRejectedValue(new Error('Database error'));
+
+      await expect(groupService.addMembers(1, [5])).rejects.toThrow('Failed to add group members');
+    });
+  });
+
+  describe('replaceMembers', () => {
+    it('should replace the membership in the given order', async () => {
+      groupRepository.findById.mockResolvedValue(group);
+      contactRepository.findMissingIds.mockResolvedValue([]);
+
+      await groupService.replaceMembers(1, [3, 5]);
+
+      expect(groupRepository.replaceMembers).toHaveBeenCalledWith(1, [3, 5], client);
+    });
+  });
+
+  describe('removeMember', () => {
+    it('should throw 404 when the contact is not a member', async () => {
+      groupRepository.removeMember.mockResolvedValue(false);
+
+      await expect(groupService.removeMember(1, 5)).rejects.toMatchObject({
+        message: 'Contact is not a member of this group',
+        statusCode: 404,
+      });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const interactionRepository = require('../repositories/interactionRepository');
+const { withTransaction } = require('../config/database');
+const { findContact } = require('./contactLookup');
+
+/**
+ * Find one page of a contact's interactions, most recent first
+ * @param {number} contactId - Contact ID
+ * @param {Object} [options] - { limit, cursor }
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ * @throws {Error} 404 if the contact does not exist, 400 for a cursor from another listing
+ */
+async function findPage(contactId, options) {
+  try {
+    await findContact(contactId);
+    return await interactionRepository.findPage(contactId, options);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findPage:', error.message);
+    throw new Error('Failed to retrieve interactions');
+  }
+}
+
+/**
+ * Log an interaction with a contact
+ * @param {number} contactId - Contact ID
+ * @param {Object} interactionData - { type, summary, body, occurredAt }
+ * @returns {Promise<Object>} Created interaction
+ * @throws {Error} 404 if the contact does not exist
+ */
+async function create(contactId, interactionData) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      return interactionRepository.create(contactId, toRow(interactionData), client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in create:', error.message);
+    throw new Error('Failed to create interaction');
+  }
+}
+
+/**
+ * Replace one of a contact's interactions
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Interaction ID
+ * @param {Object} interactionData - { type, summary, body, occurredAt }; without occurredAt the time is kept
+ * @returns {Promise<Object>} Updated interaction
+ * @throws {Error} 404 if the contact or interaction does not exist
+ */
+async function update(contactId, id, interactionData) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      await findInteraction(contactId, id, client);
+      return interactionRepository.update(id, toRow(interactionData), client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in update:', error.message);
+    throw new Error('Failed to update interaction');
+  }
+}
+
+/**
+ * Remove one of a contact's interactions
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Interaction ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the contact or interaction does not exist
+ */
+async function remove(contactId, id) {
+  try {
+    await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      await findInteraction(contactId, id, client);
+      await interactionRepository.delete(id, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete interaction');
+  }
+}
+
+/**
+ * Build the stored row for an interaction
+ * The time is stored in UTC, whatever offset the client sent it with.
+ * @param {Object} interactionData - Validated request body
+ * @returns {Object} { type, summary, body, occurredAt }
+ */
+function toRow({ type, summary, body, occurredAt }) {
+  return {
+    type,
+    summary: summary.trim(),
+    body: body || null,
+    occurredAt: occurredAt ? new Date(occurredAt).toISOString() : null,
+  };
+}
+
+/**
+ * Load one of a contact's interactions
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Interaction ID
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise<Object>} Interaction
+ * @throws {Error} 404 if the contact does not have the interaction
+ */
+async function findInteraction(contactId, id, client) {
+  const interaction = await interactionRepository.findForContact(contactId, id, client);
+  if (!interaction) {
+    throw createNotFoundError('Interaction not found');
+  }
+  return interaction;
+}
+
+/**
+ * Create a 404 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 404
+ */
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+module.exports = {
+  findPage,
+  create,
+  update,
+  remove,
+};
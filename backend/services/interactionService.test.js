@@ -0,0 +1,116 @@
+const interactionService = require('./interactionService');
+const interactionRepository = require('../repositories/interactionRepository');
+const contactRepository = require('../repositories/contactRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/interactionRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../config/database');
+
+describe('Interaction Service', () => {
+  const client = { query: jest.fn() };
+  const contact = { id: 2, firstName: 'Dana', lastName: 'Lee' };
+  const interaction = {
+    id: 6,
+    contactId: 2,
+    type: 'call',
+    summary: 'Discussed the renewal',
+    body: null,
+    occurredAt: '2026-03-02T15:00:00.000Z',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+    contactRepository.findById.mockResolvedValue(contact);
+  });
+
+  describe('findPage', () => {
+    it('should throw 404 when the contact does not exist', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(interactionService.findPage(999, {})).rejects.toMatchObject({
+        message: 'Contact not found',
+        statusCode: 404,
+      });
+      expect(interactionRepository.findPage).not.toHaveBeenCalled();
+    });
+
+    it('should pass cursor errors through', async () => {
+      const error = new Error('Cursor does not match the requested sort order');
+      error.statusCode = 400;
+      interactionRepository.findPage.mockRejectedValue(error);
+
+      await expect(interactionService.findPage(2, { cursor: 'abc' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('create', () => {
+    it('should store the time in UTC and the trimmed summary', async () => {
+      interactionRepository.create.mockResolvedValue(interaction);
+
+      const result = await interactionService.create(2, {
+        type: 'call',
+        summary: '  Discussed the renewal ',
+        occurredAt: '2026-03-02T16:00:00+01:00',
+      });
+
+      expect(result).toEqual(interaction);
+      expect(interactionRepository.create).toHaveBeenCalledWith(
+        2,
+        { type: 'call', summary: 'Discussed the renewal', body: null, occurredAt: '2026-03-02T15:00:00.000Z' },
+        client
+      );
+    });
+
+    it('should wrap unexpected errors', async () => {
+      interactionRepository.create.mockRejectedValue(new Error('Database error'));
+
+      await expect(interactionService.create(2, { type: 'call', summary: 'Call' }))
+        .rejects.toThrow('Failed to create interaction');
+    });
+  });
+
+  describe('update', () => {
+    it('should throw 404 when the contact does not have the interaction', async () => {
+      interactionRepository.findForContact.mockResolvedValue(null);
+
+      await expect(interactionService.update(2, 99, { type: 'call', summary: 'Call' })).rejects.toMatchObject({
+        message: 'Interaction not found',
+        statusCode: 404,
+      });
+      expect(interactionRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should keep the time when none is given', async () => {
+      interactionRepository.findForContact.mockResolvedValue(interaction);
+      interactionRepository.update.mockResolvedValue({ ...interaction, type: 'meeting' });
+
+      const result = await interactionService.update(2, 6, { type: 'meeting', summary: 'Discussed the renewal' });
+
+      expect(result.type).toBe('meeting');
+      expect(interactionRepository.update).toHaveBeenCalledWith(
+        6,
+        { type: 'meeting', summary: 'Discussed the renewal', body: null, occurredAt: null },
+        client
+      );
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete the interaction', async () => {
+      interactionRepository.findForContact.mockResolvedValue(interaction);
+
+      await interactionService.remove(2, 6);
+
+      expect(interactionRepository.delete).toHaveBeenCalledWith(6, client);
+    });
+
+    it('should wrap unexpected errors', async () => {
+      interactionRepository.findForContact.mockRejectedValue(new Error('Database error'));
+
+      await expect(interactionService.remove(2, 6)).rejects.toThrow('Failed to delete interaction');
+    });
+  });
+});
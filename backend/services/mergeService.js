@@ -0,0 +1,147 @@
+const mergeRepository = require('../repositories/mergeRepository');
+const contactRepository = require('../repositories/contactRepository');
+const revisionRepository = require('../repositories/revisionRepository');
+const { withTransaction } = require('../config/database');
+const { collectContactErrors } = require('../utils/contactFields');
+const { mergeContacts } = require('../utils/contactMerge');
+const { buildRevision } = require('../utils/contactRevisions');
+
+// Combined lists can outgrow their limits, so they are checked again after merging
+const COMBINED_FIELDS = ['emails', 'phones', 'addresses', 'dates'];
+
+/**
+ * Merge duplicate contacts into a surviving contact
+ * In one transaction the survivor takes the chosen field values and the
+ * combined lists, the tags, group memberships, relationships, interactions,
+ * reminders, stars and history of the other contacts move to it, as does the first
+ * one's photo if the survivor has none, those contacts move to the trash and
+ * the merge is recorded, both in the merge log and in the survivor's history,
+ * once for the survivor and once for each merged contact.
+ * @param {Object} mergeData - { survivorId, loserIds, fields }
+ * @param {number} mergeData.survivorId - Contact that is kept
+ * @param {Array<number>} mergeData.loserIds - Contacts merged into the survivor
+ * @param {Object} [mergeData.fields] - Field -> ID of the contact whose value to keep
+ * @param {Object} [options] - Merge options
+ * @param {string|null} [options.user] - User recorded as having made the merge
+ * @returns {Promise<Object>} { contact, merge }: the merged survivor and the merge record
+ * @throws {Error} 400 if a contact does not exist or the combined lists are too
+ *   long, 409 if a contact changed during the merge
+ */
+async function merge({ survivorId, loserIds, fields }, { user = null } = {}) {
+  try {
+    return await withTransaction(async (client) => {
+      const survivor = await contactRepository.findById(survivorId, client);
+      const losers = [];
+      for (const id of loserIds) {
+        losers.push(await contactRepository.findById(id, client));
+      }
+      checkContactsExist(survivor, survivorId, losers, loserIds);
+
+      const { data, fields: resolvedFields } = mergeContacts(survivor, losers, fields);
+      const errors = collectContactErrors(data, COMBINED_FIELDS);
+      if (errors.length > 0) {
+        const error = new Error('Validation failed');
+        error.statusCode = 400;
+        error.details = errors;
+        throw error;
+      }
+
+      const updated = await contactRepository.update(survivorId, data, survivor.version, client);
+      if (!updated) {
+        throw createConflictError();
+      }
+
+      await revisionRepository.create(buildRevision('merge', survivor, updated, user), client);
+      await mergeRepository.repointRelatedRecords(survivorId, loserIds, client);
+
+      for (const loser of losers) {
+        const deleted = await contactRepository.delete(loser.id, loser.version, client);
+        if (!deleted) {
+          throw createConflictError();
+        }
+        // The loser's history has already moved, so its merge joins it on the survivor
+        await revisionRepository.create(
+          { ...buildRevision('merge', loser, loser, user), contactId: survivorId, mergedFromId: loser.id },
+          client
+        );
+      }
+
+      const record = await mergeRepository.create({
+        survivorId,
+        loserIds,
+        fields: resolvedFields,
+        snapshot: { survivor, losers },
+        mergedBy: user,
+      }, client);
+
+      const contact = await contactRepository.findById(survivorId, client);
+      return { contact, merge: record };
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      throw error;
+    }
+    console.error('Service error in merge:', error.message);
+    throw new Error('Failed to merge contacts');
+  }
+}
+
+/**
+ * Find one page of recorded merges, most recent first
+ * @param {Object} [options] - { contactId, limit, cursor }
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ */
+async function findPage(options) {
+  try {
+    return await mergeRepository.findPage(options);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      throw error;
+    }
+    console.error('Service error in findPage:', error.message);
+    throw new Error('Failed to retrieve merges');
+  }
+}
+
+/**
+ * Check that the survivor and every loser exist and are not in the trash
+ * @param {Object|null} survivor - Loaded survivor
+ * @param {number} survivorId - Survivor ID
+ * @param {Array<Object|null>} losers - Loaded losers
+ * @param {Array<number>} loserIds - Loser IDs
+ * @throws {Error} 400 listing the contacts that were not found
+ */
+function checkContactsExist(survivor, survivorId, losers, loserIds) {
+  const details = [];
+
+  if (!survivor) {
+    details.push({ field: 'survivorId', message: `Contact ${survivorId} not found` });
+  }
+  losers.forEach((loser, index) => {
+    if (!loser) {
+      details.push({ field: `loserIds[${index}]`, message: `Contact ${loserIds[index]} not found` });
+    }
+  });
+
+  if (details.length > 0) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.details = details;
+    throw error;
+  }
+}
+
+/**
+ * Create the error returned when a contact changes while it is being merged
+ * @returns {Error} Error with statusCode 409
+ */
+function createConflictError() {
+  const error = new Error('A contact changed during the merge; try again');
+  error.statusCode = 409;
+  return error;
+}
+
+module.exports = {
+  merge,
+  findPage,
+};
@@ -0,0 +1,182 @@
+const mergeService = require('./mergeService');
+const mergeRepository = require('../repositories/mergeRepository');
+const contactRepository = require('../repositories/contactRepository');
+const revisionRepository = require('../repositories/revisionRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/mergeRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../repositories/revisionRepository');
+jest.mock('../config/database');
+
+describe('Merge Service', () => {
+  const client = { query: jest.fn() };
+  const survivor = {
+    id: 1,
+    firstName: 'Jon',
+    lastName: 'Doe',
+    organizationId: null,
+    notes: null,
+    emails: [{ email: 'jon@example.com', type: 'home', primary: true }],
+    phones: [],
+    addresses: [],
+    dates: [],
+    customFields: {},
+    version: 3,
+  };
+  const loser = {
+    ...survivor,
+    id: 7,
+    firstName: 'John',
+    emails: [{ email: 'john@work.example', type: 'work', primary: true }],
+    version: 1,
+  };
+  const record = { id: 5, survivorId: 1, loserIds: [7], fields: {}, mergedBy: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+    contactRepository.findById.mockImplementation(async (id) => ({ 1: survivor, 7: loser }[id] || null));
+    contactRepository.update.mockResolvedValue({ ...survivor, version: 4 });
+    contactRepository.delete.mockResolvedValue(true);
+    mergeRepository.repointRelatedRecords.mockResolvedValue({ tags: 0, groups: 0, relationships: 0 });
+    mergeRepository.create.mockResolvedValue(record);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('merge', () => {
+    it('should update the survivor, move related records, trash the losers and record the merge', async () => {
+      // Act
+      const result = await mergeService.merge(
+        { survivorId: 1, loserIds: [7], fields: { firstName: 7 } },
+        { user: 'jane@example.com' }
+      );
+
+      // Assert
+      expect(result).toEqual({ contact: survivor, merge: record });
+      const [id, data, version, updateClient] = contactRepository.update.mock.calls[0];
+      expect([id, version, updateClient]).toEqual([1, 3, client]);
+      expect(data.firstName).toBe('John');
+      expect(data.emails.map((entry) => entry.email)).toEqual(['jon@example.com', 'john@work.example']);
+      expect(mergeRepository.repointRelatedRecords).toHaveBeenCalledWith(1, [7], client);
+      expect(contactRepository.delete).toHaveBeenCalledWith(7, 1, client);
+      expect(mergeRepository.create).toHaveBeenCalledWith({
+        survivorId: 1,
+        loserIds: [7],
+        fields: expect.objectContaining({ firstName: 7, lastName: 1 }),
+        snapshot: { survivor, losers: [loser] },
+        mergedBy: 'jane@example.com',
+      }, client);
+    });
+
+    it('should record the merge of the survivor and of each merged contact in the survivor\'s history', async () => {
+      // Arrange
+      contactRepository.update.mockResolvedValue({ ...survivor, firstName: 'John', version: 4 });
+
+      // Act
+      await mergeService.merge({ survivorId: 1, loserIds: [7], fields: { firstName: 7 } }, { user: 'jane@example.com' });
+
+      // Assert
+      const revisions = revisionRepository.create.mock.calls.map(([revision]) => revision);
+      expect(revisions.map(({ contactId, changedBy, mergedFromId }) => [contactId, changedBy, mergedFromId])).toEqual([
+        [1, 'jane@example.com', undefined],
+        [1, 'jane@example.com', 7],
+      ]);
+      expect(revisions.every(({ action }) => action === 'merge')).toBe(true);
+      expect(revisionRepository.create.mock.invocationCallOrder[1])
+        .toBeGreaterThan(mergeRepository.repointRelatedRecords.mock.invocationCallOrder[0]);
+      expect(revisions[0].changes).toEqual([{ field: 'firstName', from: 'Jon', to: 'John' }]);
+      expect(revisions[1].snapshot.firstName).toBe('John');
+      expect(revisions[1].changes).toEqual([]);
+      revisionRepository.create.mock.calls.forEach(([, txClient]) => {
+        expect(txClient).toBe(client);
+      });
+    });
+
+    it('should move related records before trashing the losers', async () => {
+      // Act
+      await mergeService.merge({ survivorId: 1, loserIds: [7] });
+
+      // Assert
+      expect(mergeRepository.repointRelatedRecords.mock.invocationCallOrder[0])
+        .toBeLessThan(contactRepository.delete.mock.invocationCallOrder[0]);
+    });
+
+    it('should throw 400 naming every contact that does not exist', async () => {
+      // Act & Assert
+      await expect(mergeService.merge({ survivorId: 2, loserIds: [7, 8] })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [
+          { field: 'survivorId', message: 'Contact 2 not found' },
+          { field: 'loserIds[1]', message: 'Contact 8 not found' },
+        ],
+      });
+      expect(contactRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when the combined lists are too long', async () => {
+      // Arrange
+      const emails = (prefix) => Array.from({ length: 6 }, (_, index) => ({
+        email: `${prefix}${index}@example.com`, type: 'other', primary: index === 0,
+      }));
+      contactRepository.findById.mockImplementation(async (id) => (
+        id === 1 ? { ...survivor, emails: emails('a') } : { ...loser, emails: emails('b') }
+      ));
+
+      // Act & Assert
+      await expect(mergeService.merge({ survivorId: 1, loserIds: [7] })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'emails', message: 'Email list must not have more than 10 entries' }],
+      });
+      expect(contactRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 when the survivor changed during the merge', async () => {
+      // Arrange
+      contactRepository.update.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(mergeService.merge({ survivorId: 1, loserIds: [7] })).rejects.toMatchObject({
+        message: 'A contact changed during the merge; try again',
+        statusCode: 409,
+      });
+      expect(mergeRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 when a loser changed during the merge', async () => {
+      // Arrange
+      contactRepository.delete.mockResolvedValue(false);
+
+      // Act & Assert
+      await expect(mergeService.merge({ survivorId: 1, loserIds: [7] })).rejects.toMatchObject({ statusCode: 409 });
+      expect(mergeRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should wrap unexpected errors', async () => {
+      // Arrange
+      mergeRepository.repointRelatedRecords.mockRejectedValue(new Error('deadlock detected'));
+
+      // Act & Assert
+      await expect(mergeService.merge({ survivorId: 1, loserIds: [7] })).rejects.toThrow('Failed to merge contacts');
+    });
+  });
+
+  describe('findPage', () => {
+    it('should pass cursor errors through and wrap others', async () => {
+      // Arrange
+      const cursorError = new Error('Invalid cursor');
+      cursorError.statusCode = 400;
+      mergeRepository.findPage.mockRejectedValueOnce(cursorError);
+      mergeRepository.findPage.mockRejectedValueOnce(new Error('connection refused'));
+
+      // Act & Assert
+      await expect(mergeService.findPage({ cursor: 'bad' })).rejects.toBe(cursorError);
+      await expect(mergeService.findPage()).rejects.toThrow('Failed to retrieve merges');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const organizationRepository = require('../repositories/organizationRepository');
+const contactRepository = require('../repositories/contactRepository');
+const { withTransaction } = require('../config/database');
+const { normalizeAddress } = require('../utils/postalAddress');
+
+/**
+ * Find all organizations
+ * @returns {Promise<Array>} Array of organization objects
+ */
+async function findAll() {
+  try {
+    return await organizationRepository.findAll();
+  } catch (error) {
+    console.error('Service error in findAll:', error.message);
+    throw new Error('Failed to retrieve organizations');
+  }
+}
+
+/**
+ * Find organization by ID
+ * @param {number} id - Organization ID
+ * @returns {Promise<Object>} Organization object
+ * @throws {Error} 404 if the organization does not exist
+ */
+async function findById(id) {
+  try {
+    const organization = await organizationRepository.findById(id);
+
+    if (!organization) {
+      throw createNotFoundError();
+    }
+
+    return organization;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findById:', error.message);
+    throw new Error('Failed to retrieve organization');
+  }
+}
+
+/**
+ * Find one page of an organization's contacts (excluding the trash) by name
+ * @param {number} id - Organization ID
+ * @param {Object} [options] - Pagination options (limit, cursor)
+ * @returns {Promise<Object>} Page object with data, nextCursor and hasMore
+ * @throws {Error} 404 if the organization does not exist, 400 for an invalid cursor
+ */
+async function findContacts(id, { limit, cursor } = {}) {
+  try {
+    const organization = await organizationRepository.findById(id);
+
+    if (!organization) {
+      throw createNotFoundError();
+    }
+
+    return await contactRepository.findPage({ limit, cursor, filters: { organizationId: id } });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findContacts:', error.message);
+    throw new Error('Failed to retrieve organization contacts');
+  }
+}
+
+/**
+ * Create an organization
+ * @param {Object} organizationData - Organization data ({ name, domain, address, notes })
+ * @returns {Promise<Object>} Created organization object
+ * @throws {Error} 409 if an organization with the same normalized name exists
+ */
+async function create(organizationData) {
+  try {
+    return await organizationRepository.create(toOrganization(organizationData));
+  } catch (error) {
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in create:', error.message);
+    throw new Error('Failed to create organization');
+  }
+}
+
+/**
+ * Replace an organization
+ * A new name is copied into the company of the organization's contacts.
+ * @param {number} id - Organization ID
+ * @param {Object} organizationData - Organization data ({ name, domain, address, notes })
+ * @returns {Promise<Object>} Updated organization object
+ * @throws {Error} 404 if the organization does not exist, 409 if the name is taken
+ */
+async function update(id, organizationData) {
+  try {
+    return await withTransaction(async (client) => {
+      const organization = await organizationRepository.update(id, toOrganization(organizationData), client);
+      if (!organization) {
+        throw createNotFoundError();
+      }
+      await organizationRepository.mirrorNameToContacts(id, client);
+      return organization;
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in update:', error.message);
+    throw new Error('Failed to update organization');
+  }
+}
+
+/**
+ * Delete an organization; its contacts are kept without a company
+ * @param {number} id - Organization ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the organization does not exist
+ */
+async function remove(id) {
+  try {
+    await withTransaction(async (client) => {
+      await organizationRepository.unlinkContacts(id, client);
+      const deleted = await organizationRepository.delete(id, client);
+      if (!deleted) {
+        throw createNotFoundError();
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete organization');
+  }
+}
+
+/**
+ * Pick the stored organization out of a validated request body
+ * @param {Object} organizationData - Request body
+ * @returns {Object} { name, domain, address, notes } with text trimmed and the domain lower-cased
+ */
+function toOrganization({ name, domain, address, notes }) {
+  return {
+    name: name.trim(),
+    domain: domain ? domain.trim().toLowerCase() : null,
+    address: address ? normalizeAddress(address) : null,
+    notes: notes || null,
+  };
+}
+
+/**
+ * Create the error returned when an organization does not exist
+ * @returns {Error} Error with statusCode 404
+ */
+function createNotFoundError() {
+  const error = new Error('Organization not found');
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create the error returned when an organization name is already taken
+ * @returns {Error} Error with statusCode 409
+ */
+function createConflictError() {
+  const error = new Error('Organization already exists');
+  error.statusCode = 409;
+  return error;
+}
+
+module.exports = {
+  findAll,
+  findById,
+  findContacts,
+  create,
+  update,
+  remove,
+};
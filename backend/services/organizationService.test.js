@@ -0,0 +1,141 @@
+const organizationService = require('./organizationService');
+const organizationRepository = require('../repositories/organizationRepository');
+const contactRepository = require('../repositories/contactRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/organizationRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../config/database');
+
+describe('Organization Service', () => {
+  const client = { query: jest.fn() };
+  const organization = { id: 1, name: 'Acme', domain: null, address: null, notes: null, contactCount: 2 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+  });
+
+  describe('findAll', () => {
+    it('should throw error when repository fails', async () => {
+      organizationRepository.findAll.mockRejectedValue(new Error('Database error'));
+
+      await expect(organizationService.findAll()).rejects.toThrow('Failed to retrieve organizations');
+    });
+  });
+
+  describe('findById', () => {
+    it('should throw 404 when the organization does not exist', async () => {
+      organizationRepository.findById.mockResolvedValue(null);
+
+      await expect(organizationService.findById(999)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('findContacts', () => {
+    it('should page through the contacts linked to the organization', async () => {
+      const page = { data: [], nextCursor: null, hasMore: false };
+      organizationRepository.findById.mockResolvedValue(organization);
+      contactRepository.findPage.mockResolvedValue(page);
+
+      const result = await organizationService.findContacts(1, { limit: 10, cursor: 'abc' });
+
+      expect(result).toBe(page);
+      expect(contactRepository.findPage).toHaveBeenCalledWith({
+        limit: 10, cursor: 'abc', filters: { organizationId: 1 },
+      });
+    });
+
+    it('should throw 404 when the organization does not exist', async () => {
+      organizationRepository.findById.mockResolvedValue(null);
+
+      await expect(organizationService.findContacts(999)).rejects.toMatchObject({ statusCode: 404 });
+      expect(contactRepository.findPage).not.toHaveBeenCalled();
+    });
+
+    it('should pass through an invalid cursor error', async () => {
+      const cursorError = new Error('Invalid cursor');
+      cursorError.statusCode = 400;
+      organizationRepository.findById.mockResolvedValue(organization);
+      contactRepository.findPage.mockRejectedValue(cursorError);
+
+      await expect(organizationService.findContacts(1, { cursor: 'bad' })).rejects.toBe(cursorError);
+    });
+  });
+
+  describe('create', () => {
+    it('should trim the text, lower-case the domain and normalize the address', async () => {
+      organizationRepository.create.mockResolvedValue(organization);
+
+      await organizationService.create({
+        name: ' Acme ',
+        domain: ' Acme.Example ',
+        address: { locality: 'Berlin', postalCode: '10115', country: 'de' },
+      });
+
+      expect(organizationRepository.create).toHaveBeenCalledWith({
+        name: 'Acme',
+        domain: 'acme.example',
+        address: { street: null, locality: 'Berlin', region: null, postalCode: '10115', country: 'DE' },
+        notes: null,
+      });
+    });
+
+    it('should throw 409 when the normalized name is taken', async () => {
+      const duplicate = new Error('duplicate key');
+      duplicate.code = '23505';
+      organizationRepository.create.mockRejectedValue(duplicate);
+
+      await expect(organizationService.create({ name: 'ACME Inc.' }))
+        .rejects.toMatchObject({ message: 'Organization already exists', statusCode: 409 });
+    });
+  });
+
+  describe('update', () => {
+    it('should copy the new name into its contacts in the same transaction', async () => {
+      organizationRepository.update.mockResolvedValue({ ...organization, name: 'Acme Holdings' });
+      organizationRepository.mirrorNameToContacts.mockResolvedValue(2);
+
+      const result = await organizationService.update(1, { name: 'Acme Holdings' });
+
+      expect(result.name).toBe('Acme Holdings');
+      expect(organizationRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({ name: 'Acme Holdings' }), client);
+      expect(organizationRepository.mirrorNameToContacts).toHaveBeenCalledWith(1, client);
+    });
+
+    it('should throw 404 when the organization does not exist', async () => {
+      organizationRepository.update.mockResolvedValue(null);
+
+      await expect(organizationService.update(999, { name: 'Acme' })).rejects.toMatchObject({ statusCode: 404 });
+      expect(organizationRepository.mirrorNameToContacts).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 when the normalized name is taken', async () => {
+      const duplicate = new Error('duplicate key');
+      duplicate.code = '23505';
+      organizationRepository.update.mockRejectedValue(duplicate);
+
+      await expect(organizationService.update(1, { name: 'Globex' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('remove', () => {
+    it('should unlink its contacts and delete it in one transaction', async () => {
+      organizationRepository.unlinkContacts.mockResolvedValue(2);
+      organizationRepository.delete.mockResolvedValue(true);
+
+      await organizationService.remove(1);
+
+      expect(organizationRepository.unlinkContacts).toHaveBeenCalledWith(1, client);
+      expect(organizationRepository.delete).toHaveBeenCalledWith(1, client);
+    });
+
+    it('should throw 404 when the organization does not exist', async () => {
+      organizationRepository.unlinkContacts.mockResolvedValue(0);
+      organizationRepository.delete.mockResolvedValue(false);
+
+      await expect(organizationService.remove(999)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
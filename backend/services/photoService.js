@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const photoRepository = require('../repositories/photoRepository');
+const { withTransaction } = require('../config/database');
+const { getPhotoStorage } = require('../config/photoStorage');
+const {
+  MAX_PHOTO_BYTES,
+  PHOTO_FIELD,
+  THUMBNAIL_SIZES,
+  sniffPhotoType,
+  readPhoto,
+  photoUrl,
+} = require('../utils/photos');
+const { findContact } = require('./contactLookup');
+
+/**
+ * Set a contact's photo from an uploaded file
+ * The file's type is sniffed from its contents, and it must decode as an
+ * image before anything is stored. The original is kept as uploaded next to
+ * square PNG thumbnails; a photo the contact had before is replaced.
+ * @param {number} contactId - Contact ID
+ * @param {Buffer} [file] - Uploaded file contents; undefined if none was sent
+ * @returns {Promise<Object>} Photo metadata (see toPhotoInfo)
+ * @throws {Error} 404 if the contact does not exist, 400 if there is no
+ *   photo or the photo cannot be decoded, 413 if the photo is too large, 415
+ *   if it is not a JPEG or PNG image
+ */
+async function upload(contactId, file) {
+  try {
+    await findContact(contactId);
+
+    if (!file || file.length === 0) {
+      throw createValidationError('Photo file is required');
+    }
+    if (file.length > MAX_PHOTO_BYTES) {
+      throw createStatusError(`Photo must not exceed ${MAX_PHOTO_BYTES / (1024 * 1024)} MB`, 413);
+    }
+    const type = sniffPhotoType(file);
+    if (!type) {
+      throw createStatusError('Photo must be a JPEG or PNG image', 415);
+    }
+
+    let image;
+    try {
+      image = await readPhoto(file);
+    } catch (error) {
+      if (error.code !== 'INVALID_IMAGE') {
+        throw error;
+      }
+      throw createValidationError(`Photo could not be read: ${error.message}`);
+    }
+
+    const storageKey = crypto.randomUUID();
+    const storage = getPhotoStorage();
+    let result;
+    try {
+      await storage.write(fileKey(storageKey), file);
+      for (const size of THUMBNAIL_SIZES) {
+        await storage.write(fileKey(storageKey, size), image.thumbnails[size]);
+      }
+
+      result = await withTransaction(async (client) => {
+        await findContact(contactId, client);
+        return photoRepository.upsert({
+          contactId,
+          storageKey,
+          contentType: type,
+          byteSize: file.length,
+          width: image.width,
+          height: image.height,
+        }, client);
+      });
+    } catch (error) {
+      await removeFiles([storageKey]);
+      throw error;
+    }
+
+    if (result.previousKey) {
+      await removeFiles([result.previousKey]);
+    }
+    return toPhotoInfo(result.photo);
+  } catch (error) {
+    if ([400, 404, 413, 415].includes(error.statusCode)) {
+      throw error;
+    }
+    console.error('Service error in upload:', error.message);
+    throw new Error('Failed to upload photo');
+  }
+}
+
+/**
+ * Load a contact's photo, or one of its thumbnails
+ * @param {number} contactId - Contact ID
+ * @param {number} [size] - Thumbnail edge length; omitted for the original
+ * @returns {Promise<Object>} { contentType, data }
+ * @throws {Error} 404 if the contact or its photo does not exist
+ */
+async function find(contactId, size) {
+  try {
+    await findContact(contactId);
+    const photo = await photoRepository.findByContact(contactId);
+    if (!photo) {
+      throw createStatusError('Photo not found', 404);
+    }
+
+    const data = await getPhotoStorage().read(fileKey(photo.storageKey, size));
+    if (!data) {
+      console.error('Service error in find:', `photo file ${fileKey(photo.storageKey, size)} is missing`);
+      throw createStatusError('Photo not found', 404);
+    }
+
+    return {
+      contentType: size ? 'image/png' : photo.contentType,
+      data,
+    };
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in find:', error.message);
+    throw new Error('Failed to retrieve photo');
+  }
+}
+
+/**
+ * Remove a contact's photo and its files
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the contact or its photo does not exist
+ */
+async function remove(contactId) {
+  try {
+    const storageKey = await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      const deleted = await photoRepository.delete(contactId, client);
+      if (!deleted) {
+        throw createStatusError('Photo not found', 404);
+      }
+      return deleted;
+    });
+    await removeFiles([storageKey]);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete photo');
+  }
+}
+
+/**
+ * Delete the files of photos whose rows are gone
+ * Failures are logged rather than thrown: the rows are already deleted, so
+ * the request succeeded and at worst leaves unreferenced files behind.
+ * @param {Array<string>} storageKeys - Storage keys of the photos
+ * @returns {Promise<void>}
+ */
+async function removeFiles(storageKeys) {
+  const storage = getPhotoStorage();
+  for (const storageKey of storageKeys) {
+    for (const size of [undefined, ...THUMBNAIL_SIZES]) {
+      try {
+        await storage.remove(fileKey(storageKey, size));
+      } catch (error) {
+        console.error('Error removing photo file:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Build the storage key of one of a photo's files
+ * @param {string} storageKey - Storage key of the photo
+ * @param {number} [size] - Thumbnail edge length; omitted for the original
+ * @returns {string} Storage key of the file
+ */
+function fileKey(storageKey, size) {
+  return size ? `${storageKey}-${size}.png` : `${storageKey}-original`;
+}
+
+/**
+ * Describe a stored photo for API responses
+ * @param {Object} photo - Photo object
+ * @returns {Object} { contactId, url, thumbnails, contentType, byteSize, width, height, uploadedAt }
+ */
+function toPhotoInfo(photo) {
+  return {
+    contactId: photo.contactId,
+    url: photoUrl(photo.contactId),
+    thumbnails: Object.fromEntries(THUMBNAIL_SIZES.map((size) => [size, photoUrl(photo.contactId, size)])),
+    contentType: photo.contentType,
+    byteSize: photo.byteSize,
+    width: photo.width,
+    height: photo.height,
+    uploadedAt: photo.uploadedAt,
+  };
+}
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+function createStatusError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Create a 400 error about the photo field
+ * @param {string} message - What is wrong with the photo
+ * @returns {Error} Error with statusCode 400 and details
+ */
+function createValidationError(message) {
+  const error = createStatusError('Validation failed', 400);
+  error.details = [{ field: PHOTO_FIELD, message }];
+  return error;
+}
+
+module.exports = {
+  upload,
+  find,
+  remove,
+  removeFiles,
+};
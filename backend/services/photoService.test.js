@@ -0,0 +1,167 @@
+const sharp = require('sharp');
+const photoService = require('./photoService');
+const photoRepository = require('../repositories/photoRepository');
+const contactRepository = require('../repositories/contactRepository');
+const database = require('../config/database');
+const { getPhotoStorage } = require('../config/photoStorage');
+const { MAX_PHOTO_BYTES } = require('../utils/photos');
+
+// Mock the repository layer, transaction helpers and file storage
+jest.mock('../repositories/photoRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../config/database');
+jest.mock('../config/photoStorage');
+
+describe('Photo Service', () => {
+  const client = { query: jest.fn() };
+  const storage = { write: jest.fn(), read: jest.fn(), remove: jest.fn() };
+  let png;
+  let photo;
+
+  beforeAll(async () => {
+    png = await sharp({ create: { width: 3, height: 2, channels: 3, background: '#c8c8c8' } }).png().toBuffer();
+    photo = {
+      contactId: 4,
+      storageKey: 'new-key',
+      contentType: 'image/png',
+      byteSize: png.length,
+      width: 3,
+      height: 2,
+      uploadedAt: '2026-10-01T09:00:00.000Z',
+    };
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+    getPhotoStorage.mockReturnValue(storage);
+    contactRepository.findById.mockResolvedValue({ id: 4, firstName: 'Dana', lastName: 'Lee' });
+  });
+
+  describe('upload', () => {
+    it('should store the original and its thumbnails and replace the previous photo', async () => {
+      photoRepository.upsert.mockResolvedValue({ photo, previousKey: 'old-key' });
+
+      const result = await photoService.upload(4, png);
+
+      expect(result).toEqual({
+        contactId: 4,
+        url: '/api/contacts/4/photo',
+        thumbnails: { 64: '/api/contacts/4/photo?size=64', 256: '/api/contacts/4/photo?size=256' },
+        contentType: 'image/png',
+        byteSize: png.length,
+        width: 3,
+        height: 2,
+        uploadedAt: '2026-10-01T09:00:00.000Z',
+      });
+      const [storageKey] = storage.write.mock.calls[0][0].split('-original');
+      expect(storage.write.mock.calls.map(([key]) => key)).toEqual([
+        `${storageKey}-original`,
+        `${storageKey}-64.png`,
+        `${storageKey}-256.png`,
+      ]);
+      expect(storage.write.mock.calls[0][1].equals(png)).toBe(true);
+      expect(await sharp(storage.write.mock.calls[2][1]).metadata()).toMatchObject({ format: 'png', width: 256, height: 256 });
+      expect(photoRepository.upsert).toHaveBeenCalledWith(
+        { contactId: 4, storageKey, contentType: 'image/png', byteSize: png.length, width: 3, height: 2 },
+        client
+      );
+      expect(storage.remove.mock.calls.map(([key]) => key)).toEqual(['old-key-original', 'old-key-64.png', 'old-key-256.png']);
+    });
+
+    it('should throw 415 for a file that is not a JPEG or PNG image', async () => {
+      await expect(photoService.upload(4, Buffer.from('GIF89a'))).rejects.toMatchObject({
+        message: 'Photo must be a JPEG or PNG image',
+        statusCode: 415,
+      });
+      expect(storage.write).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 for a photo that cannot be decoded', async () => {
+      const broken = png.subarray(0, 40);
+
+      await expect(photoService.upload(4, broken)).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'photo', message: expect.stringMatching(/^Photo could not be read: /) }],
+      });
+      expect(storage.write).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when no photo was sent', async () => {
+      await expect(photoService.upload(4, undefined)).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'photo', message: 'Photo file is required' }],
+      });
+    });
+
+    it('should throw 413 for a photo over the size limit', async () => {
+      const large = Buffer.concat([png, Buffer.alloc(MAX_PHOTO_BYTES)]);
+
+      await expect(photoService.upload(4, large)).rejects.toMatchObject({
+        message: 'Photo must not exceed 5 MB',
+        statusCode: 413,
+      });
+    });
+
+    it('should throw 404 when the contact does not exist', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(photoService.upload(999, png)).rejects.toMatchObject({
+        message: 'Contact not found',
+        statusCode: 404,
+      });
+    });
+
+    it('should remove the new files when the photo cannot be saved', async () => {
+      photoRepository.upsert.mockRejectedValue(new Error('Database error'));
+
+      await expect(photoService.upload(4, png)).rejects.toThrow('Failed to upload photo');
+      expect(storage.remove.mock.calls.map(([key]) => key)).toEqual(storage.write.mock.calls.map(([key]) => key));
+    });
+  });
+
+  describe('find', () => {
+    it('should return a thumbnail as a PNG', async () => {
+      photoRepository.findByContact.mockResolvedValue({ ...photo, contentType: 'image/jpeg' });
+      storage.read.mockResolvedValue(Buffer.from('thumbnail'));
+
+      const result = await photoService.find(4, 64);
+
+      expect(result).toEqual({ contentType: 'image/png', data: Buffer.from('thumbnail') });
+      expect(storage.read).toHaveBeenCalledWith('new-key-64.png');
+    });
+
+    it('should throw 404 when the contact has no photo', async () => {
+      photoRepository.findByContact.mockResolvedValue(null);
+
+      await expect(photoService.find(4)).rejects.toMatchObject({ message: 'Photo not found', statusCode: 404 });
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete the photo and then its files', async () => {
+      photoRepository.delete.mockResolvedValue('old-key');
+
+      await photoService.remove(4);
+
+      expect(photoRepository.delete).toHaveBeenCalledWith(4, client);
+      expect(storage.remove).toHaveBeenCalledTimes(3);
+    });
+
+    it('should throw 404 when the contact has no photo', async () => {
+      photoRepository.delete.mockResolvedValue(null);
+
+      await expect(photoService.remove(4)).rejects.toMatchObject({ message: 'Photo not found', statusCode: 404 });
+      expect(storage.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeFiles', () => {
+    it('should log storage errors instead of throwing them', async () => {
+      storage.remove.mockRejectedValueOnce(new Error('EACCES'));
+
+      await expect(photoService.removeFiles(['a1'])).resolves.toBeUndefined();
+      expect(storage.remove).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const relationshipRepository = require('../repositories/relationshipRepository');
+const contactRepository = require('../repositories/contactRepository');
+const { withTransaction } = require('../config/database');
+const { resolveInverseType } = require('../utils/relationships');
+const { findContact } = require('./contactLookup');
+
+/**
+ * Find a contact's relationships
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Array>} Relationships seen from the contact
+ * @throws {Error} 404 if the contact does not exist
+ */
+async function findByContact(contactId) {
+  try {
+    await findContact(contactId);
+    return await relationshipRepository.findByContact(contactId);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findByContact:', error.message);
+    throw new Error('Failed to retrieve relationships');
+  }
+}
+
+/**
+ * Link a contact to another contact
+ * @param {number} contactId - Contact ID
+ * @param {Object} relationshipData - { relatedContactId, type, bidirectional, inverseType }
+ * @returns {Promise<Object>} Created relationship seen from the contact
+ * @throws {Error} 404 if the contact does not exist, 400 if the related contact
+ *   does not exist, 409 if the contacts are already linked with this type
+ */
+async function create(contactId, relationshipData) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      await checkRelatedContact(relationshipData.relatedContactId, client);
+
+      const id = await relationshipRepository.create(toRow(contactId, relationshipData), client);
+      return relationshipRepository.findForContact(contactId, id, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw error;
+    }
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in create:', error.message);
+    throw new Error('Failed to create relationship');
+  }
+}
+
+/**
+ * Replace one of a contact's relationships
+ * The link is rewritten from this contact's side, so a bidirectional link
+ * created by the other contact can be changed here too.
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Relationship ID
+ * @param {Object} relationshipData - { relatedContactId, type, bidirectional, inverseType }
+ * @returns {Promise<Object>} Updated relationship seen from the contact
+ * @throws {Error} 404 if the contact or relationship does not exist, 400 if the
+ *   related contact does not exist, 409 if the contacts are already linked with this type
+ */
+async function update(contactId, id, relationshipData) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      await findRelationship(contactId, id, client);
+      await checkRelatedContact(relationshipData.relatedContactId, client);
+
+      await relationshipRepository.update(id, toRow(contactId, relationshipData), client);
+      return relationshipRepository.findForContact(contactId, id, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw error;
+    }
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in update:', error.message);
+    throw new Error('Failed to update relationship');
+  }
+}
+
+/**
+ * Remove one of a contact's relationships, for both sides
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Relationship ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the contact or relationship does not exist
+ */
+async function remove(contactId, id) {
+  try {
+    await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      await findRelationship(contactId, id, client);
+      await relationshipRepository.delete(id, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete relationship');
+  }
+}
+
+/**
+ * Build the stored row for a relationship owned by a contact
+ * @param {number} contactId - Contact ID
+ * @param {Object} relationshipData - Validated request body
+ * @returns {Object} { contactId, relatedContactId, type, inverseType }
+ */
+function toRow(contactId, relationshipData) {
+  return {
+    contactId,
+    relatedContactId: relationshipData.relatedContactId,
+    type: relationshipData.type,
+    inverseType: resolveInverseType(relationshipData),
+  };
+}
+
+/**
+ * Load one of a contact's relationships
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Relationship ID
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise<Object>} Relationship seen from the contact
+ * @throws {Error} 404 if the contact does not have the relationship
+ */
+async function findRelationship(contactId, id, client) {
+  const relationship = await relationshipRepository.findForContact(contactId, id, client);
+  if (!relationship) {
+    throw createNotFoundError('Relationship not found');
+  }
+  return relationship;
+}
+
+/**
+ * Check that the related contact exists and is not in the trash
+ * @param {number} relatedContactId - Related contact ID
+ * @param {Object} client - Client with an open transaction
+ * @throws {Error} 400 if the related contact does not exist
+ */
+async function checkRelatedContact(relatedContactId, client) {
+  const missingIds = await contactRepository.findMissingIds([relatedContactId], client);
+  if (missingIds.length > 0) {
+    const error = new Error('Validation failed');
+    error.statusCode = 400;
+    error.details = [{ field: 'relatedContactId', message: `Contact ${relatedContactId} not found` }];
+    throw error;
+  }
+}
+
+/**
+ * Create a 404 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 404
+ */
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create the error returned when two contacts are already linked with a type
+ * @returns {Error} Error with statusCode 409
+ */
+function createConflictError() {
+  const error = new Error('Relationship already exists');
+  error.statusCode = 409;
+  return error;
+}
+
+module.exports = {
+  findByContact,
+  create,
+  update,
+  remove,
+};
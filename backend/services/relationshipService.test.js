@@ -0,0 +1,116 @@
+const relationshipService = require('./relationshipService');
+const relationshipRepository = require('../repositories/relationshipRepository');
+const contactRepository = require('../repositories/contactRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/relationshipRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../config/database');
+
+describe('Relationship Service', () => {
+  const client = { query: jest.fn() };
+  const contact = { id: 2, firstName: 'Dana', lastName: 'Lee' };
+  const relationship = {
+    id: 4,
+    type: 'assistant',
+    bidirectional: true,
+    inverseType: 'manager',
+    relatedContact: { id: 9, firstName: 'Sam', lastName: 'Lee', company: null },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+    contactRepository.findById.mockResolvedValue(contact);
+    contactRepository.findMissingIds.mockResolvedValue([]);
+  });
+
+  describe('findByContact', () => {
+    it('should throw 404 when the contact does not exist', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(relationshipService.findByContact(999)).rejects.toMatchObject({
+        message: 'Contact not found',
+        statusCode: 404,
+      });
+      expect(relationshipRepository.findByContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('create', () => {
+    it('should store the default inverse of a bidirectional link', async () => {
+      relationshipRepository.create.mockResolvedValue(4);
+      relationshipRepository.findForContact.mockResolvedValue(relationship);
+
+      const result = await relationshipService.create(2, { relatedContactId: 9, type: 'assistant', bidirectional: true });
+
+      expect(result).toEqual(relationship);
+      expect(relationshipRepository.create).toHaveBeenCalledWith(
+        { contactId: 2, relatedContactId: 9, type: 'assistant', inverseType: 'manager' },
+        client
+      );
+      expect(relationshipRepository.findForContact).toHaveBeenCalledWith(2, 4, client);
+    });
+
+    it('should throw 400 when the related contact does not exist', async () => {
+      contactRepository.findMissingIds.mockResolvedValue([9]);
+
+      await expect(relationshipService.create(2, { relatedContactId: 9, type: 'friend' })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'relatedContactId', message: 'Contact 9 not found' }],
+      });
+      expect(relationshipRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 when the contacts are already linked with the type', async () => {
+      const duplicate = new Error('duplicate key');
+      duplicate.code = '23505';
+      relationshipRepository.create.mockRejectedValue(duplicate);
+
+      await expect(relationshipService.create(2, { relatedContactId: 9, type: 'friend' }))
+        .rejects.toMatchObject({ message: 'Relationship already exists', statusCode: 409 });
+    });
+  });
+
+  describe('update', () => {
+    it('should rewrite the link from the contact\'s side', async () => {
+      relationshipRepository.findForContact.mockResolvedValue(relationship);
+      relationshipRepository.update.mockResolvedValue(true);
+
+      await relationshipService.update(9, 4, { relatedContactId: 2, type: 'manager', bidirectional: false });
+
+      expect(relationshipRepository.update).toHaveBeenCalledWith(
+        4,
+        { contactId: 9, relatedContactId: 2, type: 'manager', inverseType: null },
+        client
+      );
+    });
+
+    it('should throw 404 when the contact does not have the relationship', async () => {
+      relationshipRepository.findForContact.mockResolvedValue(null);
+
+      await expect(relationshipService.update(2, 99, { relatedContactId: 9, type: 'friend' })).rejects.toMatchObject({
+        message: 'Relationship not found',
+        statusCode: 404,
+      });
+      expect(relationshipRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete the relationship', async () => {
+      relationshipRepository.findForContact.mockResolvedValue(relationship);
+
+      await relationshipService.remove(2, 4);
+
+      expect(relationshipRepository.delete).toHaveBeenCalledWith(4, client);
+    });
+
+    it('should wrap unexpected errors', async () => {
+      relationshipRepository.findForContact.mockRejectedValue(new Error('Database error'));
+
+      await expect(relationshipService.remove(2, 4)).rejects.toThrow('Failed to delete relationship');
+    });
+  });
+});
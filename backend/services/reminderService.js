@@ -0,0 +1,314 @@
+const reminderRepository = require('../repositories/reminderRepository');
+const { withTransaction } = require('../config/database');
+const { MS_PER_DAY, startOfDay, formatDay } = require('../utils/contactDates');
+const { nextDueDate } = require('../utils/reminders');
+const { findContact } = require('./contactLookup');
+
+// Days after the first day the due reminders listing looks ahead by default
+const DEFAULT_DUE_DAYS = 7;
+
+/**
+ * Find a contact's reminders
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Array>} Reminders, open ones first
+ * @throws {Error} 404 if the contact does not exist
+ */
+async function findByContact(contactId) {
+  try {
+    await findContact(contactId);
+    return await reminderRepository.findByContact(contactId);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findByContact:', error.message);
+    throw new Error('Failed to retrieve reminders');
+  }
+}
+
+/**
+ * Attach a reminder to a contact
+ * @param {number} contactId - Contact ID
+ * @param {Object} reminderData - { title, dueDate, recurrence }
+ * @returns {Promise<Object>} Created reminder
+ * @throws {Error} 404 if the contact does not exist
+ */
+async function create(contactId, reminderData) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      return reminderRepository.create({ contactId, ...toRow(reminderData) }, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in create:', error.message);
+    throw new Error('Failed to create reminder');
+  }
+}
+
+/**
+ * Replace the title, due date and recurrence of one of a contact's open reminders
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Reminder ID
+ * @param {Object} reminderData - { title, dueDate, recurrence }
+ * @returns {Promise<Object>} Updated reminder
+ * @throws {Error} 404 if the contact or reminder does not exist, 409 if the
+ *   reminder is already completed or snoozed
+ */
+async function update(contactId, id, reminderData) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      await findOpenReminder(contactId, id, client);
+
+      const updated = await reminderRepository.update(id, toRow(reminderData), client);
+      if (!updated) {
+        throw createClosedError();
+      }
+      return updated;
+    });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      throw error;
+    }
+    console.error('Service error in update:', error.message);
+    throw new Error('Failed to update reminder');
+  }
+}
+
+/**
+ * Remove one of a contact's reminders
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Reminder ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the contact or reminder does not exist
+ */
+async function remove(contactId, id) {
+  try {
+    await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      await findReminder(contactId, id, client);
+      await reminderRepository.delete(id, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete reminder');
+  }
+}
+
+/**
+ * Complete one of a contact's open reminders
+ * A recurring reminder gets its next occurrence: the first one after both its
+ * due date and today, so completing it late does not open one already overdue.
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Reminder ID
+ * @returns {Promise<Object>} { reminder, next }: the completed reminder and the
+ *   next occurrence (null for a one-off reminder)
+ * @throws {Error} 404 if the contact or reminder does not exist, 409 if the
+ *   reminder is already completed or snoozed
+ */
+async function complete(contactId, id) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      const reminder = await findOpenReminder(contactId, id, client);
+      const closed = await closeReminder(id, 'completed', client);
+
+      const today = formatDay(startOfDay());
+      const after = reminder.dueDate > today ? reminder.dueDate : today;
+      const next = reminder.recurrence
+        ? await createOccurrence(reminder, nextDueDate(reminder.recurrence, after), client)
+        : null;
+      return { reminder: closed, next };
+    });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      throw error;
+    }
+    console.error('Service error in complete:', error.message);
+    throw new Error('Failed to complete reminder');
+  }
+}
+
+/**
+ * Snooze one of a contact's open reminders until a later day
+ * The reminder is closed as snoozed and reopened as a new occurrence due on
+ * that day, keeping its title and recurrence.
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Reminder ID
+ * @param {string} until - New due date (YYYY-MM-DD), after the current one
+ * @returns {Promise<Object>} { reminder, next }: the snoozed reminder and the new occurrence
+ * @throws {Error} 404 if the contact or reminder does not exist, 400 if the
+ *   new due date is not after the current one, 409 if the reminder is already
+ *   completed or snoozed
+ */
+async function snooze(contactId, id, until) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      const reminder = await findOpenReminder(contactId, id, client);
+      if (until <= reminder.dueDate) {
+        const error = new Error('Validation failed');
+        error.statusCode = 400;
+        error.details = [{ field: 'until', message: `Until must be after the due date (${reminder.dueDate})` }];
+        throw error;
+      }
+
+      const closed = await closeReminder(id, 'snoozed', client);
+      const next = await createOccurrence(reminder, until, client);
+      return { reminder: closed, next };
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404 || error.statusCode === 409) {
+      throw error;
+    }
+    console.error('Service error in snooze:', error.message);
+    throw new Error('Failed to snooze reminder');
+  }
+}
+
+/**
+ * Find the open reminders that are overdue or due soon
+ * Reminders due before the first day are overdue and listed first; the window
+ * runs through the given number of days after the first day.
+ * @param {Object} [options] - Window options
+ * @param {number} [options.days=7] - Days after the first day to include
+ * @param {string} [options.from] - First day (YYYY-MM-DD), defaults to today (UTC)
+ * @returns {Promise<Object>} { from, to, data } with reminders earliest due first
+ */
+async function findDue({ days = DEFAULT_DUE_DAYS, from } = {}) {
+  const start = startOfDay(from);
+  const to = formatDay(new Date(start.getTime() + days * MS_PER_DAY));
+
+  try {
+    const reminders = await reminderRepository.findDue(to);
+
+    return {
+      from: formatDay(start),
+      to,
+      data: reminders.map((reminder) => {
+        const daysUntil = Math.round((startOfDay(reminder.dueDate) - start) / MS_PER_DAY);
+        return { ...reminder, daysUntil, overdue: daysUntil < 0 };
+      }),
+    };
+  } catch (error) {
+    console.error('Service error in findDue:', error.message);
+    throw new Error('Failed to retrieve due reminders');
+  }
+}
+
+/**
+ * Build the stored fields of a reminder
+ * The due date given on create or edit becomes the day the recurrence counts from.
+ * @param {Object} reminderData - Validated request body
+ * @returns {Object} { title, dueDate, recurrence }
+ */
+function toRow({ title, dueDate, recurrence }) {
+  return {
+    title: title.trim(),
+    dueDate,
+    recurrence: recurrence ? { every: recurrence.every, unit: recurrence.unit, anchorDate: dueDate } : null,
+  };
+}
+
+/**
+ * Open the occurrence that follows a completed or snoozed reminder
+ * @param {Object} reminder - Reminder being closed
+ * @param {string} dueDate - Due date of the new occurrence (YYYY-MM-DD)
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise<Object>} New occurrence
+ */
+function createOccurrence(reminder, dueDate, client) {
+  return reminderRepository.create({
+    contactId: reminder.contactId,
+    title: reminder.title,
+    dueDate,
+    recurrence: reminder.recurrence,
+    previousId: reminder.id,
+  }, client);
+}
+
+/**
+ * Close an open reminder
+ * @param {number} id - Reminder ID
+ * @param {string} status - completed or snoozed
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise<Object>} Closed reminder
+ * @throws {Error} 409 if the reminder was closed in the meantime
+ */
+async function closeReminder(id, status, client) {
+  const closed = await reminderRepository.close(id, status, client);
+  if (!closed) {
+    throw createClosedError();
+  }
+  return closed;
+}
+
+/**
+ * Load one of a contact's reminders
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Reminder ID
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise<Object>} Reminder
+ * @throws {Error} 404 if the contact does not have the reminder
+ */
+async function findReminder(contactId, id, client) {
+  const reminder = await reminderRepository.findForContact(contactId, id, client);
+  if (!reminder) {
+    throw createNotFoundError('Reminder not found');
+  }
+  return reminder;
+}
+
+/**
+ * Load one of a contact's reminders that is still open
+ * @param {number} contactId - Contact ID
+ * @param {number} id - Reminder ID
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise<Object>} Reminder
+ * @throws {Error} 404 if the contact does not have the reminder, 409 if it is closed
+ */
+async function findOpenReminder(contactId, id, client) {
+  const reminder = await findReminder(contactId, id, client);
+  if (reminder.status !== 'open') {
+    throw createClosedError();
+  }
+  return reminder;
+}
+
+/**
+ * Create a 404 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 404
+ */
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create the error returned when a reminder is no longer open
+ * @returns {Error} Error with statusCode 409
+ */
+function createClosedError() {
+  const error = new Error('Reminder is already completed or snoozed');
+  error.statusCode = 409;
+  return error;
+}
+
+module.exports = {
+  DEFAULT_DUE_DAYS,
+  findByContact,
+  create,
+  update,
+  remove,
+  complete,
+  snooze,
+  findDue,
+};
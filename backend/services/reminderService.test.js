@@ -0,0 +1,248 @@
+const reminderService = require('./reminderService');
+const reminderRepository = require('../repositories/reminderRepository');
+const contactRepository = require('../repositories/contactRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/reminderRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../config/database');
+
+describe('Reminder Service', () => {
+  const client = { query: jest.fn() };
+  const contact = { id: 2, firstName: 'Dana', lastName: 'Lee' };
+  const reminder = {
+    id: 3,
+    contactId: 2,
+    title: 'Check in',
+    dueDate: '2026-11-03',
+    recurrence: { every: 90, unit: 'day', anchorDate: '2026-11-03' },
+    status: 'open',
+    closedAt: null,
+    previousId: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+    contactRepository.findById.mockResolvedValue(contact);
+    reminderRepository.findForContact.mockResolvedValue(reminder);
+  });
+
+  describe('findByContact', () => {
+    it('should throw 404 when the contact does not exist', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(reminderService.findByContact(999)).rejects.toMatchObject({
+        message: 'Contact not found',
+        statusCode: 404,
+      });
+      expect(reminderRepository.findByContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('create', () => {
+    it('should store the trimmed title and the recurrence anchored on the due date', async () => {
+      reminderRepository.create.mockResolvedValue(reminder);
+
+      const result = await reminderService.create(2, {
+        title: ' Check in ',
+        dueDate: '2026-11-03',
+        recurrence: { every: 90, unit: 'day' },
+      });
+
+      expect(result).toEqual(reminder);
+      expect(reminderRepository.create).toHaveBeenCalledWith(
+        {
+          contactId: 2,
+          title: 'Check in',
+          dueDate: '2026-11-03',
+          recurrence: { every: 90, unit: 'day', anchorDate: '2026-11-03' },
+        },
+        client
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('should throw 409 for a reminder that is no longer open', async () => {
+      reminderRepository.findForContact.mockResolvedValue({ ...reminder, status: 'completed' });
+
+      await expect(reminderService.update(2, 3, { title: 'Call', dueDate: '2026-11-10' })).rejects.toMatchObject({
+        message: 'Reminder is already completed or snoozed',
+        statusCode: 409,
+      });
+      expect(reminderRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when the contact does not have the reminder', async () => {
+      reminderRepository.findForContact.mockResolvedValue(null);
+
+      await expect(reminderService.update(2, 99, { title: 'Call', dueDate: '2026-11-10' })).rejects.toMatchObject({
+        message: 'Reminder not found',
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete closed reminders too', async () => {
+      reminderRepository.findForContact.mockResolvedValue({ ...reminder, status: 'snoozed' });
+
+      await reminderService.remove(2, 3);
+
+      expect(reminderRepository.delete).toHaveBeenCalledWith(3, client);
+    });
+  });
+
+  describe('complete', () => {
+    it('should create the next occurrence of a recurring reminder', async () => {
+      const completed = { ...reminder, status: 'completed', closedAt: '2026-11-03T09:00:00.000Z' };
+      const next = { ...reminder, id: 4, dueDate: '2027-02-01', previousId: 3 };
+      reminderRepository.close.mockResolvedValue(completed);
+      reminderRepository.create.mockResolvedValue(next);
+      jest.useFakeTimers().setSystemTime(new Date('2026-11-03T09:00:00Z'));
+
+      try {
+        const result = await reminderService.complete(2, 3);
+
+        expect(result).toEqual({ reminder: completed, next });
+        expect(reminderRepository.close).toHaveBeenCalledWith(3, 'completed', client);
+        expect(reminderRepository.create).toHaveBeenCalledWith({
+          contactId: 2,
+          title: 'Check in',
+          dueDate: '2027-02-01',
+          recurrence: { every: 90, unit: 'day', anchorDate: '2026-11-03' },
+          previousId: 3,
+        }, client);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should skip the occurrences missed when completed late', async () => {
+      const weekly = { ...reminder, dueDate: '2026-09-28', recurrence: { every: 1, unit: 'week', anchorDate: '2026-09-28' } };
+      reminderRepository.findForContact.mockResolvedValue(weekly);
+      reminderRepository.close.mockResolvedValue({ ...weekly, status: 'completed' });
+      jest.useFakeTimers().setSystemTime(new Date('2026-10-19T09:00:00Z'));
+
+      try {
+        await reminderService.complete(2, 3);
+
+        expect(reminderRepository.create).toHaveBeenCalledWith(
+          expect.objectContaining({ dueDate: '2026-10-26', recurrence: weekly.recurrence }),
+          client
+        );
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should count from the anchor day after an occurrence clamped to a shorter month', async () => {
+      const monthly = { ...reminder, dueDate: '2027-02-28', recurrence: { every: 1, unit: 'month', anchorDate: '2027-01-31' } };
+      reminderRepository.findForContact.mockResolvedValue(monthly);
+      reminderRepository.close.mockResolvedValue({ ...monthly, status: 'completed' });
+      jest.useFakeTimers().setSystemTime(new Date('2027-02-27T09:00:00Z'));
+
+      try {
+        await reminderService.complete(2, 3);
+
+        expect(reminderRepository.create).toHaveBeenCalledWith(
+          expect.objectContaining({ dueDate: '2027-03-31', recurrence: monthly.recurrence }),
+          client
+        );
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should not create another occurrence of a one-off reminder', async () => {
+      reminderRepository.findForContact.mockResolvedValue({ ...reminder, recurrence: null });
+      reminderRepository.close.mockResolvedValue({ ...reminder, recurrence: null, status: 'completed' });
+
+      const result = await reminderService.complete(2, 3);
+
+      expect(result.next).toBeNull();
+      expect(reminderRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 when the reminder was closed in the meantime', async () => {
+      reminderRepository.close.mockResolvedValue(null);
+
+      await expect(reminderService.complete(2, 3)).rejects.toMatchObject({ statusCode: 409 });
+      expect(reminderRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('snooze', () => {
+    it('should reopen the reminder on the later day with its recurrence', async () => {
+      const snoozed = { ...reminder, status: 'snoozed' };
+      const next = { ...reminder, id: 4, dueDate: '2026-11-10', previousId: 3 };
+      reminderRepository.close.mockResolvedValue(snoozed);
+      reminderRepository.create.mockResolvedValue(next);
+
+      const result = await reminderService.snooze(2, 3, '2026-11-10');
+
+      expect(result).toEqual({ reminder: snoozed, next });
+      expect(reminderRepository.close).toHaveBeenCalledWith(3, 'snoozed', client);
+      expect(reminderRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ dueDate: '2026-11-10', recurrence: reminder.recurrence, previousId: 3 }),
+        client
+      );
+    });
+
+    it('should throw 400 when the new due date is not after the current one', async () => {
+      await expect(reminderService.snooze(2, 3, '2026-11-03')).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'until', message: 'Until must be after the due date (2026-11-03)' }],
+      });
+      expect(reminderRepository.close).not.toHaveBeenCalled();
+    });
+
+    it('should wrap unexpected errors', async () => {
+      reminderRepository.close.mockRejectedValue(new Error('Database error'));
+
+      await expect(reminderService.snooze(2, 3, '2026-11-10')).rejects.toThrow('Failed to snooze reminder');
+    });
+  });
+
+  describe('findDue', () => {
+    it('should list overdue and upcoming reminders with the days until each is due', async () => {
+      reminderRepository.findDue.mockResolvedValue([
+        { ...reminder, dueDate: '2026-10-30' },
+        { ...reminder, id: 5, dueDate: '2026-11-05' },
+      ]);
+
+      const result = await reminderService.findDue({ days: 7, from: '2026-11-01' });
+
+      expect(reminderRepository.findDue).toHaveBeenCalledWith('2026-11-08');
+      expect(result).toEqual({
+        from: '2026-11-01',
+        to: '2026-11-08',
+        data: [
+          { ...reminder, dueDate: '2026-10-30', daysUntil: -2, overdue: true },
+          { ...reminder, id: 5, dueDate: '2026-11-05', daysUntil: 4, overdue: false },
+        ],
+      });
+    });
+
+    it('should look 7 days ahead from today by default', async () => {
+      jest.useFakeTimers().setSystemTime(new Date('2026-03-01T23:30:00Z'));
+      reminderRepository.findDue.mockResolvedValue([]);
+
+      try {
+        const result = await reminderService.findDue();
+
+        expect(result).toEqual({ from: '2026-03-01', to: '2026-03-08', data: [] });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should throw error when repository fails', async () => {
+      reminderRepository.findDue.mockRejectedValue(new Error('Database error'));
+
+      await expect(reminderService.findDue()).rejects.toThrow('Failed to retrieve due reminders');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const starRepository = require('../repositories/starRepository');
+const { withTransaction } = require('../config/database');
+const { findContact } = require('./contactLookup');
+
+/**
+ * Star a contact for a user
+ * Starring is idempotent: a contact that is already starred stays starred
+ * with its original starredAt.
+ * @param {number} contactId - Contact ID
+ * @param {string} user - User named in the X-User header
+ * @returns {Promise<Object>} Star ({ contactId, starred, starredAt })
+ * @throws {Error} 404 if the contact does not exist
+ */
+async function star(contactId, user) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      return starRepository.star(contactId, user, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in star:', error.message);
+    throw new Error('Failed to star contact');
+  }
+}
+
+/**
+ * Clear a user's star on a contact
+ * Clearing the star of a contact that is not starred succeeds too.
+ * @param {number} contactId - Contact ID
+ * @param {string} user - User named in the X-User header
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the contact does not exist
+ */
+async function unstar(contactId, user) {
+  try {
+    await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      await starRepository.unstar(contactId, user, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in unstar:', error.message);
+    throw new Error('Failed to unstar contact');
+  }
+}
+
+module.exports = {
+  star,
+  unstar,
+};
@@ -0,0 +1,64 @@
+const starService = require('./starService');
+const starRepository = require('../repositories/starRepository');
+const contactRepository = require('../repositories/contactRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/starRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../config/database');
+
+describe('Star Service', () => {
+  const client = { query: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+    contactRepository.findById.mockResolvedValue({ id: 4, firstName: 'Dana', lastName: 'Lee' });
+  });
+
+  describe('star', () => {
+    it('should star the contact for the user', async () => {
+      const star = { contactId: 4, starred: true, starredAt: '2026-10-01T09:00:00.000Z' };
+      starRepository.star.mockResolvedValue(star);
+
+      const result = await starService.star(4, 'dana@example.com');
+
+      expect(result).toEqual(star);
+      expect(contactRepository.findById).toHaveBeenCalledWith(4, client);
+      expect(starRepository.star).toHaveBeenCalledWith(4, 'dana@example.com', client);
+    });
+
+    it('should throw 404 when the contact does not exist', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(starService.star(999, 'dana@example.com')).rejects.toMatchObject({
+        message: 'Contact not found',
+        statusCode: 404,
+      });
+      expect(starRepository.star).not.toHaveBeenCalled();
+    });
+
+    it('should wrap unexpected errors', async () => {
+      starRepository.star.mockRejectedValue(new Error('Database error'));
+
+      await expect(starService.star(4, 'dana@example.com')).rejects.toThrow('Failed to star contact');
+    });
+  });
+
+  describe('unstar', () => {
+    it('should succeed for a contact that is not starred', async () => {
+      starRepository.unstar.mockResolvedValue(false);
+
+      await expect(starService.unstar(4, 'dana@example.com')).resolves.toBeUndefined();
+      expect(starRepository.unstar).toHaveBeenCalledWith(4, 'dana@example.com', client);
+    });
+
+    it('should throw 404 when the contact does not exist', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(starService.unstar(999, 'dana@example.com')).rejects.toMatchObject({ statusCode: 404 });
+      expect(starRepository.unstar).not.toHaveBeenCalled();
+    });
+  });
+});
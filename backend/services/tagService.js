@@ -0,0 +1,206 @@
+const tagRepository = require('../repositories/tagRepository');
+const contactRepository = require('../repositories/contactRepository');
+const { withTransaction } = require('../config/database');
+const { findContact } = require('./contactLookup');
+
+/**
+ * Normalize a tag name so "VIP" and " vip " are the same tag
+ * @param {string} name - Tag name as sent by the client
+ * @returns {string} Trimmed, lower-case tag name
+ */
+function normalizeTagName(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Find all tags
+ * @returns {Promise<Array>} Array of tag objects
+ */
+async function findAll() {
+  try {
+    return await tagRepository.findAll();
+  } catch (error) {
+    console.error('Service error in findAll:', error.message);
+    throw new Error('Failed to retrieve tags');
+  }
+}
+
+/**
+ * Find tag by ID
+ * @param {number} id - Tag ID
+ * @returns {Promise<Object>} Tag object
+ * @throws {Error} 404 if the tag does not exist
+ */
+async function findById(id) {
+  try {
+    const tag = await tagRepository.findById(id);
+    
+    if (!tag) {
+      throw createNotFoundError('Tag not found');
+    }
+    
+    return tag;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in findById:', error.message);
+    throw new Error('Failed to retrieve tag');
+  }
+}
+
+/**
+ * Create a new tag
+ * @param {string} name - Tag name
+ * @returns {Promise<Object>} Created tag object
+ * @throws {Error} 409 if a tag with the same name exists
+ */
+async function create(name) {
+  try {
+    return await tagRepository.create(normalizeTagName(name));
+  } catch (error) {
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in create:', error.message);
+    throw new Error('Failed to create tag');
+  }
+}
+
+/**
+ * Rename a tag
+ * @param {number} id - Tag ID
+ * @param {string} name - New tag name
+ * @returns {Promise<Object>} Updated tag object
+ * @throws {Error} 404 if the tag does not exist, 409 if the name is taken
+ */
+async function update(id, name) {
+  try {
+    const tag = await tagRepository.update(id, normalizeTagName(name));
+    
+    if (!tag) {
+      throw createNotFoundError('Tag not found');
+    }
+    
+    return tag;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    if (error.code === '23505') {
+      throw createConflictError();
+    }
+    console.error('Service error in update:', error.message);
+    throw new Error('Failed to update tag');
+  }
+}
+
+/**
+ * Delete a tag, removing it from every contact
+ * @param {number} id - Tag ID
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the tag does not exist
+ */
+async function remove(id) {
+  try {
+    const deleted = await tagRepository.delete(id);
+    
+    if (!deleted) {
+      throw createNotFoundError('Tag not found');
+    }
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in remove:', error.message);
+    throw new Error('Failed to delete tag');
+  }
+}
+
+/**
+ * Tag a contact, creating tags that do not exist yet
+ * @param {number} contactId - Contact ID
+ * @param {Array<string>} names - Tag names
+ * @returns {Promise<Object>} Updated contact object
+ * @throws {Error} 404 if the contact does not exist
+ */
+async function tagContact(contactId, names) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      
+      const added = await tagRepository.addToContact(contactId, names.map(normalizeTagName), client);
+      if (added > 0) {
+        await contactRepository.touch(contactId, client);
+      }
+      
+      return contactRepository.findById(contactId, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in tagContact:', error.message);
+    throw new Error('Failed to tag contact');
+  }
+}
+
+/**
+ * Remove a tag from a contact
+ * @param {number} contactId - Contact ID
+ * @param {string} name - Tag name
+ * @returns {Promise<Object>} Updated contact object
+ * @throws {Error} 404 if the contact does not exist or does not have the tag
+ */
+async function untagContact(contactId, name) {
+  try {
+    return await withTransaction(async (client) => {
+      await findContact(contactId, client);
+      
+      const removed = await tagRepository.removeFromContact(contactId, normalizeTagName(name), client);
+      if (!removed) {
+        throw createNotFoundError('Contact does not have this tag');
+      }
+      await contactRepository.touch(contactId, client);
+      
+      return contactRepository.findById(contactId, client);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw error;
+    }
+    console.error('Service error in untagContact:', error.message);
+    throw new Error('Failed to untag contact');
+  }
+}
+
+/**
+ * Create a 404 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 404
+ */
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create the error returned when a tag name is already taken
+ * @returns {Error} Error with statusCode 409
+ */
+function createConflictError() {
+  const error = new Error('Tag already exists');
+  error.statusCode = 409;
+  return error;
+}
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  remove,
+  tagContact,
+  untagContact,
+};
@@ -0,0 +1,192 @@
+const tagService = require('./tagService');
+const tagRepository = require('../repositories/tagRepository');
+const contactRepository = require('../repositories/contactRepository');
+const database = require('../config/database');
+
+// Mock the repository layer and transaction helpers
+jest.mock('../repositories/tagRepository');
+jest.mock('../repositories/contactRepository');
+jest.mock('../config/database');
+
+describe('Tag Service', () => {
+  const client = { query: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.withTransaction.mockImplementation(async (callback) => callback(client));
+  });
+
+  describe('findAll', () => {
+    it('should return all tags from repository', async () => {
+      const mockTags = [{ id: 1, name: 'vip', contactCount: 2 }];
+      tagRepository.findAll.mockResolvedValue(mockTags);
+
+      const result = await tagService.findAll();
+
+      expect(result).toEqual(mockTags);
+    });
+
+    it('should throw error when repository fails', async () => {
+      tagRepository.findAll.mockRejectedValue(new Error('Database error'));
+
+      await expect(tagService.findAll()).rejects.toThrow('Failed to retrieve tags');
+    });
+  });
+
+  describe('findById', () => {
+    it('should return the tag when found', async () => {
+      tagRepository.findById.mockResolvedValue({ id: 1, name: 'vip' });
+
+      const result = await tagService.findById(1);
+
+      expect(result).toEqual({ id: 1, name: 'vip' });
+      expect(tagRepository.findById).toHaveBeenCalledWith(1);
+    });
+
+    it('should throw 404 when the tag does not exist', async () => {
+      tagRepository.findById.mockResolvedValue(null);
+
+      await expect(tagService.findById(999)).rejects.toMatchObject({
+        message: 'Tag not found',
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('create', () => {
+    it('should store the trimmed, lower-case name', async () => {
+      tagRepository.create.mockResolvedValue({ id: 1, name: 'vip', contactCount: 0 });
+
+      const result = await tagService.create('  VIP ');
+
+      expect(result).toEqual({ id: 1, name: 'vip', contactCount: 0 });
+      expect(tagRepository.create).toHaveBeenCalledWith('vip');
+    });
+
+    it('should throw 409 when the tag already exists', async () => {
+      const uniqueViolation = new Error('duplicate key value violates unique constraint');
+      uniqueViolation.code = '23505';
+      tagRepository.create.mockRejectedValue(uniqueViolation);
+
+      await expect(tagService.create('vip')).rejects.toMatchObject({
+        message: 'Tag already exists',
+        statusCode: 409,
+      });
+    });
+
+    it('should wrap other repository errors', async () => {
+      tagRepository.create.mockRejectedValue(new Error('Database error'));
+
+      await expect(tagService.create('vip')).rejects.toThrow('Failed to create tag');
+    });
+  });
+
+  describe('update', () => {
+    it('should rename the tag', async () => {
+      tagRepository.update.mockResolvedValue({ id: 1, name: 'partner' });
+
+      const result = await tagService.update(1, 'Partner');
+
+      expect(result).toEqual({ id: 1, name: 'partner' });
+      expect(tagRepository.update).toHaveBeenCalledWith(1, 'partner');
+    });
+
+    it('should throw 404 when the tag does not exist', async () => {
+      tagRepository.update.mockResolvedValue(null);
+
+      await expect(tagService.update(999, 'vip')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should throw 409 when the new name is taken', async () => {
+      const uniqueViolation = new Error('duplicate key value violates unique constraint');
+      uniqueViolation.code = '23505';
+      tagRepository.update.mockRejectedValue(uniqueViolation);
+
+      await expect(tagService.update(1, 'vendor')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete the tag', async () => {
+      tagRepository.delete.mockResolvedValue(true);
+
+      await expect(tagService.remove(1)).resolves.toBeUndefined();
+      expect(tagRepository.delete).toHaveBeenCalledWith(1);
+    });
+
+    it('should throw 404 when the tag does not exist', async () => {
+      tagRepository.delete.mockResolvedValue(false);
+
+      await expect(tagService.remove(999)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('tagContact', () => {
+    it('should attach normalized tags, touch the contact and return it', async () => {
+      const tagged = { id: 1, firstName: 'John', lastName: 'Doe', tags: ['vendor', 'vip'], version: 2 };
+      contactRepository.findById
+        .mockResolvedValueOnce({ id: 1, firstName: 'John', lastName: 'Doe', tags: [], version: 1 })
+        .mockResolvedValueOnce(tagged);
+      tagRepository.addToContact.mockResolvedValue(2);
+
+      const result = await tagService.tagContact(1, ['VIP', ' vendor ']);
+
+      expect(result).toEqual(tagged);
+      expect(tagRepository.addToContact).toHaveBeenCalledWith(1, ['vip', 'vendor'], client);
+      expect(contactRepository.touch).toHaveBeenCalledWith(1, client);
+    });
+
+    it('should not touch the contact when it already has every tag', async () => {
+      contactRepository.findById.mockResolvedValue({ id: 1, tags: ['vip'], version: 1 });
+      tagRepository.addToContact.mockResolvedValue(0);
+
+      await tagService.tagContact(1, ['vip']);
+
+      expect(contactRepository.touch).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when the contact does not exist', async () => {
+      contactRepository.findById.mockResolvedValue(null);
+
+      await expect(tagService.tagContact(999, ['vip'])).rejects.toMatchObject({
+        message: 'Contact not found',
+        statusCode: 404,
+      });
+      expect(tagRepository.addToContact).not.toHaveBeenCalled();
+    });
+
+    it('should wrap repository errors', async () => {
+      contactRepository.findById.mockResolvedValue({ id: 1 });
+      tagRepository.addToContact.mockRejectedValue(new Error('Database error'));
+
+      await expect(tagService.tagContact(1, ['vip'])).rejects.toThrow('Failed to tag contact');
+    });
+  });
+
+  describe('untagContact', () => {
+    it('should detach the normalized tag and return the contact', async () => {
+      const untagged = { id: 1, tags: [], version: 3 };
+      contactRepository.findById
+        .mockResolvedValueOnce({ id: 1, tags: ['vip'], version: 2 })
+        .mockResolvedValueOnce(untagged);
+      tagRepository.removeFromContact.mockResolvedValue(true);
+
+      const result = await tagService.untagContact(1, 'VIP');
+
+      expect(result).toEqual(untagged);
+      expect(tagRepository.removeFromContact).toHaveBeenCalledWith(1, 'vip', client);
+      expect(contactRepository.touch).toHaveBeenCalledWith(1, client);
+    });
+
+    it('should throw 404 when the contact does not have the tag', async () => {
+      contactRepository.findById.mockResolvedValue({ id: 1, tags: [] });
+      tagRepository.removeFromContact.mockResolvedValue(false);
+
+      await expect(tagService.untagContact(1, 'vip')).rejects.toMatchObject({
+        message: 'Contact does not have this tag',
+        statusCode: 404,
+      });
+      expect(contactRepository.touch).not.toHaveBeenCalled();
+    });
+  });
+});
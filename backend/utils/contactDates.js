@@ -0,0 +1,174 @@
+/**
+ * Helpers for a contact's dates (birthdays, anniversaries)
+ * Dates are written YYYY-MM-DD, or --MM-DD when the year is not known
+ * (the ISO 8601 / vCard form for a date without a year).
+ */
+
+const DATE_TYPES = ['birthday', 'anniversary', 'other'];
+
+// Types a contact can have at most one date of
+const SINGLE_DATE_TYPES = ['birthday', 'anniversary'];
+
+// Maximum number of dates per contact
+const MAX_DATES = 10;
+
+// Longest window the upcoming events endpoint looks ahead, in days
+const MAX_UPCOMING_DAYS = 366;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a year is a leap year
+ * @param {number} year - Full year
+ * @returns {boolean} True for leap years
+ */
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Number of days in a month; February has 29 when the year is not known
+ * @param {number|null} year - Full year, or null
+ * @param {number} month - Month, 1-12
+ * @returns {number} Days in the month
+ */
+function daysInMonth(year, month) {
+  if (month === 2) {
+    return year === null || isLeapYear(year) ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * Parse a contact date
+ * @param {string} value - YYYY-MM-DD or --MM-DD
+ * @returns {Object|null} { year, month, day } with year null when not known,
+ *   or null if the value is not a calendar date
+ */
+function parseContactDate(value) {
+  const match = /^(?:(\d{4})|-)-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const year = match[1] === undefined ? null : Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  if (year === 0 || month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+/**
+ * Format a contact date
+ * @param {Object} date - { year, month, day } with year null when not known
+ * @returns {string} YYYY-MM-DD or --MM-DD
+ */
+function formatContactDate({ year, month, day }) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${year === null ? '-' : String(year).padStart(4, '0')}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Midnight UTC of the given day, or of today
+ * @param {string} [day] - YYYY-MM-DD
+ * @returns {Date} Midnight UTC
+ */
+function startOfDay(day) {
+  if (day) {
+    return new Date(`${day}T00:00:00Z`);
+  }
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Format a UTC calendar day as YYYY-MM-DD
+ * @param {Date} date - Midnight UTC of the day
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Day a date falls on in a given year
+ * Feb 29 is observed on Feb 28 in years that are not leap years.
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @param {number} year - Year to place the date in
+ * @returns {Date} Midnight UTC of that day
+ */
+function occurrenceIn(month, day, year) {
+  const observedDay = month === 2 && day === 29 && !isLeapYear(year) ? 28 : day;
+  return new Date(Date.UTC(year, month - 1, observedDay));
+}
+
+/**
+ * Next time a yearly date comes round, on or after a given day
+ * @param {Object} date - { month, day }
+ * @param {Date} from - Midnight UTC of the first day to consider
+ * @returns {Date} Midnight UTC of the next occurrence
+ */
+function nextOccurrence({ month, day }, from) {
+  const thisYear = occurrenceIn(month, day, from.getUTCFullYear());
+  return thisYear >= from ? thisYear : occurrenceIn(month, day, from.getUTCFullYear() + 1);
+}
+
+/**
+ * List the month and day pairs whose dates fall in a window
+ * A Feb 28 outside a leap year also brings in Feb 29, which is observed on it.
+ * @param {Date} from - Midnight UTC of the first day of the window
+ * @param {number} days - Number of days after the first day the window runs to
+ * @returns {Array<Array<number>>} [month, day] pairs
+ */
+function monthDaysInWindow(from, days) {
+  // A window longer than a year meets some days twice; keep each pair once
+  const pairs = new Map();
+  for (let offset = 0; offset <= days; offset++) {
+    const date = new Date(from.getTime() + offset * MS_PER_DAY);
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    pairs.set(`${month}-${day}`, [month, day]);
+    if (month === 2 && day === 28 && !isLeapYear(date.getUTCFullYear())) {
+      pairs.set('2-29', [2, 29]);
+    }
+  }
+  return [...pairs.values()];
+}
+
+/**
+ * Work out the dates to store for a write
+ * A list in the data replaces the current one (null clears it); without one
+ * the stored dates are left alone.
+ * @param {Object} data - Contact data being written
+ * @returns {Object} { dates } of { type, date }, or an empty object when unchanged
+ */
+function resolveDates(data) {
+  if (data.dates === undefined) {
+    return {};
+  }
+  return {
+    dates: (data.dates || []).map((entry) => ({
+      type: entry.type,
+      date: formatContactDate(parseContactDate(entry.date)),
+    })),
+  };
+}
+
+module.exports = {
+  DATE_TYPES,
+  SINGLE_DATE_TYPES,
+  MAX_DATES,
+  MAX_UPCOMING_DAYS,
+  MS_PER_DAY,
+  daysInMonth,
+  parseContactDate,
+  formatContactDate,
+  startOfDay,
+  formatDay,
+  nextOccurrence,
+  monthDaysInWindow,
+  resolveDates,
+};
@@ -0,0 +1,92 @@
+const {
+  parseContactDate,
+  formatContactDate,
+  startOfDay,
+  nextOccurrence,
+  monthDaysInWindow,
+  resolveDates,
+} = require('./contactDates');
+
+describe('Contact Date Helpers', () => {
+  describe('parseContactDate', () => {
+    it('should parse dates with and without a year', () => {
+      expect(parseContactDate('1985-06-15')).toEqual({ year: 1985, month: 6, day: 15 });
+      expect(parseContactDate('--06-15')).toEqual({ year: null, month: 6, day: 15 });
+    });
+
+    it('should accept Feb 29 only in leap years or without a year', () => {
+      expect(parseContactDate('2000-02-29')).not.toBeNull();
+      expect(parseContactDate('--02-29')).not.toBeNull();
+      expect(parseContactDate('1900-02-29')).toBeNull();
+      expect(parseContactDate('2023-02-29')).toBeNull();
+    });
+
+    it('should reject malformed and impossible dates', () => {
+      expect(parseContactDate('1985-6-15')).toBeNull();
+      expect(parseContactDate('--13-01')).toBeNull();
+      expect(parseContactDate('--04-31')).toBeNull();
+      expect(parseContactDate('0000-01-01')).toBeNull();
+      expect(parseContactDate('06/15/1985')).toBeNull();
+    });
+  });
+
+  describe('formatContactDate', () => {
+    it('should write --MM-DD without a year', () => {
+      expect(formatContactDate({ year: null, month: 2, day: 9 })).toBe('--02-09');
+      expect(formatContactDate({ year: 1985, month: 12, day: 1 })).toBe('1985-12-01');
+    });
+  });
+
+  describe('startOfDay', () => {
+    it('should return midnight UTC of the given day', () => {
+      expect(startOfDay('2026-10-19')).toEqual(new Date('2026-10-19T00:00:00Z'));
+    });
+  });
+
+  describe('nextOccurrence', () => {
+    const day = (value) => new Date(`${value}T00:00:00Z`);
+
+    it('should return this year when the date is still ahead or today', () => {
+      expect(nextOccurrence({ month: 6, day: 15 }, day('2026-06-15'))).toEqual(day('2026-06-15'));
+      expect(nextOccurrence({ month: 12, day: 31 }, day('2026-06-15'))).toEqual(day('2026-12-31'));
+    });
+
+    it('should roll over to next year when the date has passed', () => {
+      expect(nextOccurrence({ month: 1, day: 2 }, day('2026-06-15'))).toEqual(day('2027-01-02'));
+    });
+
+    it('should observe Feb 29 on Feb 28 outside leap years', () => {
+      expect(nextOccurrence({ month: 2, day: 29 }, day('2027-01-01'))).toEqual(day('2027-02-28'));
+      expect(nextOccurrence({ month: 2, day: 29 }, day('2027-03-01'))).toEqual(day('2028-02-29'));
+      expect(nextOccurrence({ month: 2, day: 29 }, day('2028-02-29'))).toEqual(day('2028-02-29'));
+    });
+  });
+
+  describe('monthDaysInWindow', () => {
+    it('should list each day from the first through the last', () => {
+      expect(monthDaysInWindow(new Date('2026-12-30T00:00:00Z'), 3)).toEqual([[12, 30], [12, 31], [1, 1], [1, 2]]);
+    });
+
+    it('should bring in Feb 29 with Feb 28 outside leap years', () => {
+      expect(monthDaysInWindow(new Date('2027-02-28T00:00:00Z'), 1)).toEqual([[2, 28], [2, 29], [3, 1]]);
+      expect(monthDaysInWindow(new Date('2028-02-28T00:00:00Z'), 1)).toEqual([[2, 28], [2, 29]]);
+    });
+
+    it('should list each day once for a window of more than a year', () => {
+      expect(monthDaysInWindow(new Date('2027-01-01T00:00:00Z'), 366)).toHaveLength(366);
+    });
+  });
+
+  describe('resolveDates', () => {
+    it('should leave dates unchanged when the data has none', () => {
+      expect(resolveDates({ firstName: 'John' })).toEqual({});
+    });
+
+    it('should clear dates set to null and keep the given dates otherwise', () => {
+      expect(resolveDates({ dates: null })).toEqual({ dates: [] });
+      expect(resolveDates({ dates: [{ type: 'birthday', date: '--02-29' }] })).toEqual({
+        dates: [{ type: 'birthday', date: '--02-29' }],
+      });
+    });
+  });
+});
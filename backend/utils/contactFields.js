@@ -0,0 +1,527 @@
+/**
+ * Rules for the fields of a contact
+ * Shared by the request validators and the services that check contacts built
+ * from imports, bulk operations and merges.
+ */
+
+const { MAX_CONTACT_METHODS, CONTACT_METHOD_KINDS } = require('./contactMethods');
+const {
+  ADDRESS_TYPES,
+  MAX_ADDRESSES,
+  ADDRESS_FIELD_LENGTHS,
+  isValidCountryCode,
+  isValidPostalCode,
+} = require('./postalAddress');
+const { DATE_TYPES, SINGLE_DATE_TYPES, MAX_DATES, parseContactDate } = require('./contactDates');
+
+/**
+ * Validates email format using a simple regex pattern
+ * @param {string} email - Email address to validate
+ * @returns {boolean} - True if valid email format
+ */
+function isValidEmail(email) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+}
+
+/**
+ * Validates phone format - accepts various formats with digits, spaces, dashes, parentheses, and plus sign
+ * @param {string} phone - Phone number to validate
+ * @returns {boolean} - True if valid phone format
+ */
+function isValidPhone(phone) {
+  const phoneRegex = /^[\d\s\-\+\(\)]+$/;
+  return phoneRegex.test(phone) && phone.replace(/\D/g, '').length >= 10;
+}
+
+/**
+ * Contact fields accepted in request bodies
+ */
+const CONTACT_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'company', 'organizationId', 'notes', 'emails', 'phones',
+  'addresses', 'dates', 'customFields',
+];
+
+/**
+ * Contact fields a CSV column can be mapped to (the email, phone, address and
+ * date lists, the custom fields and the organization ID cannot; a company
+ * column links each row to an organization by name)
+ */
+const CSV_CONTACT_FIELDS = CONTACT_FIELDS.filter((field) =>
+  !CONTACT_METHOD_KINDS[field] && !['addresses', 'dates', 'customFields', 'organizationId'].includes(field));
+
+/**
+ * Collects validation errors for an emails or phones list
+ * @param {*} entries - Value of the list field
+ * @param {string} listKey - emails or phones
+ * @returns {Array} Array of validation error objects
+ */
+function collectContactMethodErrors(entries, listKey) {
+  const errors = [];
+  const { scalar, types } = CONTACT_METHOD_KINDS[listKey];
+  const label = scalar === 'email' ? 'Email' : 'Phone';
+  const isValid = scalar === 'email' ? isValidEmail : isValidPhone;
+  const maxLength = scalar === 'email' ? 100 : 20;
+
+  // null clears the list
+  if (entries === undefined || entries === null) {
+    return errors;
+  }
+
+  if (!Array.isArray(entries)) {
+    errors.push({
+      field: listKey,
+      message: `${label} list must be an array`
+    });
+    return errors;
+  }
+
+  if (entries.length > MAX_CONTACT_METHODS) {
+    errors.push({
+      field: listKey,
+      message: `${label} list must not have more than ${MAX_CONTACT_METHODS} entries`
+    });
+    return errors;
+  }
+
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    const prefix = `${listKey}[${index}]`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push({
+        field: prefix,
+        message: `${label} entry must be an object`
+      });
+      return;
+    }
+
+    const value = entry[scalar];
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      errors.push({
+        field: `${prefix}.${scalar}`,
+        message: `${label} is required`
+      });
+    } else if (!isValid(value.trim())) {
+      errors.push({
+        field: `${prefix}.${scalar}`,
+        message: `Invalid ${scalar} format`
+      });
+    } else if (value.trim().length > maxLength) {
+      errors.push({
+        field: `${prefix}.${scalar}`,
+        message: `${label} must not exceed ${maxLength} characters`
+      });
+    } else if (seen.has(value.trim().toLowerCase())) {
+      errors.push({
+        field: `${prefix}.${scalar}`,
+        message: `${label} is listed more than once`
+      });
+    } else {
+      seen.add(value.trim().toLowerCase());
+    }
+
+    if (entry.type !== undefined && !types.includes(entry.type)) {
+      errors.push({
+        field: `${prefix}.type`,
+        message: `Type must be one of: ${types.join(', ')}`
+      });
+    }
+
+    if (entry.primary !== undefined && typeof entry.primary !== 'boolean') {
+      errors.push({
+        field: `${prefix}.primary`,
+        message: 'Primary must be a boolean'
+      });
+    }
+  });
+
+  if (entries.filter((entry) => entry && entry.primary === true).length > 1) {
+    errors.push({
+      field: listKey,
+      message: `Only one ${scalar} can be primary`
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Labels of the address text fields in error messages
+ */
+const ADDRESS_FIELD_LABELS = {
+  street: 'Street',
+  locality: 'Locality',
+  region: 'Region',
+  postalCode: 'Postal code',
+};
+
+/**
+ * Collects validation errors for the postal fields of one address
+ * @param {Object} address - Address object
+ * @param {string} prefix - Field name of the address in error objects
+ * @returns {Array} Array of validation error objects
+ */
+function collectPostalAddressErrors(address, prefix) {
+  const errors = [];
+
+  Object.entries(ADDRESS_FIELD_LENGTHS).forEach(([field, maxLength]) => {
+    const value = address[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (typeof value !== 'string') {
+      errors.push({
+        field: `${prefix}.${field}`,
+        message: `${ADDRESS_FIELD_LABELS[field]} must be a string`
+      });
+    } else if (value.trim().length > maxLength) {
+      errors.push({
+        field: `${prefix}.${field}`,
+        message: `${ADDRESS_FIELD_LABELS[field]} must not exceed ${maxLength} characters`
+      });
+    }
+  });
+
+  const hasText = (field) => typeof address[field] === 'string' && address[field].trim().length > 0;
+  if (!hasText('street') && !hasText('locality') && !hasText('postalCode')) {
+    errors.push({
+      field: prefix,
+      message: 'Address must include a street, locality or postal code'
+    });
+  }
+
+  const { country } = address;
+  if (typeof country !== 'string' || country.trim().length === 0) {
+    errors.push({
+      field: `${prefix}.country`,
+      message: 'Country is required'
+    });
+  } else if (!isValidCountryCode(country)) {
+    errors.push({
+      field: `${prefix}.country`,
+      message: 'Country must be an ISO 3166-1 alpha-2 code'
+    });
+  } else if (hasText('postalCode') && address.postalCode.trim().length <= ADDRESS_FIELD_LENGTHS.postalCode &&
+      !isValidPostalCode(address.postalCode, country)) {
+    errors.push({
+      field: `${prefix}.postalCode`,
+      message: `Invalid postal code for ${country.trim().toUpperCase()}`
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Collects validation errors for an addresses list
+ * @param {*} addresses - Value of the addresses field
+ * @returns {Array} Array of validation error objects
+ */
+function collectAddressErrors(addresses) {
+  const errors = [];
+
+  // null clears the list
+  if (addresses === undefined || addresses === null) {
+    return errors;
+  }
+
+  if (!Array.isArray(addresses)) {
+    errors.push({
+      field: 'addresses',
+      message: 'Addresses must be an array'
+    });
+    return errors;
+  }
+
+  if (addresses.length > MAX_ADDRESSES) {
+    errors.push({
+      field: 'addresses',
+      message: `Addresses must not have more than ${MAX_ADDRESSES} entries`
+    });
+    return errors;
+  }
+
+  addresses.forEach((address, index) => {
+    const prefix = `addresses[${index}]`;
+
+    if (!address || typeof address !== 'object' || Array.isArray(address)) {
+      errors.push({
+        field: prefix,
+        message: 'Address must be an object'
+      });
+      return;
+    }
+
+    errors.push(...collectPostalAddressErrors(address, prefix));
+
+    if (address.type !== undefined && !ADDRESS_TYPES.includes(address.type)) {
+      errors.push({
+        field: `${prefix}.type`,
+        message: `Type must be one of: ${ADDRESS_TYPES.join(', ')}`
+      });
+    }
+
+    if (address.primary !== undefined && typeof address.primary !== 'boolean') {
+      errors.push({
+        field: `${prefix}.primary`,
+        message: 'Primary must be a boolean'
+      });
+    }
+  });
+
+  if (addresses.filter((address) => address && address.primary === true).length > 1) {
+    errors.push({
+      field: 'addresses',
+      message: 'Only one address can be primary'
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Collects validation errors for a dates list
+ * @param {*} dates - Value of the dates field
+ * @returns {Array} Array of validation error objects
+ */
+function collectDateErrors(dates) {
+  const errors = [];
+
+  // null clears the list
+  if (dates === undefined || dates === null) {
+    return errors;
+  }
+
+  if (!Array.isArray(dates)) {
+    errors.push({
+      field: 'dates',
+      message: 'Dates must be an array'
+    });
+    return errors;
+  }
+
+  if (dates.length > MAX_DATES) {
+    errors.push({
+      field: 'dates',
+      message: `Dates must not have more than ${MAX_DATES} entries`
+    });
+    return errors;
+  }
+
+  dates.forEach((entry, index) => {
+    const prefix = `dates[${index}]`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push({
+        field: prefix,
+        message: 'Date entry must be an object'
+      });
+      return;
+    }
+
+    if (!DATE_TYPES.includes(entry.type)) {
+      errors.push({
+        field: `${prefix}.type`,
+        message: `Type must be one of: ${DATE_TYPES.join(', ')}`
+      });
+    }
+
+    if (typeof entry.date !== 'string' || !/^(\d{4}|-)-\d{2}-\d{2}$/.test(entry.date)) {
+      errors.push({
+        field: `${prefix}.date`,
+        message: 'Date must be YYYY-MM-DD, or --MM-DD without a year'
+      });
+    } else if (!parseContactDate(entry.date)) {
+      errors.push({
+        field: `${prefix}.date`,
+        message: 'Date is not a valid calendar date'
+      });
+    }
+  });
+
+  SINGLE_DATE_TYPES.forEach((type) => {
+    if (dates.filter((entry) => entry && entry.type === type).length > 1) {
+      errors.push({
+        field: 'dates',
+        message: `Only one ${type} is allowed`
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Collects validation errors for the given contact fields
+ * Fields not listed are not checked, which lets partial updates validate
+ * only what they change. Custom fields need their definitions and are
+ * checked separately with collectCustomFieldErrors.
+ * @param {Object} data - Contact data
+ * @param {Array<string>} fields - Fields to validate
+ * @returns {Array} Array of validation error objects
+ */
+function collectContactErrors(data, fields) {
+  const errors = [];
+  const {
+    firstName, lastName, email, phone, company, organizationId, notes, emails, phones, addresses, dates,
+  } = data;
+
+  // Validate firstName (required, 1-50 chars)
+  if (fields.includes('firstName')) {
+    if (!firstName) {
+      errors.push({
+        field: 'firstName',
+        message: 'First name is required'
+      });
+    } else if (typeof firstName !== 'string') {
+      errors.push({
+        field: 'firstName',
+        message: 'First name must be a string'
+      });
+    } else if (firstName.trim().length === 0) {
+      errors.push({
+        field: 'firstName',
+        message: 'First name cannot be empty'
+      });
+    } else if (firstName.length > 50) {
+      errors.push({
+        field: 'firstName',
+        message: 'First name must not exceed 50 characters'
+      });
+    }
+  }
+
+  // Validate lastName (required, 1-50 chars)
+  if (fields.includes('lastName')) {
+    if (!lastName) {
+      errors.push({
+        field: 'lastName',
+        message: 'Last name is required'
+      });
+    } else if (typeof lastName !== 'string') {
+      errors.push({
+        field: 'lastName',
+        message: 'Last name must be a string'
+      });
+    } else if (lastName.trim().length === 0) {
+      errors.push({
+        field: 'lastName',
+        message: 'Last name cannot be empty'
+      });
+    } else if (lastName.length > 50) {
+      errors.push({
+        field: 'lastName',
+        message: 'Last name must not exceed 50 characters'
+      });
+    }
+  }
+
+  // Validate email (optional, must be valid format if provided)
+  if (fields.includes('email')) {
+    if (email !== undefined && email !== null && email !== '') {
+      if (typeof email !== 'string') {
+        errors.push({
+          field: 'email',
+          message: 'Email must be a string'
+        });
+      } else if (!isValidEmail(email)) {
+        errors.push({
+          field: 'email',
+          message: 'Invalid email format'
+        });
+      }
+    }
+  }
+
+  // Validate phone (optional, must be valid format if provided)
+  if (fields.includes('phone')) {
+    if (phone !== undefined && phone !== null && phone !== '') {
+      if (typeof phone !== 'string') {
+        errors.push({
+          field: 'phone',
+          message: 'Phone must be a string'
+        });
+      } else if (!isValidPhone(phone)) {
+        errors.push({
+          field: 'phone',
+          message: 'Invalid phone format'
+        });
+      }
+    }
+  }
+
+  // Validate company (optional, max 100 chars)
+  if (fields.includes('company')) {
+    if (company !== undefined && company !== null && company !== '') {
+      if (typeof company !== 'string') {
+        errors.push({
+          field: 'company',
+          message: 'Company must be a string'
+        });
+      } else if (company.length > 100) {
+        errors.push({
+          field: 'company',
+          message: 'Company must not exceed 100 characters'
+        });
+      }
+    }
+  }
+
+  // Validate organizationId (optional positive integer; null unlinks the organization)
+  if (fields.includes('organizationId')) {
+    if (organizationId !== undefined && organizationId !== null &&
+        (!Number.isInteger(organizationId) || organizationId <= 0)) {
+      errors.push({
+        field: 'organizationId',
+        message: 'Organization ID must be a positive integer'
+      });
+    }
+  }
+
+  // Validate notes (optional, max 500 chars)
+  if (fields.includes('notes')) {
+    if (notes !== undefined && notes !== null && notes !== '') {
+      if (typeof notes !== 'string') {
+        errors.push({
+          field: 'notes',
+          message: 'Notes must be a string'
+        });
+      } else if (notes.length > 500) {
+        errors.push({
+          field: 'notes',
+          message: 'Notes must not exceed 500 characters'
+        });
+      }
+    }
+  }
+
+  // Validate emails and phones (optional lists of typed entries)
+  if (fields.includes('emails')) {
+    errors.push(...collectContactMethodErrors(emails, 'emails'));
+  }
+  if (fields.includes('phones')) {
+    errors.push(...collectContactMethodErrors(phones, 'phones'));
+  }
+
+  // Validate addresses (optional list of postal addresses)
+  if (fields.includes('addresses')) {
+    errors.push(...collectAddressErrors(addresses));
+  }
+
+  // Validate dates (optional list of birthdays, anniversaries and other dates)
+  if (fields.includes('dates')) {
+    errors.push(...collectDateErrors(dates));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  CSV_CONTACT_FIELDS,
+  isValidEmail,
+  isValidPhone,
+  collectPostalAddressErrors,
+  collectContactErrors,
+};
@@ -0,0 +1,35 @@
+const { isValidEmail, isValidPhone } = require('./contactFields');
+
+describe('Contact Field Rules', () => {
+  describe('isValidEmail', () => {
+    it('should return true for valid email addresses', () => {
+      expect(isValidEmail('test@example.com')).toBe(true);
+      expect(isValidEmail('user.name@domain.co.uk')).toBe(true);
+      expect(isValidEmail('user+tag@example.com')).toBe(true);
+    });
+
+    it('should return false for invalid email addresses', () => {
+      expect(isValidEmail('invalid')).toBe(false);
+      expect(isValidEmail('invalid@')).toBe(false);
+      expect(isValidEmail('@example.com')).toBe(false);
+      expect(isValidEmail('invalid@domain')).toBe(false);
+      expect(isValidEmail('invalid @domain.com')).toBe(false);
+    });
+  });
+
+  describe('isValidPhone', () => {
+    it('should return true for valid phone numbers', () => {
+      expect(isValidPhone('+1-555-123-4567')).toBe(true);
+      expect(isValidPhone('(555) 123-4567')).toBe(true);
+      expect(isValidPhone('555-123-4567')).toBe(true);
+      expect(isValidPhone('5551234567')).toBe(true);
+      expect(isValidPhone('+44 20 1234 5678')).toBe(true);
+    });
+
+    it('should return false for invalid phone numbers', () => {
+      expect(isValidPhone('123')).toBe(false); // Too short
+      expect(isValidPhone('abc-def-ghij')).toBe(false); // No digits
+      expect(isValidPhone('555-123')).toBe(false); // Less than 10 digits
+    });
+  });
+});
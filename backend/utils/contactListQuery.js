@@ -0,0 +1,143 @@
+/**
+ * Parsing of the filter and sort query parameters accepted by GET /api/contacts
+ * Produces validation errors in the same { field, message } shape as the
+ * validation middleware; SQL is built from the parsed result by the repository.
+ */
+
+// Query parameters handled by validatePagination
+const PAGINATION_PARAMS = ['limit', 'cursor'];
+
+// Filter parameter name -> value type
+const FILTER_PARAMS = {
+  company: 'string',
+  tag: 'string',
+  hasEmail: 'boolean',
+  hasPhone: 'boolean',
+  createdAfter: 'date',
+  createdBefore: 'date',
+  updatedAfter: 'date',
+  updatedBefore: 'date',
+};
+
+const SORT_FIELDS = ['firstName', 'lastName', 'company', 'email', 'createdAt', 'updatedAt', 'lastContactedAt', 'starred'];
+
+const DEFAULT_SORT = [
+  { field: 'lastName', direction: 'asc' },
+  { field: 'firstName', direction: 'asc' },
+];
+
+// ISO 8601 date or date-time, e.g. 2025-01-31 or 2025-01-31T12:00:00Z
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Parse a sort parameter such as "-updatedAt,lastName"
+ * A leading "-" sorts that field in descending order.
+ * @param {*} value - Raw sort query value
+ * @param {Array} errors - Error list to append to
+ * @returns {Array<Object>} Sort keys ({ field, direction })
+ */
+function parseSort(value, errors) {
+  if (value === undefined || value === '') {
+    return DEFAULT_SORT;
+  }
+
+  if (typeof value !== 'string') {
+    errors.push({ field: 'sort', message: 'Sort must be a comma-separated list of fields' });
+    return DEFAULT_SORT;
+  }
+
+  const sort = [];
+  const seen = new Set();
+
+  for (const token of value.split(',')) {
+    const trimmed = token.trim();
+    const direction = trimmed.startsWith('-') ? 'desc' : 'asc';
+    const field = trimmed.replace(/^[-+]/, '');
+
+    if (!SORT_FIELDS.includes(field)) {
+      errors.push({ field: 'sort', message: `Unknown sort field: ${field || '(empty)'}` });
+    } else if (seen.has(field)) {
+      errors.push({ field: 'sort', message: `Duplicate sort field: ${field}` });
+    } else {
+      seen.add(field);
+      sort.push({ field, direction });
+    }
+  }
+
+  return sort;
+}
+
+/**
+ * Parse a single filter value according to its declared type
+ * @param {string} name - Filter parameter name
+ * @param {*} value - Raw query value
+ * @param {Array} errors - Error list to append to
+ * @returns {*} Parsed value, or undefined if invalid
+ */
+function parseFilterValue(name, value, errors) {
+  if (typeof value !== 'string') {
+    errors.push({ field: name, message: `${name} must be given once` });
+    return undefined;
+  }
+
+  switch (FILTER_PARAMS[name]) {
+    case 'boolean':
+      if (value !== 'true' && value !== 'false') {
+        errors.push({ field: name, message: `${name} must be true or false` });
+        return undefined;
+      }
+      return value === 'true';
+
+    case 'date':
+      if (!ISO_DATE_REGEX.test(value) || isNaN(Date.parse(value))) {
+        errors.push({ field: name, message: `${name} must be an ISO 8601 date` });
+        return undefined;
+      }
+      return value;
+
+    default:
+      if (value.trim().length === 0 || value.length > 100) {
+        errors.push({ field: name, message: `${name} must be 1-100 characters` });
+        return undefined;
+      }
+      return value.trim();
+  }
+}
+
+/**
+ * Parse the filter and sort parameters of a contact list request
+ * Unknown parameters are reported as errors rather than silently ignored.
+ * @param {Object} query - Express req.query
+ * @returns {Object} { filters, sort, errors }
+ */
+function parseListQuery(query) {
+  const errors = [];
+  const filters = {};
+
+  for (const [name, value] of Object.entries(query)) {
+    if (name === 'sort' || PAGINATION_PARAMS.includes(name)) {
+      continue;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(FILTER_PARAMS, name)) {
+      errors.push({ field: name, message: `Unknown filter field: ${name}` });
+      continue;
+    }
+
+    const parsed = parseFilterValue(name, value, errors);
+    if (parsed !== undefined) {
+      filters[name] = parsed;
+    }
+  }
+
+  const sort = parseSort(query.sort, errors);
+
+  return { filters, sort, errors };
+}
+
+module.exports = {
+  FILTER_PARAMS,
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  parseListQuery,
+};
@@ -0,0 +1,112 @@
+const { DEFAULT_SORT, parseListQuery } = require('./contactListQuery');
+
+describe('Contact List Query Parsing', () => {
+  describe('parseListQuery', () => {
+    it('should return default sort and no filters for an empty query', () => {
+      const result = parseListQuery({});
+
+      expect(result).toEqual({ filters: {}, sort: DEFAULT_SORT, errors: [] });
+    });
+
+    it('should ignore pagination parameters', () => {
+      const result = parseListQuery({ limit: '10', cursor: 'abc' });
+
+      expect(result.errors).toEqual([]);
+      expect(result.filters).toEqual({});
+    });
+
+    it('should parse string, boolean and date filters', () => {
+      const result = parseListQuery({
+        company: '  Acme Corp ',
+        hasEmail: 'true',
+        hasPhone: 'false',
+        createdAfter: '2025-01-01',
+        createdBefore: '2025-02-01T00:00:00Z',
+        updatedAfter: '2025-01-15T08:30',
+        updatedBefore: '2025-03-01T12:00:00.5+02:00',
+      });
+
+      expect(result.errors).toEqual([]);
+      expect(result.filters).toEqual({
+        company: 'Acme Corp',
+        hasEmail: true,
+        hasPhone: false,
+        createdAfter: '2025-01-01',
+        createdBefore: '2025-02-01T00:00:00Z',
+        updatedAfter: '2025-01-15T08:30',
+        updatedBefore: '2025-03-01T12:00:00.5+02:00',
+      });
+    });
+
+    it('should reject unknown filter fields', () => {
+      const result = parseListQuery({ colour: 'blue' });
+
+      expect(result.errors).toEqual([
+        { field: 'colour', message: 'Unknown filter field: colour' },
+      ]);
+    });
+
+    it('should not treat inherited object properties as filters', () => {
+      const result = parseListQuery({ toString: 'x' });
+
+      expect(result.errors).toEqual([
+        { field: 'toString', message: 'Unknown filter field: toString' },
+      ]);
+    });
+
+    it('should reject malformed boolean and date values', () => {
+      const result = parseListQuery({ hasEmail: 'yes', createdAfter: '01/02/2025' });
+
+      expect(result.errors).toEqual([
+        { field: 'hasEmail', message: 'hasEmail must be true or false' },
+        { field: 'createdAfter', message: 'createdAfter must be an ISO 8601 date' },
+      ]);
+      expect(result.filters).toEqual({});
+    });
+
+    it('should reject impossible dates', () => {
+      const result = parseListQuery({ updatedBefore: '2025-13-45' });
+
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].field).toBe('updatedBefore');
+    });
+
+    it('should reject empty and repeated filter values', () => {
+      const result = parseListQuery({ company: '   ', hasEmail: ['true', 'false'] });
+
+      expect(result.errors).toEqual([
+        { field: 'company', message: 'company must be 1-100 characters' },
+        { field: 'hasEmail', message: 'hasEmail must be given once' },
+      ]);
+    });
+
+    it('should parse a multi-key sort with directions', () => {
+      const result = parseListQuery({ sort: '-updatedAt,lastName, +firstName' });
+
+      expect(result.errors).toEqual([]);
+      expect(result.sort).toEqual([
+        { field: 'updatedAt', direction: 'desc' },
+        { field: 'lastName', direction: 'asc' },
+        { field: 'firstName', direction: 'asc' },
+      ]);
+    });
+
+    it('should reject unknown and duplicate sort fields', () => {
+      const result = parseListQuery({ sort: 'lastName,-notes,-lastName,' });
+
+      expect(result.errors).toEqual([
+        { field: 'sort', message: 'Unknown sort field: notes' },
+        { field: 'sort', message: 'Duplicate sort field: lastName' },
+        { field: 'sort', message: 'Unknown sort field: (empty)' },
+      ]);
+    });
+
+    it('should reject a repeated sort parameter', () => {
+      const result = parseListQuery({ sort: ['lastName', 'firstName'] });
+
+      expect(result.errors).toEqual([
+        { field: 'sort', message: 'Sort must be a comma-separated list of fields' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Combining duplicate contacts into one
+ * The survivor keeps its ID; each field takes its value from the contact the
+ * client chose for it, by default the survivor. Emails, phones, addresses and
+ * dates are combined from all contacts without repeats, and the chosen
+ * contact supplies the primary entry (or the birthday and anniversary).
+ */
+
+const { SINGLE_DATE_TYPES } = require('./contactDates');
+
+// Fields a merge can take from any of the merged contacts
+const MERGE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'organizationId', 'notes', 'addresses', 'dates'];
+
+// Choice keys for custom field values are "customFields.<key>"
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+/**
+ * Check whether a key names a field a merge can choose a value for
+ * @param {string} field - Choice key
+ * @returns {boolean} True for merge fields and "customFields.<key>"
+ */
+function isMergeField(field) {
+  return MERGE_FIELDS.includes(field) ||
+    (field.startsWith(CUSTOM_FIELD_PREFIX) && field.length > CUSTOM_FIELD_PREFIX.length);
+}
+
+/**
+ * Work out which contact every field is taken from
+ * A custom field nobody chose comes from the survivor, or from the first
+ * loser holding a value when the survivor has none.
+ * @param {Object} survivor - Surviving contact
+ * @param {Array<Object>} losers - Contacts merged into the survivor, in request order
+ * @param {Object} [choices] - Field -> ID of the contact whose value to keep
+ * @returns {Object} Field -> contact ID for every merge field and custom field key
+ */
+function resolveFieldChoices(survivor, losers, choices = {}) {
+  const contacts = [survivor, ...losers];
+  const fields = {};
+
+  MERGE_FIELDS.forEach((field) => {
+    fields[field] = survivor.id;
+  });
+
+  contacts.forEach((contact) => {
+    Object.keys(contact.customFields || {}).forEach((key) => {
+      const field = `${CUSTOM_FIELD_PREFIX}${key}`;
+      if (fields[field] === undefined && hasValue(contact.customFields[key])) {
+        fields[field] = contact.id;
+      }
+    });
+  });
+
+  return { ...fields, ...choices };
+}
+
+/**
+ * Check whether a stored custom field value is set
+ * @param {*} value - Custom field value
+ * @returns {boolean} True unless null, undefined or empty
+ */
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Combine the list entries of several contacts, dropping repeats
+ * @param {Array<Object>} contacts - Contacts in priority order
+ * @param {string} listKey - List property (emails, phones, addresses)
+ * @param {Function} keyOf - Returns the comparison key of an entry
+ * @param {Object} chosen - Contact whose primary entry stays primary
+ * @returns {Array<Object>} Combined entries with a single primary entry
+ */
+function combineEntries(contacts, listKey, keyOf, chosen) {
+  const chosenPrimary = (chosen[listKey] || []).find((entry) => entry.primary);
+  const seen = new Set();
+  const entries = [];
+
+  contacts.forEach((contact) => {
+    (contact[listKey] || []).forEach((entry) => {
+      const key = keyOf(entry);
+      if (!seen.has(key)) {
+        seen.add(key);
+        entries.push({ ...entry, primary: false });
+      }
+    });
+  });
+
+  const primaryIndex = chosenPrimary
+    ? Math.max(entries.findIndex((entry) => keyOf(entry) === keyOf(chosenPrimary)), 0)
+    : 0;
+  return entries.map((entry, index) => ({ ...entry, primary: index === primaryIndex }));
+}
+
+/**
+ * Combine the dates of several contacts
+ * Birthdays and anniversaries come from the chosen contact when it has one,
+ * otherwise from the first contact that does.
+ * @param {Array<Object>} contacts - Contacts in priority order
+ * @param {Object} chosen - Contact the dates were chosen from
+ * @returns {Array<Object>} Combined { type, date } entries
+ */
+function combineDates(contacts, chosen) {
+  const seen = new Set();
+  const dates = [];
+
+  [chosen, ...contacts].forEach((contact) => {
+    (contact.dates || []).forEach(({ type, date }) => {
+      const key = SINGLE_DATE_TYPES.includes(type) ? type : `${type} ${date}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        dates.push({ type, date });
+      }
+    });
+  });
+
+  return dates;
+}
+
+/**
+ * Build the survivor's contact data after a merge
+ * @param {Object} survivor - Surviving contact
+ * @param {Array<Object>} losers - Contacts merged into the survivor, in request order
+ * @param {Object} [choices] - Field -> ID of the contact whose value to keep
+ * @returns {Object} { data, fields }: full contact data for the survivor and the
+ *   contact every field was taken from
+ */
+function mergeContacts(survivor, losers, choices) {
+  const contacts = [survivor, ...losers];
+  const fields = resolveFieldChoices(survivor, losers, choices);
+  const byId = new Map(contacts.map((contact) => [contact.id, contact]));
+  const from = (field) => byId.get(fields[field]);
+
+  const customFields = {};
+  Object.keys(fields)
+    .filter((field) => field.startsWith(CUSTOM_FIELD_PREFIX))
+    .forEach((field) => {
+      const key = field.slice(CUSTOM_FIELD_PREFIX.length);
+      const value = (from(field).customFields || {})[key];
+      if (hasValue(value)) {
+        customFields[key] = value;
+      }
+    });
+
+  return {
+    data: {
+      firstName: from('firstName').firstName,
+      lastName: from('lastName').lastName,
+      organizationId: from('organizationId').organizationId || null,
+      notes: from('notes').notes || null,
+      emails: combineEntries(contacts, 'emails', (entry) => entry.email.trim().toLowerCase(), from('email')),
+      phones: combineEntries(contacts, 'phones', (entry) => entry.phone.replace(/\D/g, ''), from('phone')),
+      addresses: combineEntries(
+        contacts,
+        'addresses',
+        (entry) => JSON.stringify([entry.street, entry.locality, entry.region, entry.postalCode, entry.country]
+          .map((part) => (part || '').trim().toLowerCase())),
+        from('addresses')
+      ),
+      dates: combineDates(contacts, from('dates')),
+      customFields,
+    },
+    fields,
+  };
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  isMergeField,
+  mergeContacts,
+};
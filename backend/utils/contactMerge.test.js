@@ -0,0 +1,110 @@
+const { isMergeField, mergeContacts } = require('./contactMerge');
+
+describe('Contact Merge Helpers', () => {
+  const survivor = {
+    id: 1,
+    firstName: 'Jon',
+    lastName: 'Doe',
+    organizationId: 3,
+    notes: null,
+    emails: [{ email: 'jon@example.com', type: 'home', primary: true }],
+    phones: [],
+    addresses: [
+      { type: 'home', street: '1 Main St', locality: 'Springfield', region: 'IL', postalCode: '62701', country: 'US', primary: true },
+    ],
+    dates: [{ type: 'birthday', date: '--04-01' }],
+    customFields: { tier: 'gold', renewalDate: null },
+  };
+  const loser = {
+    id: 7,
+    firstName: 'John',
+    lastName: 'Doe',
+    organizationId: null,
+    notes: 'Met at a fair',
+    emails: [
+      { email: 'JON@example.com', type: 'other', primary: false },
+      { email: 'john.doe@work.example', type: 'work', primary: true },
+    ],
+    phones: [{ phone: '+1 555 012 3456', type: 'mobile', primary: true }],
+    addresses: [
+      { type: 'work', street: '1 main st', locality: 'springfield', region: 'IL', postalCode: '62701', country: 'US', primary: true },
+    ],
+    dates: [{ type: 'birthday', date: '1980-04-01' }, { type: 'other', date: '2020-06-01' }],
+    customFields: { tier: 'silver', renewalDate: '2027-01-31' },
+  };
+
+  describe('isMergeField', () => {
+    it('should accept merge fields and custom field keys', () => {
+      expect(isMergeField('firstName')).toBe(true);
+      expect(isMergeField('addresses')).toBe(true);
+      expect(isMergeField('customFields.tier')).toBe(true);
+    });
+
+    it('should reject other fields', () => {
+      expect(isMergeField('id')).toBe(false);
+      expect(isMergeField('tags')).toBe(false);
+      expect(isMergeField('customFields.')).toBe(false);
+    });
+  });
+
+  describe('mergeContacts', () => {
+    it('should keep the survivor values and combine lists by default', () => {
+      const { data, fields } = mergeContacts(survivor, [loser]);
+
+      expect(data).toEqual({
+        firstName: 'Jon',
+        lastName: 'Doe',
+        organizationId: 3,
+        notes: null,
+        emails: [
+          { email: 'jon@example.com', type: 'home', primary: true },
+          { email: 'john.doe@work.example', type: 'work', primary: false },
+        ],
+        phones: [{ phone: '+1 555 012 3456', type: 'mobile', primary: true }],
+        addresses: [survivor.addresses[0]],
+        dates: [{ type: 'birthday', date: '--04-01' }, { type: 'other', date: '2020-06-01' }],
+        customFields: { tier: 'gold', renewalDate: '2027-01-31' },
+      });
+      expect(fields).toEqual({
+        firstName: 1,
+        lastName: 1,
+        email: 1,
+        phone: 1,
+        organizationId: 1,
+        notes: 1,
+        addresses: 1,
+        dates: 1,
+        'customFields.tier': 1,
+        'customFields.renewalDate': 7,
+      });
+    });
+
+    it('should take each chosen field from the chosen contact', () => {
+      const { data, fields } = mergeContacts(survivor, [loser], {
+        firstName: 7,
+        email: 7,
+        notes: 7,
+        organizationId: 7,
+        dates: 7,
+        'customFields.tier': 7,
+      });
+
+      expect(data.firstName).toBe('John');
+      expect(data.notes).toBe('Met at a fair');
+      expect(data.organizationId).toBeNull();
+      expect(data.emails.filter((entry) => entry.primary)).toEqual([
+        { email: 'john.doe@work.example', type: 'work', primary: true },
+      ]);
+      expect(data.dates).toEqual([{ type: 'birthday', date: '1980-04-01' }, { type: 'other', date: '2020-06-01' }]);
+      expect(data.customFields.tier).toBe('silver');
+      expect(fields.firstName).toBe(7);
+      expect(fields.lastName).toBe(1);
+    });
+
+    it('should make the first entry primary when the chosen contact has none', () => {
+      const { data } = mergeContacts(survivor, [loser], { phone: 1 });
+
+      expect(data.phones).toEqual([{ phone: '+1 555 012 3456', type: 'mobile', primary: true }]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Helpers for a contact's email addresses and phone numbers
+ * A contact has lists of typed entries with exactly one primary entry per
+ * non-empty list. The scalar email and phone fields mirror the primary entry,
+ * so clients that only know those fields keep working.
+ */
+
+const EMAIL_TYPES = ['home', 'work', 'other'];
+const PHONE_TYPES = ['mobile', 'home', 'work', 'fax', 'other'];
+
+// Maximum number of entries in each list
+const MAX_CONTACT_METHODS = 10;
+
+// Payload list field -> scalar field mirroring its primary entry and allowed types
+const CONTACT_METHOD_KINDS = {
+  emails: { scalar: 'email', types: EMAIL_TYPES },
+  phones: { scalar: 'phone', types: PHONE_TYPES },
+};
+
+/**
+ * Normalize a list of entries
+ * Values are trimmed, the type defaults to "other", and the first entry marked
+ * primary (or the first entry if none is) becomes the only primary one.
+ * @param {Array<Object>} entries - Entries as sent by the client
+ * @param {string} valueKey - Property holding the value (email or phone)
+ * @returns {Array<Object>} Normalized entries ({ [valueKey], type, primary })
+ */
+function normalizeEntries(entries, valueKey) {
+  const primaryIndex = Math.max(entries.findIndex((entry) => entry.primary === true), 0);
+  return entries.map((entry, index) => ({
+    [valueKey]: entry[valueKey].trim(),
+    type: entry.type || 'other',
+    primary: index === primaryIndex,
+  }));
+}
+
+/**
+ * Replace the value of the primary entry, keeping the other entries
+ * An empty value removes the primary entry and promotes the next one.
+ * @param {Array<Object>} entries - Current entries
+ * @param {string|null} value - New primary value
+ * @param {string} valueKey - Property holding the value (email or phone)
+ * @returns {Array<Object>} Normalized entries
+ */
+function replacePrimary(entries, value, valueKey) {
+  const hasPrimary = entries.some((entry) => entry.primary);
+
+  if (!value) {
+    return normalizeEntries(entries.filter((entry) => !entry.primary), valueKey);
+  }
+  if (!hasPrimary) {
+    return normalizeEntries([{ [valueKey]: value, primary: true }, ...entries], valueKey);
+  }
+  return normalizeEntries(
+    entries.map((entry) => (entry.primary ? { ...entry, [valueKey]: value } : entry)),
+    valueKey
+  );
+}
+
+/**
+ * Work out the email and phone lists to store for a write
+ * A list in the data replaces the current one (null clears it). Otherwise a
+ * scalar email or phone replaces the value of the current primary entry.
+ * Lists that the data does not touch are left out of the result.
+ * @param {Object} data - Contact data being written
+ * @param {Object} [current] - Contact as stored, with its emails and phones
+ * @returns {Object} { emails, phones }, each undefined when unchanged
+ */
+function resolveContactMethods(data, current = {}) {
+  const result = {};
+
+  Object.entries(CONTACT_METHOD_KINDS).forEach(([listKey, { scalar }]) => {
+    if (data[listKey] !== undefined) {
+      result[listKey] = normalizeEntries(data[listKey] || [], scalar);
+    } else if (data[scalar] !== undefined) {
+      result[listKey] = replacePrimary(current[listKey] || [], data[scalar], scalar);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Get the value of the primary entry
+ * @param {Array<Object>} entries - Normalized entries
+ * @param {string} valueKey - Property holding the value (email or phone)
+ * @returns {string|null} Primary value, or null for an empty list
+ */
+function primaryValue(entries, valueKey) {
+  const primary = entries.find((entry) => entry.primary);
+  return primary ? primary[valueKey] : null;
+}
+
+module.exports = {
+  EMAIL_TYPES,
+  PHONE_TYPES,
+  MAX_CONTACT_METHODS,
+  CONTACT_METHOD_KINDS,
+  resolveContactMethods,
+  primaryValue,
+};
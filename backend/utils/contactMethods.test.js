@@ -0,0 +1,77 @@
+const { resolveContactMethods, primaryValue } = require('./contactMethods');
+
+describe('Contact Method Helpers', () => {
+  const current = {
+    emails: [
+      { email: 'john@example.com', type: 'work', primary: true },
+      { email: 'john@home.example', type: 'home', primary: false },
+    ],
+    phones: [{ phone: '555-0100', type: 'mobile', primary: true }],
+  };
+
+  describe('resolveContactMethods', () => {
+    it('should leave out lists the data does not touch', () => {
+      expect(resolveContactMethods({ firstName: 'John' }, current)).toEqual({});
+    });
+
+    it('should normalize a list that replaces the current one', () => {
+      const result = resolveContactMethods({
+        emails: [
+          { email: ' a@example.com ' },
+          { email: 'b@example.com', type: 'work', primary: true },
+        ],
+      }, current);
+
+      expect(result).toEqual({
+        emails: [
+          { email: 'a@example.com', type: 'other', primary: false },
+          { email: 'b@example.com', type: 'work', primary: true },
+        ],
+      });
+    });
+
+    it('should make the first entry primary when none is marked', () => {
+      const result = resolveContactMethods({ phones: [{ phone: '555-0101' }, { phone: '555-0102' }] });
+
+      expect(result.phones.map((entry) => entry.primary)).toEqual([true, false]);
+    });
+
+    it('should clear a list set to null', () => {
+      expect(resolveContactMethods({ emails: null }, current)).toEqual({ emails: [] });
+    });
+
+    it('should let a list win over the scalar field', () => {
+      const result = resolveContactMethods({ email: 'ignored@example.com', emails: [{ email: 'a@example.com' }] }, current);
+
+      expect(result.emails).toEqual([{ email: 'a@example.com', type: 'other', primary: true }]);
+    });
+
+    it('should replace the primary value from the scalar field and keep the others', () => {
+      const result = resolveContactMethods({ email: 'new@example.com' }, current);
+
+      expect(result.emails).toEqual([
+        { email: 'new@example.com', type: 'work', primary: true },
+        { email: 'john@home.example', type: 'home', primary: false },
+      ]);
+    });
+
+    it('should add a primary entry when the list is empty', () => {
+      expect(resolveContactMethods({ phone: '555-0199' })).toEqual({
+        phones: [{ phone: '555-0199', type: 'other', primary: true }],
+      });
+    });
+
+    it('should promote the next entry when the scalar field is cleared', () => {
+      const result = resolveContactMethods({ email: null }, current);
+
+      expect(result.emails).toEqual([{ email: 'john@home.example', type: 'home', primary: true }]);
+    });
+  });
+
+  describe('primaryValue', () => {
+    it('should return the primary value or null', () => {
+      expect(primaryValue(current.emails, 'email')).toBe('john@example.com');
+      expect(primaryValue([], 'email')).toBeNull();
+    });
+  });
+});
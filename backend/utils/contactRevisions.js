@@ -0,0 +1,140 @@
+/**
+ * Contact revision snapshots and field-level diffs
+ * A revision stores the contact fields a user can edit, so it can be shown
+ * in the history and written back when a contact is reverted. Custom field
+ * values are compared one by one, as "customFields.<key>".
+ */
+
+// Contact fields kept in a revision snapshot, in display order
+const SNAPSHOT_FIELDS = [
+  'firstName',
+  'lastName',
+  'company',
+  'organizationId',
+  'notes',
+  'emails',
+  'phones',
+  'addresses',
+  'dates',
+  'customFields',
+];
+
+// List fields are stored as empty lists rather than null
+const LIST_FIELDS = ['emails', 'phones', 'addresses', 'dates'];
+
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+/**
+ * Take the snapshot stored with a revision from a contact
+ * @param {Object} contact - Contact as returned by the repository
+ * @returns {Object} Snapshot holding every snapshot field
+ */
+function toSnapshot(contact) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    const value = contact[field];
+    if (LIST_FIELDS.includes(field)) {
+      snapshot[field] = value || [];
+    } else if (field === 'customFields') {
+      snapshot[field] = value || {};
+    } else {
+      snapshot[field] = value === undefined || value === '' ? null : value;
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal values compare equal
+ * whatever order their keys were built in
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * List the fields that differ between two snapshots
+ * Without a previous snapshot (a new contact) every field that holds a value
+ * is listed as changed from null.
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Array<Object>} Changes as { field, from, to }, in snapshot field order
+ */
+function diffSnapshots(before, after) {
+  const previous = before || toSnapshot({});
+  const changes = [];
+
+  SNAPSHOT_FIELDS.filter((field) => field !== 'customFields').forEach((field) => {
+    if (canonicalJson(previous[field]) !== canonicalJson(after[field])) {
+      changes.push({ field, from: previous[field], to: after[field] });
+    }
+  });
+
+  const keys = [...new Set([...Object.keys(previous.customFields), ...Object.keys(after.customFields)])].sort();
+  keys.forEach((key) => {
+    const from = previous.customFields[key] === undefined ? null : previous.customFields[key];
+    const to = after.customFields[key] === undefined ? null : after.customFields[key];
+    if (canonicalJson(from) !== canonicalJson(to)) {
+      changes.push({ field: `${CUSTOM_FIELD_PREFIX}${key}`, from, to });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build the revision to record for a change to a contact
+ * A delete passes the deleted contact as both before and after, so it lists no changes.
+ * @param {string} action - create, update, delete, restore, revert or merge
+ * @param {Object|null} before - Contact before the change (null when created)
+ * @param {Object} after - Contact after the change (the deleted contact for a delete)
+ * @param {string|null} [user] - User who made the change
+ * @returns {Object} { contactId, action, snapshot, changes, changedBy }
+ */
+function buildRevision(action, before, after, user = null) {
+  const snapshot = toSnapshot(after);
+  return {
+    contactId: after.id,
+    action,
+    snapshot,
+    changes: diffSnapshots(before && toSnapshot(before), snapshot),
+    changedBy: user,
+  };
+}
+
+/**
+ * Turn a revision snapshot back into data for a full contact update
+ * The organization is relinked by ID; company follows its name.
+ * @param {Object} snapshot - Revision snapshot
+ * @returns {Object} Contact data
+ */
+function snapshotToContactData(snapshot) {
+  return {
+    firstName: snapshot.firstName,
+    lastName: snapshot.lastName,
+    organizationId: snapshot.organizationId,
+    notes: snapshot.notes,
+    emails: snapshot.emails,
+    phones: snapshot.phones,
+    addresses: snapshot.addresses,
+    dates: snapshot.dates,
+    customFields: snapshot.customFields,
+  };
+}
+
+module.exports = {
+  toSnapshot,
+  diffSnapshots,
+  buildRevision,
+  snapshotToContactData,
+};
@@ -0,0 +1,103 @@
+const {
+  toSnapshot,
+  diffSnapshots,
+  buildRevision,
+  snapshotToContactData,
+} = require('./contactRevisions');
+
+describe('Contact Revision Helpers', () => {
+  const contact = {
+    id: 1,
+    firstName: 'John',
+    lastName: 'Doe',
+    email: 'john@example.com',
+    company: 'Acme',
+    organizationId: 4,
+    notes: '',
+    emails: [{ email: 'john@example.com', type: 'work', primary: true }],
+    phones: [],
+    addresses: [],
+    dates: [{ type: 'birthday', date: '--04-01' }],
+    customFields: { tier: 'gold' },
+    tags: ['vip'],
+    version: 3,
+    updatedAt: new Date('2026-01-01'),
+  };
+
+  describe('toSnapshot', () => {
+    it('should keep the editable fields and fill in empty values', () => {
+      expect(toSnapshot(contact)).toEqual({
+        firstName: 'John',
+        lastName: 'Doe',
+        company: 'Acme',
+        organizationId: 4,
+        notes: null,
+        emails: [{ email: 'john@example.com', type: 'work', primary: true }],
+        phones: [],
+        addresses: [],
+        dates: [{ type: 'birthday', date: '--04-01' }],
+        customFields: { tier: 'gold' },
+      });
+      expect(toSnapshot({ firstName: 'Jane' })).toMatchObject({ notes: null, emails: [], customFields: {} });
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list changed fields and custom field values one by one', () => {
+      const before = toSnapshot(contact);
+      const after = toSnapshot({
+        ...contact,
+        notes: 'VIP',
+        // Same entry with its keys in another order
+        emails: [{ primary: true, type: 'work', email: 'john@example.com' }],
+        customFields: { tier: 'silver', seats: 5 },
+      });
+
+      expect(diffSnapshots(before, after)).toEqual([
+        { field: 'notes', from: null, to: 'VIP' },
+        { field: 'customFields.seats', from: null, to: 5 },
+        { field: 'customFields.tier', from: 'gold', to: 'silver' },
+      ]);
+    });
+
+    it('should list every set field of a new contact', () => {
+      const changes = diffSnapshots(null, toSnapshot({ firstName: 'Jane', lastName: 'Roe', customFields: { tier: 'gold' } }));
+
+      expect(changes).toEqual([
+        { field: 'firstName', from: null, to: 'Jane' },
+        { field: 'lastName', from: null, to: 'Roe' },
+        { field: 'customFields.tier', from: null, to: 'gold' },
+      ]);
+    });
+  });
+
+  describe('buildRevision', () => {
+    it('should record a delete without changes', () => {
+      expect(buildRevision('delete', contact, contact, 'jane@example.com')).toEqual({
+        contactId: 1,
+        action: 'delete',
+        snapshot: toSnapshot(contact),
+        changes: [],
+        changedBy: 'jane@example.com',
+      });
+    });
+  });
+
+  describe('snapshotToContactData', () => {
+    it('should relink the organization by ID and leave the company to follow it', () => {
+      const data = snapshotToContactData(toSnapshot(contact));
+
+      expect(data).toEqual({
+        firstName: 'John',
+        lastName: 'Doe',
+        organizationId: 4,
+        notes: null,
+        emails: contact.emails,
+        phones: [],
+        addresses: [],
+        dates: contact.dates,
+        customFields: { tier: 'gold' },
+      });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * CSV helpers (RFC 4180)
+ * Fields are separated by commas and records by CRLF or LF. A field wrapped in
+ * double quotes may contain commas, line breaks and "" for a literal quote.
+ */
+
+// Spreadsheets evaluate a cell starting with one of these as a formula
+// (CSV injection), so exported values get a leading apostrophe
+const FORMULA_TRIGGERS = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Parse CSV text into records
+ * A leading byte order mark is ignored, as are blank lines between records.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records as arrays of field values
+ * @throws {Error} 400 if a quoted field is never closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let quoteLine = 1;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRecord = () => {
+    record.push(field);
+    // A line holding nothing at all is skipped rather than read as one empty field
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    const error = new Error(`Invalid CSV: unterminated quoted field starting on line ${quoteLine}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Escape a single value for a CSV cell
+ * null and undefined become an empty cell; dates are written as ISO 8601.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_TRIGGERS.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a CSV record terminated by CRLF
+ * @param {Array<*>} values - Cell values
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Undo the formula guard escapeCsvValue adds, so exported files import cleanly
+ * @param {string} value - Cell value read from a CSV file
+ * @returns {string} Value without the guarding apostrophe
+ */
+function stripFormulaGuard(value) {
+  return value[0] === "'" && FORMULA_TRIGGERS.includes(value[1]) ? value.slice(1) : value;
+}
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  formatCsvRow,
+  stripFormulaGuard,
+};
@@ -0,0 +1,99 @@
+const { parseCsv, escapeCsvValue, formatCsvRow, stripFormulaGuard } = require('./csv');
+
+describe('CSV Utilities', () => {
+  describe('parseCsv', () => {
+    it('should parse a header and records', () => {
+      expect(parseCsv('First,Last\nJohn,Doe\nJane,Smith\n')).toEqual([
+        ['First', 'Last'],
+        ['John', 'Doe'],
+        ['Jane', 'Smith'],
+      ]);
+    });
+
+    it('should accept CRLF line endings and a missing final line break', () => {
+      expect(parseCsv('a,b\r\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should keep empty fields', () => {
+      expect(parseCsv('a,,c\n,,\n')).toEqual([['a', '', 'c'], ['', '', '']]);
+    });
+
+    it('should unquote fields with commas, quotes and line breaks', () => {
+      expect(parseCsv('name,notes\n"Doe, John","Said ""hi""\nthen left"\n')).toEqual([
+        ['name', 'notes'],
+        ['Doe, John', 'Said "hi"\nthen left'],
+      ]);
+    });
+
+    it('should skip blank lines', () => {
+      expect(parseCsv('a\n\n\nb\n\n')).toEqual([['a'], ['b']]);
+    });
+
+    it('should ignore a byte order mark', () => {
+      expect(parseCsv('﻿First\nJohn')).toEqual([['First'], ['John']]);
+    });
+
+    it('should return no records for empty input', () => {
+      expect(parseCsv('')).toEqual([]);
+    });
+
+    it('should reject an unterminated quoted field', () => {
+      expect(() => parseCsv('a\n"open\nstill open')).toThrow(
+        'Invalid CSV: unterminated quoted field starting on line 2'
+      );
+    });
+  });
+
+  describe('escapeCsvValue', () => {
+    it('should leave plain values untouched', () => {
+      expect(escapeCsvValue('John')).toBe('John');
+      expect(escapeCsvValue(42)).toBe('42');
+    });
+
+    it('should write null and undefined as empty cells', () => {
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(undefined)).toBe('');
+    });
+
+    it('should write dates as ISO 8601', () => {
+      expect(escapeCsvValue(new Date('2025-01-02T03:04:05Z'))).toBe('2025-01-02T03:04:05.000Z');
+    });
+
+    it('should quote values with commas, quotes or line breaks', () => {
+      expect(escapeCsvValue('Acme, Inc.')).toBe('"Acme, Inc."');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    it('should guard values a spreadsheet would run as a formula', () => {
+      expect(escapeCsvValue('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+      expect(escapeCsvValue('+1 555 0123')).toBe("'+1 555 0123");
+      expect(escapeCsvValue('-2+3')).toBe("'-2+3");
+      expect(escapeCsvValue('@cmd')).toBe("'@cmd");
+      expect(escapeCsvValue('=1,2')).toBe('"\'=1,2"');
+    });
+  });
+
+  describe('formatCsvRow', () => {
+    it('should join escaped cells and end with CRLF', () => {
+      expect(formatCsvRow([1, 'Doe, John', null])).toBe('1,"Doe, John",\r\n');
+    });
+
+    it('should round-trip through parseCsv', () => {
+      const values = ['a,b', 'say "hi"', 'multi\nline', ''];
+      expect(parseCsv(formatCsvRow(values))).toEqual([values]);
+    });
+  });
+
+  describe('stripFormulaGuard', () => {
+    it('should remove the apostrophe added in front of a formula trigger', () => {
+      expect(stripFormulaGuard("'+1 555 0123")).toBe('+1 555 0123');
+      expect(stripFormulaGuard("'=SUM(A1)")).toBe('=SUM(A1)');
+    });
+
+    it('should keep other leading apostrophes', () => {
+      expect(stripFormulaGuard("'Tis")).toBe("'Tis");
+      expect(stripFormulaGuard('plain')).toBe('plain');
+    });
+  });
+});
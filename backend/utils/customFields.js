@@ -0,0 +1,164 @@
+/**
+ * Helpers for admin-defined custom fields
+ * A definition ({ key, label, type, required, options }) describes one extra
+ * field; a contact keeps its values in one object keyed by field key.
+ */
+
+const { parseContactDate } = require('./contactDates');
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'url'];
+
+// Keys start with a lower-case letter and hold letters, digits and underscores
+const CUSTOM_FIELD_KEY_REGEX = /^[a-z][a-zA-Z0-9_]*$/;
+const MAX_CUSTOM_FIELD_KEY_LENGTH = 50;
+const MAX_CUSTOM_FIELD_LABEL_LENGTH = 100;
+
+// Limits on the choices of a select field
+const MAX_SELECT_OPTIONS = 50;
+const MAX_SELECT_OPTION_LENGTH = 100;
+
+// Longest text and URL values
+const MAX_TEXT_VALUE_LENGTH = 500;
+const MAX_URL_VALUE_LENGTH = 2000;
+
+/**
+ * Check whether a value leaves a custom field unset
+ * @param {*} value - Field value
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Check a non-empty value against its field's type
+ * @param {Object} definition - Custom field definition
+ * @param {*} value - Field value
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function getValueError(definition, value) {
+  const { label, type, options } = definition;
+
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value) ? null : `${label} must be a number`;
+  }
+  if (typeof value !== 'string') {
+    return `${label} must be a string`;
+  }
+
+  switch (type) {
+    case 'date': {
+      const date = /^\d{4}-/.test(value) ? parseContactDate(value) : null;
+      return date ? null : `${label} must be a date (YYYY-MM-DD)`;
+    }
+    case 'select':
+      return options.includes(value) ? null : `${label} must be one of: ${options.join(', ')}`;
+    case 'url':
+      if (value.length > MAX_URL_VALUE_LENGTH) {
+        return `${label} must not exceed ${MAX_URL_VALUE_LENGTH} characters`;
+      }
+      return isHttpUrl(value.trim()) ? null : `${label} must be an http or https URL`;
+    default:
+      return value.length > MAX_TEXT_VALUE_LENGTH
+        ? `${label} must not exceed ${MAX_TEXT_VALUE_LENGTH} characters`
+        : null;
+  }
+}
+
+/**
+ * Check whether a string is an absolute http or https URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean} True for http and https URLs
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Collect validation errors for a contact's custom field values
+ * Every key must belong to a definition and every value must match its
+ * field's type. Unless partial, required fields must have a value; a partial
+ * check (a merge patch) also accepts null, which removes a value.
+ * @param {*} values - Value of the customFields field
+ * @param {Array<Object>} definitions - Custom field definitions
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.partial=false] - Skip the required check
+ * @returns {Array} Array of validation error objects
+ */
+function collectCustomFieldErrors(values, definitions, { partial = false } = {}) {
+  if (values === null && partial) {
+    return [];
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return [{ field: 'customFields', message: 'Custom fields must be an object' }];
+  }
+
+  const errors = [];
+  const definitionsByKey = new Map(definitions.map((definition) => [definition.key, definition]));
+
+  Object.keys(values).forEach((key) => {
+    const definition = definitionsByKey.get(key);
+    if (!definition) {
+      errors.push({ field: `customFields.${key}`, message: `Unknown custom field: ${key}` });
+    } else if (!isEmptyValue(values[key])) {
+      const message = getValueError(definition, values[key]);
+      if (message) {
+        errors.push({ field: `customFields.${key}`, message });
+      }
+    }
+  });
+
+  if (!partial) {
+    definitions
+      .filter((definition) => definition.required && isEmptyValue(values[definition.key]))
+      .forEach((definition) => {
+        errors.push({ field: `customFields.${definition.key}`, message: `${definition.label} is required` });
+      });
+  }
+
+  return errors;
+}
+
+/**
+ * Apply a merge patch to custom field values
+ * Keys in the patch replace the stored ones and null removes a value; a null
+ * patch removes every value.
+ * @param {Object} current - Stored values
+ * @param {Object|null} changes - Values from the patch
+ * @returns {Object} Merged values
+ */
+function mergeCustomFields(current, changes) {
+  return changes === null ? {} : { ...current, ...changes };
+}
+
+/**
+ * Drop empty custom field values and trim strings before they are stored
+ * @param {Object|null} [values] - Validated values
+ * @returns {Object} Values to store
+ */
+function normalizeCustomFields(values) {
+  const normalized = {};
+  Object.entries(values || {}).forEach(([key, value]) => {
+    if (!isEmptyValue(value)) {
+      normalized[key] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+  return normalized;
+}
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_KEY_REGEX,
+  MAX_CUSTOM_FIELD_KEY_LENGTH,
+  MAX_CUSTOM_FIELD_LABEL_LENGTH,
+  MAX_SELECT_OPTIONS,
+  MAX_SELECT_OPTION_LENGTH,
+  collectCustomFieldErrors,
+  mergeCustomFields,
+  normalizeCustomFields,
+};
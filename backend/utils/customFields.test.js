@@ -0,0 +1,101 @@
+const {
+  collectCustomFieldErrors,
+  mergeCustomFields,
+  normalizeCustomFields,
+} = require('./customFields');
+
+const DEFINITIONS = [
+  { key: 'accountManager', label: 'Account manager', type: 'text', required: true, options: null },
+  { key: 'seats', label: 'Seats', type: 'number', required: false, options: null },
+  { key: 'renewalDate', label: 'Contract renewal date', type: 'date', required: false, options: null },
+  { key: 'tier', label: 'Tier', type: 'select', required: false, options: ['gold', 'silver'] },
+  { key: 'website', label: 'Website', type: 'url', required: false, options: null },
+];
+
+describe('Custom Field Helpers', () => {
+  describe('collectCustomFieldErrors', () => {
+    it('should accept values of every type', () => {
+      const errors = collectCustomFieldErrors({
+        accountManager: 'Dana',
+        seats: 25,
+        renewalDate: '2027-01-31',
+        tier: 'gold',
+        website: 'https://example.com/acme',
+      }, DEFINITIONS);
+
+      expect(errors).toEqual([]);
+    });
+
+    it('should report values that do not match their type', () => {
+      const errors = collectCustomFieldErrors({
+        accountManager: 'Dana',
+        seats: '25',
+        renewalDate: '--01-31',
+        tier: 'bronze',
+        website: 'ftp://example.com',
+      }, DEFINITIONS);
+
+      expect(errors).toEqual([
+        { field: 'customFields.seats', message: 'Seats must be a number' },
+        { field: 'customFields.renewalDate', message: 'Contract renewal date must be a date (YYYY-MM-DD)' },
+        { field: 'customFields.tier', message: 'Tier must be one of: gold, silver' },
+        { field: 'customFields.website', message: 'Website must be an http or https URL' },
+      ]);
+    });
+
+    it('should reject impossible dates and overlong text', () => {
+      const errors = collectCustomFieldErrors({
+        accountManager: 'a'.repeat(501),
+        renewalDate: '2027-02-30',
+      }, DEFINITIONS);
+
+      expect(errors.map((error) => error.field)).toEqual([
+        'customFields.accountManager',
+        'customFields.renewalDate',
+      ]);
+    });
+
+    it('should report unknown keys and missing required values', () => {
+      const errors = collectCustomFieldErrors({ slackHandle: '@dana', accountManager: '  ' }, DEFINITIONS);
+
+      expect(errors).toEqual([
+        { field: 'customFields.slackHandle', message: 'Unknown custom field: slackHandle' },
+        { field: 'customFields.accountManager', message: 'Account manager is required' },
+      ]);
+    });
+
+    it('should skip the required check and accept null in a partial check', () => {
+      expect(collectCustomFieldErrors({ seats: null }, DEFINITIONS, { partial: true })).toEqual([]);
+      expect(collectCustomFieldErrors(null, DEFINITIONS, { partial: true })).toEqual([]);
+    });
+
+    it('should require an object', () => {
+      [null, [], 'Dana'].forEach((values) => {
+        expect(collectCustomFieldErrors(values, DEFINITIONS)).toEqual([
+          { field: 'customFields', message: 'Custom fields must be an object' },
+        ]);
+      });
+    });
+  });
+
+  describe('mergeCustomFields', () => {
+    it('should replace the patched keys and keep the others', () => {
+      expect(mergeCustomFields({ seats: 5, tier: 'gold' }, { seats: 8, tier: null }))
+        .toEqual({ seats: 8, tier: null });
+      expect(mergeCustomFields({ seats: 5, tier: 'gold' }, { website: 'https://example.com' }))
+        .toEqual({ seats: 5, tier: 'gold', website: 'https://example.com' });
+    });
+
+    it('should clear every value for a null patch', () => {
+      expect(mergeCustomFields({ seats: 5 }, null)).toEqual({});
+    });
+  });
+
+  describe('normalizeCustomFields', () => {
+    it('should drop empty values and trim strings', () => {
+      expect(normalizeCustomFields({ accountManager: ' Dana ', tier: null, website: '', seats: 0 }))
+        .toEqual({ accountManager: 'Dana', seats: 0 });
+      expect(normalizeCustomFields(undefined)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Scoring and clustering of likely duplicate contacts
+ * The database finds candidate pairs by normalized email, normalized phone
+ * digits and trigram similarity of the full name (see migration 013). Each
+ * matching signal is weighted as independent evidence, so the confidence of a
+ * pair is 1 - (1 - w1)(1 - w2)... over the signals that matched.
+ */
+
+// Weight of a shared email address and a shared phone number
+const EMAIL_WEIGHT = 0.9;
+const PHONE_WEIGHT = 0.8;
+
+// An identical name weighs this much; similar names weigh proportionally less
+const NAME_WEIGHT = 0.7;
+
+// Trigram similarity (0-1) from which two full names count as matching
+const NAME_SIMILARITY_THRESHOLD = 0.6;
+
+// Pairs below this confidence are not reported unless the client asks for them
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// A new contact matching an existing one this strongly is refused unless the client insists
+const BLOCKING_CONFIDENCE = 0.9;
+
+/**
+ * Round a score to two decimals
+ * @param {number} value - Score between 0 and 1
+ * @returns {number} Rounded score
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Score a pair of contacts from the signals they share
+ * @param {Object} match - Shared signals
+ * @param {Array<string>} [match.emails] - Normalized email addresses both contacts have
+ * @param {Array<string>} [match.phones] - Normalized phone digits both contacts have
+ * @param {number} [match.nameSimilarity] - Trigram similarity of the full names (0-1)
+ * @returns {Object} { confidence, reasons }; reasons list each email, phone and
+ *   a name similarity at or above the threshold
+ */
+function scoreMatch({ emails = [], phones = [], nameSimilarity = 0 }) {
+  const reasons = [
+    ...emails.map((value) => ({ type: 'email', value, weight: EMAIL_WEIGHT })),
+    ...phones.map((value) => ({ type: 'phone', value, weight: PHONE_WEIGHT })),
+  ];
+
+  if (nameSimilarity >= NAME_SIMILARITY_THRESHOLD) {
+    reasons.push({ type: 'name', similarity: roundScore(nameSimilarity), weight: NAME_WEIGHT * nameSimilarity });
+  }
+
+  const unlikely = reasons.reduce((product, reason) => product * (1 - reason.weight), 1);
+
+  return {
+    confidence: roundScore(1 - unlikely),
+    reasons: reasons.map(({ weight, ...reason }) => reason),
+  };
+}
+
+/**
+ * Group scored pairs into clusters of contacts that all (transitively) match
+ * @param {Array<Object>} matches - Scored pairs ({ contactIds: [a, b], confidence, reasons })
+ * @returns {Array<Object>} Clusters ({ contactIds, confidence, matches }) ordered by
+ *   confidence, highest first; a cluster's confidence is that of its strongest pair
+ */
+function clusterMatches(matches) {
+  const parents = new Map();
+
+  const findRoot = (id) => {
+    let root = id;
+    while (parents.get(root) !== root) {
+      root = parents.get(root);
+    }
+    parents.set(id, root);
+    return root;
+  };
+
+  matches.forEach(({ contactIds }) => {
+    contactIds.forEach((id) => {
+      if (!parents.has(id)) {
+        parents.set(id, id);
+      }
+    });
+    const [first, second] = contactIds.map(findRoot);
+    if (first !== second) {
+      parents.set(Math.max(first, second), Math.min(first, second));
+    }
+  });
+
+  const clusters = new Map();
+  matches.forEach((match) => {
+    const root = findRoot(match.contactIds[0]);
+    if (!clusters.has(root)) {
+      clusters.set(root, { contactIds: new Set(), confidence: 0, matches: [] });
+    }
+    const cluster = clusters.get(root);
+    match.contactIds.forEach((id) => cluster.contactIds.add(id));
+    cluster.confidence = Math.max(cluster.confidence, match.confidence);
+    cluster.matches.push(match);
+  });
+
+  return [...clusters.values()]
+    .map((cluster) => ({
+      contactIds: [...cluster.contactIds].sort((a, b) => a - b),
+      confidence: cluster.confidence,
+      matches: cluster.matches.sort((a, b) => b.confidence - a.confidence),
+    }))
+    .sort((a, b) => b.confidence - a.confidence || a.contactIds[0] - b.contactIds[0]);
+}
+
+module.exports = {
+  NAME_SIMILARITY_THRESHOLD,
+  DEFAULT_MIN_CONFIDENCE,
+  BLOCKING_CONFIDENCE,
+  scoreMatch,
+  clusterMatches,
+};
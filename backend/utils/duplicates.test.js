@@ -0,0 +1,78 @@
+const { scoreMatch, clusterMatches } = require('./duplicates');
+
+describe('Duplicate Helpers', () => {
+  describe('scoreMatch', () => {
+    it('should list every shared email and phone as a reason', () => {
+      expect(scoreMatch({ emails: ['john@example.com'], phones: ['5550123456'] })).toEqual({
+        confidence: 0.98,
+        reasons: [
+          { type: 'email', value: 'john@example.com' },
+          { type: 'phone', value: '5550123456' },
+        ],
+      });
+    });
+
+    it('should weigh a similar name by its similarity', () => {
+      expect(scoreMatch({ nameSimilarity: 1 })).toEqual({
+        confidence: 0.7,
+        reasons: [{ type: 'name', similarity: 1 }],
+      });
+      expect(scoreMatch({ nameSimilarity: 0.8 }).confidence).toBe(0.56);
+    });
+
+    it('should ignore a name similarity below the threshold', () => {
+      expect(scoreMatch({ emails: ['john@example.com'], nameSimilarity: 0.4 })).toEqual({
+        confidence: 0.9,
+        reasons: [{ type: 'email', value: 'john@example.com' }],
+      });
+      expect(scoreMatch({ nameSimilarity: 0.4 })).toEqual({ confidence: 0, reasons: [] });
+    });
+
+    it('should combine signals as independent evidence', () => {
+      expect(scoreMatch({ emails: ['john@example.com'], nameSimilarity: 1 }).confidence).toBe(0.97);
+      expect(scoreMatch({ phones: ['5550123456'], nameSimilarity: 1 }).confidence).toBe(0.94);
+    });
+  });
+
+  describe('clusterMatches', () => {
+    it('should join pairs that share a contact into one cluster', () => {
+      const clusters = clusterMatches([
+        { contactIds: [1, 2], confidence: 0.7, reasons: [] },
+        { contactIds: [5, 6], confidence: 0.9, reasons: [] },
+        { contactIds: [2, 3], confidence: 0.94, reasons: [] },
+      ]);
+
+      expect(clusters).toEqual([
+        {
+          contactIds: [1, 2, 3],
+          confidence: 0.94,
+          matches: [
+            { contactIds: [2, 3], confidence: 0.94, reasons: [] },
+            { contactIds: [1, 2], confidence: 0.7, reasons: [] },
+          ],
+        },
+        {
+          contactIds: [5, 6],
+          confidence: 0.9,
+          matches: [{ contactIds: [5, 6], confidence: 0.9, reasons: [] }],
+        },
+      ]);
+    });
+
+    it('should merge clusters joined by a later pair', () => {
+      const clusters = clusterMatches([
+        { contactIds: [1, 2], confidence: 0.9, reasons: [] },
+        { contactIds: [3, 4], confidence: 0.9, reasons: [] },
+        { contactIds: [2, 4], confidence: 0.8, reasons: [] },
+      ]);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].contactIds).toEqual([1, 2, 3, 4]);
+      expect(clusters[0].matches).toHaveLength(3);
+    });
+
+    it('should return no clusters without matches', () => {
+      expect(clusterMatches([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * ETag helpers for optimistic concurrency control
+ * A contact's ETag is its version number as a strong entity tag, e.g. "3".
+ */
+
+/**
+ * Format a contact version as a strong ETag
+ * @param {number} version - Contact version
+ * @returns {string} ETag header value
+ */
+function formatETag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Parse an If-Match request header
+ * Weak tags never match under the strong comparison If-Match requires, and
+ * tags that are not contact versions are dropped, so they can only fail.
+ * @param {string} [header] - Raw If-Match header value
+ * @returns {null|string|Array<number>} null if absent, '*' for any, or the listed versions
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header === null) {
+    return null;
+  }
+
+  if (header.trim() === '*') {
+    return '*';
+  }
+
+  return header
+    .split(',')
+    .map((tag) => /^"(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+}
+
+/**
+ * Check whether a parsed If-Match header matches the current version
+ * @param {null|string|Array<number>} ifMatch - Result of parseIfMatch
+ * @param {number} version - Current contact version
+ * @returns {boolean} True if the request may proceed
+ */
+function matchesIfMatch(ifMatch, version) {
+  if (ifMatch === null || ifMatch === '*') {
+    return true;
+  }
+
+  return ifMatch.includes(version);
+}
+
+module.exports = {
+  formatETag,
+  parseIfMatch,
+  matchesIfMatch,
+};
@@ -0,0 +1,53 @@
+const { formatETag, parseIfMatch, matchesIfMatch } = require('./etag');
+
+describe('ETag Utilities', () => {
+  describe('formatETag', () => {
+    it('should format a version as a strong ETag', () => {
+      expect(formatETag(3)).toBe('"3"');
+    });
+  });
+
+  describe('parseIfMatch', () => {
+    it('should return null when the header is absent', () => {
+      expect(parseIfMatch(undefined)).toBeNull();
+    });
+
+    it('should recognise the wildcard', () => {
+      expect(parseIfMatch(' * ')).toBe('*');
+    });
+
+    it('should parse a single strong tag', () => {
+      expect(parseIfMatch('"7"')).toEqual([7]);
+    });
+
+    it('should parse a list of tags', () => {
+      expect(parseIfMatch('"1", "2" ,"3"')).toEqual([1, 2, 3]);
+    });
+
+    it('should drop weak and foreign tags', () => {
+      expect(parseIfMatch('W/"4", "abc", 5, "6"')).toEqual([6]);
+    });
+  });
+
+  describe('matchesIfMatch', () => {
+    it('should match when no precondition was sent', () => {
+      expect(matchesIfMatch(null, 3)).toBe(true);
+    });
+
+    it('should match any version for the wildcard', () => {
+      expect(matchesIfMatch('*', 3)).toBe(true);
+    });
+
+    it('should match when the current version is listed', () => {
+      expect(matchesIfMatch([2, 3], 3)).toBe(true);
+    });
+
+    it('should not match a stale version', () => {
+      expect(matchesIfMatch([2], 3)).toBe(false);
+    });
+
+    it('should not match when only unusable tags were sent', () => {
+      expect(matchesIfMatch([], 3)).toBe(false);
+    });
+  });
+});
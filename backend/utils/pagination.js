@@ -0,0 +1,125 @@
+/**
+ * Keyset (cursor) pagination helpers
+ * Cursors are opaque to clients: they carry the sort key values of the last
+ * row of a page, encoded as base64url JSON.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Largest value of a PostgreSQL INTEGER column
+const MAX_INTEGER = 2147483647;
+
+// Timestamp sort keys as PostgreSQL writes them as text
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})( \d{2}:\d{2}:\d{2}(\.\d{1,6})?)?$/;
+
+// How a cursor value must look for each type of sort key
+const CURSOR_VALUE_CHECKS = {
+  text: (value) => typeof value === 'string',
+  integer: (value) => (typeof value === 'string' || typeof value === 'number') &&
+    /^-?\d+$/.test(String(value)) && Math.abs(Number(value)) <= MAX_INTEGER,
+  boolean: (value) => value === 'true' || value === 'false',
+  timestamp: (value) => {
+    if (value === '-infinity') {
+      return true;
+    }
+    const match = typeof value === 'string' && TIMESTAMP_PATTERN.exec(value);
+    if (!match) {
+      return false;
+    }
+    const day = new Date(`${match[1]}T00:00:00Z`);
+    return !Number.isNaN(day.getTime()) && day.toISOString().slice(0, 10) === match[1];
+  },
+};
+
+/**
+ * Encode the sort key values of a row into an opaque cursor
+ * @param {Array} values - Sort key values, in sort order
+ * @returns {string} Cursor string
+ */
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values), 'utf8').toString('base64url');
+}
+
+/**
+ * Create the 400 error for a cursor that cannot be used
+ * @returns {Error} Error with statusCode 400
+ */
+function createInvalidCursorError() {
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Decode a cursor back into its sort key values
+ * @param {string} cursor - Cursor string produced by encodeCursor
+ * @param {number} [expectedLength] - Number of sort key values the caller expects
+ * @returns {Array} Sort key values
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor, expectedLength) {
+  let values;
+
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    values = null;
+  }
+
+  if (!Array.isArray(values) || values.length === 0 ||
+      (expectedLength !== undefined && values.length !== expectedLength)) {
+    throw createInvalidCursorError();
+  }
+
+  return values;
+}
+
+/**
+ * Build a WHERE condition selecting rows strictly after a cursor position
+ * Expands to (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., flipping the
+ * comparison for descending keys, so mixed sort directions are supported.
+ * Sort key expressions must be non-null for the comparison to be exact.
+ * Each cursor value is checked against the type of its key first, so a
+ * tampered cursor is rejected instead of failing in the database.
+ * @param {Array<Object>} keys - Sort keys ({ expression, direction: 'asc'|'desc',
+ *   type: 'text'|'integer'|'boolean'|'timestamp', default text })
+ * @param {Array} values - Cursor values, one per key
+ * @param {number} startIndex - Number of the first placeholder to use ($n)
+ * @returns {Object} { sql, params }
+ * @throws {Error} 400 if a value does not match the type of its key
+ */
+function buildKeysetCondition(keys, values, startIndex) {
+  const isValid = values.length === keys.length &&
+    keys.every((key, i) => CURSOR_VALUE_CHECKS[key.type || 'text'](values[i]));
+  if (!isValid) {
+    throw createInvalidCursorError();
+  }
+
+  const params = [];
+  const placeholders = values.map((value) => {
+    params.push(value);
+    return `$${startIndex + params.length - 1}`;
+  });
+
+  const branches = keys.map((key, i) => {
+    const operator = key.direction === 'desc' ? '<' : '>';
+    const equalities = keys
+      .slice(0, i)
+      .map((previous, j) => `${previous.expression} = ${placeholders[j]}`);
+    return [...equalities, `${key.expression} ${operator} ${placeholders[i]}`].join(' AND ');
+  });
+
+  return {
+    sql: `(${branches.map((branch) => `(${branch})`).join(' OR ')})`,
+    params,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+};
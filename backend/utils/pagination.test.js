@@ -0,0 +1,135 @@
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+} = require('./pagination');
+
+describe('Pagination Utilities', () => {
+  describe('constants', () => {
+    it('should use a default page size within the maximum', () => {
+      expect(DEFAULT_PAGE_SIZE).toBeGreaterThan(0);
+      expect(DEFAULT_PAGE_SIZE).toBeLessThanOrEqual(MAX_PAGE_SIZE);
+    });
+  });
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip sort key values', () => {
+      const cursor = encodeCursor(['Doe', 'John', 42]);
+
+      expect(typeof cursor).toBe('string');
+      expect(decodeCursor(cursor)).toEqual(['Doe', 'John', 42]);
+    });
+
+    it('should produce URL-safe cursors', () => {
+      const cursor = encodeCursor(['Ørsted', 'Åsa??>>', 7]);
+
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(cursor)).toEqual(['Ørsted', 'Åsa??>>', 7]);
+    });
+
+    it('should accept a cursor with the expected number of values', () => {
+      const cursor = encodeCursor(['Doe', 'John', 42]);
+
+      expect(decodeCursor(cursor, 3)).toEqual(['Doe', 'John', 42]);
+    });
+
+    it('should reject a cursor with an unexpected number of values', () => {
+      const cursor = encodeCursor(['Doe', 42]);
+
+      expect(() => decodeCursor(cursor, 3)).toThrow('Invalid cursor');
+    });
+
+    it('should reject malformed cursors with a 400 error', () => {
+      try {
+        decodeCursor('not-a-cursor');
+        fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).toBe('Invalid cursor');
+        expect(error.statusCode).toBe(400);
+      }
+    });
+
+    it('should reject cursors that do not encode an array', () => {
+      const cursor = Buffer.from(JSON.stringify({ id: 1 })).toString('base64url');
+
+      expect(() => decodeCursor(cursor)).toThrow('Invalid cursor');
+    });
+
+    it('should reject cursors that encode an empty array', () => {
+      expect(() => decodeCursor(encodeCursor([]))).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('buildKeysetCondition', () => {
+    it('should expand ascending keys into an OR of prefix comparisons', () => {
+      const keys = [
+        { expression: 'last_name', direction: 'asc' },
+        { expression: 'id', direction: 'asc' },
+      ];
+
+      const result = buildKeysetCondition(keys, ['Doe', '7'], 1);
+
+      expect(result.sql).toBe('((last_name > $1) OR (last_name = $1 AND id > $2))');
+      expect(result.params).toEqual(['Doe', '7']);
+    });
+
+    it('should use less-than for descending keys', () => {
+      const keys = [
+        { expression: 'updated_at', direction: 'desc' },
+        { expression: 'id', direction: 'asc' },
+      ];
+
+      const result = buildKeysetCondition(keys, ['2025-01-01', '7'], 1);
+
+      expect(result.sql).toBe('((updated_at < $1) OR (updated_at = $1 AND id > $2))');
+    });
+
+    it('should number placeholders from the given start index', () => {
+      const keys = [{ expression: 'id', direction: 'asc' }];
+
+      const result = buildKeysetCondition(keys, ['7'], 4);
+
+      expect(result.sql).toBe('((id > $4))');
+      expect(result.params).toEqual(['7']);
+    });
+
+    it('should accept cursor values of each sort key type', () => {
+      const keys = [
+        { expression: 'starred', direction: 'desc', type: 'boolean' },
+        { expression: 'updated_at', direction: 'desc', type: 'timestamp' },
+        { expression: 'last_contacted_at', direction: 'desc', type: 'timestamp' },
+        { expression: 'id', direction: 'asc', type: 'integer' },
+      ];
+
+      const result = buildKeysetCondition(keys, ['true', '2025-01-01 10:00:00.123456', '-infinity', 7], 1);
+
+      expect(result.params).toEqual(['true', '2025-01-01 10:00:00.123456', '-infinity', 7]);
+    });
+
+    it('should reject objects, arrays and values of the wrong type with a 400 error', () => {
+      const keys = [
+        { expression: 'last_name', direction: 'asc' },
+        { expression: 'updated_at', direction: 'desc', type: 'timestamp' },
+        { expression: 'id', direction: 'asc', type: 'integer' },
+      ];
+      const invalid = [
+        [{ $gt: '' }, '2025-01-01', '7'],
+        [['Doe'], '2025-01-01', '7'],
+        [null, '2025-01-01', '7'],
+        ['Doe', '2025-02-30', '7'],
+        ['Doe', 'tomorrow', '7'],
+        ['Doe', '2025-01-01', '7.5'],
+        ['Doe', '2025-01-01', '99999999999'],
+        ['Doe', '2025-01-01'],
+      ];
+
+      invalid.forEach((values) => {
+        expect(() => buildKeysetCondition(keys, values, 1)).toThrow(
+          expect.objectContaining({ message: 'Invalid cursor', statusCode: 400 })
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Contact photo helpers
+ * Uploads are recognised by their leading bytes rather than the type the
+ * client claims. Decoding and resizing is done by sharp on libuv's thread
+ * pool, so a large photo does not hold up other requests. Thumbnails are
+ * square PNGs cut from the centre of the photo and turned upright according
+ * to its EXIF orientation.
+ */
+
+const sharp = require('sharp');
+
+// Largest photo accepted, in bytes
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+// Largest photo accepted, in pixels; bounds the memory needed to decode it
+const MAX_PHOTO_PIXELS = 25000000;
+
+// Form field the photo file is uploaded in
+const PHOTO_FIELD = 'photo';
+
+// Edge lengths of the square thumbnails made for every photo
+const THUMBNAIL_SIZES = [64, 256];
+
+// First bytes of every PNG file
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Recognise a photo's format from its leading bytes
+ * @param {Buffer} data - File contents
+ * @returns {string|null} image/jpeg or image/png, or null for anything else
+ */
+function sniffPhotoType(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.length >= PNG_SIGNATURE.length && data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return 'image/png';
+  }
+  return null;
+}
+
+/**
+ * Read a photo's dimensions and make its thumbnails
+ * @param {Buffer} data - JPEG or PNG file contents
+ * @returns {Promise<Object>} { width, height, thumbnails }: the upright
+ *   dimensions and PNG thumbnail contents keyed by edge length
+ * @throws {Error} Error with code INVALID_IMAGE if the file cannot be decoded
+ *   or has more than MAX_PHOTO_PIXELS pixels
+ */
+async function readPhoto(data) {
+  const image = sharp(data, { limitInputPixels: MAX_PHOTO_PIXELS }).rotate();
+
+  let metadata;
+  let thumbnails;
+  try {
+    // Rejects an image over the pixel limit from its header, before decoding it
+    metadata = await image.metadata();
+    thumbnails = await Promise.all(THUMBNAIL_SIZES.map((size) => image
+      .clone()
+      .resize(size, size, { fit: 'cover', position: 'centre' })
+      .png()
+      .toBuffer()));
+  } catch (error) {
+    throw createInvalidImageError(error.message);
+  }
+
+  const upright = metadata.autoOrient || metadata;
+  return {
+    width: upright.width,
+    height: upright.height,
+    thumbnails: Object.fromEntries(THUMBNAIL_SIZES.map((size, index) => [size, thumbnails[index]])),
+  };
+}
+
+/**
+ * Build the URL a contact's photo is served from
+ * @param {number} contactId - Contact ID
+ * @param {number} [size] - Thumbnail edge length; omitted for the original
+ * @returns {string} Path of the photo
+ */
+function photoUrl(contactId, size) {
+  return `/api/contacts/${contactId}/photo${size ? `?size=${size}` : ''}`;
+}
+
+/**
+ * Create an error for a file that is not a usable image
+ * @param {string} message - Why the file could not be read
+ * @returns {Error} Error with code INVALID_IMAGE
+ */
+function createInvalidImageError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+}
+
+module.exports = {
+  MAX_PHOTO_BYTES,
+  MAX_PHOTO_PIXELS,
+  PHOTO_FIELD,
+  THUMBNAIL_SIZES,
+  sniffPhotoType,
+  readPhoto,
+  photoUrl,
+};
@@ -0,0 +1,118 @@
+const sharp = require('sharp');
+const { sniffPhotoType, readPhoto, photoUrl } = require('./photos');
+
+/**
+ * Build an RGB image from a function of the pixel position
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Function} color - (x, y) -> [r, g, b]
+ * @returns {Object} sharp pipeline of the image
+ */
+function buildImage(width, height, color) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(color(x, y), (y * width + x) * 3);
+    }
+  }
+  return sharp(data, { raw: { width, height, channels: 3 } });
+}
+
+/**
+ * Read one pixel of a PNG thumbnail
+ * @param {Buffer} png - PNG file contents
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {Promise<Array<number>>} [r, g, b]
+ */
+async function pixelAt(png, x, y) {
+  const { data, info } = await sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * 3;
+  return [...data.subarray(offset, offset + 3)];
+}
+
+const RED = [255, 0, 0];
+const GREEN = [0, 255, 0];
+const BLUE = [0, 0, 255];
+
+describe('Photo Utilities', () => {
+  describe('sniffPhotoType', () => {
+    it('should recognise JPEG and PNG files by their leading bytes', async () => {
+      const png = await buildImage(1, 1, () => RED).png().toBuffer();
+
+      expect(sniffPhotoType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+      expect(sniffPhotoType(png)).toBe('image/png');
+    });
+
+    it('should return null for other files, whatever their name says', () => {
+      expect(sniffPhotoType(Buffer.from('GIF89a'))).toBeNull();
+      expect(sniffPhotoType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+      expect(sniffPhotoType(Buffer.alloc(0))).toBeNull();
+    });
+  });
+
+  describe('readPhoto', () => {
+    it('should make square PNG thumbnails from the centre of the photo', async () => {
+      // 300x100: red on each side, green in the centre square
+      const png = await buildImage(300, 100, (x) => (x >= 100 && x < 200 ? GREEN : RED)).png().toBuffer();
+
+      const photo = await readPhoto(png);
+
+      expect(photo).toMatchObject({ width: 300, height: 100 });
+      expect(Object.keys(photo.thumbnails)).toEqual(['64', '256']);
+      expect(await sharp(photo.thumbnails[64]).metadata()).toMatchObject({ format: 'png', width: 64, height: 64 });
+      expect(await sharp(photo.thumbnails[256]).metadata()).toMatchObject({ width: 256, height: 256 });
+      const [red, green] = await pixelAt(photo.thumbnails[64], 0, 32);
+      expect(red).toBeLessThan(50);
+      expect(green).toBeGreaterThan(200);
+    });
+
+    it('should turn a rotated JPEG upright', async () => {
+      // Stored sideways: the top of the picture (red) is on the left
+      const jpeg = await buildImage(200, 100, (x) => (x < 100 ? RED : BLUE))
+        .jpeg({ quality: 100 })
+        .withMetadata({ orientation: 6 })
+        .toBuffer();
+
+      const photo = await readPhoto(jpeg);
+
+      expect(photo).toMatchObject({ width: 100, height: 200 });
+      const top = await pixelAt(photo.thumbnails[64], 32, 2);
+      const bottom = await pixelAt(photo.thumbnails[64], 32, 61);
+      expect(top[0]).toBeGreaterThan(200);
+      expect(bottom[2]).toBeGreaterThan(200);
+    });
+
+    it('should read progressive JPEGs', async () => {
+      const jpeg = await buildImage(40, 30, () => BLUE).jpeg({ progressive: true }).toBuffer();
+
+      const photo = await readPhoto(jpeg);
+
+      expect(photo).toMatchObject({ width: 40, height: 30 });
+    });
+
+    it('should reject a truncated file', async () => {
+      const jpeg = await buildImage(40, 30, () => BLUE).jpeg().toBuffer();
+
+      await expect(readPhoto(jpeg.subarray(0, jpeg.length - 100))).rejects.toMatchObject({ code: 'INVALID_IMAGE' });
+    });
+
+    it('should reject a photo with too many pixels', async () => {
+      const png = await sharp({ create: { width: 5001, height: 5000, channels: 3, background: 'red' } })
+        .png({ compressionLevel: 1 })
+        .toBuffer();
+
+      await expect(readPhoto(png)).rejects.toMatchObject({
+        code: 'INVALID_IMAGE',
+        message: 'Input image exceeds pixel limit',
+      });
+    });
+  });
+
+  describe('photoUrl', () => {
+    it('should build the URL of the original and of a thumbnail', () => {
+      expect(photoUrl(4)).toBe('/api/contacts/4/photo');
+      expect(photoUrl(4, 64)).toBe('/api/contacts/4/photo?size=64');
+    });
+  });
+});
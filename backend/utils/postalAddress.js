@@ -0,0 +1,195 @@
+/**
+ * Helpers for a contact's postal addresses
+ * Countries are ISO 3166-1 alpha-2 codes. Postal codes are checked against
+ * the format of the address's country where that format is known.
+ */
+
+const ADDRESS_TYPES = ['home', 'work', 'other'];
+
+// Maximum number of addresses per contact
+const MAX_ADDRESSES = 10;
+
+// Text fields of an address and their maximum lengths
+const ADDRESS_FIELD_LENGTHS = {
+  street: 200,
+  locality: 100,
+  region: 100,
+  postalCode: 20,
+};
+
+// ISO 3166-1 alpha-2 country codes
+const COUNTRY_CODES = new Set(`
+  AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ
+  CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR
+  GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP
+  KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT
+  MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW
+  SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG
+  UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW
+`.trim().split(/\s+/));
+
+// Postal code formats by country, matched against the upper-cased code.
+// Countries not listed accept any postal code.
+const POSTAL_CODE_PATTERNS = {
+  AT: /^\d{4}$/,
+  AU: /^\d{4}$/,
+  BE: /^\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  CH: /^\d{4}$/,
+  CN: /^\d{6}$/,
+  CZ: /^\d{3} ?\d{2}$/,
+  DE: /^\d{5}$/,
+  DK: /^\d{4}$/,
+  ES: /^\d{5}$/,
+  FI: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  IE: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/,
+  IN: /^\d{6}$/,
+  IT: /^\d{5}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  KR: /^\d{5}$/,
+  MX: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  NO: /^\d{4}$/,
+  NZ: /^\d{4}$/,
+  PL: /^\d{2}-\d{3}$/,
+  PT: /^\d{4}-\d{3}$/,
+  RU: /^\d{6}$/,
+  SE: /^\d{3} ?\d{2}$/,
+  SG: /^\d{6}$/,
+  US: /^\d{5}(-\d{4})?$/,
+  ZA: /^\d{4}$/,
+};
+
+// English country names accepted in place of a code when importing vCards
+const COUNTRY_NAMES = {
+  'australia': 'AU',
+  'austria': 'AT',
+  'belgium': 'BE',
+  'brazil': 'BR',
+  'canada': 'CA',
+  'china': 'CN',
+  'czech republic': 'CZ',
+  'czechia': 'CZ',
+  'denmark': 'DK',
+  'finland': 'FI',
+  'france': 'FR',
+  'germany': 'DE',
+  'great britain': 'GB',
+  'india': 'IN',
+  'ireland': 'IE',
+  'italy': 'IT',
+  'japan': 'JP',
+  'mexico': 'MX',
+  'netherlands': 'NL',
+  'new zealand': 'NZ',
+  'norway': 'NO',
+  'poland': 'PL',
+  'portugal': 'PT',
+  'russia': 'RU',
+  'singapore': 'SG',
+  'south africa': 'ZA',
+  'south korea': 'KR',
+  'spain': 'ES',
+  'sweden': 'SE',
+  'switzerland': 'CH',
+  'the netherlands': 'NL',
+  'uk': 'GB',
+  'united kingdom': 'GB',
+  'united states': 'US',
+  'united states of america': 'US',
+  'usa': 'US',
+};
+
+/**
+ * Check whether a value is an ISO 3166-1 alpha-2 country code
+ * @param {string} country - Country code (case-insensitive)
+ * @returns {boolean} True if the code exists
+ */
+function isValidCountryCode(country) {
+  return COUNTRY_CODES.has(country.trim().toUpperCase());
+}
+
+/**
+ * Check a postal code against the format of its country
+ * @param {string} postalCode - Postal code (case-insensitive)
+ * @param {string} country - ISO country code
+ * @returns {boolean} True if the code matches, or the country has no known format
+ */
+function isValidPostalCode(postalCode, country) {
+  const pattern = POSTAL_CODE_PATTERNS[country.trim().toUpperCase()];
+  return !pattern || pattern.test(postalCode.trim().toUpperCase());
+}
+
+/**
+ * Turn a country as written in a vCard into an ISO code
+ * @param {string} country - Country code or English name
+ * @returns {string} ISO code, or the value unchanged if it is not recognized
+ */
+function resolveCountry(country) {
+  const value = country.trim();
+  if (isValidCountryCode(value)) {
+    return value.toUpperCase();
+  }
+  return COUNTRY_NAMES[value.toLowerCase()] || value;
+}
+
+/**
+ * Normalize the postal fields of one address
+ * Text is trimmed with empty fields stored as null, and country and postal
+ * code are upper-cased.
+ * @param {Object} address - Address as sent by the client
+ * @returns {Object} { street, locality, region, postalCode, country }
+ */
+function normalizeAddress(address) {
+  const text = (field) => (address[field] ? address[field].trim() || null : null);
+  return {
+    street: text('street'),
+    locality: text('locality'),
+    region: text('region'),
+    postalCode: text('postalCode') && text('postalCode').toUpperCase(),
+    country: address.country.trim().toUpperCase(),
+  };
+}
+
+/**
+ * Normalize a list of addresses
+ * Each address is normalized with normalizeAddress, the type defaults to
+ * "other", and the first address marked primary (or the first address if
+ * none is) becomes the only primary one.
+ * @param {Array<Object>} addresses - Addresses as sent by the client
+ * @returns {Array<Object>} Normalized addresses
+ */
+function normalizeAddresses(addresses) {
+  const primaryIndex = Math.max(addresses.findIndex((address) => address.primary === true), 0);
+  return addresses.map((address, index) => ({
+    type: address.type || 'other',
+    ...normalizeAddress(address),
+    primary: index === primaryIndex,
+  }));
+}
+
+/**
+ * Work out the addresses to store for a write
+ * A list in the data replaces the current one (null clears it); without one
+ * the stored addresses are left alone.
+ * @param {Object} data - Contact data being written
+ * @returns {Object} { addresses }, or an empty object when unchanged
+ */
+function resolveAddresses(data) {
+  return data.addresses === undefined ? {} : { addresses: normalizeAddresses(data.addresses || []) };
+}
+
+module.exports = {
+  ADDRESS_TYPES,
+  MAX_ADDRESSES,
+  ADDRESS_FIELD_LENGTHS,
+  isValidCountryCode,
+  isValidPostalCode,
+  resolveCountry,
+  normalizeAddress,
+  normalizeAddresses,
+  resolveAddresses,
+};
@@ -0,0 +1,110 @@
+const {
+  isValidCountryCode,
+  isValidPostalCode,
+  resolveCountry,
+  normalizeAddress,
+  resolveAddresses,
+} = require('./postalAddress');
+
+describe('Postal Address Helpers', () => {
+  describe('isValidCountryCode', () => {
+    it('should accept ISO 3166-1 alpha-2 codes in any case', () => {
+      expect(isValidCountryCode('US')).toBe(true);
+      expect(isValidCountryCode('gb')).toBe(true);
+      expect(isValidCountryCode(' de ')).toBe(true);
+    });
+
+    it('should reject unknown and non alpha-2 codes', () => {
+      expect(isValidCountryCode('UK')).toBe(false);
+      expect(isValidCountryCode('USA')).toBe(false);
+      expect(isValidCountryCode('')).toBe(false);
+    });
+  });
+
+  describe('isValidPostalCode', () => {
+    it('should accept postal codes in their country format', () => {
+      [
+        ['94105', 'US'],
+        ['94105-1234', 'US'],
+        ['K1A 0B1', 'CA'],
+        ['sw1a 1aa', 'GB'],
+        ['1012 AB', 'NL'],
+        ['10115', 'DE'],
+        ['100-0001', 'JP'],
+      ].forEach(([postalCode, country]) => expect(isValidPostalCode(postalCode, country)).toBe(true));
+    });
+
+    it('should reject postal codes that do not fit the country format', () => {
+      [
+        ['9410', 'US'],
+        ['94105-12', 'US'],
+        ['12345', 'CA'],
+        ['1012', 'NL'],
+        ['ABCDE', 'DE'],
+      ].forEach(([postalCode, country]) => expect(isValidPostalCode(postalCode, country)).toBe(false));
+    });
+
+    it('should accept any postal code for countries without a known format', () => {
+      expect(isValidPostalCode('anything', 'HK')).toBe(true);
+    });
+  });
+
+  describe('resolveCountry', () => {
+    it('should turn codes and known names into ISO codes', () => {
+      expect(resolveCountry('us')).toBe('US');
+      expect(resolveCountry('United States of America')).toBe('US');
+      expect(resolveCountry('UK')).toBe('GB');
+    });
+
+    it('should keep unknown names as written', () => {
+      expect(resolveCountry(' Atlantis ')).toBe('Atlantis');
+    });
+  });
+
+  describe('normalizeAddress', () => {
+    it('should trim the text and upper-case the country and postal code', () => {
+      expect(normalizeAddress({ street: ' 10 Downing St ', locality: '', postalCode: 'sw1a 2aa', country: ' gb ' }))
+        .toEqual({ street: '10 Downing St', locality: null, region: null, postalCode: 'SW1A 2AA', country: 'GB' });
+    });
+  });
+
+  describe('resolveAddresses', () => {
+    it('should leave addresses unchanged when the data has none', () => {
+      expect(resolveAddresses({ firstName: 'John' })).toEqual({});
+    });
+
+    it('should clear addresses set to null', () => {
+      expect(resolveAddresses({ addresses: null })).toEqual({ addresses: [] });
+    });
+
+    it('should normalize addresses and pick one primary', () => {
+      const result = resolveAddresses({
+        addresses: [
+          { street: ' 1 Main St ', locality: 'Springfield', postalCode: 'k1a 0b1', country: 'ca' },
+          { type: 'work', locality: 'Berlin', region: '', country: 'DE', primary: true },
+        ],
+      });
+
+      expect(result.addresses).toEqual([
+        {
+          type: 'other',
+          street: '1 Main St',
+          locality: 'Springfield',
+          region: null,
+          postalCode: 'K1A 0B1',
+          country: 'CA',
+          primary: false,
+        },
+        {
+          type: 'work',
+          street: null,
+          locality: 'Berlin',
+          region: null,
+          postalCode: null,
+          country: 'DE',
+          primary: true,
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Relationship types between contacts
+ * A type says what the related contact is to the contact: a relationship
+ * of type assistant from A to B reads "B is A's assistant".
+ */
+
+const RELATIONSHIP_TYPES = [
+  'assistant', 'manager', 'report', 'colleague',
+  'spouse', 'partner', 'parent', 'child', 'sibling', 'relative',
+  'friend', 'other',
+];
+
+// Inverse used for a bidirectional link when none is given; types not listed are their own inverse
+const DEFAULT_INVERSE_TYPES = {
+  assistant: 'manager',
+  manager: 'report',
+  report: 'manager',
+  parent: 'child',
+  child: 'parent',
+};
+
+/**
+ * Work out the inverse type to store for a relationship
+ * @param {Object} relationship - { type, bidirectional, inverseType }
+ * @returns {string|null} Inverse type, or null for a one-way link
+ */
+function resolveInverseType({ type, bidirectional, inverseType }) {
+  if (!bidirectional) {
+    return null;
+  }
+  return inverseType || DEFAULT_INVERSE_TYPES[type] || type;
+}
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  resolveInverseType,
+};
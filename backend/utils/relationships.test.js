@@ -0,0 +1,20 @@
+const { resolveInverseType } = require('./relationships');
+
+describe('Relationship Helpers', () => {
+  describe('resolveInverseType', () => {
+    it('should store no inverse for a one-way link', () => {
+      expect(resolveInverseType({ type: 'assistant', bidirectional: false, inverseType: 'manager' })).toBeNull();
+      expect(resolveInverseType({ type: 'assistant' })).toBeNull();
+    });
+
+    it('should default the inverse of a bidirectional link from its type', () => {
+      expect(resolveInverseType({ type: 'assistant', bidirectional: true })).toBe('manager');
+      expect(resolveInverseType({ type: 'parent', bidirectional: true })).toBe('child');
+      expect(resolveInverseType({ type: 'spouse', bidirectional: true })).toBe('spouse');
+    });
+
+    it('should prefer the inverse type given', () => {
+      expect(resolveInverseType({ type: 'manager', bidirectional: true, inverseType: 'assistant' })).toBe('assistant');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Reminder recurrence
+ * A recurring reminder repeats every N days, weeks, months or years, counted
+ * from its anchor day: the due date it was created or last edited with. An
+ * occurrence on a day the target month does not have lands on that month's
+ * last day, so a monthly reminder anchored on Jan 31 is due Feb 28 (Feb 29 in
+ * leap years) and then Mar 31 again.
+ */
+
+const { MS_PER_DAY, daysInMonth, startOfDay, formatDay } = require('./contactDates');
+
+const RECURRENCE_UNITS = ['day', 'week', 'month', 'year'];
+
+// Largest number of units between two occurrences
+const MAX_RECURRENCE_INTERVAL = 365;
+
+/**
+ * Find the day a month-based occurrence falls on
+ * @param {number} year - Year of the anchor day
+ * @param {number} monthIndex - Months after January of that year (0-based)
+ * @param {number} day - Day of the month of the anchor day
+ * @returns {string} Occurrence day (YYYY-MM-DD), clamped to the end of a shorter month
+ */
+function dayInMonth(year, monthIndex, day) {
+  const nextYear = year + Math.floor(monthIndex / 12);
+  const nextMonth = (monthIndex % 12) + 1;
+  const nextDay = Math.min(day, daysInMonth(nextYear, nextMonth));
+  return formatDay(new Date(Date.UTC(nextYear, nextMonth - 1, nextDay)));
+}
+
+/**
+ * Work out the due date of the next occurrence of a recurring reminder
+ * Occurrences fall a whole number of intervals after the anchor day, and the
+ * first one after the given day is returned, skipping any already missed.
+ * @param {Object} recurrence - { every, unit, anchorDate }
+ * @param {string} after - Day the occurrence must fall after (YYYY-MM-DD)
+ * @returns {string} Due date of the next occurrence (YYYY-MM-DD)
+ */
+function nextDueDate({ every, unit, anchorDate }, after) {
+  const [year, month, day] = anchorDate.split('-').map(Number);
+
+  if (unit === 'day' || unit === 'week') {
+    const step = unit === 'week' ? every * 7 : every;
+    const elapsed = Math.round((startOfDay(after) - startOfDay(anchorDate)) / MS_PER_DAY);
+    const count = Math.max(1, Math.floor(elapsed / step) + 1);
+    return formatDay(new Date(Date.UTC(year, month - 1, day + count * step)));
+  }
+
+  // Start at the last occurrence in or before the month of the given day
+  const step = unit === 'year' ? every * 12 : every;
+  const [afterYear, afterMonth] = after.split('-').map(Number);
+  let count = Math.max(1, Math.floor(((afterYear - year) * 12 + (afterMonth - month)) / step));
+  let next = dayInMonth(year, month - 1 + count * step, day);
+  while (next <= after) {
+    count += 1;
+    next = dayInMonth(year, month - 1 + count * step, day);
+  }
+  return next;
+}
+
+module.exports = {
+  RECURRENCE_UNITS,
+  MAX_RECURRENCE_INTERVAL,
+  nextDueDate,
+};
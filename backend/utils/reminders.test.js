@@ -0,0 +1,38 @@
+const { nextDueDate } = require('./reminders');
+
+describe('Reminder Helpers', () => {
+  describe('nextDueDate', () => {
+    it('should add days and weeks across month and year ends', () => {
+      expect(nextDueDate({ every: 90, unit: 'day', anchorDate: '2026-11-03' }, '2026-11-03')).toBe('2027-02-01');
+      expect(nextDueDate({ every: 1, unit: 'week', anchorDate: '2026-12-29' }, '2026-12-29')).toBe('2027-01-05');
+    });
+
+    it('should add months and years on the same day of the month', () => {
+      expect(nextDueDate({ every: 3, unit: 'month', anchorDate: '2026-11-03' }, '2026-11-03')).toBe('2027-02-03');
+      expect(nextDueDate({ every: 2, unit: 'year', anchorDate: '2026-06-15' }, '2026-06-15')).toBe('2028-06-15');
+    });
+
+    it('should land on the last day of a shorter month', () => {
+      expect(nextDueDate({ every: 1, unit: 'month', anchorDate: '2026-01-31' }, '2026-01-31')).toBe('2026-02-28');
+      expect(nextDueDate({ every: 2, unit: 'month', anchorDate: '2027-12-31' }, '2027-12-31')).toBe('2028-02-29');
+      expect(nextDueDate({ every: 1, unit: 'year', anchorDate: '2028-02-29' }, '2028-02-29')).toBe('2029-02-28');
+    });
+
+    it('should count from the anchor day rather than a clamped occurrence', () => {
+      const monthly = { every: 1, unit: 'month', anchorDate: '2026-01-31' };
+
+      expect(nextDueDate(monthly, '2026-02-28')).toBe('2026-03-31');
+      expect(nextDueDate(monthly, '2026-03-31')).toBe('2026-04-30');
+      expect(nextDueDate(monthly, '2026-04-30')).toBe('2026-05-31');
+      expect(nextDueDate({ every: 1, unit: 'year', anchorDate: '2028-02-29' }, '2031-02-28')).toBe('2032-02-29');
+    });
+
+    it('should skip occurrences that are already past', () => {
+      expect(nextDueDate({ every: 1, unit: 'week', anchorDate: '2026-09-28' }, '2026-10-19')).toBe('2026-10-26');
+      expect(nextDueDate({ every: 1, unit: 'week', anchorDate: '2026-09-28' }, '2026-10-20')).toBe('2026-10-26');
+      expect(nextDueDate({ every: 3, unit: 'day', anchorDate: '2026-10-01' }, '2026-10-19')).toBe('2026-10-22');
+      expect(nextDueDate({ every: 2, unit: 'month', anchorDate: '2026-01-31' }, '2026-07-31')).toBe('2026-09-30');
+      expect(nextDueDate({ every: 1, unit: 'year', anchorDate: '2020-06-15' }, '2026-10-19')).toBe('2027-06-15');
+    });
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Identity of the person making a request
+ * There are no user accounts; clients name the user in the X-User header
+ * (e.g. an email address or login). It is recorded as the actor of audited
+ * changes and is not authenticated.
+ */
+
+const USER_HEADER = 'X-User';
+
+// Longest user name stored with audited changes
+const MAX_USER_LENGTH = 100;
+
+/**
+ * Read the user named by a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Trimmed user name, or null when the header is missing or blank
+ */
+function getRequestUser(req) {
+  const value = (req.get(USER_HEADER) || '').trim();
+  return value || null;
+}
+
+module.exports = {
+  USER_HEADER,
+  MAX_USER_LENGTH,
+  getRequestUser,
+};
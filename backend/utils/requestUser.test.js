@@ -0,0 +1,19 @@
+const { getRequestUser } = require('./requestUser');
+
+describe('Request User Helpers', () => {
+  const requestWith = (value) => ({ get: jest.fn().mockReturnValue(value) });
+
+  describe('getRequestUser', () => {
+    it('should return the trimmed X-User header', () => {
+      const req = requestWith('  jane@example.com ');
+
+      expect(getRequestUser(req)).toBe('jane@example.com');
+      expect(req.get).toHaveBeenCalledWith('X-User');
+    });
+
+    it('should return null for a missing or blank header', () => {
+      expect(getRequestUser(requestWith(undefined))).toBeNull();
+      expect(getRequestUser(requestWith('   '))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,478 @@
+/**
+ * vCard helpers (RFC 2426 vCard 3.0, RFC 6350 vCard 4.0)
+ * Covers the contact fields: N, FN, EMAIL, TEL, ADR, BDAY, ANNIVERSARY, ORG, NOTE and REV,
+ * plus PHOTO (a link to the contact's photo) on export.
+ */
+
+const { EMAIL_TYPES, PHONE_TYPES } = require('./contactMethods');
+const { ADDRESS_TYPES, resolveCountry } = require('./postalAddress');
+
+const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// Contact phone type -> vCard TYPE value, where the two differ
+const VCARD_PHONE_TYPES = { mobile: 'cell' };
+
+// Contact date type -> vCard property; 3.0 has no ANNIVERSARY and uses the X- form
+const VCARD_DATE_PROPERTIES = {
+  birthday: { '3.0': 'BDAY', '4.0': 'BDAY' },
+  anniversary: { '3.0': 'X-ANNIVERSARY', '4.0': 'ANNIVERSARY' },
+};
+
+// Content lines longer than this many octets are folded (RFC 6350 section 3.2)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a text value (backslash, comma, semicolon and line breaks)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Unescape a text value
+ * @param {string} value - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\,;nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a structured value (e.g. N) on semicolons that are not escaped
+ * @param {string} value - Escaped structured value
+ * @returns {Array<string>} Unescaped components
+ */
+function splitComponents(value) {
+  const components = [''];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      components[components.length - 1] += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ';') {
+      components.push('');
+    } else {
+      components[components.length - 1] += value[i];
+    }
+  }
+  return components.map(unescapeText);
+}
+
+/**
+ * Fold a content line to at most 75 octets per physical line
+ * Multi-byte characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line without the trailing CRLF
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as a vCard REV value
+ * @param {Date|string} timestamp - Timestamp
+ * @param {string} version - vCard version
+ * @returns {string} 20250102T030405Z for 4.0, 2025-01-02T03:04:05Z for 3.0
+ */
+function formatRev(timestamp, version) {
+  const iso = new Date(timestamp).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  return version === '4.0' ? iso.replace(/[-:]/g, '') : iso;
+}
+
+/**
+ * Get a contact's entries of one kind, falling back to its scalar field
+ * @param {Object} contact - Contact object
+ * @param {string} listKey - List field (emails or phones)
+ * @param {string} valueKey - Scalar field (email or phone)
+ * @returns {Array<Object>} Entries ({ [valueKey], type, primary })
+ */
+function contactEntries(contact, listKey, valueKey) {
+  if (contact[listKey] && contact[listKey].length > 0) {
+    return contact[listKey];
+  }
+  return contact[valueKey] ? [{ [valueKey]: contact[valueKey], type: 'other', primary: true }] : [];
+}
+
+/**
+ * Build the TYPE and PREF parameters of an EMAIL or TEL property
+ * The type "other" has no vCard equivalent and is left out. The primary entry
+ * is only marked when there is more than one entry.
+ * @param {Object} entry - Email or phone entry
+ * @param {boolean} markPrimary - Whether to mark the primary entry
+ * @param {string} version - vCard version
+ * @param {Array<string>} [baseTypes] - TYPE values every property carries (3.0 INTERNET)
+ * @returns {string} Parameters, each with a leading semicolon
+ */
+function formatEntryParams(entry, markPrimary, version, baseTypes = []) {
+  const types = [...baseTypes];
+  if (entry.type && entry.type !== 'other') {
+    types.push(VCARD_PHONE_TYPES[entry.type] || entry.type);
+  }
+  const preferred = markPrimary && entry.primary;
+
+  if (version === '4.0') {
+    return (types.length > 0 ? `;TYPE=${types.join(',')}` : '') + (preferred ? ';PREF=1' : '');
+  }
+  if (preferred) {
+    types.push('pref');
+  }
+  return types.length > 0 ? `;TYPE=${types.join(',').toUpperCase()}` : '';
+}
+
+/**
+ * Serialize a contact as a vCard
+ * @param {Object} contact - Contact object (as returned by mapRowToContact)
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.version='4.0'] - vCard version, 3.0 or 4.0
+ * @param {string} [options.baseUrl=''] - Scheme and host prefixed to the photo
+ *   path, making PHOTO an absolute URI (e.g. https://contacts.example.com);
+ *   PHOTO is left out without one
+ * @returns {string} vCard text terminated by CRLF
+ */
+function formatVCard(contact, { version = '4.0', baseUrl = '' } = {}) {
+  const lines = [
+    'BEGIN:VCARD',
+    `VERSION:${version}`,
+    `FN:${escapeText(`${contact.firstName} ${contact.lastName}`)}`,
+    `N:${escapeText(contact.lastName)};${escapeText(contact.firstName)};;;`,
+  ];
+
+  const emails = contactEntries(contact, 'emails', 'email');
+  emails.forEach((entry) => {
+    const params = formatEntryParams(entry, emails.length > 1, version, version === '4.0' ? [] : ['internet']);
+    lines.push(`EMAIL${params}:${escapeText(entry.email)}`);
+  });
+
+  const phones = contactEntries(contact, 'phones', 'phone');
+  phones.forEach((entry) => {
+    const params = formatEntryParams(entry, phones.length > 1, version);
+    // A 4.0 TEL defaults to a tel: URI; free-form numbers are sent as text
+    lines.push(`TEL${version === '4.0' ? ';VALUE=text' : ''}${params}:${escapeText(entry.phone)}`);
+  });
+  const addresses = contact.addresses || [];
+  addresses.forEach((address) => {
+    // ADR components: PO box;extended address;street;locality;region;postal code;country
+    const components = ['', '', address.street, address.locality, address.region, address.postalCode, address.country];
+    const params = formatEntryParams(address, addresses.length > 1, version);
+    lines.push(`ADR${params}:${components.map((component) => escapeText(component || '')).join(';')}`);
+  });
+
+  // Dates of other types have no vCard property
+  (contact.dates || []).forEach((entry) => {
+    const property = VCARD_DATE_PROPERTIES[entry.type];
+    if (property) {
+      // 4.0 uses the basic format (19850229, --0229); 3.0 the extended one
+      const value = version === '4.0' ? entry.date.replace(/(\d)-/g, '$1') : entry.date;
+      lines.push(`${property[version]}:${value}`);
+    }
+  });
+
+  if (contact.company) {
+    lines.push(`ORG:${escapeText(contact.company)}`);
+  }
+  if (contact.notes) {
+    lines.push(`NOTE:${escapeText(contact.notes)}`);
+  }
+  if (contact.photoUrl && baseUrl) {
+    // A 4.0 PHOTO is a URI by default; 3.0 defaults to inline binary data
+    lines.push(`PHOTO${version === '4.0' ? '' : ';VALUE=uri'}:${baseUrl}${contact.photoUrl}`);
+  }
+  if (contact.updatedAt) {
+    lines.push(`REV:${formatRev(contact.updatedAt, version)}`);
+  }
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * Parameter values may be quoted and contain colons. Repeated parameters are
+ * joined with commas, and bare 3.0 parameters (TEL;CELL) count as TYPE values.
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value }, or null if there is no colon
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach((param) => {
+    const [rawKey, ...rest] = param.split('=');
+    const key = rest.length > 0 ? rawKey.trim().toUpperCase() : 'TYPE';
+    const value = (rest.length > 0 ? rest.join('=') : rawKey).replace(/"/g, '').trim().toLowerCase();
+    params[key] = params[key] ? `${params[key]},${value}` : value;
+  });
+
+  // Drop the group prefix, e.g. item1.EMAIL
+  const name = rawName.trim().toUpperCase().replace(/^.*\./, '');
+  return { name, params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Check whether a property is marked as preferred (4.0 PREF=1, 3.0 TYPE=pref)
+ * @param {Object} params - Parsed parameters
+ * @returns {boolean} True if preferred
+ */
+function isPreferred(params) {
+  return params.PREF === '1' || (params.TYPE || '').split(',').includes('pref');
+}
+
+/**
+ * Collect the EMAIL or TEL properties of a card
+ * A single untyped value comes back as the scalar field; anything richer comes
+ * back as a list with the preferred (or else the first) entry as primary.
+ * Repeated values are only kept once.
+ * @param {Array<Object>} properties - Parsed content lines of the card
+ * @param {string} name - Property name (EMAIL or TEL)
+ * @param {string} valueKey - Scalar field (email or phone)
+ * @param {Array<string>} types - Allowed contact types
+ * @returns {Object} { [valueKey] } or { [valueKey + 's'] }, empty without values
+ */
+function cardEntries(properties, name, valueKey, types) {
+  const seen = new Set();
+  const entries = [];
+
+  properties.filter((property) => property.name === name).forEach((property) => {
+    const value = unescapeText(property.value).trim().replace(/^tel:/i, '');
+    if (value === '' || seen.has(value.toLowerCase())) {
+      return;
+    }
+    seen.add(value.toLowerCase());
+
+    const cardTypes = (property.params.TYPE || '').split(',');
+    const type = types.find((candidate) =>
+      candidate !== 'other' && cardTypes.includes(VCARD_PHONE_TYPES[candidate] || candidate));
+    entries.push({ [valueKey]: value, type: type || 'other', preferred: isPreferred(property.params) });
+  });
+
+  if (entries.length === 0) {
+    return {};
+  }
+  if (entries.length === 1 && entries[0].type === 'other') {
+    return { [valueKey]: entries[0][valueKey] };
+  }
+
+  const primaryIndex = Math.max(entries.findIndex((entry) => entry.preferred), 0);
+  return {
+    [`${valueKey}s`]: entries.map(({ preferred, ...entry }, index) => ({ ...entry, primary: index === primaryIndex })),
+  };
+}
+
+/**
+ * Collect the ADR properties of a card
+ * The PO box and extended address are appended to the street on their own
+ * lines. Countries given by English name are turned into ISO codes where
+ * known; others are kept as written so validation can report them.
+ * @param {Array<Object>} properties - Parsed content lines of the card
+ * @returns {Object} { addresses }, empty without addresses
+ */
+function cardAddresses(properties) {
+  const addresses = [];
+
+  properties.filter((property) => property.name === 'ADR').forEach((property) => {
+    const [poBox, extended, street, locality, region, postalCode, country] =
+      splitComponents(property.value).map((component) => (component || '').trim());
+    const streetLines = [street, extended, poBox].filter(Boolean).join('\n');
+    if (!streetLines && !locality && !region && !postalCode && !country) {
+      return;
+    }
+
+    const cardTypes = (property.params.TYPE || '').split(',');
+    const type = ADDRESS_TYPES.find((candidate) => candidate !== 'other' && cardTypes.includes(candidate));
+    const address = { type: type || 'other', street: streetLines, locality, region, postalCode };
+    // Leave out empty parts so they are stored as null
+    Object.keys(address).forEach((key) => {
+      if (address[key] === '') {
+        delete address[key];
+      }
+    });
+    addresses.push({ ...address, country: resolveCountry(country), preferred: isPreferred(property.params) });
+  });
+
+  if (addresses.length === 0) {
+    return {};
+  }
+
+  const primaryIndex = Math.max(addresses.findIndex((address) => address.preferred), 0);
+  return {
+    addresses: addresses.map(({ preferred, ...address }, index) => ({ ...address, primary: index === primaryIndex })),
+  };
+}
+
+/**
+ * Collect the BDAY and ANNIVERSARY properties of a card
+ * Dates are accepted in the basic and extended formats, with or without a
+ * year; a time part is ignored. Apple's X-APPLE-OMIT-YEAR placeholder year is
+ * dropped. Other values are kept as written so validation can report them.
+ * @param {Array<Object>} properties - Parsed content lines of the card
+ * @returns {Object} { dates }, empty without dates
+ */
+function cardDates(properties) {
+  const dates = [];
+
+  Object.entries(VCARD_DATE_PROPERTIES).forEach(([type, names]) => {
+    const property = properties.find((candidate) => Object.values(names).includes(candidate.name));
+    if (!property) {
+      return;
+    }
+
+    const value = unescapeText(property.value).trim().replace(/T.*$/, '');
+    const full = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(value);
+    const yearless = /^--(\d{2})-?(\d{2})$/.exec(value);
+    let date = value;
+    if (full) {
+      const omitYear = property.params['X-APPLE-OMIT-YEAR'] === full[1];
+      date = `${omitYear ? '-' : full[1]}-${full[2]}-${full[3]}`;
+    } else if (yearless) {
+      date = `--${yearless[1]}-${yearless[2]}`;
+    }
+    if (date !== '') {
+      dates.push({ type, date });
+    }
+  });
+
+  return dates.length > 0 ? { dates } : {};
+}
+
+/**
+ * Turn the properties of one card into contact data
+ * @param {Array<Object>} properties - Parsed content lines of the card
+ * @returns {Object} Contact data (firstName, lastName, email or emails, phone or phones, addresses, dates,
+ *   company, notes)
+ */
+function cardToContact(properties) {
+  const first = (name) => {
+    const matches = properties.filter((property) => property.name === name);
+    return matches.find((property) => isPreferred(property.params)) || matches[0];
+  };
+  const contact = {};
+
+  const n = first('N');
+  if (n) {
+    const [lastName, firstName] = splitComponents(n.value);
+    contact.firstName = (firstName || '').trim();
+    contact.lastName = (lastName || '').trim();
+  }
+
+  // Without N, split FN into a given name and a family name
+  const fn = first('FN');
+  if (fn && !contact.firstName && !contact.lastName) {
+    const words = unescapeText(fn.value).trim().split(/\s+/);
+    contact.lastName = words.length > 1 ? words.pop() : '';
+    contact.firstName = words.join(' ');
+  }
+
+  Object.assign(contact, cardEntries(properties, 'EMAIL', 'email', EMAIL_TYPES));
+  Object.assign(contact, cardEntries(properties, 'TEL', 'phone', PHONE_TYPES));
+  Object.assign(contact, cardAddresses(properties));
+  Object.assign(contact, cardDates(properties));
+
+  const org = first('ORG');
+  if (org) {
+    contact.company = splitComponents(org.value)[0].trim();
+  }
+
+  const note = first('NOTE');
+  if (note) {
+    contact.notes = unescapeText(note.value);
+  }
+
+  // Leave out empty values so optional fields stay unset
+  Object.keys(contact).forEach((key) => {
+    if (contact[key] === '') {
+      delete contact[key];
+    }
+  });
+
+  return contact;
+}
+
+/**
+ * Parse a file holding one or more vCards
+ * Folded lines are unfolded and values unescaped. A card that is never closed
+ * is reported rather than silently dropped.
+ * @param {string} text - vCard text
+ * @returns {Array<Object>} One { contact } or { error } per card, in file order
+ */
+function parseVCards(text) {
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const cards = [];
+  let properties = null;
+
+  lines.forEach((line) => {
+    if (line.trim() === '') {
+      return;
+    }
+    const property = parseContentLine(line);
+    if (!property) {
+      return;
+    }
+
+    if (property.name === 'BEGIN' && property.value.trim().toUpperCase() === 'VCARD') {
+      if (properties) {
+        cards.push({ error: 'Card is missing END:VCARD' });
+      }
+      properties = [];
+    } else if (property.name === 'END' && property.value.trim().toUpperCase() === 'VCARD') {
+      if (properties) {
+        cards.push({ contact: cardToContact(properties) });
+      }
+      properties = null;
+    } else if (properties) {
+      properties.push(property);
+    }
+  });
+
+  if (properties) {
+    cards.push({ error: 'Card is missing END:VCARD' });
+  }
+
+  return cards;
+}
+
+module.exports = {
+  VCARD_VERSIONS,
+  formatVCard,
+  parseVCards,
+};
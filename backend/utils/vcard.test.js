@@ -0,0 +1,303 @@
+const { formatVCard, parseVCards } = require('./vcard');
+
+describe('vCard Utilities', () => {
+  const contact = {
+    id: 1,
+    firstName: 'John',
+    lastName: 'Doe',
+    email: 'john@example.com',
+    phone: '+1 555 555 0123',
+    company: 'Acme; Inc, Ltd',
+    notes: 'Met at the conference\nLikes tea',
+    createdAt: new Date('2025-01-01T00:00:00Z'),
+    updatedAt: new Date('2025-01-02T03:04:05.678Z'),
+    version: 1,
+  };
+
+  describe('formatVCard', () => {
+    it('should serialize a contact as vCard 4.0 by default', () => {
+      expect(formatVCard(contact)).toBe(
+        'BEGIN:VCARD\r\n' +
+        'VERSION:4.0\r\n' +
+        'FN:John Doe\r\n' +
+        'N:Doe;John;;;\r\n' +
+        'EMAIL:john@example.com\r\n' +
+        'TEL;VALUE=text:+1 555 555 0123\r\n' +
+        'ORG:Acme\\; Inc\\, Ltd\r\n' +
+        'NOTE:Met at the conference\\nLikes tea\r\n' +
+        'REV:20250102T030405Z\r\n' +
+        'END:VCARD\r\n'
+      );
+    });
+
+    it('should serialize vCard 3.0 with its property forms', () => {
+      const card = formatVCard(contact, { version: '3.0' });
+
+      expect(card).toContain('VERSION:3.0\r\n');
+      expect(card).toContain('EMAIL;TYPE=INTERNET:john@example.com\r\n');
+      expect(card).toContain('TEL:+1 555 555 0123\r\n');
+      expect(card).toContain('REV:2025-01-02T03:04:05Z\r\n');
+    });
+
+    it('should write every email and phone with its type and mark the primary one', () => {
+      const card = formatVCard({
+        ...contact,
+        emails: [
+          { email: 'john@example.com', type: 'work', primary: true },
+          { email: 'john@home.example', type: 'other', primary: false },
+        ],
+        phones: [{ phone: '+1 555 555 0123', type: 'mobile', primary: true }],
+      });
+
+      expect(card).toContain('EMAIL;TYPE=work;PREF=1:john@example.com\r\n');
+      expect(card).toContain('EMAIL:john@home.example\r\n');
+      expect(card).toContain('TEL;VALUE=text;TYPE=cell:+1 555 555 0123\r\n');
+    });
+
+    it('should write 3.0 types and preference in the TYPE parameter', () => {
+      const card = formatVCard({
+        ...contact,
+        emails: [
+          { email: 'john@example.com', type: 'home', primary: false },
+          { email: 'john@work.example', type: 'work', primary: true },
+        ],
+        phones: [{ phone: '+1 555 555 0199', type: 'fax', primary: true }],
+      }, { version: '3.0' });
+
+      expect(card).toContain('EMAIL;TYPE=INTERNET,HOME:john@example.com\r\n');
+      expect(card).toContain('EMAIL;TYPE=INTERNET,WORK,PREF:john@work.example\r\n');
+      expect(card).toContain('TEL;TYPE=FAX:+1 555 555 0199\r\n');
+    });
+
+    it('should write addresses as ADR with escaped components', () => {
+      const card = formatVCard({
+        ...contact,
+        addresses: [
+          { type: 'home', street: '1 Main St\nApt 2', locality: 'Springfield', region: 'IL', postalCode: '62701', country: 'US', primary: true },
+          { type: 'other', street: null, locality: 'Berlin', region: null, postalCode: null, country: 'DE', primary: false },
+        ],
+      });
+
+      expect(card).toContain('ADR;TYPE=home;PREF=1:;;1 Main St\\nApt 2;Springfield;IL;62701;US\r\n');
+      expect(card).toContain('ADR:;;;Berlin;;;DE\r\n');
+    });
+
+    it('should write birthdays and anniversaries in the format of each version', () => {
+      const dates = [
+        { type: 'birthday', date: '1985-02-28' },
+        { type: 'anniversary', date: '--06-30' },
+        { type: 'other', date: '2020-01-01' },
+      ];
+
+      const card4 = formatVCard({ ...contact, dates });
+      const card3 = formatVCard({ ...contact, dates }, { version: '3.0' });
+
+      expect(card4).toContain('BDAY:19850228\r\nANNIVERSARY:--0630\r\n');
+      expect(card3).toContain('BDAY:1985-02-28\r\nX-ANNIVERSARY:--06-30\r\n');
+      expect(card4).not.toContain('2020');
+    });
+
+    it('should leave out empty optional fields', () => {
+      const card = formatVCard({ firstName: 'Jane', lastName: 'Smith', email: null });
+
+      expect(card).toBe('BEGIN:VCARD\r\nVERSION:4.0\r\nFN:Jane Smith\r\nN:Smith;Jane;;;\r\nEND:VCARD\r\n');
+    });
+
+    it('should link the photo as a URI in the form of each version', () => {
+      const withPhoto = { ...contact, photoUrl: '/api/contacts/1/photo' };
+      const options = { baseUrl: 'https://contacts.example.com' };
+
+      expect(formatVCard(withPhoto, options)).toContain('\r\nPHOTO:https://contacts.example.com/api/contacts/1/photo\r\n');
+      expect(formatVCard(withPhoto, { ...options, version: '3.0' })).toContain(
+        '\r\nPHOTO;VALUE=uri:https://contacts.example.com/api/contacts/1/photo\r\n'
+      );
+    });
+
+    it('should leave out the photo without a base URL to make it absolute', () => {
+      const card = formatVCard({ ...contact, photoUrl: '/api/contacts/1/photo' });
+
+      expect(card).not.toContain('PHOTO');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const card = formatVCard({ ...contact, notes: 'é'.repeat(100) });
+      const lines = card.split('\r\n');
+
+      lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.some((line) => line.startsWith(' é'))).toBe(true);
+      expect(parseVCards(card)[0].contact.notes).toBe('é'.repeat(100));
+    });
+  });
+
+  describe('parseVCards', () => {
+    it('should round-trip a formatted contact', () => {
+      expect(parseVCards(formatVCard(contact))).toEqual([{
+        contact: {
+          firstName: 'John',
+          lastName: 'Doe',
+          email: 'john@example.com',
+          phone: '+1 555 555 0123',
+          company: 'Acme; Inc, Ltd',
+          notes: 'Met at the conference\nLikes tea',
+        },
+      }]);
+    });
+
+    it('should parse multiple cards with folded lines and bare LF endings', () => {
+      const text = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:Doe;John;;;',
+        'NOTE:first part',
+        '  second part',
+        'END:VCARD',
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'N:Smith;Jane;;;',
+        'END:VCARD',
+      ].join('\n');
+
+      expect(parseVCards(text)).toEqual([
+        { contact: { firstName: 'John', lastName: 'Doe', notes: 'first part second part' } },
+        { contact: { firstName: 'Jane', lastName: 'Smith' } },
+      ]);
+    });
+
+    it('should make the preferred email primary and strip tel: URIs', () => {
+      const text = [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'N:Doe;John;;;',
+        'item1.EMAIL;TYPE=home:home@example.com',
+        'EMAIL;PREF=1:work@example.com',
+        'TEL;TYPE=cell,pref:tel:+1-555-555-0123',
+        'ORG:Acme;Sales',
+        'END:VCARD',
+      ].join('\r\n');
+
+      expect(parseVCards(text)[0].contact).toEqual({
+        firstName: 'John',
+        lastName: 'Doe',
+        emails: [
+          { email: 'home@example.com', type: 'home', primary: false },
+          { email: 'work@example.com', type: 'other', primary: true },
+        ],
+        phones: [{ phone: '+1-555-555-0123', type: 'mobile', primary: true }],
+        company: 'Acme',
+      });
+    });
+
+    it('should read bare 3.0 types and skip repeated values', () => {
+      const text = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:Doe;John;;;',
+        'EMAIL;TYPE=INTERNET:john@example.com',
+        'EMAIL;TYPE=INTERNET;TYPE=WORK:JOHN@example.com',
+        'TEL;WORK;VOICE:+1 555 555 0100',
+        'TEL;HOME:+1 555 555 0101',
+        'END:VCARD',
+      ].join('\r\n');
+
+      expect(parseVCards(text)[0].contact).toEqual({
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john@example.com',
+        phones: [
+          { phone: '+1 555 555 0100', type: 'work', primary: true },
+          { phone: '+1 555 555 0101', type: 'home', primary: false },
+        ],
+      });
+    });
+
+    it('should round-trip typed emails and phones', () => {
+      const emails = [
+        { email: 'john@example.com', type: 'work', primary: false },
+        { email: 'john@home.example', type: 'home', primary: true },
+      ];
+      const phones = [
+        { phone: '+1 555 555 0123', type: 'mobile', primary: true },
+        { phone: '+1 555 555 0199', type: 'other', primary: false },
+      ];
+
+      ['3.0', '4.0'].forEach((version) => {
+        const parsed = parseVCards(formatVCard({ ...contact, emails, phones }, { version }))[0].contact;
+
+        expect(parsed.emails).toEqual(emails);
+        expect(parsed.phones).toEqual(phones);
+      });
+    });
+
+    it('should read addresses and turn known country names into codes', () => {
+      const text = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:Doe;John;;;',
+        'ADR;TYPE=WORK:;Suite 5;1 Market St;San Francisco;CA;94105;United States',
+        'ADR;TYPE=HOME;TYPE=PREF:;;10 Downing St;London;;SW1A 2AA;gb',
+        'ADR:;;;;;;',
+        'END:VCARD',
+      ].join('\r\n');
+
+      expect(parseVCards(text)[0].contact.addresses).toEqual([
+        {
+          type: 'work',
+          street: '1 Market St\nSuite 5',
+          locality: 'San Francisco',
+          region: 'CA',
+          postalCode: '94105',
+          country: 'US',
+          primary: false,
+        },
+        { type: 'home', street: '10 Downing St', locality: 'London', postalCode: 'SW1A 2AA', country: 'GB', primary: true },
+      ]);
+    });
+
+    it('should read birthdays and anniversaries in either format', () => {
+      const text = [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'N:Doe;John;;;',
+        'BDAY;X-APPLE-OMIT-YEAR=1604:1604-02-29',
+        'ANNIVERSARY:20120630T120000Z',
+        'END:VCARD',
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:Smith;Jane;;;',
+        'BDAY:--0115',
+        'X-ANNIVERSARY:sometime in June',
+        'END:VCARD',
+      ].join('\r\n');
+
+      const [john, jane] = parseVCards(text);
+
+      expect(john.contact.dates).toEqual([
+        { type: 'birthday', date: '--02-29' },
+        { type: 'anniversary', date: '2012-06-30' },
+      ]);
+      expect(jane.contact.dates).toEqual([
+        { type: 'birthday', date: '--01-15' },
+        { type: 'anniversary', date: 'sometime in June' },
+      ]);
+    });
+
+    it('should split FN into names when N is missing', () => {
+      const text = 'BEGIN:VCARD\r\nVERSION:3.0\r\nFN:Mary Ann Smith\r\nEND:VCARD\r\n';
+
+      expect(parseVCards(text)[0].contact).toEqual({ firstName: 'Mary Ann', lastName: 'Smith' });
+    });
+
+    it('should report a card that is never closed', () => {
+      const text = 'BEGIN:VCARD\r\nN:Doe;John;;;\r\nBEGIN:VCARD\r\nN:Smith;Jane;;;\r\nEND:VCARD\r\n';
+
+      expect(parseVCards(text)).toEqual([
+        { error: 'Card is missing END:VCARD' },
+        { contact: { firstName: 'Jane', lastName: 'Smith' } },
+      ]);
+    });
+
+    it('should return no cards for text without vCards', () => {
+      expect(parseVCards('hello world')).toEqual([]);
+    });
+  });
+});
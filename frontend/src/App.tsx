@@ -1,10 +1,24 @@
-import React, { Component, ErrorInfo, ReactNode } from 'react';
+import React, { Component, ErrorInfo, ReactNode, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Link, useParams, useNavigate } from 'react-router-dom';
 import ContactList from './components/ContactList';
 import ContactDetail from './components/ContactDetail';
 import ContactForm from './components/ContactForm';
+import UserField from './components/UserField';
+import { getRequestUser, setRequestUser } from './api/config';
 import './App.css';
 
+// localStorage key the request user is kept under between visits
+const USER_STORAGE_KEY = 'contactBook.user';
+
+/**
+ * Restore the request user saved on an earlier visit
+ * Runs before the first render, so the first requests already carry it.
+ */
+function loadRequestUser(): string | null {
+  setRequestUser(window.localStorage.getItem(USER_STORAGE_KEY));
+  return getRequestUser();
+}
+
 // Error Boundary Component
 interface ErrorBoundaryProps {
   children: ReactNode;
@@ -77,6 +91,19 @@ function App() {
     console.warn('REACT_APP_API_BASE_URL is not configured. API calls may fail.');
   }
 
+  const [user, setUser] = useState<string | null>(loadRequestUser);
+
+  const handleUserChange = (nextUser: string | null) => {
+    setRequestUser(nextUser);
+    const savedUser = getRequestUser();
+    if (savedUser) {
+      window.localStorage.setItem(USER_STORAGE_KEY, savedUser);
+    } else {
+      window.localStorage.removeItem(USER_STORAGE_KEY);
+    }
+    setUser(savedUser);
+  };
+
   return (
     <ErrorBoundary>
       <Router>
@@ -90,13 +117,14 @@ function App() {
               <nav className="app-nav">
                 <Link to="/" className="nav-link">Home</Link>
               </nav>
+              <UserField user={user} onChange={handleUserChange} />
             </div>
           </header>
 
           {/* Main Content */}
           <main className="app-main">
             <Routes>
-              <Route path="/" element={<ContactList />} />
+              <Route path="/" element={<ContactList user={user} />} />
               <Route path="/contacts/new" element={<ContactFormNewWrapper />} />
               <Route path="/contacts/:id" element={<ContactDetail />} />
               <Route path="/contacts/:id/edit" element={<ContactFormEditWrapper />} />
@@ -12,11 +12,31 @@ const apiClient: AxiosInstance = axios.create({
   },
 });
 
+// User named in the X-User header; the API records it with changes it audits
+let requestUser: string | null = null;
+
+/**
+ * Set the user sent with every request, or null to stop sending one
+ */
+export function setRequestUser(user: string | null): void {
+  requestUser = user && user.trim() ? user.trim() : null;
+}
+
+/**
+ * Get the user sent with every request, or null if none is set
+ */
+export function getRequestUser(): string | null {
+  return requestUser;
+}
+
 // Request interceptor for common headers
 apiClient.interceptors.request.use(
   (config: InternalAxiosRequestConfig) => {
-    // Add any common headers here (e.g., authentication tokens in the future)
-    // For now, just log the request in development
+    if (requestUser) {
+      config.headers.set('X-User', requestUser);
+    }
+
+    // Log the request in development
     if (process.env.NODE_ENV === 'development') {
       console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
     }
@@ -49,6 +69,8 @@ export interface ApiError {
   status?: number;
   details?: any;
   field?: string;
+  /** Likely duplicates of a contact that was refused with 409 */
+  duplicates?: any[];
 }
 
 /**
@@ -84,6 +106,10 @@ export function transformError(error: AxiosError): ApiError {
       apiError.details = errorData.details;
     }
 
+    if (errorData.duplicates) {
+      apiError.duplicates = errorData.duplicates;
+    }
+
     if (errorData.message) {
       apiError.message = errorData.message;
     }
@@ -97,6 +123,9 @@ export function transformError(error: AxiosError): ApiError {
     case 404:
       apiError.message = apiError.message || 'Resource not found.';
       break;
+    case 412:
+      apiError.message = apiError.message || 'This record was changed by someone else. Please reload it.';
+      break;
     case 500:
       apiError.message = apiError.message || 'Server error. Please try again later.';
       break;
@@ -9,12 +9,85 @@ export interface Contact {
   lastName: string;
   email?: string;
   phone?: string;
+  /** Name of the linked organization */
   company?: string;
+  organizationId: number | null;
   notes?: string;
   createdAt: string;
   updatedAt: string;
+  /** Increases on every change; sent back as If-Match to detect conflicting edits */
+  version: number;
+  /** Tag names in alphabetical order */
+  tags: string[];
+  /** All email addresses; email holds the primary one */
+  emails: ContactEmail[];
+  /** All phone numbers; phone holds the primary one */
+  phones: ContactPhone[];
+  addresses: ContactAddress[];
+  dates: ContactDate[];
+  /** Custom field values keyed by field key */
+  customFields: CustomFieldValues;
+  /** Time of the most recent interaction, or null if none has been logged */
+  lastContactedAt: string | null;
+  /** Whether the user set with setRequestUser starred the contact; listed and single contacts only */
+  starred?: boolean;
+  /** API path of the contact's photo, or null if it has none; see getContactPhotoUrl */
+  photoUrl: string | null;
 }
 
+export type EmailType = 'home' | 'work' | 'other';
+export type PhoneType = 'mobile' | 'home' | 'work' | 'fax' | 'other';
+
+/**
+ * Typed email address of a contact
+ */
+export interface ContactEmail {
+  email: string;
+  type: EmailType;
+  primary: boolean;
+}
+
+/**
+ * Typed phone number of a contact
+ */
+export interface ContactPhone {
+  phone: string;
+  type: PhoneType;
+  primary: boolean;
+}
+
+export type AddressType = 'home' | 'work' | 'other';
+
+/**
+ * Postal address of a contact
+ */
+export interface ContactAddress {
+  type: AddressType;
+  street: string | null;
+  locality: string | null;
+  region: string | null;
+  postalCode: string | null;
+  /** ISO 3166-1 alpha-2 code, e.g. "US" */
+  country: string;
+  primary: boolean;
+}
+
+export type DateType = 'birthday' | 'anniversary' | 'other';
+
+/**
+ * Yearly date of a contact such as a birthday
+ */
+export interface ContactDate {
+  type: DateType;
+  /** YYYY-MM-DD, or --MM-DD when the year is not known */
+  date: string;
+}
+
+/**
+ * Custom field values keyed by field key; dates are YYYY-MM-DD
+ */
+export type CustomFieldValues = Record<string, string | number | null>;
+
 /**
  * Contact data for creating or updating (without id and timestamps)
  */
@@ -23,20 +96,92 @@ export interface ContactInput {
   lastName: string;
   email?: string;
   phone?: string;
+  /** Replaces all email addresses; wins over email when both are sent */
+  emails?: Array<Pick<ContactEmail, 'email'> & Partial<Omit<ContactEmail, 'email'>>>;
+  /** Replaces all phone numbers; wins over phone when both are sent */
+  phones?: Array<Pick<ContactPhone, 'phone'> & Partial<Omit<ContactPhone, 'phone'>>>;
+  /** Replaces all addresses when present; left unchanged when omitted */
+  addresses?: Array<Pick<ContactAddress, 'country'> & Partial<Omit<ContactAddress, 'country'>>> | null;
+  /** Replaces all dates when present; left unchanged when omitted */
+  dates?: ContactDate[] | null;
+  /** Replaces all custom field values when present; left unchanged when omitted */
+  customFields?: CustomFieldValues;
+  /** Links the organization of that name, creating it if needed */
   company?: string;
+  /** Links an existing organization; wins over company, and null unlinks it */
+  organizationId?: number | null;
   notes?: string;
 }
 
 /**
- * Get all contacts
- * @returns Promise resolving to array of contacts
+ * Pagination, filter and sort parameters for listing contacts
+ */
+export interface ContactPageParams {
+  limit?: number;
+  cursor?: string;
+  /** Comma-separated fields, "-" prefix for descending, e.g. "-updatedAt,lastName" or "-starred,lastName,firstName" */
+  sort?: string;
+  company?: string;
+  /** Only contacts carrying this tag (case-insensitive) */
+  tag?: string;
+  hasEmail?: boolean;
+  hasPhone?: boolean;
+  createdAfter?: string;
+  createdBefore?: string;
+  updatedAfter?: string;
+  updatedBefore?: string;
+}
+
+/**
+ * A page of contacts with the cursor for the next page
+ */
+export interface ContactPage {
+  data: Contact[];
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
+/**
+ * Get a page of contacts
+ * @param params - Page size and cursor from the previous page
+ * @returns Promise resolving to a page of contacts
  * @throws ApiError if request fails
  */
-export async function getAllContacts(): Promise<Contact[]> {
-  const response = await apiClient.get<Contact[]>('/api/contacts');
+export async function getContacts(params: ContactPageParams = {}): Promise<ContactPage> {
+  const response = await apiClient.get<ContactPage>('/api/contacts', { params });
   return response.data;
 }
 
+/**
+ * Why two contacts were matched as likely duplicates
+ */
+export type DuplicateReason =
+  /** Shared email address, lower-cased and without a +tag */
+  | { type: 'email'; value: string }
+  /** Shared phone number as its last 10 digits */
+  | { type: 'phone'; value: string }
+  /** Trigram similarity of the full names, 0-1 */
+  | { type: 'name'; similarity: number };
+
+/**
+ * An existing contact that a draft contact would likely duplicate
+ */
+export interface DuplicateMatch {
+  contact: Contact;
+  /** 0-1; signals combine as independent evidence */
+  confidence: number;
+  reasons: DuplicateReason[];
+}
+
+/**
+ * Build an If-Match header for a known contact version
+ * @param version - Contact version the client last saw
+ * @returns Request headers, empty when no version is known
+ */
+function ifMatchHeader(version?: number): Record<string, string> {
+  return version === undefined ? {} : { 'If-Match': `"${version}"` };
+}
+
 /**
  * Get a single contact by ID
  * @param id - Contact ID
@@ -51,11 +196,18 @@ export async function getContactById(id: number): Promise<Contact> {
 /**
  * Create a new contact
  * @param data - Contact data
+ * @param options - allowDuplicates creates the contact even if it likely exists already
  * @returns Promise resolving to created contact
- * @throws ApiError if request fails or validation fails
+ * @throws ApiError if request fails or validation fails; 409 with duplicates
+ *   when the contact likely exists already
  */
-export async function createContact(data: ContactInput): Promise<Contact> {
-  const response = await apiClient.post<Contact>('/api/contacts', data);
+export async function createContact(
+  data: ContactInput,
+  options: { allowDuplicates?: boolean } = {}
+): Promise<Contact> {
+  const response = await apiClient.post<Contact>('/api/contacts', data, {
+    params: options.allowDuplicates ? { allowDuplicates: true } : undefined,
+  });
   return response.data;
 }
 
@@ -63,20 +215,53 @@ export async function createContact(data: ContactInput): Promise<Contact> {
  * Update an existing contact
  * @param id - Contact ID
  * @param data - Updated contact data
+ * @param version - Version the edit is based on; a newer server version fails with 412
  * @returns Promise resolving to updated contact
- * @throws ApiError if request fails, validation fails, or contact not found
+ * @throws ApiError if request fails, validation fails, contact not found, or version is stale
  */
-export async function updateContact(id: number, data: ContactInput): Promise<Contact> {
-  const response = await apiClient.put<Contact>(`/api/contacts/${id}`, data);
+export async function updateContact(id: number, data: ContactInput, version?: number): Promise<Contact> {
+  const response = await apiClient.put<Contact>(`/api/contacts/${id}`, data, {
+    headers: ifMatchHeader(version),
+  });
   return response.data;
 }
 
 /**
- * Delete a contact
+ * Move a contact to the trash
  * @param id - Contact ID
+ * @param version - Version the user confirmed; a newer server version fails with 412
  * @returns Promise resolving when deletion is complete
- * @throws ApiError if request fails or contact not found
+ * @throws ApiError if request fails, contact not found, or version is stale
+ */
+export async function deleteContact(id: number, version?: number): Promise<void> {
+  await apiClient.delete(`/api/contacts/${id}`, { headers: ifMatchHeader(version) });
+}
+
+/**
+ * A contact starred by the user set with setRequestUser
+ */
+export interface ContactStar {
+  contactId: number;
+  starred: true;
+  starredAt: string;
+}
+
+/**
+ * Star a contact for the user set with setRequestUser
+ * @param id - Contact ID
+ * @returns Promise resolving to the star
+ * @throws ApiError if no user is set (400) or contact not found
+ */
+export async function starContact(id: number): Promise<ContactStar> {
+  const response = await apiClient.put<ContactStar>(`/api/contacts/${id}/star`);
+  return response.data;
+}
+
+/**
+ * Clear the star the user set with setRequestUser put on a contact
+ * @param id - Contact ID
+ * @throws ApiError if no user is set (400) or contact not found
  */
-export async function deleteContact(id: number): Promise<void> {
-  await apiClient.delete(`/api/contacts/${id}`);
+export async function unstarContact(id: number): Promise<void> {
+  await apiClient.delete(`/api/contacts/${id}/star`);
 }
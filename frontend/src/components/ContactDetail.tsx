@@ -13,6 +13,7 @@ interface Contact {
   notes?: string;
   createdAt: string;
   updatedAt: string;
+  version: number;
 }
 
 const ContactDetail: React.FC = () => {
@@ -52,12 +53,12 @@ const ContactDetail: React.FC = () => {
   }, [id]);
 
   const handleDelete = async () => {
-    if (!id) return;
+    if (!id || !contact) return;
 
     try {
       setDeleting(true);
       setError('');
-      await deleteContact(parseInt(id, 10));
+      await deleteContact(parseInt(id, 10), contact.version);
       navigate('/');
     } catch (err: any) {
       setError(err.message || 'Failed to delete contact');
@@ -181,7 +182,8 @@ const ContactDetail: React.FC = () => {
             <h3>Confirm Delete</h3>
             <p>
               Are you sure you want to delete {contact.firstName}{' '}
-              {contact.lastName}? This action cannot be undone.
+              {contact.lastName}? The contact will be moved to the trash, where
+              it can be restored until the trash is purged.
             </p>
             <div className="modal-actions">
               <button
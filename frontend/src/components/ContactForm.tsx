@@ -1,5 +1,11 @@
 import React, { useState, useEffect, FormEvent, ChangeEvent } from 'react';
-import { getContactById, createContact, updateContact, ContactInput } from '../api/contactService';
+import {
+  getContactById,
+  createContact,
+  updateContact,
+  ContactInput,
+  DuplicateMatch
+} from '../api/contactService';
 import './ContactForm.css';
 
 interface ContactFormProps {
@@ -39,6 +45,10 @@ const ContactForm: React.FC<ContactFormProps> = ({ contactId, onSave }) => {
   const [loading, setLoading] = useState(false);
   const [fetchingData, setFetchingData] = useState(false);
   const [submitError, setSubmitError] = useState<string>('');
+  // Version of the contact being edited, sent as If-Match to detect conflicting edits
+  const [version, setVersion] = useState<number | undefined>(undefined);
+  // Existing contacts the new contact likely duplicates; saving again creates it anyway
+  const [duplicates, setDuplicates] = useState<DuplicateMatch[]>([]);
 
   // Fetch existing contact data if editing
   useEffect(() => {
@@ -54,6 +64,7 @@ const ContactForm: React.FC<ContactFormProps> = ({ contactId, onSave }) => {
             company: contact.company || '',
             notes: contact.notes || ''
           });
+          setVersion(contact.version);
           setFetchingData(false);
         })
         .catch(error => {
@@ -69,6 +80,7 @@ const ContactForm: React.FC<ContactFormProps> = ({ contactId, onSave }) => {
       ...prev,
       [name]: value
     }));
+    setDuplicates([]);
     // Clear error for this field when user starts typing
     if (errors[name as keyof ValidationErrors]) {
       setErrors(prev => ({
@@ -149,16 +161,18 @@ const ContactForm: React.FC<ContactFormProps> = ({ contactId, onSave }) => {
 
       let savedContact;
       if (contactId) {
-        savedContact = await updateContact(contactId, contactData);
+        savedContact = await updateContact(contactId, contactData, version);
       } else {
-        savedContact = await createContact(contactData);
+        savedContact = await createContact(contactData, { allowDuplicates: duplicates.length > 0 });
       }
 
       setLoading(false);
       onSave(savedContact.id);
     } catch (error: any) {
       setLoading(false);
-      if (error.response?.data?.details) {
+      if (error.status === 409 && error.duplicates) {
+        setDuplicates(error.duplicates);
+      } else if (error.response?.data?.details) {
         // Handle validation errors from backend
         const backendErrors: ValidationErrors = {};
         error.response.data.details.forEach((detail: any) => {
@@ -185,6 +199,21 @@ const ContactForm: React.FC<ContactFormProps> = ({ contactId, onSave }) => {
         </div>
       )}
 
+      {duplicates.length > 0 && (
+        <div className="duplicate-warning" role="alert">
+          <p>This contact may already exist:</p>
+          <ul>
+            {duplicates.map(({ contact, confidence }) => (
+              <li key={contact.id}>
+                {contact.firstName} {contact.lastName}
+                {contact.email ? ` (${contact.email})` : ''} - {Math.round(confidence * 100)}% match
+              </li>
+            ))}
+          </ul>
+          <p>Save again to create it anyway.</p>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="contact-form">
         <div className="form-group">
           <label htmlFor="firstName">
@@ -292,7 +321,11 @@ const ContactForm: React.FC<ContactFormProps> = ({ contactId, onSave }) => {
             className="btn-primary"
             disabled={loading}
           >
-            {loading ? 'Saving...' : contactId ? 'Update Contact' : 'Create Contact'}
+            {loading
+              ? 'Saving...'
+              : contactId
+                ? 'Update Contact'
+                : duplicates.length > 0 ? 'Create Anyway' : 'Create Contact'}
           </button>
         </div>
       </form>
@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ContactList from './ContactList';
+import { getContacts, starContact, unstarContact, Contact } from '../api/contactService';
+
+jest.mock('../api/contactService');
+
+const mockedGetContacts = getContacts as jest.MockedFunction<typeof getContacts>;
+const mockedStarContact = starContact as jest.MockedFunction<typeof starContact>;
+const mockedUnstarContact = unstarContact as jest.MockedFunction<typeof unstarContact>;
+
+const contact: Contact = {
+  id: 4,
+  firstName: 'Dana',
+  lastName: 'Lee',
+  organizationId: null,
+  createdAt: '2026-10-01T09:00:00Z',
+  updatedAt: '2026-10-01T09:00:00Z',
+  version: 1,
+  tags: [],
+  emails: [],
+  phones: [],
+  addresses: [],
+  dates: [],
+  customFields: {},
+  lastContactedAt: null,
+  starred: false,
+  photoUrl: null,
+};
+
+function renderList(user: string | null) {
+  return render(
+    <MemoryRouter>
+      <ContactList user={user} />
+    </MemoryRouter>
+  );
+}
+
+describe('ContactList', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    mockedGetContacts.mockResolvedValue({ data: [contact], nextCursor: null, hasMore: false });
+  });
+
+  it('stars and unstars a contact for the request user', async () => {
+    mockedStarContact.mockResolvedValue({ contactId: 4, starred: true, starredAt: '2026-10-19T08:30:00Z' });
+    mockedUnstarContact.mockResolvedValue();
+    renderList('dana@example.com');
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Star contact' }));
+
+    const starred = await screen.findByRole('button', { name: 'Unstar contact' });
+    expect(starred).toHaveAttribute('aria-pressed', 'true');
+    expect(mockedStarContact).toHaveBeenCalledWith(4);
+
+    fireEvent.click(starred);
+
+    expect(await screen.findByRole('button', { name: 'Star contact' })).toHaveAttribute('aria-pressed', 'false');
+    expect(mockedUnstarContact).toHaveBeenCalledWith(4);
+  });
+
+  it('hides the star without a request user', async () => {
+    renderList(null);
+
+    expect(await screen.findByText('Dana Lee')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Star contact' })).not.toBeInTheDocument();
+  });
+
+  it('reloads the contacts when the user changes', async () => {
+    const { rerender } = renderList(null);
+    await screen.findByText('Dana Lee');
+
+    rerender(
+      <MemoryRouter>
+        <ContactList user="dana@example.com" />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByRole('button', { name: 'Star contact' })).toBeInTheDocument();
+    await waitFor(() => expect(mockedGetContacts).toHaveBeenCalledTimes(2));
+  });
+});
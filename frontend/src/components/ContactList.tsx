@@ -1,45 +1,96 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { getAllContacts, Contact } from '../api/contactService';
+import { getContacts, starContact, unstarContact, Contact } from '../api/contactService';
 import './ContactList.css';
 
+// The user's starred contacts come first, then everyone by name
+const LIST_SORT = '-starred,lastName,firstName';
+
+interface ContactListProps {
+  /** Request user whose stars are shown, or null if none is set */
+  user: string | null;
+}
+
 /**
  * ContactList component displays all contacts in a responsive grid/list layout
- * Fetches contacts on mount and provides navigation to detail and create views
+ * Fetches the first page of contacts on mount and loads further pages on demand
+ * Contacts can be starred when a request user is set; starred ones are listed first
+ * The list is reloaded when the user changes, as stars belong to the user
  */
-const ContactList: React.FC = () => {
+const ContactList: React.FC<ContactListProps> = ({ user }) => {
   const [contacts, setContacts] = useState<Contact[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [loading, setLoading] = useState<boolean>(true);
+  const [loadingMore, setLoadingMore] = useState<boolean>(false);
   const [error, setError] = useState<string>('');
   const navigate = useNavigate();
+  const canStar = user !== null;
 
   useEffect(() => {
     fetchContacts();
-  }, []);
+  }, [user]);
 
   const fetchContacts = async () => {
     try {
       setLoading(true);
       setError('');
-      const data = await getAllContacts();
+      const page = await getContacts({ sort: LIST_SORT });
       // Ensure data is an array to prevent .map() errors
-      if (Array.isArray(data)) {
-        setContacts(data);
+      if (Array.isArray(page.data)) {
+        setContacts(page.data);
+        setNextCursor(page.hasMore ? page.nextCursor : null);
       } else {
         throw new Error('Invalid response format: expected an array');
       }
     } catch (err: any) {
       setError(err.message || 'Failed to load contacts. Please try again.');
       setContacts([]); // Ensure contacts is always an array
+      setNextCursor(null);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleLoadMore = async () => {
+    if (!nextCursor) {
+      return;
+    }
+
+    try {
+      setLoadingMore(true);
+      const page = await getContacts({ sort: LIST_SORT, cursor: nextCursor });
+      setContacts((current) => [...current, ...page.data]);
+      setNextCursor(page.hasMore ? page.nextCursor : null);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load more contacts. Please try again.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const handleContactClick = (id: number) => {
     navigate(`/contacts/${id}`);
   };
 
+  const handleStarClick = async (event: React.MouseEvent, contact: Contact) => {
+    // Starring should not open the contact
+    event.stopPropagation();
+
+    try {
+      if (contact.starred) {
+        await unstarContact(contact.id);
+      } else {
+        await starContact(contact.id);
+      }
+      // Keep the card in place; the new order applies on the next load
+      setContacts((current) =>
+        current.map((item) => (item.id === contact.id ? { ...item, starred: !contact.starred } : item))
+      );
+    } catch (err: any) {
+      setError(err.message || 'Failed to update the star. Please try again.');
+    }
+  };
+
   const handleCreateClick = () => {
     navigate('/contacts/new');
   };
@@ -96,6 +147,17 @@ const ContactList: React.FC = () => {
                 <h3>
                   {contact.firstName} {contact.lastName}
                 </h3>
+                {canStar && (
+                  <button
+                    type="button"
+                    className={`star-button${contact.starred ? ' starred' : ''}`}
+                    onClick={(event) => handleStarClick(event, contact)}
+                    aria-pressed={!!contact.starred}
+                    aria-label={contact.starred ? 'Unstar contact' : 'Star contact'}
+                  >
+                    {contact.starred ? '★' : '☆'}
+                  </button>
+                )}
               </div>
               <div className="contact-card-body">
                 {contact.email && (
@@ -118,6 +180,18 @@ const ContactList: React.FC = () => {
           ))}
         </div>
       )}
+
+      {nextCursor && (
+        <div className="load-more">
+          <button
+            onClick={handleLoadMore}
+            className="retry-button"
+            disabled={loadingMore}
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,25 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import UserField from './UserField';
+
+describe('UserField', () => {
+  it('sets the trimmed user', () => {
+    const onChange = jest.fn();
+    render(<UserField user={null} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('Your name or email'), { target: { value: '  dana@example.com ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Set user' }));
+
+    expect(onChange).toHaveBeenCalledWith('dana@example.com');
+  });
+
+  it('shows the user and clears it to change user', () => {
+    const onChange = jest.fn();
+    render(<UserField user="dana@example.com" onChange={onChange} />);
+
+    expect(screen.getByText('dana@example.com')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Change user' }));
+
+    expect(onChange).toHaveBeenCalledWith(null);
+  });
+});
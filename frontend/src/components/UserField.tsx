@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import './UserField.css';
+
+// The API rejects longer X-User headers
+const MAX_USER_LENGTH = 100;
+
+interface UserFieldProps {
+  /** Current user, or null if none is set */
+  user: string | null;
+  /** Called with the new user, or null to clear it */
+  onChange: (user: string | null) => void;
+}
+
+/**
+ * UserField component names the user requests are made for
+ * There are no accounts: the name is sent as the X-User header and trusted as given.
+ * The user's stars and audit entries such as mergedBy depend on it.
+ */
+const UserField: React.FC<UserFieldProps> = ({ user, onChange }) => {
+  const [draft, setDraft] = useState<string>('');
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    onChange(draft.trim());
+    setDraft('');
+  };
+
+  if (user) {
+    return (
+      <div className="user-field">
+        <span className="user-name" title={user}>{user}</span>
+        <button type="button" className="user-button" onClick={() => onChange(null)}>
+          Change user
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="user-field" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        className="user-input"
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        maxLength={MAX_USER_LENGTH}
+        placeholder="Your name or email"
+        aria-label="Your name or email"
+      />
+      <button type="submit" className="user-button" disabled={!draft.trim()}>
+        Set user
+      </button>
+    </form>
+  );
+};
+
+export default UserField;